@@ -0,0 +1,200 @@
+// Mock quote stream
+// A minimal Finnhub-compatible trade WebSocket for local development and test runs.
+// Random-walks a price for every subscribed symbol and pushes trades every 500ms.
+//
+// Usage:
+//   npm run mock:stream            (listens on ws://localhost:8765)
+//   PORT=9000 npm run mock:stream
+// Then start the app with VITE_QUOTE_STREAM_URL=ws://localhost:8765 npm run dev,
+// or set localStorage.quoteStreamUrl = 'ws://localhost:8765' in the browser.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import process from 'node:process';
+
+const PORT = Number(process.env.PORT) || 8765;
+const TICK_MS = 500;
+const PING_MS = 15000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const prices = new Map();
+const clients = new Set();
+
+// Encode a text frame (server frames are never masked)
+const encodeFrame = (text, opcode = 0x1) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Decode complete client frames from a buffer; returns { frames, rest }
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    cursor += maskLength;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const send = (client, message) => {
+  if (!client.socket.destroyed) {
+    client.socket.write(encodeFrame(JSON.stringify(message)));
+  }
+};
+
+// Next random-walk price for a symbol
+const nextPrice = (symbol) => {
+  const previous = prices.get(symbol) ?? 50 + Math.random() * 250;
+  const price = Math.max(0.01, previous * (1 + (Math.random() - 0.5) * 0.002));
+  prices.set(symbol, price);
+  return Number(price.toFixed(2));
+};
+
+const handleMessage = (client, text) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return;
+  }
+  const symbol = String(message.symbol || '').toUpperCase();
+  if (!symbol) return;
+
+  if (message.type === 'subscribe') {
+    client.symbols.add(symbol);
+    console.log(`➕ ${client.id} subscribed ${symbol}`);
+  } else if (message.type === 'unsubscribe') {
+    client.symbols.delete(symbol);
+    console.log(`➖ ${client.id} unsubscribed ${symbol}`);
+  }
+};
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket endpoint only\n');
+});
+
+let nextClientId = 1;
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+
+  const client = { id: `client-${nextClientId++}`, socket, symbols: new Set() };
+  clients.add(client);
+  console.log(`🔌 ${client.id} connected (${req.url})`);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x1) {
+        handleMessage(client, payload.toString('utf8'));
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame('', 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload.toString('utf8'), 0xa));
+      }
+    });
+  });
+
+  const drop = () => {
+    if (clients.delete(client)) {
+      console.log(`👋 ${client.id} disconnected`);
+    }
+  };
+  socket.on('close', drop);
+  socket.on('error', drop);
+});
+
+// Push one trade per subscribed symbol to each client
+const tickTimer = setInterval(() => {
+  const now = Date.now();
+  clients.forEach(client => {
+    if (client.symbols.size === 0) return;
+    const data = [...client.symbols].map(symbol => ({
+      s: symbol,
+      p: nextPrice(symbol),
+      t: now,
+      v: Math.floor(Math.random() * 500) + 1,
+    }));
+    send(client, { type: 'trade', data });
+  });
+}, TICK_MS);
+
+const pingTimer = setInterval(() => {
+  clients.forEach(client => send(client, { type: 'ping' }));
+}, PING_MS);
+
+const shutdown = () => {
+  clearInterval(tickTimer);
+  clearInterval(pingTimer);
+  clients.forEach(client => client.socket.destroy());
+  server.close(() => process.exit(0));
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, () => {
+  console.log(`📡 Mock quote stream listening on ws://localhost:${PORT}`);
+});
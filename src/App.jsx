@@ -5,6 +5,9 @@ import Dashboard from './pages/Dashboard';
 import News from './pages/News';
 import Trading from './pages/Trading';
 import Projection from './pages/Projection';
+import Backtest from './pages/Backtest';
+import Optimizer from './pages/Optimizer';
+import Compare from './pages/Compare';
 import Data from './pages/Data';
 import API from './pages/API';
 import Settings from './pages/Settings';
@@ -63,7 +66,12 @@ function App() {
               <Route path="fib" element={<FIB />} />
             </Route>
             <Route path="notes" element={<Notes />} />
-            <Route path="projection" element={<Projection />} />
+            <Route path="projection">
+              <Route index element={<Projection />} />
+              <Route path="backtest" element={<Backtest />} />
+              <Route path="optimizer" element={<Optimizer />} />
+              <Route path="compare" element={<Compare />} />
+            </Route>
             <Route path="data" element={<Data />} />
             <Route path="api" element={<API />} />
             <Route path="calendar" element={<EconomicCalendar />} />
@@ -1,4 +1,6 @@
 import { useState, useEffect } from 'react';
+import SymbolSearchInput from './SymbolSearchInput';
+import { validateSymbol } from '../services/symbolSearch';
 
 function AddMonitorModal({ isOpen, onClose, onSave, monitor }) {
   const [formData, setFormData] = useState({
@@ -7,6 +9,8 @@ function AddMonitorModal({ isOpen, onClose, onSave, monitor }) {
     url: '',
     type: 'http',
   });
+  const [symbolError, setSymbolError] = useState(null);
+  const [validating, setValidating] = useState(false);
 
   useEffect(() => {
     if (monitor) {
@@ -26,14 +30,27 @@ function AddMonitorModal({ isOpen, onClose, onSave, monitor }) {
     }
   }, [monitor, isOpen]);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    onSave(formData);
+    setValidating(true);
+    const check = await validateSymbol(formData.symbol);
+    setValidating(false);
+    if (check.status === 'invalid') {
+      setSymbolError(check.message);
+      return;
+    }
+    setSymbolError(null);
+    onSave({ ...formData, symbol: check.symbol });
+  };
+
+  const handleClose = () => {
+    setSymbolError(null);
+    onClose();
   };
 
   const handleBackdropClick = (e) => {
     if (e.target === e.currentTarget) {
-      onClose();
+      handleClose();
     }
   };
 
@@ -69,7 +86,7 @@ function AddMonitorModal({ isOpen, onClose, onSave, monitor }) {
             </h3>
             <button
               type="button"
-              onClick={onClose}
+              onClick={handleClose}
               className="flex justify-center items-center w-7 h-7 text-sm font-semibold rounded-full border border-transparent text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-gray-700 dark:hover:text-gray-300 transition-colors"
               aria-label="Close"
             >
@@ -91,20 +108,24 @@ function AddMonitorModal({ isOpen, onClose, onSave, monitor }) {
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                   Stock Symbol <span className="text-red-500">*</span>
                 </label>
-                <input
-                  type="text"
+                <SymbolSearchInput
                   value={formData.symbol}
-                  onChange={(e) =>
-                    setFormData({ ...formData, symbol: e.target.value.toUpperCase() })
-                  }
+                  onChange={(symbol) => {
+                    setFormData({ ...formData, symbol });
+                    setSymbolError(null);
+                  }}
                   className="py-2.5 px-3 block w-full border border-gray-300 dark:border-gray-600 rounded-lg text-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white transition-colors"
-                  placeholder="AAPL, GOOGL, MSFT, etc."
+                  placeholder="AAPL, BTC-USD, ^GSPC, etc."
                   required
                   autoFocus
                 />
-                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                  Enter a stock ticker symbol (e.g., AAPL, GOOGL, TSLA)
-                </p>
+                {symbolError ? (
+                  <p className="text-xs text-red-600 dark:text-red-400 mt-1">{symbolError}</p>
+                ) : (
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    Search by ticker or company name (stocks, ETFs, indices, crypto, FX, futures)
+                  </p>
+                )}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -129,14 +150,15 @@ function AddMonitorModal({ isOpen, onClose, onSave, monitor }) {
             <div className="flex justify-end items-center gap-3 py-4 px-6 border-t border-gray-200 dark:border-gray-700">
               <button
                 type="button"
-                onClick={onClose}
+                onClick={handleClose}
                 className="py-2 px-4 inline-flex items-center gap-x-2 text-sm font-medium rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 shadow-sm hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
               >
                 Cancel
               </button>
               <button
                 type="submit"
-                className="py-2 px-4 inline-flex items-center gap-x-2 text-sm font-semibold rounded-lg border border-transparent bg-blue-600 text-white hover:bg-blue-700 shadow-sm hover:shadow-md transition-all"
+                disabled={validating}
+                className="py-2 px-4 inline-flex items-center gap-x-2 text-sm font-semibold rounded-lg border border-transparent bg-blue-600 text-white hover:bg-blue-700 shadow-sm hover:shadow-md transition-all disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import { getFundamentals } from '../services/fundamentalsService';
+
+// Format large numbers with a B / M / K suffix
+const formatLarge = (value, prefix = '') => {
+  if (value === null || value === undefined) return '—';
+  if (value >= 1e12) return `${prefix}${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `${prefix}${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${prefix}${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `${prefix}${(value / 1e3).toFixed(2)}K`;
+  return `${prefix}${value.toFixed(0)}`;
+};
+
+const formatNumber = (value, digits = 2, prefix = '') => {
+  return value === null || value === undefined ? '—' : `${prefix}${value.toFixed(digits)}`;
+};
+
+const formatDate = (time) => {
+  return time ? new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }) : '—';
+};
+
+// Rows shown in the panel; compact mode shows the first six
+const getRows = (data) => [
+  { label: 'Market Cap', value: formatLarge(data.marketCap, '$') },
+  { label: 'P/E (TTM)', value: formatNumber(data.peRatio) },
+  { label: 'EPS (TTM)', value: formatNumber(data.eps, 2, '$') },
+  { label: 'Div. Yield', value: data.dividendYield === null ? '—' : `${data.dividendYield.toFixed(2)}%` },
+  {
+    label: '52W Range',
+    value: data.week52Low === null || data.week52High === null
+      ? '—'
+      : `$${data.week52Low.toFixed(2)} – $${data.week52High.toFixed(2)}`,
+  },
+  { label: 'Next Earnings', value: formatDate(data.nextEarningsDate) },
+  { label: 'Last Earnings', value: formatDate(data.lastEarningsDate) },
+  { label: 'Float', value: formatLarge(data.floatShares) },
+  { label: 'Shares Out.', value: formatLarge(data.sharesOutstanding) },
+  { label: 'Beta', value: formatNumber(data.beta) },
+];
+
+// Company profile and key fundamentals for a symbol (cached per trading day)
+// compact: collapsed by default and only fetched once expanded, for the Dashboard cards
+function FundamentalsPanel({ symbol, compact = false }) {
+  const [expanded, setExpanded] = useState(!compact);
+  const [result, setResult] = useState({ symbol: null, data: null, error: null });
+
+  useEffect(() => {
+    if (!expanded || !symbol) return undefined;
+    let cancelled = false;
+    getFundamentals(symbol, { priority: compact ? 'low' : 'normal' })
+      .then(data => {
+        if (!cancelled) setResult({ symbol, data, error: null });
+      })
+      .catch(error => {
+        console.error(`Error loading fundamentals for ${symbol}:`, error);
+        if (!cancelled) setResult({ symbol, data: null, error: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [symbol, expanded, compact]);
+
+  const loading = result.symbol !== symbol;
+  const { data, error } = loading ? { data: null, error: null } : result;
+
+  if (compact && !expanded) {
+    return (
+      <button
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          setExpanded(true);
+        }}
+        className="mt-3 text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+      >
+        Show fundamentals
+      </button>
+    );
+  }
+
+  const rows = data ? getRows(data) : [];
+
+  return (
+    <div className={compact ? 'mt-3 pt-3 border-t border-gray-200 dark:border-gray-700' : ''}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 min-w-0">
+          {data?.logo && !compact && (
+            <img src={data.logo} alt="" className="w-8 h-8 rounded bg-white object-contain" />
+          )}
+          <div className="min-w-0">
+            <h3 className={`${compact ? 'text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400' : 'text-lg text-gray-900 dark:text-white'} font-semibold truncate`}>
+              {compact ? 'Fundamentals' : (data?.name || symbol)}
+            </h3>
+            {data && !compact && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                {[data.sector, data.industry, data.exchange, data.country].filter(Boolean).join(' · ')}
+                {data.website && (
+                  <>
+                    {' · '}
+                    <a href={data.website} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">
+                      Website
+                    </a>
+                  </>
+                )}
+              </p>
+            )}
+          </div>
+        </div>
+        {compact && (
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              setExpanded(false);
+            }}
+            className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          >
+            Hide
+          </button>
+        )}
+      </div>
+
+      {loading && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">Loading fundamentals...</p>
+      )}
+      {error && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">Fundamentals unavailable for {symbol}</p>
+      )}
+      {data && (
+        <>
+          {compact && data.sector && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2 truncate">{data.sector}</p>
+          )}
+          <dl className={`grid ${compact ? 'grid-cols-2 gap-x-3 gap-y-1' : 'grid-cols-2 md:grid-cols-5 gap-4'} text-sm`}>
+            {(compact ? rows.slice(0, 6) : rows).map(row => (
+              <div key={row.label} className={compact ? 'flex items-center justify-between gap-2' : ''}>
+                <dt className="text-xs text-gray-500 dark:text-gray-400">{row.label}</dt>
+                <dd className={`${compact ? 'text-xs' : 'text-sm'} font-medium text-gray-900 dark:text-white`}>{row.value}</dd>
+              </div>
+            ))}
+          </dl>
+          {!compact && (
+            <p className="mt-3 text-xs text-gray-400 dark:text-gray-500">
+              Source: {(data.sources || [data.source]).join(' + ')} · refreshed daily
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FundamentalsPanel;
@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_LATTICE, LAMBDA_PHONEMES, normalizeLattice } from '../engine/lattice';
+import {
+  saveLatticePreset,
+  deleteLatticePreset,
+  getLatticeShareCode,
+  importLatticePreset,
+} from '../services/latticePresetService';
+
+const inputClass = 'w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-colors';
+const labelClass = 'block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1';
+const hintClass = 'text-[11px] text-gray-500 dark:text-gray-400 mt-1';
+
+const splitList = (text) => String(text).split(/[\s,]+/).filter(Boolean);
+
+// Form fields from a preset (or the built-in lattice for a new one)
+const toForm = (preset) => {
+  const lattice = { ...DEFAULT_LATTICE, ...preset };
+  return {
+    name: preset?.name || '',
+    triads: (lattice.triads || []).map(triad => triad.join(', ')).join('\n'),
+    coprimes: lattice.coprimes.join(', '),
+    phiVector: lattice.phiVector.map(String),
+    lambdaSchedule: lattice.lambdaSchedule.join(', '),
+    omegaSchedule: lattice.omegaSchedule.join(', '),
+    modulus: lattice.modulus ?? '',
+    bits: lattice.bits ?? '',
+    guardBits: lattice.guardBits ?? '',
+  };
+};
+
+// Preset from form fields; numbers stay unchecked here, normalizeLattice reports problems
+const fromForm = (form, id) => ({
+  id,
+  name: form.name,
+  triads: form.triads.split(/[\n;]+/).map(line => splitList(line).map(Number)).filter(triad => triad.length > 0),
+  coprimes: splitList(form.coprimes).map(Number),
+  phiVector: form.phiVector.map(Number),
+  lambdaSchedule: splitList(form.lambdaSchedule),
+  omegaSchedule: splitList(form.omegaSchedule).map(Number),
+  // Blank tower fields keep the Projection page's settings
+  modulus: String(form.modulus).trim() || null,
+  bits: String(form.bits).trim() === '' ? null : Number(form.bits),
+  guardBits: String(form.guardBits).trim() === '' ? null : Number(form.guardBits),
+});
+
+// Create, edit, share and import triad and lattice presets (mount with a key per preset)
+function LatticePresetEditor({ preset = null, onClose, onSaved, onDeleted }) {
+  const [form, setForm] = useState(() => toForm(preset));
+  const [error, setError] = useState(null);
+  const [importText, setImportText] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  // Prevent body scroll while the editor is open
+  useEffect(() => {
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = 'unset';
+    };
+  }, []);
+
+  const setField = (field, value) => {
+    setForm(current => ({ ...current, [field]: value }));
+    setError(null);
+  };
+
+  const handleSave = (asNew = false) => {
+    try {
+      const saved = saveLatticePreset(fromForm(form, asNew ? null : preset?.id || null));
+      onSaved(saved);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+    try {
+      deleteLatticePreset(preset.id);
+      onDeleted(preset.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopyCode = async () => {
+    try {
+      const lattice = normalizeLattice(fromForm(form, null));
+      await navigator.clipboard.writeText(getLatticeShareCode({ name: form.name.trim() || 'Shared preset', ...lattice }));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy share code:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleImport = () => {
+    try {
+      onSaved(importLatticePreset(importText));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] overflow-x-hidden overflow-y-auto" onClick={handleBackdropClick}>
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-gray-900 bg-opacity-50 transition-opacity"></div>
+
+      {/* Modal */}
+      <div className="flex min-h-full items-center justify-center p-4" onClick={handleBackdropClick}>
+        <div className="relative bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 w-full max-w-2xl transform transition-all">
+          {/* Header */}
+          <div className="flex justify-between items-center py-4 px-6 border-b border-gray-200 dark:border-gray-700">
+            <h3 className="text-lg font-bold text-gray-900 dark:text-white">
+              {preset ? 'Edit Lattice Preset' : 'New Lattice Preset'}
+            </h3>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex justify-center items-center w-7 h-7 text-sm font-semibold rounded-full border border-transparent text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-gray-700 dark:hover:text-gray-300 transition-colors"
+              aria-label="Close"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <div>
+              <label htmlFor="lattice-name" className={labelClass}>Name</label>
+              <input
+                id="lattice-name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                placeholder="Enigma 11-15-17"
+                className={inputClass}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="lattice-triads" className={labelClass}>Triads</label>
+                <textarea
+                  id="lattice-triads"
+                  rows={5}
+                  value={form.triads}
+                  onChange={(e) => setField('triads', e.target.value)}
+                  placeholder={'5, 7, 11\n11, 15, 17'}
+                  className={`${inputClass} font-mono`}
+                />
+                <p className={hintClass}>One triad per line. Leave empty to pick triads around the depth prime.</p>
+              </div>
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="lattice-coprimes" className={labelClass}>Coprime exceptions</label>
+                  <input
+                    id="lattice-coprimes"
+                    type="text"
+                    value={form.coprimes}
+                    onChange={(e) => setField('coprimes', e.target.value)}
+                    placeholder="12, 15"
+                    className={inputClass}
+                  />
+                  <p className={hintClass}>Non-prime values the triads may use.</p>
+                </div>
+                <div>
+                  <label htmlFor="lattice-lambda" className={labelClass}>λ schedule</label>
+                  <input
+                    id="lattice-lambda"
+                    type="text"
+                    value={form.lambdaSchedule}
+                    onChange={(e) => setField('lambdaSchedule', e.target.value)}
+                    className={`${inputClass} font-mono`}
+                  />
+                  <p className={hintClass}>Cycled per step: {LAMBDA_PHONEMES.join(', ')} or numbers.</p>
+                </div>
+                <div>
+                  <label htmlFor="lattice-omega" className={labelClass}>ω schedule (Hz)</label>
+                  <input
+                    id="lattice-omega"
+                    type="text"
+                    value={form.omegaSchedule}
+                    onChange={(e) => setField('omegaSchedule', e.target.value)}
+                    className={`${inputClass} font-mono`}
+                  />
+                  <p className={hintClass}>Cycled per step when the Ω schedule is on.</p>
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>φ-vector</label>
+              <div className="grid grid-cols-6 gap-1.5">
+                {form.phiVector.map((value, i) => (
+                  <input
+                    key={i}
+                    type="number"
+                    step="any"
+                    value={value}
+                    onChange={(e) => setField('phiVector', form.phiVector.map((item, j) => (j === i ? e.target.value : item)))}
+                    title={`φ${i + 1}`}
+                    aria-label={`φ${i + 1}`}
+                    className={`${inputClass} text-center px-1`}
+                  />
+                ))}
+              </div>
+              <p className={hintClass}>Sector frequencies φ1–φ12 of the 12-sector lattice.</p>
+            </div>
+
+            <div>
+              <label className={labelClass}>Amplitude tower</label>
+              <div className="grid grid-cols-4 gap-1.5">
+                <input
+                  type="number"
+                  min="1"
+                  value={form.bits}
+                  onChange={(e) => setField('bits', e.target.value)}
+                  placeholder="Bits"
+                  aria-label="Amplitude bits"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={form.guardBits}
+                  onChange={(e) => setField('guardBits', e.target.value)}
+                  placeholder="Guard bits"
+                  aria-label="Guard bits"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={form.modulus}
+                  onChange={(e) => setField('modulus', e.target.value)}
+                  placeholder="Modulus (2^(bits + guard bits))"
+                  aria-label="Modulus"
+                  className={`${inputClass} col-span-2 font-mono`}
+                />
+              </div>
+              <p className={hintClass}>Towers are reduced mod the modulus and the guard bits dropped from each amplitude. Leave blank to use the Projection page&apos;s settings.</p>
+            </div>
+
+            <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+              <label htmlFor="lattice-import" className={labelClass}>Import</label>
+              <div className="flex gap-2">
+                <input
+                  id="lattice-import"
+                  type="text"
+                  value={importText}
+                  onChange={(e) => {
+                    setImportText(e.target.value);
+                    setError(null);
+                  }}
+                  placeholder="Paste a share code or preset JSON"
+                  className={`${inputClass} font-mono`}
+                />
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={!importText.trim()}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors"
+                >
+                  Import
+                </button>
+              </div>
+            </div>
+
+            {error && (
+              <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex flex-wrap justify-between items-center gap-3 py-4 px-6 border-t border-gray-200 dark:border-gray-700">
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handleCopyCode}
+                className="py-2 px-3 text-sm font-medium rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+              >
+                {copied ? 'Copied!' : 'Copy share code'}
+              </button>
+              {preset && (
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  className="py-2 px-3 text-sm font-medium rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+            <div className="flex gap-2">
+              {preset && (
+                <button
+                  type="button"
+                  onClick={() => handleSave(true)}
+                  className="py-2 px-4 text-sm font-medium rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+                >
+                  Save as new
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => handleSave(false)}
+                className="py-2 px-4 text-sm font-semibold rounded-lg border border-transparent bg-purple-600 text-white hover:bg-purple-700 shadow-sm transition-all"
+              >
+                Save preset
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LatticePresetEditor;
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react';
+import { getExchangeStatus, formatCountdown } from '../utils/tradingCalendar';
+
+const REFRESH_INTERVAL = 30 * 1000;
+
+const STATE_STYLES = {
+  REGULAR: { dot: 'bg-green-500', text: 'text-green-700 dark:text-green-400', label: 'Open' },
+  PRE: { dot: 'bg-yellow-500', text: 'text-yellow-700 dark:text-yellow-400', label: 'Pre-market' },
+  POST: { dot: 'bg-orange-500', text: 'text-orange-700 dark:text-orange-400', label: 'After hours' },
+  CLOSED: { dot: 'bg-gray-400', text: 'text-gray-500 dark:text-gray-400', label: 'Closed' },
+};
+
+// Open/closed state of an exchange with a countdown to its next open or close
+// showName prefixes the exchange name (world clocks show which market they track)
+function MarketHoursBadge({ exchangeId, showName = false, className = '' }) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const status = getExchangeStatus(exchangeId, now.getTime());
+  const style = STATE_STYLES[status.state] || STATE_STYLES.CLOSED;
+  const label = status.reason === 'Lunch break' ? 'Lunch break' : style.label;
+
+  let countdown = '';
+  if (status.state === 'REGULAR' && status.nextClose) {
+    countdown = `closes in ${formatCountdown(status.nextClose - now.getTime())}`;
+  } else if (status.nextOpen) {
+    countdown = `${status.reason === 'Lunch break' ? 'reopens' : 'opens'} in ${formatCountdown(status.nextOpen - now.getTime())}`;
+  }
+
+  const details = [
+    status.holiday,
+    status.earlyClose && status.state !== 'CLOSED' ? 'early close' : null,
+    countdown,
+  ].filter(Boolean);
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1.5 text-xs font-medium ${style.text} ${className}`}
+      title={`${status.exchange.name}${status.earlyClose ? ` · ${status.earlyClose}` : ''}`}
+    >
+      <span className={`w-2 h-2 rounded-full flex-shrink-0 ${style.dot}`}></span>
+      <span>
+        {showName && `${status.exchange.name}: `}
+        {label}
+        {details.length > 0 && <span className="font-normal text-gray-500 dark:text-gray-400"> · {details.join(' · ')}</span>}
+      </span>
+    </span>
+  );
+}
+
+export default MarketHoursBadge;
@@ -1,15 +1,53 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import MonitorChart from './MonitorChart';
+import { subscribeQuotes } from '../services/quoteStream';
+import { getAssetClass, formatPrice, getPricePrefix } from '../utils/assetClasses';
 
-function MonitorCard({ monitor, onEdit, onDelete, onTogglePause, onSelect, selected }) {
+function MonitorCard({ monitor: monitorProp, onEdit, onDelete, onTogglePause, onSelect, selected }) {
   const [showChart, setShowChart] = useState(false);
+  const [liveQuote, setLiveQuote] = useState(null);
+
+  // Live price updates between monitor refreshes
+  const streamSymbol = monitorProp.price !== undefined && !monitorProp.paused ? monitorProp.symbol : null;
+  useEffect(() => {
+    if (!streamSymbol) {
+      return undefined;
+    }
+    return subscribeQuotes(streamSymbol, setLiveQuote);
+  }, [streamSymbol]);
+
+  // Overlay a live price newer than the last check, keeping change relative to the previous close
+  const lastCheckTime = monitorProp.lastCheck ? new Date(monitorProp.lastCheck).getTime() : 0;
+  const useLive = liveQuote && liveQuote.symbol === streamSymbol && liveQuote.timestamp > lastCheckTime;
+  const monitor = useLive
+    ? (() => {
+        const previousClose = liveQuote.previousClose || (monitorProp.price - (monitorProp.change || 0));
+        const change = liveQuote.price - previousClose;
+        return {
+          ...monitorProp,
+          price: liveQuote.price,
+          change,
+          changePercent: previousClose ? (change / previousClose) * 100 : monitorProp.changePercent,
+        };
+      })()
+    : monitorProp;
+  const assetClass = getAssetClass(monitor.symbol, monitor.assetClass);
+  const pricePrefix = getPricePrefix(assetClass);
 
   // UptimeKit status calculation based on response time
   // Operational: < 1000ms, Degraded: 1000-5000ms, Down: > 5000ms or unavailable
+  // Monitors from monitorService carry a status derived from their recorded fetch health
   const getStatus = () => {
     if (monitor.paused) {
       return { color: 'gray', text: 'Paused' };
     }
+    if (monitor.status === 'operational') {
+      return { color: 'green', text: 'Operational' };
+    } else if (monitor.status === 'degraded') {
+      return { color: 'yellow', text: 'Degraded' };
+    } else if (monitor.status === 'down') {
+      return { color: 'red', text: 'Down' };
+    }
     
     const responseTime = monitor.responseTime || monitor.avgResponseTime || 0;
     const isUp = monitor.status === 'up' || monitor.isUp;
@@ -73,17 +111,17 @@ function MonitorCard({ monitor, onEdit, onDelete, onTogglePause, onSelect, selec
           <div className="mb-3">
             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Current Price</p>
             <p className="text-xl font-bold text-gray-800 dark:text-white">
-              ${monitor.price.toFixed(2)}
+              {pricePrefix}{formatPrice(monitor.price, assetClass)}
             </p>
             {monitor.change !== undefined && (
               <p className={`text-xs font-semibold mt-1 ${monitor.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                {monitor.change >= 0 ? '+' : ''}${monitor.change.toFixed(2)} ({monitor.changePercent >= 0 ? '+' : ''}{monitor.changePercent.toFixed(2)}%)
+                {monitor.change >= 0 ? '+' : ''}{pricePrefix}{formatPrice(monitor.change, assetClass)} ({monitor.changePercent >= 0 ? '+' : ''}{monitor.changePercent.toFixed(2)}%)
               </p>
             )}
           </div>
-          {monitor.volume && (
+          {monitor.volume > 0 && assetClass.volume.unit !== 'none' && (
             <div className="mb-3">
-              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Volume</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{assetClass.volume.label}</p>
               <p className="text-xs font-medium text-gray-800 dark:text-gray-200">
                 {monitor.volume.toLocaleString()}
               </p>
@@ -94,6 +132,7 @@ function MonitorCard({ monitor, onEdit, onDelete, onTogglePause, onSelect, selec
               <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Market Status</p>
               <p className="text-xs font-medium text-gray-800 dark:text-gray-200 capitalize">
                 {monitor.marketState === 'REGULAR' ? 'Open' : monitor.marketState.toLowerCase()}
+                <span className="normal-case text-gray-500 dark:text-gray-400"> · {assetClass.label} ({assetClass.calendar === 'exchange' ? 'exchange hours' : assetClass.calendar})</span>
               </p>
             </div>
           )}
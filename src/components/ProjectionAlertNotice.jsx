@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { startProjectionAlerts, subscribeAlertEvents } from '../services/projectionAlertService';
+
+// Most banners shown at once
+const MAX_SHOWN = 3;
+
+const EVENT_STYLES = {
+  cross: 'border-purple-200 dark:border-purple-800 bg-purple-50 dark:bg-purple-900/20 text-purple-800 dark:text-purple-200',
+  band: 'border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-200',
+  target: 'border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200',
+  expired: 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-gray-700 dark:text-gray-300',
+};
+
+// Watches live quotes for projection alerts and shows fired alerts until dismissed
+function ProjectionAlertNotice() {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => startProjectionAlerts(), []);
+
+  useEffect(() => subscribeAlertEvents((event, alert) => {
+    setEvents(current => [{ ...event, id: `${alert.id}-${event.type}-${event.time}` }, ...current].slice(0, MAX_SHOWN));
+  }), []);
+
+  if (events.length === 0) {
+    return null;
+  }
+
+  const dismiss = (id) => setEvents(current => current.filter(event => event.id !== id));
+
+  return (
+    <div className="mb-4 space-y-2" role="status">
+      {events.map(event => (
+        <div key={event.id} className={`flex items-start justify-between gap-3 rounded-lg border px-4 py-2 text-sm ${EVENT_STYLES[event.type]}`}>
+          <p>
+            <span className="font-semibold">Projection alert</span> · {event.message}
+            <span className="opacity-70"> · {new Date(event.time).toLocaleTimeString()}</span>
+            {' '}
+            <Link to="/projection/data" className="underline hover:no-underline">View</Link>
+          </p>
+          <button
+            type="button"
+            onClick={() => dismiss(event.id)}
+            className="shrink-0 opacity-70 hover:opacity-100"
+            aria-label="Dismiss"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ProjectionAlertNotice;
@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ALERT_CONDITIONS, formatAlertPrice } from '../utils/projectionAlerts';
+import { getSavedProjectionLines } from '../utils/projectionScoring';
+import {
+  getAlertsForProjection,
+  addProjectionAlert,
+  setProjectionAlertActive,
+  deleteProjectionAlert,
+  subscribeProjectionAlerts,
+  arePriceAlertsEnabled,
+} from '../services/projectionAlertService';
+
+const inputClass = 'px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500';
+
+const EVENT_LABELS = {
+  cross: 'Crossed path',
+  band: 'Left band',
+  target: 'Hit target',
+  expired: 'Ended',
+};
+
+const getAlertStatus = (alert) => {
+  if (alert.state.expired) return { label: 'Ended', className: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300' };
+  if (!alert.active) return { label: 'Paused', className: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300' };
+  return { label: 'Watching', className: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' };
+};
+
+// Create and manage live alerts on a saved projection (mount with a key per projection)
+function ProjectionAlertsPanel({ projection }) {
+  const [alerts, setAlerts] = useState(() => getAlertsForProjection(projection.id));
+  const [lineIndex, setLineIndex] = useState('mean');
+  const [conditions, setConditions] = useState({ cross: true, band: true, target: true });
+  const [target, setTarget] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeProjectionAlerts(all => {
+    setAlerts(all.filter(alert => alert.projectionId === projection.id));
+  }), [projection.id]);
+
+  const lines = getSavedProjectionLines(projection);
+  const hasBand = Boolean(projection.distribution?.percentiles?.[5]);
+
+  const handleAdd = () => {
+    try {
+      addProjectionAlert(projection, {
+        lineIndex: lineIndex === 'mean' ? null : Number(lineIndex),
+        conditions: { ...conditions, band: hasBand && conditions.band },
+        target: target === '' ? null : Number(target),
+      });
+      setTarget('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 bg-gray-50 dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+          Alerts
+        </h4>
+        {!arePriceAlertsEnabled() && (
+          <span className="text-xs text-amber-600 dark:text-amber-400">
+            Price alerts are off in <Link to="/settings" className="underline">Settings</Link>
+          </span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <select
+          value={lineIndex}
+          onChange={(e) => setLineIndex(e.target.value)}
+          className={inputClass}
+          aria-label="Line to watch"
+        >
+          {lines.length > 1 && <option value="mean">Mean of lines</option>}
+          {lines.map((line, i) => (
+            <option key={line.label} value={lines.length > 1 ? i : 'mean'}>{line.label}</option>
+          ))}
+        </select>
+        {ALERT_CONDITIONS.map(condition => (
+          <label
+            key={condition.id}
+            className={`flex items-center gap-1 text-gray-700 dark:text-gray-300 ${condition.id === 'band' && !hasBand ? 'opacity-50' : ''}`}
+            title={condition.id === 'band' && !hasBand ? 'This projection has no saved Monte Carlo band' : undefined}
+          >
+            <input
+              type="checkbox"
+              checked={conditions[condition.id] && (condition.id !== 'band' || hasBand)}
+              disabled={condition.id === 'band' && !hasBand}
+              onChange={(e) => setConditions(current => ({ ...current, [condition.id]: e.target.checked }))}
+              className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+            />
+            {condition.label}
+          </label>
+        ))}
+        <input
+          type="number"
+          step="any"
+          min="0"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="Target (final price)"
+          className={`${inputClass} w-36`}
+          aria-label="Target price"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!Object.values(conditions).some(Boolean)}
+          className="px-2.5 py-1 rounded text-xs font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 transition-colors"
+        >
+          Add alert
+        </button>
+      </div>
+      {error && (
+        <p className="mt-2 text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      {alerts.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {alerts.map(alert => {
+            const status = getAlertStatus(alert);
+            return (
+              <li key={alert.id} className="border-t border-gray-200 dark:border-gray-700 pt-2 text-xs">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 text-gray-900 dark:text-white">
+                    <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium ${status.className}`}>{status.label}</span>
+                    <span className="font-medium">{alert.label}</span>
+                    <span className="text-gray-500 dark:text-gray-400">
+                      {ALERT_CONDITIONS.filter(condition => alert.conditions[condition.id]).map(condition => EVENT_LABELS[condition.id]).join(' · ')}
+                      {alert.conditions.target && ` ${formatAlertPrice(alert.symbol, alert.target)}`}
+                    </span>
+                  </div>
+                  <div className="flex gap-1">
+                    {!alert.state.expired && (
+                      <button
+                        type="button"
+                        onClick={() => setProjectionAlertActive(alert.id, !alert.active)}
+                        className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-purple-100 hover:text-purple-600 transition-colors"
+                      >
+                        {alert.active ? 'Pause' : 'Resume'}
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => deleteProjectionAlert(alert.id)}
+                      className="px-1.5 py-0.5 rounded text-[10px] font-medium text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                {alert.events.length > 0 && (
+                  <ul className="mt-1 space-y-0.5 text-gray-600 dark:text-gray-400">
+                    {alert.events.slice(0, 5).map(event => (
+                      <li key={`${event.type}-${event.time}`}>
+                        <span className="font-mono">{new Date(event.time).toLocaleString()}</span> · {EVENT_LABELS[event.type]}
+                        {event.type !== 'expired' && ` at ${formatAlertPrice(alert.symbol, event.price)}`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ProjectionAlertsPanel;
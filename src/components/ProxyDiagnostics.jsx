@@ -0,0 +1,143 @@
+import { useEffect, useState } from 'react';
+import {
+  getProxySummaries,
+  getRouteDecisions,
+  subscribeProxyEvents,
+  resetProxyStats,
+} from '../services/proxyManager';
+
+const STATE_STYLES = {
+  closed: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  'half-open': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  open: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+};
+
+const formatMs = (value) => (value === null || value === undefined ? '—' : `${value}ms`);
+
+const formatTime = (time) => new Date(time).toLocaleTimeString('en-US', { timeZone: 'America/New_York' });
+
+// Per-proxy health and recent routing decisions for proxied market data requests
+function ProxyDiagnostics() {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Re-render on proxy events, and periodically so breaker cooldowns count down
+  useEffect(() => {
+    const bump = () => setNow(Date.now());
+    const unsubscribe = subscribeProxyEvents(bump);
+    const timer = setInterval(bump, 5000);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, []);
+
+  const summaries = getProxySummaries();
+  const decisions = getRouteDecisions();
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Proxy Health</h3>
+          <button
+            onClick={resetProxyStats}
+            className="text-xs font-medium text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+          >
+            Reset stats
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 pr-3 font-medium">Proxy</th>
+                <th className="py-2 pr-3 font-medium">Breaker</th>
+                <th className="py-2 pr-3 font-medium">Success</th>
+                <th className="py-2 pr-3 font-medium">p50 / p90 / p99</th>
+                <th className="py-2 pr-3 font-medium">Failures</th>
+                <th className="py-2 font-medium">Last error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summaries.map(proxy => (
+                <tr key={proxy.id} className={`border-b border-gray-100 dark:border-gray-700/50 ${proxy.enabled ? '' : 'opacity-50'}`}>
+                  <td className="py-2 pr-3 text-gray-900 dark:text-white">
+                    {proxy.name}
+                    {!proxy.builtin && <span className="ml-1 text-blue-600 dark:text-blue-400">(custom)</span>}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <span className={`px-2 py-0.5 rounded-full ${STATE_STYLES[proxy.state]}`}>
+                      {proxy.state}
+                    </span>
+                    {proxy.retryAt && (
+                      <span className="ml-1 text-gray-500 dark:text-gray-400">
+                        {Math.max(0, Math.ceil((proxy.retryAt - now) / 1000))}s
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">
+                    {proxy.successRate === null ? '—' : `${proxy.successRate.toFixed(0)}%`}
+                    <span className="text-gray-400"> ({proxy.successes}/{proxy.attempts})</span>
+                  </td>
+                  <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">
+                    {formatMs(proxy.p50)} / {formatMs(proxy.p90)} / {formatMs(proxy.p99)}
+                  </td>
+                  <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">
+                    {Object.keys(proxy.failureKinds).length === 0
+                      ? '—'
+                      : Object.entries(proxy.failureKinds).map(([kind, count]) => `${kind} ${count}`).join(', ')}
+                  </td>
+                  <td className="py-2 text-gray-500 dark:text-gray-400 max-w-xs truncate" title={proxy.lastError?.message}>
+                    {proxy.lastError ? `${formatTime(proxy.lastError.time)} ${proxy.lastError.message}` : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Recent Routing Decisions</h3>
+        {decisions.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            No proxied requests yet this session. Requests go through a proxy in production builds only.
+          </p>
+        ) : (
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {decisions.map((decision, index) => (
+              <div key={`${decision.time}-${index}`} className="p-3 rounded-lg border border-gray-200 dark:border-gray-700 text-xs">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {decision.symbol} · {decision.provider} · {decision.interval}/{decision.range}
+                  </span>
+                  <span className={decision.servedBy ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                    {decision.servedBy ? `served by ${decision.servedBy}` : 'all proxies failed'} · {formatTime(decision.time)}
+                  </span>
+                </div>
+                <p className="text-gray-600 dark:text-gray-400">
+                  Ranked: {decision.ranking.map(r => `${r.name} (${r.state}, cost ${r.cost})`).join(' → ') || 'none'}
+                </p>
+                {decision.skipped.length > 0 && (
+                  <p className="text-gray-600 dark:text-gray-400">
+                    Skipped: {decision.skipped.map(s => `${s.name}: ${s.reason}`).join('; ')}
+                  </p>
+                )}
+                <ul className="mt-1 space-y-0.5">
+                  {decision.attempts.map((attempt, attemptIndex) => (
+                    <li key={attemptIndex} className={attempt.ok ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}>
+                      {attempt.ok ? '✓' : '✗'} {attempt.proxy} (endpoint {attempt.endpoint + 1}) {attempt.latency}ms
+                      {!attempt.ok && ` — ${attempt.kind}: ${attempt.error}`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ProxyDiagnostics;
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { subscribeSchedulerStatus } from '../services/requestScheduler';
+import { getProvider } from '../services/marketDataProviders';
+
+const LIMIT_NAMES = {
+  fibhub: 'Fibhub',
+  allorigins: 'News proxy',
+};
+
+const getLimitName = (name) => getProvider(name)?.name || LIMIT_NAMES[name] || name;
+
+// Banner shown while an API is rate-limiting us and queued requests wait for Retry-After
+function RateLimitNotice() {
+  const [rateLimited, setRateLimited] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => subscribeSchedulerStatus(status => {
+    setRateLimited(status.rateLimited);
+    setNow(Date.now());
+  }), []);
+
+  // Count down once per second while something is rate-limited
+  useEffect(() => {
+    if (rateLimited.length === 0) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [rateLimited]);
+
+  const active = rateLimited.filter(limit => limit.retryAt > now);
+  if (active.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 px-4 py-2 text-sm text-amber-800 dark:text-amber-200" role="status">
+      {active.map(limit => (
+        <p key={limit.name}>
+          <span className="font-semibold">{getLimitName(limit.name)}</span> rate-limited, retrying in{' '}
+          {Math.max(1, Math.ceil((limit.retryAt - now) / 1000))}s
+          {limit.queued > 0 && ` (${limit.queued} request${limit.queued === 1 ? '' : 's'} queued)`}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+export default RateLimitNotice;
@@ -100,6 +100,9 @@ function Sidebar({ isOpen, onClose }) {
     { path: '/trading', label: 'Charts' },
     { path: '/trading/fib', label: 'Fib' },
     { path: '/projection', label: 'Projection' },
+    { path: '/projection/backtest', label: 'Backtest' },
+    { path: '/projection/optimizer', label: 'Optimizer' },
+    { path: '/projection/compare', label: 'Compare' },
     { path: '/notes', label: 'Notes' },
     { path: '/data', label: 'Data' },
     { path: '/api', label: 'API' },
@@ -175,6 +178,8 @@ function Sidebar({ isOpen, onClose }) {
                     isActive = location.pathname === '/trading';
                   } else if (item.path === '/trading/fib') {
                     isActive = location.pathname === '/trading/fib';
+                  } else if (item.path === '/projection') {
+                    isActive = location.pathname === '/projection';
                   } else {
                     isActive = location.pathname === item.path || 
                       location.pathname.startsWith(item.path + '/');
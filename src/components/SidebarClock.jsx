@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { calculateUniversalDayNumber, getNumerologyForecast } from '../utils/numerology';
+import { getExchangeForTimezone } from '../utils/tradingCalendar';
+import MarketHoursBadge from './MarketHoursBadge';
 
 function SidebarClock({ timezone = 'America/New_York', city = 'New York', country = 'United States', onRemove }) {
   const [time, setTime] = useState(new Date());
@@ -48,6 +50,7 @@ function SidebarClock({ timezone = 'America/New_York', city = 'New York', countr
   const localDate = new Date(year, month - 1, day);
   const universalDayNumber = calculateUniversalDayNumber(localDate);
   const forecast = getNumerologyForecast(universalDayNumber);
+  const exchange = getExchangeForTimezone(timezone);
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 border border-gray-200 dark:border-gray-700 relative">
@@ -72,6 +75,9 @@ function SidebarClock({ timezone = 'America/New_York', city = 'New York', countr
         <div className="text-xs text-gray-600 dark:text-gray-400 mb-3">
           {dateStr}
         </div>
+        {exchange && (
+          <MarketHoursBadge exchangeId={exchange.id} className="justify-center mb-1" />
+        )}
         
         {/* Daily Global Numerology Forecast */}
         <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
@@ -0,0 +1,232 @@
+import { useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Filler,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { SPECTRAL_WINDOWS, analyzeSpectrum, traceStabilization } from '../engine/spectrum';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Filler
+);
+
+const PEAK_COLOR = '#a855f7';
+
+const formatDays = (days) => {
+  if (days === null) return '—';
+  if (days < 1) return `${(days * 24).toFixed(1)}h`;
+  return `${days.toFixed(1)}d`;
+};
+
+// Periodogram, detected cycles and recursive stabilization history for a price history
+function SpectralPanel({ prices, barDays = null, stabilizedModel = null, pinnedPeriod = null, onPin, onRunStabilization, onCancelStabilization, analyzing = false }) {
+  const [spectralWindow, setSpectralWindow] = useState('hann');
+
+  const spectrum = useMemo(() => {
+    if (!Array.isArray(prices) || prices.length < 8) return null;
+    try {
+      return analyzeSpectrum(prices, { window: spectralWindow, barDays });
+    } catch (error) {
+      console.error('Spectral analysis failed:', error);
+      return null;
+    }
+  }, [prices, spectralWindow, barDays]);
+
+  // The saved model's history when a recursive analysis has run, otherwise a fresh trace
+  const savedHistory = stabilizedModel?.history?.length > 0 ? stabilizedModel.history : null;
+  const history = useMemo(() => {
+    if (savedHistory) return savedHistory;
+    return Array.isArray(prices) ? traceStabilization(prices) : [];
+  }, [savedHistory, prices]);
+
+  if (!spectrum) {
+    return (
+      <div className="text-xs text-gray-500 dark:text-gray-400 p-3">
+        Need at least 8 bars for spectral analysis.
+      </div>
+    );
+  }
+
+  // Longest periods first, peaks marked
+  const bins = [...spectrum.bins].reverse();
+  const peakBins = new Set(spectrum.peaks.map(peak => Math.round(spectrum.paddedLength * peak.frequency)));
+  const isPeak = (bin) => peakBins.has(Math.round(spectrum.paddedLength * bin.frequency));
+
+  const chartData = {
+    labels: bins.map(bin => bin.period.toFixed(1)),
+    datasets: [{
+      label: 'Power',
+      data: bins.map(bin => bin.power),
+      borderColor: 'rgba(59, 130, 246, 0.9)',
+      backgroundColor: 'rgba(59, 130, 246, 0.15)',
+      fill: true,
+      borderWidth: 1.5,
+      tension: 0.2,
+      pointRadius: bins.map(bin => (isPeak(bin) ? 4 : 0)),
+      pointBackgroundColor: PEAK_COLOR,
+      pointBorderColor: PEAK_COLOR,
+    }],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => `Period ${items[0].label} bars`,
+          label: (item) => `Power ${item.parsed.y.toPrecision(3)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        title: { display: true, text: 'Period (bars)', font: { size: 10 } },
+        ticks: { maxTicksLimit: 10, font: { size: 9 } },
+        grid: { display: false },
+      },
+      y: {
+        beginAtZero: true,
+        ticks: { maxTicksLimit: 4, font: { size: 9 } },
+      },
+    },
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[1fr_280px_260px] gap-3 p-3 text-xs">
+      {/* Periodogram */}
+      <div className="min-w-0">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+            Periodogram · detrended · {spectrum.bars} bars
+          </span>
+          <div className="flex gap-1">
+            {SPECTRAL_WINDOWS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => setSpectralWindow(option.id)}
+                className={`px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+                  spectralWindow === option.id
+                    ? 'bg-purple-600 text-white'
+                    : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="h-40">
+          <Line data={chartData} options={chartOptions} />
+        </div>
+      </div>
+
+      {/* Detected cycles */}
+      <div>
+        <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-1">Detected cycles</div>
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="pb-1 font-medium">Bars</th>
+              <th className="pb-1 font-medium">Days</th>
+              <th className="pb-1 font-medium text-right" title="Share of total power">Power</th>
+              <th className="pb-1 font-medium text-right" title="Fitted sinusoid amplitude">Amp.</th>
+              <th className="pb-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {spectrum.peaks.map(peak => {
+              const pinned = pinnedPeriod !== null && Math.abs(pinnedPeriod - peak.period) / peak.period < 0.05;
+              return (
+                <tr key={peak.frequency} className="border-t border-gray-100 dark:border-gray-700/50">
+                  <td className="py-1 font-semibold text-gray-900 dark:text-white">{peak.period.toFixed(1)}</td>
+                  <td className="py-1 text-gray-700 dark:text-gray-300">{formatDays(peak.days)}</td>
+                  <td className="py-1 text-right text-gray-700 dark:text-gray-300">{(peak.share * 100).toFixed(0)}%</td>
+                  <td className="py-1 text-right text-gray-700 dark:text-gray-300">${peak.amplitude.toFixed(2)}</td>
+                  <td className="py-1 text-right">
+                    <button
+                      type="button"
+                      onClick={() => onPin(pinned ? null : peak.period)}
+                      className={`px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+                        pinned
+                          ? 'bg-purple-600 text-white'
+                          : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-purple-100 hover:text-purple-600'
+                      }`}
+                    >
+                      {pinned ? 'Pinned' : 'Pin'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {spectrum.peaks.length === 0 && (
+          <p className="text-gray-500 dark:text-gray-400">No peaks found.</p>
+        )}
+      </div>
+
+      {/* Recursive stabilization */}
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+            Stabilization {savedHistory ? '· saved model' : '· fresh trace'}
+          </span>
+          <button
+            type="button"
+            onClick={analyzing ? onCancelStabilization : onRunStabilization}
+            disabled={analyzing && !onCancelStabilization}
+            className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-purple-100 hover:text-purple-600 disabled:opacity-50 transition-colors"
+            title={analyzing ? 'Stop the run in progress' : 'Run the recursive lattice with full FFT stabilization and save the model'}
+          >
+            {analyzing ? 'Running… Cancel' : 'Run recursive'}
+          </button>
+        </div>
+        <div className="max-h-40 overflow-y-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="pb-1 font-medium">#</th>
+                <th className="pb-1 font-medium text-right" title="Mean oscillation strength">Stab.</th>
+                <th className="pb-1 font-medium pl-2">Primes</th>
+                <th className="pb-1 font-medium text-right" title="Phase-aligned turning points">Locked</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((entry, index) => (
+                <tr
+                  key={index}
+                  className="border-t border-gray-100 dark:border-gray-700/50"
+                  title={`Periods: ${entry.periods.map(period => period.toFixed(1)).join(', ')}\nCoprimes: ${entry.coprimes.join(', ')}`}
+                >
+                  <td className="py-1 text-gray-500 dark:text-gray-400">{entry.iteration}</td>
+                  <td className="py-1 text-right text-gray-900 dark:text-white">{entry.signalStability.toFixed(2)}</td>
+                  <td className="py-1 pl-2 text-gray-700 dark:text-gray-300 truncate max-w-[120px]">{entry.primes.slice(0, 6).join(', ')}</td>
+                  <td className="py-1 text-right text-gray-700 dark:text-gray-300">{entry.lockedPoints}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {history.length === 0 && (
+            <p className="text-gray-500 dark:text-gray-400">No oscillations to stabilize on.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SpectralPanel;
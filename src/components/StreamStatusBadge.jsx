@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { subscribeStreamStatus } from '../services/quoteStream';
+
+const STATUS_STYLES = {
+  streaming: { dot: 'bg-green-500 animate-pulse', text: 'text-green-700 dark:text-green-400', label: 'Live' },
+  connecting: { dot: 'bg-yellow-500', text: 'text-yellow-700 dark:text-yellow-400', label: 'Connecting' },
+  polling: { dot: 'bg-blue-500', text: 'text-blue-700 dark:text-blue-400', label: 'Polling' },
+  idle: { dot: 'bg-gray-400', text: 'text-gray-500 dark:text-gray-400', label: 'Idle' },
+};
+
+// Shows whether quotes arrive over the WebSocket stream or fall back to polling
+function StreamStatusBadge({ className = '' }) {
+  const [status, setStatus] = useState('idle');
+
+  useEffect(() => subscribeStreamStatus(setStatus), []);
+
+  const style = STATUS_STYLES[status] || STATUS_STYLES.idle;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1.5 text-xs font-medium ${style.text} ${className}`}
+      title={status === 'polling' ? 'Stream unavailable, polling for quotes' : `Quote stream: ${status}`}
+    >
+      <span className={`w-2 h-2 rounded-full ${style.dot}`}></span>
+      {style.label}
+    </span>
+  );
+}
+
+export default StreamStatusBadge;
@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react';
+import { searchSymbols, rememberSymbol } from '../services/symbolSearch';
+import { normalizeSymbol, ASSET_TYPE_LABELS } from '../utils/symbols';
+
+const SEARCH_DELAY = 250;
+
+// Ticker input with autocomplete from the symbol search service
+// Picking a suggestion calls onChange(symbol) and onSelect(result); other keys
+// (Enter without a highlighted suggestion) go to the caller's onKeyDown.
+// children render inside the positioned wrapper (clear buttons, extra dropdowns).
+function SymbolSearchInput({
+  value,
+  onChange,
+  onSelect,
+  onKeyDown,
+  onFocus,
+  onBlur,
+  inputRef,
+  containerClassName = 'relative',
+  className = '',
+  children,
+  ...inputProps
+}) {
+  const [suggestions, setSuggestions] = useState({ query: '', results: [] });
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  const query = String(value ?? '').trim();
+
+  // Debounced lookup while typing
+  useEffect(() => {
+    if (!query) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchSymbols(query).then(results => {
+        if (!cancelled) setSuggestions({ query, results });
+      });
+    }, SEARCH_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const results = suggestions.query === query ? suggestions.results : [];
+  const showSuggestions = open && query.length > 0 && results.length > 0;
+
+  const selectResult = (result) => {
+    rememberSymbol(result);
+    onChange(result.symbol);
+    onSelect?.(result);
+    setOpen(false);
+    setHighlighted(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (showSuggestions && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => Math.min(results.length - 1, index + 1));
+      return;
+    }
+    if (showSuggestions && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => Math.max(-1, index - 1));
+      return;
+    }
+    if (showSuggestions && e.key === 'Escape') {
+      setOpen(false);
+      return;
+    }
+    if (showSuggestions && e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      selectResult(results[highlighted]);
+      return;
+    }
+    if (e.key === 'Enter') {
+      setOpen(false);
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className={containerClassName}>
+      <input
+        {...inputProps}
+        ref={inputRef}
+        type="text"
+        value={value}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-autocomplete="list"
+        onChange={(e) => {
+          onChange(normalizeSymbol(e.target.value));
+          setOpen(true);
+          setHighlighted(-1);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={(e) => {
+          setOpen(true);
+          onFocus?.(e);
+        }}
+        onBlur={(e) => {
+          // Delay so a click on a suggestion lands first
+          setTimeout(() => setOpen(false), 200);
+          onBlur?.(e);
+        }}
+        className={className}
+      />
+      {children}
+
+      {showSuggestions && (
+        <ul
+          role="listbox"
+          className="absolute z-30 left-0 right-0 mt-1 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-lg max-h-64 overflow-y-auto"
+        >
+          {results.map((result, index) => (
+            <li key={result.symbol} role="option" aria-selected={index === highlighted}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectResult(result)}
+                className={`w-full px-3 py-2 text-left flex items-center justify-between gap-3 transition-colors ${
+                  index === highlighted ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-100 dark:hover:bg-gray-600'
+                }`}
+              >
+                <span className="min-w-0">
+                  <span className="block text-sm font-semibold text-gray-900 dark:text-white">{result.symbol}</span>
+                  <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">{result.name}</span>
+                </span>
+                <span className="flex-shrink-0 text-right text-xs text-gray-500 dark:text-gray-400">
+                  <span className="block">{ASSET_TYPE_LABELS[result.type] || ASSET_TYPE_LABELS.other}</span>
+                  {result.exchange && <span className="block">{result.exchange}</span>}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SymbolSearchInput;
@@ -0,0 +1,265 @@
+import { useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { CRYSTALLINE_TERMS, ADVANCED_TERMS, auditTriadAmplitude } from '../engine';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+);
+
+const TERM_COLORS = {
+  phi: '#3b82f6',
+  lambda: '#f59e0b',
+  omega: '#10b981',
+  polarity: '#a855f7',
+  mobius: '#ec4899',
+  psi: '#6366f1',
+  growth: '#ef4444',
+  rounding: '#9ca3af',
+  // Recursive lattice
+  z: '#3b82f6',
+  l: '#f59e0b',
+  p: '#10b981',
+  wobble: '#a855f7',
+  locked: '#ec4899',
+  blend: '#6366f1',
+  continuity: '#ef4444',
+  trend: '#14b8a6',
+  cycle: '#eab308',
+  bounds: '#9ca3af',
+};
+
+// Term set of each model with a breakdown, and the terms too small to chart (table only)
+const MODEL_TERMS = {
+  primetetration: { terms: CRYSTALLINE_TERMS, hidden: ['rounding'] },
+  advanced: { terms: ADVANCED_TERMS, hidden: [] },
+};
+
+const formatMove = (value) => `${value >= 0 ? '+' : '−'}$${Math.abs(value).toFixed(Math.abs(value) < 0.01 ? 6 : 2)}`;
+
+// BigInt for a table cell: powers of two as 2^k, long numbers shortened (the title has them in full)
+const formatBig = (value) => {
+  if (value === null || value === undefined) return '—';
+  const text = value.toString();
+  if (value > 1n && (value & (value - 1n)) === 0n) return `2^${value.toString(2).length - 1}`;
+  return text.length > 12 ? `${text.slice(0, 5)}…${text.slice(-4)}` : text;
+};
+
+// Tower behind a triad line's amplitude, or { error } when it can't be rebuilt
+const getAudit = (line, tower, coprimes) => {
+  try {
+    return auditTriadAmplitude(line.base, line.triad, { ...tower, coprimes });
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+// Contribution of each term to the move at a step: its change from the step before
+const getMoves = (terms, breakdown, step) => Object.fromEntries(terms.map(({ id }) => [
+  id,
+  breakdown[step].terms[id] - (step > 0 ? breakdown[step - 1].terms[id] : 0),
+]));
+
+// Per-term breakdown of Prime Tetration or Recursive Lattice lines (model picks CRYSTALLINE_TERMS
+// or ADVANCED_TERMS): what moved each line at each step, and for triad lines the reduced
+// exponents of the tower behind the line's amplitude (tower and coprimes as the run used)
+function TermBreakdownPanel({ model = 'primetetration', lines, lastPrice, stepLabels = [], getColor, tower = null, coprimes = [] }) {
+  const [lineIndex, setLineIndex] = useState(0);
+  const [selectedStep, setSelectedStep] = useState(0);
+
+  const { terms, hidden } = MODEL_TERMS[model] || MODEL_TERMS.primetetration;
+  const explained = (lines || []).filter(line => Array.isArray(line.breakdown) && line.breakdown.length > 0);
+  if (explained.length === 0) {
+    return (
+      <div className="text-xs text-gray-500 dark:text-gray-400 p-3">
+        No term breakdown for this projection. Rerun it to see one.
+      </div>
+    );
+  }
+
+  const line = explained[Math.min(lineIndex, explained.length - 1)];
+  const { breakdown } = line;
+  const step = Math.min(selectedStep, breakdown.length - 1);
+  const moves = getMoves(terms, breakdown, step);
+  const totalMove = Object.values(moves).reduce((sum, value) => sum + value, 0);
+  const largestMove = Math.max(...Object.values(moves).map(Math.abs), 1e-12);
+  const { factors } = breakdown[step];
+  const price = lastPrice + Object.values(breakdown[step].terms).reduce((sum, value) => sum + value, 0);
+
+  const audit = line.triad ? getAudit(line, tower, coprimes) : null;
+
+  const stepMoves = breakdown.map((_, i) => getMoves(terms, breakdown, i));
+  const chartData = {
+    labels: breakdown.map((_, i) => stepLabels[i] || `+${i + 1}`),
+    datasets: terms.filter(({ id }) => !hidden.includes(id)).map(term => ({
+      label: term.label,
+      data: stepMoves.map(stepMove => stepMove[term.id]),
+      backgroundColor: breakdown.map((_, i) => (i === step ? TERM_COLORS[term.id] : `${TERM_COLORS[term.id]}99`)),
+      stack: 'terms',
+    })),
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    onClick: (_, elements) => {
+      if (elements.length > 0) setSelectedStep(elements[0].index);
+    },
+    plugins: {
+      legend: { position: 'bottom', labels: { boxWidth: 8, font: { size: 9 } } },
+      tooltip: {
+        callbacks: {
+          label: (item) => `${item.dataset.label} ${formatMove(item.parsed.y)}`,
+          footer: (items) => `Move ${formatMove(Object.values(stepMoves[items[0].dataIndex]).reduce((sum, value) => sum + value, 0))}`,
+        },
+      },
+    },
+    scales: {
+      x: { stacked: true, ticks: { maxTicksLimit: 12, font: { size: 9 } }, grid: { display: false } },
+      y: { stacked: true, ticks: { maxTicksLimit: 5, font: { size: 9 } } },
+    },
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[1fr_320px] gap-3 p-3 text-xs">
+      {/* Term moves per step */}
+      <div className="min-w-0">
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+            Move by term · click a bar to inspect the step
+          </span>
+          <select
+            value={Math.min(lineIndex, explained.length - 1)}
+            onChange={(e) => setLineIndex(Number(e.target.value))}
+            className="px-1.5 py-0.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-[10px] focus:outline-none focus:border-purple-500"
+          >
+            {explained.map((item, i) => (
+              <option key={item.id || item.label} value={i}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="h-48">
+          <Bar data={chartData} options={chartOptions} />
+        </div>
+      </div>
+
+      {/* Selected step */}
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <span className="flex items-center gap-1.5 text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getColor(lines.indexOf(line)) }}></span>
+            Step {step + 1} · {stepLabels[step] || `+${step + 1}`}
+          </span>
+          <div className="flex gap-1">
+            <button
+              type="button"
+              onClick={() => setSelectedStep(Math.max(0, step - 1))}
+              disabled={step === 0}
+              className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-purple-100 hover:text-purple-600 disabled:opacity-50 transition-colors"
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              onClick={() => setSelectedStep(Math.min(breakdown.length - 1, step + 1))}
+              disabled={step === breakdown.length - 1}
+              className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-purple-100 hover:text-purple-600 disabled:opacity-50 transition-colors"
+            >
+              ›
+            </button>
+          </div>
+        </div>
+        <div className="flex justify-between text-gray-700 dark:text-gray-300 mb-1">
+          <span>Price <span className="font-semibold text-gray-900 dark:text-white">${price.toFixed(2)}</span></span>
+          <span>Move <span className={`font-semibold ${totalMove >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>{formatMove(totalMove)}</span></span>
+        </div>
+        <table className="w-full">
+          <tbody>
+            {terms.map(term => (
+              <tr key={term.id} className="border-t border-gray-100 dark:border-gray-700/50" title={term.description}>
+                <td className="py-0.5 text-gray-700 dark:text-gray-300 whitespace-nowrap">{term.label}</td>
+                <td className="py-0.5 px-2 w-full">
+                  <div className="relative h-2 bg-gray-100 dark:bg-gray-700 rounded">
+                    <div
+                      className={`absolute top-0 h-2 rounded ${moves[term.id] >= 0 ? 'left-1/2' : 'right-1/2'}`}
+                      style={{ width: `${(Math.abs(moves[term.id]) / largestMove) * 50}%`, backgroundColor: TERM_COLORS[term.id] }}
+                    ></div>
+                  </div>
+                </td>
+                <td className="py-0.5 text-right font-mono text-gray-900 dark:text-white whitespace-nowrap">{formatMove(moves[term.id])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {factors && (
+          <div className="mt-2 text-[10px] text-gray-500 dark:text-gray-400 font-mono">
+            Ψ {factors.psi.toFixed(4)} · θ {factors.theta.toFixed(2)} · g {factors.growth.toPrecision(4)} · λ {factors.lambda} (ν {factors.nu}) · ω {factors.omegaHz} Hz
+          </div>
+        )}
+      </div>
+
+      {/* Amplitude tower audit: each level's modulus and the reduced exponent actually used */}
+      {audit && (
+        <div className="lg:col-span-2 border-t border-gray-100 dark:border-gray-700/50 pt-2">
+          <div className="flex items-center justify-between gap-2 mb-1">
+            <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              Amplitude tower · {line.base}^({line.triad[1]}^{line.triad[2]})
+            </span>
+            {!audit.error && (
+              <span
+                className={`text-[10px] font-mono ${audit.aQ8 === line.aQ8 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}
+                title={`aQ8 ${audit.aQ8}`}
+              >
+                aQ8 {formatBig(BigInt(audit.aQ8))} {audit.aQ8 === line.aQ8 ? '✓ matches the line' : `≠ line ${line.aQ8}`} · amplitude {audit.amplitude.toFixed(6)}
+              </span>
+            )}
+          </div>
+          {audit.error ? (
+            <div className="text-[10px] text-red-600 dark:text-red-400">{audit.error}</div>
+          ) : (
+            <table className="w-full text-[10px] font-mono">
+              <thead>
+                <tr className="text-gray-500 dark:text-gray-400 text-left">
+                  <th className="font-medium pr-2">Value</th>
+                  <th className="font-medium pr-2">mod</th>
+                  <th className="font-medium pr-2">λ(mod)</th>
+                  <th className="font-medium pr-2">Exponent used</th>
+                  <th className="font-medium text-right">Residue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {audit.levels.map((level, i) => (
+                  <tr key={i} className="border-t border-gray-100 dark:border-gray-700/50 text-gray-900 dark:text-white">
+                    <td className="pr-2">{level.value.toString()}</td>
+                    <td className="pr-2" title={level.modulus.toString()}>{formatBig(level.modulus)}</td>
+                    <td className="pr-2" title={level.carmichael?.toString()}>{formatBig(level.carmichael)}</td>
+                    <td className="pr-2" title={level.exponent === null ? 'Top of the tower' : `Level above ≡ ${level.exponentResidue} (mod λ), threshold ${level.threshold}`}>
+                      {level.exponent === null ? '—' : `${formatBig(level.exponent)}${level.exact ? ' (exact)' : ' (reduced)'}`}
+                    </td>
+                    <td className="text-right" title={level.residue.toString()}>{formatBig(level.residue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TermBreakdownPanel;
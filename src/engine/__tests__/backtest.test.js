@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { getCutoffs, getBand, scoreProjection, summarizeScore, mergeScores, emptyScore, runBacktest } from '../backtest';
+import { makePrices } from './helpers';
+
+describe('getCutoffs', () => {
+  it('spaces cutoffs from the first full lookback to the last full horizon', () => {
+    expect(getCutoffs(100, { lookback: 20, horizon: 10, cutoffs: 5 })).toEqual([19, 37, 54, 72, 89]);
+  });
+
+  it('uses every bar when asked for more cutoffs than there are', () => {
+    expect(getCutoffs(15, { lookback: 5, horizon: 5, cutoffs: 50 })).toEqual([4, 5, 6, 7, 8, 9]);
+  });
+
+  it('takes the last possible cutoff when asked for one', () => {
+    expect(getCutoffs(100, { lookback: 20, horizon: 10, cutoffs: 1 })).toEqual([89]);
+  });
+
+  it('returns nothing without room for a lookback and a horizon', () => {
+    expect(getCutoffs(20, { lookback: 15, horizon: 10, cutoffs: 5 })).toEqual([]);
+  });
+});
+
+describe('scoreProjection', () => {
+  it('scores a fixed projection against realized prices', () => {
+    const score = scoreProjection([101, 103, 99], [102, 101, 94], 100, 0.01);
+    expect(score.samples).toBe(1);
+    expect(score.steps).toBe(3);
+    expect(score.absError).toBeCloseTo(1 + 2 + 5, 10);
+    expect(score.absPctError).toBeCloseTo(1 / 102 + 2 / 101 + 5 / 94, 10);
+    expect(score.directional).toBe(3);
+    expect(score.hits).toBe(3);
+    // The 90% band at step 3 is 99·e^(±0.0285), down to 96.2, so 94 falls outside it
+    expect(score.inside).toBe(2);
+  });
+
+  it('skips flat moves for the hit rate and missing prices entirely', () => {
+    const score = scoreProjection([100, 105, 95], [101, null, 104], 100, 0.02);
+    expect(score.steps).toBe(2);
+    expect(score.directional).toBe(1);
+    expect(score.hits).toBe(0);
+  });
+
+  it('summarizes merged scores as averages', () => {
+    const merged = mergeScores(
+      scoreProjection([110], [100], 100, 0.01),
+      scoreProjection([90], [100], 100, 0.01)
+    );
+    const summary = summarizeScore(merged);
+    expect(summary.samples).toBe(2);
+    expect(summary.mae).toBe(10);
+    expect(summary.mape).toBeCloseTo(10, 10);
+    expect(summary.hitRate).toBeNull();
+    expect(summarizeScore(emptyScore()).mae).toBeNull();
+  });
+
+  it('widens the band with the square root of the step', () => {
+    const near = getBand(100, 0.02, 1);
+    const far = getBand(100, 0.02, 4);
+    expect(Math.log(far.high / 100)).toBeCloseTo(2 * Math.log(near.high / 100), 10);
+  });
+});
+
+describe('runBacktest', () => {
+  const prices = makePrices(70);
+  const params = {
+    models: ['primetetration', 'montecarlo', 'simple'],
+    lookback: 30,
+    horizon: 5,
+    cutoffs: 4,
+    triadCount: 3,
+    simulations: 100,
+    seed: 3,
+  };
+
+  it('scores every model configuration at every cutoff', async () => {
+    const progress = [];
+    const result = await runBacktest(prices, params, { onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(result.cutoffs).toEqual(getCutoffs(prices.length, params));
+    expect(result.cancelled).toBe(false);
+    expect(progress).toEqual([[1, 4], [2, 4], [3, 4], [4, 4]]);
+    const models = new Set(result.rows.map(row => row.model));
+    expect([...models].sort()).toEqual(['montecarlo', 'primetetration', 'simple']);
+    result.rows.forEach(row => {
+      expect(row.score.samples).toBe(4);
+      expect(row.score.steps).toBe(4 * params.horizon);
+    });
+  });
+
+  it('repeats exactly with the same params', async () => {
+    const a = await runBacktest(prices, params);
+    const b = await runBacktest(prices, params);
+    expect(b.rows).toEqual(a.rows);
+  });
+
+  it('stops early when its signal is aborted', async () => {
+    const controller = new AbortController();
+    const result = await runBacktest(prices, params, {
+      signal: controller.signal,
+      onProgress: (done) => { if (done === 2) controller.abort(); },
+    });
+    expect(result.cancelled).toBe(true);
+    expect(result.cutoffs).toHaveLength(2);
+  });
+
+  it('rejects histories too short for one cutoff', async () => {
+    await expect(runBacktest(prices.slice(0, 20), params)).rejects.toThrow(/Not enough history/);
+  });
+});
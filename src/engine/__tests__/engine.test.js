@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { runEngine, toCloses, ENGINE_MODELS, evaluateTower, auditTriadAmplitude, CRYSTALLINE_TERMS, ADVANCED_TERMS } from '../index';
+import { runEnsemble } from '../ensemble';
+import { makePrices } from './helpers';
+
+const prices = makePrices(80);
+const lastPrice = prices[prices.length - 1];
+
+// Small settings so every model runs quickly
+const FAST_PARAMS = { steps: 12, simulations: 200, seed: 7, maxRecursions: 1, triadCount: 4 };
+
+describe('runEngine', () => {
+  it.each(ENGINE_MODELS.map(model => model.id))('returns lines and diagnostics for %s', (model) => {
+    const result = runEngine(prices, { ...FAST_PARAMS, model });
+
+    expect(result.model).toBe(model);
+    expect(result.lines.length).toBeGreaterThan(0);
+    result.lines.forEach(line => {
+      expect(typeof line.id).toBe('string');
+      expect(typeof line.label).toBe('string');
+      expect(line.points).toHaveLength(FAST_PARAMS.steps);
+      line.points.forEach(point => expect(Number.isFinite(point)).toBe(true));
+    });
+    expect(result.diagnostics).toMatchObject({
+      bars: prices.length,
+      steps: FAST_PARAMS.steps,
+      lastPrice,
+    });
+    expect(result.diagnostics.volatility).toBeGreaterThan(0);
+    expect(result.diagnostics.durationMs).toBeGreaterThanOrEqual(0);
+    expect(result.distribution.percentiles[50]).toHaveLength(FAST_PARAMS.steps);
+  });
+
+  it('gives one Prime Tetration line per triad', () => {
+    const result = runEngine(prices, { ...FAST_PARAMS, model: 'primetetration' });
+    expect(result.lines).toHaveLength(result.diagnostics.triads.length);
+    result.lines.forEach(line => expect(line.triad).toHaveLength(3));
+  });
+
+  it('reduces the triad amplitudes by the modulus and guard bits it is given', () => {
+    const run = (tower) => runEngine(prices, { ...FAST_PARAMS, model: 'primetetration', ...tower });
+    const defaults = run({});
+    const custom = run({ modulus: '1000000007', guardBits: 4 });
+    const lattice = runEngine(prices, { ...FAST_PARAMS, model: 'primetetration', lattice: { modulus: '1000000007', guardBits: 4 } });
+
+    expect(custom.diagnostics.tower).toEqual({ modulus: '1000000007', bits: 64, guardBits: 4 });
+    custom.lines.forEach((line, i) => {
+      const [, p2, p3] = line.triad;
+      const { residue } = evaluateTower([line.base, p2, p3], { modulus: 1000000007n });
+      expect(line.aQ8).toBe((residue >> 4n).toString());
+      expect(line.aQ8).not.toBe(defaults.lines[i].aQ8);
+    });
+    expect(lattice.lines.map(line => line.aQ8)).toEqual(custom.lines.map(line => line.aQ8));
+    expect(() => run({ modulus: '100', guardBits: 8 })).toThrow(/guard bits/);
+  });
+
+  it.each([
+    ['the default tower', {}],
+    ['a custom modulus', { modulus: '1000000007', guardBits: 4 }],
+    ['a preset with coprime triads', { lattice: { triads: [[11, 15, 17], [5, 7, 11]], coprimes: [15], bits: 32, guardBits: 6 } }],
+  ])('audits the amplitude each line used with %s', (_, tower) => {
+    const result = runEngine(prices, { ...FAST_PARAMS, model: 'primetetration', ...tower });
+    const { tower: used, coprimes } = result.diagnostics;
+    result.lines.forEach(line => {
+      const audit = auditTriadAmplitude(line.base, line.triad, { ...used, coprimes });
+      expect(audit.aQ8, line.label).toBe(line.aQ8);
+      expect(audit.levels.map(level => level.value)).toEqual([line.base, line.triad[1], line.triad[2]].map(BigInt));
+      expect(audit.levels[0].residue).toBe(audit.residue);
+      expect(audit.amplitude).toBeGreaterThanOrEqual(-1);
+      expect(audit.amplitude).toBeLessThan(1);
+    });
+  });
+
+  it('is deterministic for the non-random models', () => {
+    for (const model of ['primetetration', 'advanced', 'simple']) {
+      const a = runEngine(prices, { ...FAST_PARAMS, model });
+      const b = runEngine(prices, { ...FAST_PARAMS, model });
+      expect(b.lines.map(line => line.points), model).toEqual(a.lines.map(line => line.points));
+    }
+  });
+
+  it('accepts bars with a close as well as plain closes', () => {
+    const bars = prices.map((close, i) => ({ time: i * 86400000, close }));
+    const fromBars = runEngine(bars, { ...FAST_PARAMS, model: 'simple' });
+    const fromCloses = runEngine(prices, { ...FAST_PARAMS, model: 'simple' });
+    expect(fromBars.lines[0].points).toEqual(fromCloses.lines[0].points);
+    expect(toCloses([1, { close: 2 }, { close: 'x' }, -3, null])).toEqual([1, 2]);
+  });
+
+  it('rejects too little history and unknown models', () => {
+    expect(() => runEngine([100], { model: 'simple' })).toThrow(/at least 2 bars/);
+    expect(() => runEngine(prices, { model: 'nope' })).toThrow(/Unknown projection model/);
+  });
+});
+
+describe('term breakdown', () => {
+  it.each([
+    ['primetetration', CRYSTALLINE_TERMS],
+    ['advanced', ADVANCED_TERMS],
+  ])('adds up to each point\'s offset from the last close for %s', (model, terms) => {
+    const result = runEngine(prices, { ...FAST_PARAMS, model, explain: true });
+    result.lines.forEach(line => {
+      expect(line.breakdown, line.label).toHaveLength(FAST_PARAMS.steps);
+      line.breakdown.forEach((step, i) => {
+        expect(Object.keys(step.terms).sort()).toEqual(terms.map(term => term.id).sort());
+        const total = Object.values(step.terms).reduce((sum, value) => sum + value, 0);
+        expect(total, `${line.label} step ${i + 1}`).toBeCloseTo(line.points[i] - lastPrice, 6);
+      });
+    });
+  });
+
+  it('is left off without explain', () => {
+    for (const model of ['primetetration', 'advanced']) {
+      runEngine(prices, { ...FAST_PARAMS, model }).lines.forEach(line => expect(line.breakdown).toBeNull());
+    }
+  });
+
+  it('comes back for the ensemble\'s recursive lattice member only', () => {
+    // Stored errors skip the walk-forward
+    const modelErrors = { primetetration: 2, advanced: 2, montecarlo: 2, simple: 2 };
+    const result = runEnsemble(prices, { ...FAST_PARAMS, explain: true, modelErrors });
+    result.diagnostics.members.forEach(member => {
+      if (member.model === 'advanced') {
+        expect(member.breakdown).toHaveLength(FAST_PARAMS.steps);
+        expect(Object.keys(member.breakdown[0].terms).sort()).toEqual(ADVANCED_TERMS.map(term => term.id).sort());
+      } else {
+        expect(member.breakdown, member.model).toBeNull();
+      }
+    });
+  });
+});
+
+describe('seeded Monte Carlo', () => {
+  const params = { ...FAST_PARAMS, model: 'montecarlo' };
+
+  it.each(['normal', 'studentt', 'bootstrap', 'garch'])('repeats exactly for the same seed (%s)', (returnModel) => {
+    const a = runEngine(prices, { ...params, returnModel });
+    const b = runEngine(prices, { ...params, returnModel });
+    expect(b.lines[0].points).toEqual(a.lines[0].points);
+    expect(b.distribution).toEqual(a.distribution);
+    expect(a.diagnostics.seed).toBe(FAST_PARAMS.seed);
+  });
+
+  it('differs for a different seed', () => {
+    const a = runEngine(prices, params);
+    const b = runEngine(prices, { ...params, seed: 8 });
+    expect(b.lines[0].points).not.toEqual(a.lines[0].points);
+  });
+
+  it('hashes string seeds the same way every time', () => {
+    const a = runEngine(prices, { ...params, seed: 'AAPL-2024' });
+    const b = runEngine(prices, { ...params, seed: 'AAPL-2024' });
+    expect(b.diagnostics.seed).toBe(a.diagnostics.seed);
+    expect(b.lines[0].points).toEqual(a.lines[0].points);
+  });
+});
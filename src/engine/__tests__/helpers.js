@@ -0,0 +1,63 @@
+// Test Helpers
+// Fixtures and brute-force references for the engine tests. The references are slow and only
+// usable on small inputs, but obviously correct.
+
+// Largest exponent towerFits accepts for the bottom level of a tower
+const MAX_EXPONENT = 4096;
+
+// Whether a tower is small enough to write out in full with bruteForceTower
+export function towerFits(values) {
+  let exponent = 1;
+  for (let i = values.length - 1; i >= 1; i--) {
+    exponent = values[i] ** exponent;
+    if (!(exponent <= MAX_EXPONENT)) return false;
+  }
+  return true;
+}
+
+// Tower residue by evaluating the whole tower values[0]^(values[1]^(...)) mod modulus
+export function bruteForceTower(values, modulus) {
+  const tower = values.map(value => BigInt(value));
+  const full = tower.reduceRight((exponent, value) => (exponent === null ? value : value ** exponent), null);
+  return full % BigInt(modulus);
+}
+
+const gcd = (a, b) => {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+};
+
+// Multiplicative order of a mod m (a coprime to m) by stepping through its powers
+export function multiplicativeOrder(a, m) {
+  if (m === 1n) return 1n;
+  let power = a % m;
+  let order = 1n;
+  while (power !== 1n) {
+    power = (power * a) % m;
+    order++;
+  }
+  return order;
+}
+
+// Carmichael function λ(m) as the lcm of the orders of every unit mod m
+export function bruteForceCarmichael(m) {
+  let lambda = 1n;
+  for (let a = 1n; a < m; a++) {
+    if (gcd(a, m) !== 1n) continue;
+    const order = multiplicativeOrder(a, m);
+    lambda = (lambda * order) / gcd(lambda, order);
+  }
+  return lambda;
+}
+
+// Deterministic random integer in [min, max] from a createRandom generator
+export function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+// Fixed price history: a drifting sine wave with a faster wobble, oldest first
+export function makePrices(count, start = 100) {
+  return Array.from({ length: count }, (_, i) => (
+    Number((start * (1 + 0.002 * i) + 5 * Math.sin(i / 6) + 1.5 * Math.sin(i * 1.7)).toFixed(4))
+  ));
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateTower, carmichael, factorize, modPow, towerToSymmetric, normalizeTowerOptions } from '../tower';
+import { createRandom } from '../random';
+import { towerFits, bruteForceTower, bruteForceCarmichael, randomInt } from './helpers';
+
+describe('carmichael', () => {
+  it('matches the brute-force multiplicative order search for every modulus up to 400', () => {
+    for (let m = 1n; m <= 400n; m++) {
+      expect(carmichael(m), `λ(${m})`).toBe(bruteForceCarmichael(m));
+    }
+  });
+
+  it('matches the brute-force search on prime powers and products of them', () => {
+    for (const m of [512n, 729n, 625n, 1024n, 2n * 343n, 8n * 9n * 5n * 7n, 4n * 121n]) {
+      expect(carmichael(m), `λ(${m})`).toBe(bruteForceCarmichael(m));
+    }
+  });
+});
+
+describe('factorize', () => {
+  it('multiplies back to the number', () => {
+    for (let n = 1n; n <= 500n; n++) {
+      const product = factorize(n).reduce((total, [p, k]) => total * p ** BigInt(k), 1n);
+      expect(product).toBe(n);
+    }
+  });
+});
+
+describe('modPow', () => {
+  it('matches plain exponentiation', () => {
+    for (let a = 0n; a < 12n; a++) {
+      for (let e = 0n; e < 12n; e++) {
+        expect(modPow(a, e, 97n)).toBe((a ** e) % 97n);
+      }
+    }
+  });
+});
+
+describe('evaluateTower', () => {
+  it('matches brute force on random small towers and moduli', () => {
+    const random = createRandom(20240521);
+    let checked = 0;
+    while (checked < 2000) {
+      const height = randomInt(random, 1, 4);
+      const values = Array.from({ length: height }, () => randomInt(random, 0, 7));
+      if (!towerFits(values)) continue;
+      const modulus = BigInt(randomInt(random, 1, 300));
+      expect(evaluateTower(values, { modulus }).residue, `${values.join('^')} mod ${modulus}`)
+        .toBe(bruteForceTower(values, modulus));
+      checked++;
+    }
+  });
+
+  it('matches brute force for bases sharing factors with power-of-two moduli', () => {
+    for (const values of [[2, 3, 2], [4, 2, 3], [6, 2, 2], [2, 2, 2, 2], [8, 3], [2, 12]]) {
+      for (const bits of [1, 3, 5, 8]) {
+        const modulus = 1n << BigInt(bits);
+        expect(evaluateTower(values, { modulus }).residue, `${values.join('^')} mod 2^${bits}`)
+          .toBe(bruteForceTower(values, modulus));
+      }
+    }
+  });
+
+  it('reports every level, bottom first, ending at the top value', () => {
+    const { levels, residue } = evaluateTower([3, 5, 7], { modulus: 1000n });
+    expect(levels).toHaveLength(3);
+    expect(levels[0].residue).toBe(residue);
+    expect(levels[2]).toMatchObject({ value: 7n, exact: true });
+    expect(levels[0].carmichael).toBe(carmichael(1000n));
+  });
+
+  it('rejects empty towers and negative values', () => {
+    expect(() => evaluateTower([])).toThrow();
+    expect(() => evaluateTower([3, -1])).toThrow();
+  });
+});
+
+describe('towerToSymmetric', () => {
+  it('maps the default modulus onto [-1, +1) after dropping the guard bits', () => {
+    expect(towerToSymmetric(0n)).toBe(-1);
+    expect(towerToSymmetric(1n << 71n)).toBe(0);
+    expect(towerToSymmetric(255n)).toBe(-1);
+  });
+
+  it('scales by an explicit modulus', () => {
+    expect(towerToSymmetric(500n, { modulus: 1000n, guardBits: 0 })).toBe(0);
+    expect(towerToSymmetric(3n * 256n, { modulus: 10n * 256n, guardBits: 8 })).toBeCloseTo(-0.4, 12);
+  });
+});
+
+describe('normalizeTowerOptions', () => {
+  it('fills in the defaults and keeps the modulus as a string', () => {
+    expect(normalizeTowerOptions()).toEqual({ modulus: null, bits: 64, guardBits: 8 });
+    expect(normalizeTowerOptions({ modulus: ' 1000000 ', guardBits: '4' })).toEqual({ modulus: '1000000', bits: 64, guardBits: 4 });
+    expect(normalizeTowerOptions({ modulus: '', bits: 32 })).toEqual({ modulus: null, bits: 32, guardBits: 8 });
+  });
+
+  it('rejects settings that leave no amplitude or cannot be reduced', () => {
+    expect(() => normalizeTowerOptions({ modulus: '12abc' })).toThrow(/whole number/);
+    expect(() => normalizeTowerOptions({ modulus: 200, guardBits: 8 })).toThrow(/guard bits/);
+    expect(() => normalizeTowerOptions({ bits: 0 })).toThrow(/bits/);
+    expect(() => normalizeTowerOptions({ bits: 600 })).toThrow(/at most 512/);
+    // 2^61 - 1 is prime, far beyond trial division
+    expect(() => normalizeTowerOptions({ modulus: ((1n << 61n) - 1n).toString() })).toThrow(/factor/);
+  });
+});
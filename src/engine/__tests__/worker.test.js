@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { runEngine } from '../index';
+import { makePrices } from './helpers';
+
+const prices = makePrices(70);
+const projectParams = { model: 'montecarlo', steps: 5, simulations: 500, seed: 11 };
+const backtestParams = { models: ['simple'], lookback: 30, horizon: 5, cutoffs: 10 };
+
+// Messages the worker posts, collected through a stand-in for the worker global scope
+const posted = [];
+let handleMessage;
+
+// Worker stand-in that runs projection.worker.js in this thread, one task at a time
+class FakeWorker {
+  static instances = [];
+
+  constructor() {
+    this.terminated = false;
+    this.sent = [];
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    this.sent.push(data);
+    self.postMessage = (message) => {
+      if (!this.terminated) this.onmessage?.({ data: message });
+    };
+    handleMessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+beforeAll(async () => {
+  vi.stubGlobal('self', { postMessage: (message) => posted.push(message) });
+  await import('../projection.worker');
+  handleMessage = self.onmessage;
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+const send = async (data) => {
+  posted.length = 0;
+  self.postMessage = (message) => posted.push(message);
+  await handleMessage({ data });
+  return [...posted];
+};
+
+describe('projection worker protocol', () => {
+  it('answers a projection with progress and the runEngine result', async () => {
+    const messages = await send({ id: 1, type: 'project', bars: prices, params: projectParams });
+    const progress = messages.filter(message => message.type === 'progress');
+    const result = messages.find(message => message.type === 'result');
+
+    expect(progress.length).toBeGreaterThan(0);
+    progress.forEach(message => expect(message).toMatchObject({ id: 1, total: projectParams.simulations }));
+    expect(messages[messages.length - 1]).toBe(result);
+    expect(result.id).toBe(1);
+    expect(result.result.lines).toEqual(runEngine(prices, projectParams).lines);
+  });
+
+  it('reports engine failures and unknown tasks as errors', async () => {
+    const [failed] = await send({ id: 2, type: 'project', bars: [100], params: projectParams });
+    expect(failed).toMatchObject({ id: 2, type: 'error' });
+    expect(failed.message).toMatch(/at least 2 bars/);
+
+    const [unknown] = await send({ id: 3, type: 'nope' });
+    expect(unknown).toEqual({ id: 3, type: 'error', message: 'Unknown engine task: nope' });
+  });
+
+  it('stops a backtest after its current step when cancelled', async () => {
+    posted.length = 0;
+    self.postMessage = (message) => posted.push(message);
+    const running = handleMessage({ data: { id: 4, type: 'backtest', prices, params: backtestParams } });
+    await handleMessage({ data: { id: 4, type: 'cancel' } });
+    await running;
+
+    const result = posted.find(message => message.type === 'result');
+    expect(result.id).toBe(4);
+    expect(result.result.cancelled).toBe(true);
+    expect(result.result.cutoffs.length).toBeLessThan(backtestParams.cutoffs);
+  });
+
+  it('ignores a cancel for a task that is not running', async () => {
+    expect(await send({ id: 99, type: 'cancel' })).toEqual([]);
+  });
+});
+
+describe('worker client', () => {
+  let client;
+
+  beforeAll(async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    client = await import('../workerClient');
+  });
+
+  it('resolves a projection and forwards its progress', async () => {
+    const onProgress = vi.fn();
+    const result = await client.projectInWorker(prices, projectParams, { onProgress });
+
+    expect(result.lines).toEqual(runEngine(prices, projectParams).lines);
+    expect(onProgress).toHaveBeenCalledWith(projectParams.simulations, projectParams.simulations);
+    expect(FakeWorker.instances.at(-1).terminated).toBe(true);
+  });
+
+  it('rejects with the worker error message', async () => {
+    await expect(client.projectInWorker([100], projectParams)).rejects.toThrow(/at least 2 bars/);
+  });
+
+  it('rejects an already-aborted task without starting a worker', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const count = FakeWorker.instances.length;
+    await expect(client.projectInWorker(prices, projectParams, { signal: controller.signal }))
+      .rejects.toMatchObject({ cancelled: true });
+    expect(FakeWorker.instances).toHaveLength(count);
+  });
+
+  it('terminates a projection that is aborted while running', async () => {
+    const controller = new AbortController();
+    const onProgress = vi.fn(() => controller.abort());
+    await expect(client.projectInWorker(prices, projectParams, { signal: controller.signal, onProgress }))
+      .rejects.toMatchObject({ cancelled: true, message: 'Projection cancelled' });
+    expect(onProgress).toHaveBeenCalledTimes(1);
+    expect(FakeWorker.instances.at(-1).terminated).toBe(true);
+  });
+
+  it('asks a backtest to stop and resolves with what it scored', async () => {
+    const controller = new AbortController();
+    const onProgress = vi.fn((done) => { if (done === 2) controller.abort(); });
+    const result = await client.backtestInWorker(prices, backtestParams, { signal: controller.signal, onProgress });
+
+    expect(result.cancelled).toBe(true);
+    expect(result.cutoffs).toHaveLength(2);
+    expect(FakeWorker.instances.at(-1).sent.map(message => message.type)).toEqual(['backtest', 'cancel']);
+  });
+});
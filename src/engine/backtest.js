@@ -0,0 +1,230 @@
+// Projection Backtest
+// Walk-forward replay of the projection models: at each cutoff bar the models only see
+// history up to that bar, project `horizon` steps ahead and are scored against the
+// prices that actually followed.
+//
+// Score (running sums, so results merge exactly when grouped):
+//   { samples, steps, absError, absPctError, hits, directional, inside }
+//   MAE       - mean |projected - actual| over every projected step
+//   MAPE      - mean |projected - actual| / actual, in percent
+//   hit rate  - share of steps where projected and actual moved the same way from the cutoff price
+//   coverage  - share of actual prices inside the line's band (see getBand)
+//
+// Result row: { key, model, triad, depthPrime, omega, returnModel, score }
+//   triad, depthPrime and omega are null for models that don't use them; returnModel is
+//   only set for Monte Carlo
+//
+// Monte Carlo runs are seeded from params.seed and the cutoff bar, so a replay with the
+// same params scores exactly the same paths.
+
+import { runEngine, getVolatility } from './index';
+
+export const DEFAULT_BACKTEST_PARAMS = {
+  models: ['primetetration', 'montecarlo', 'simple'],
+  horizon: 10,
+  lookback: 60,
+  cutoffs: 20,
+  base: 3,
+  beta: 0.01,
+  triadCount: 12,
+  depthPrimes: [31],
+  omegas: [432],
+  useLambdaSchedule: true,
+  useOmegaSchedule: false,
+  simulations: 1000,
+  returnModels: ['normal'],
+  seed: 1,
+  maxRecursions: 1,
+};
+
+// Two-sided 90% band
+const BAND_Z = 1.645;
+
+// Cutoff bar indexes, evenly spaced from the first bar with a full lookback window to the
+// last bar that still has a full horizon of realized prices after it
+export function getCutoffs(length, { lookback, horizon, cutoffs }) {
+  const first = Math.max(1, lookback - 1);
+  const last = length - 1 - horizon;
+  if (last < first) return [];
+  const count = Math.max(1, Math.min(cutoffs, last - first + 1));
+  if (count === 1) return [last];
+  const stride = (last - first) / (count - 1);
+  return Array.from({ length: count }, (_, i) => Math.round(last - (count - 1 - i) * stride));
+}
+
+// 90% band around a projected price `step` bars ahead, widening with √step
+export function getBand(projected, sigma, step) {
+  const width = BAND_Z * sigma * Math.sqrt(step);
+  return { low: projected * Math.exp(-width), high: projected * Math.exp(width) };
+}
+
+export function emptyScore() {
+  return { samples: 0, steps: 0, absError: 0, absPctError: 0, hits: 0, directional: 0, inside: 0 };
+}
+
+export function mergeScores(a, b) {
+  return {
+    samples: a.samples + b.samples,
+    steps: a.steps + b.steps,
+    absError: a.absError + b.absError,
+    absPctError: a.absPctError + b.absPctError,
+    hits: a.hits + b.hits,
+    directional: a.directional + b.directional,
+    inside: a.inside + b.inside,
+  };
+}
+
+// Score one projected path against the realized prices that followed the cutoff
+export function scoreProjection(projected, actual, lastPrice, sigma) {
+  const score = emptyScore();
+  const steps = Math.min(projected.length, actual.length);
+  if (steps === 0) return score;
+  score.samples = 1;
+
+  for (let i = 0; i < steps; i++) {
+    const p = Number(projected[i]);
+    const a = actual[i];
+    if (!Number.isFinite(p) || !(a > 0)) continue;
+    const error = Math.abs(p - a);
+    score.steps++;
+    score.absError += error;
+    score.absPctError += error / a;
+
+    // Flat moves have no direction to call
+    const projectedMove = Math.sign(p - lastPrice);
+    const actualMove = Math.sign(a - lastPrice);
+    if (projectedMove !== 0 && actualMove !== 0) {
+      score.directional++;
+      if (projectedMove === actualMove) score.hits++;
+    }
+
+    const band = getBand(p, sigma, i + 1);
+    if (a >= band.low && a <= band.high) score.inside++;
+  }
+  return score;
+}
+
+// Averages for display; null when there is nothing to average
+export function summarizeScore(score) {
+  return {
+    samples: score.samples,
+    mae: score.steps ? score.absError / score.steps : null,
+    mape: score.steps ? (score.absPctError / score.steps) * 100 : null,
+    hitRate: score.directional ? (score.hits / score.directional) * 100 : null,
+    coverage: score.steps ? (score.inside / score.steps) * 100 : null,
+  };
+}
+
+// Projected paths for every configuration of one model at one cutoff
+// Returns [{ model, triad, depthPrime, omega, returnModel, points }]
+function projectModel(modelId, history, params) {
+  const run = (extra = {}) => runEngine(history, { ...params, ...extra, model: modelId, steps: params.horizon }).lines;
+
+  if (modelId === 'primetetration') {
+    const paths = [];
+    for (const depthPrime of params.depthPrimes) {
+      for (const omegaHz of params.omegas) {
+        run({ depthPrime, omegaHz }).forEach(line => {
+          paths.push({
+            model: modelId,
+            triad: line.triad.join('·'),
+            depthPrime,
+            // With the ω schedule each line runs at its own frequency
+            omega: line.omega,
+            returnModel: null,
+            points: line.points,
+          });
+        });
+      }
+    }
+    return paths;
+  }
+
+  if (modelId === 'montecarlo') {
+    const seed = (params.seed + history.length) >>> 0;
+    return params.returnModels.map(returnModel => {
+      const [line] = run({ returnModel, seed });
+      return { model: modelId, triad: null, depthPrime: null, omega: null, returnModel, points: line.points };
+    });
+  }
+
+  const [line] = run();
+  return [{ model: modelId, triad: null, depthPrime: null, omega: null, returnModel: null, points: line.points }];
+}
+
+const rowKey = (path) => [path.model, path.triad ?? '', path.depthPrime ?? '', path.omega ?? '', path.returnModel ?? ''].join('|');
+
+// Replay `prices` (closes, oldest first) and score every model configuration
+// options.onProgress(done, total) runs after each cutoff; options.signal (AbortSignal)
+// stops the replay early and returns what was scored so far with cancelled: true.
+// Yields to the event loop between cutoffs so the page stays responsive.
+export async function runBacktest(prices, params = {}, { onProgress = null, signal = null } = {}) {
+  const settings = { ...DEFAULT_BACKTEST_PARAMS, ...params };
+  const cutoffs = getCutoffs(prices.length, settings);
+  if (cutoffs.length === 0) {
+    throw new Error(`Not enough history: need at least ${settings.lookback + settings.horizon} bars, got ${prices.length}`);
+  }
+
+  const rows = new Map();
+  let done = 0;
+
+  for (const cutoff of cutoffs) {
+    if (signal?.aborted) break;
+
+    const history = prices.slice(Math.max(0, cutoff + 1 - settings.lookback), cutoff + 1);
+    const actual = prices.slice(cutoff + 1, cutoff + 1 + settings.horizon);
+    const lastPrice = history[history.length - 1];
+    const sigma = getVolatility(history);
+
+    for (const modelId of settings.models) {
+      let paths;
+      try {
+        paths = projectModel(modelId, history, settings);
+      } catch (error) {
+        console.error(`Backtest: ${modelId} failed at bar ${cutoff}:`, error);
+        continue;
+      }
+      paths.forEach(path => {
+        const key = rowKey(path);
+        const score = scoreProjection(path.points, actual, lastPrice, sigma);
+        const row = rows.get(key);
+        if (row) {
+          row.score = mergeScores(row.score, score);
+        } else {
+          const { points: _points, ...config } = path;
+          rows.set(key, { key, ...config, score });
+        }
+      });
+    }
+
+    done++;
+    onProgress?.(done, cutoffs.length);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    params: settings,
+    cutoffs: cutoffs.slice(0, done),
+    rows: [...rows.values()],
+    cancelled: done < cutoffs.length,
+  };
+}
+
+// Merge result rows that share the given fields ('model', 'triad', 'depthPrime', 'omega', 'returnModel')
+// Fields not grouped on are kept when every merged row agrees and set to null otherwise
+export function groupBacktestRows(rows, fields) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = fields.map(field => row[field] ?? '').join('|');
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...row, key });
+      return;
+    }
+    group.score = mergeScores(group.score, row.score);
+    ['model', 'triad', 'depthPrime', 'omega', 'returnModel'].forEach(field => {
+      if (group[field] !== row[field]) group[field] = null;
+    });
+  });
+  return [...groups.values()];
+}
@@ -0,0 +1,74 @@
+// Return Correlation
+// Pearson correlation of historical log returns across symbols, for comparing projections
+// across a watchlist. Symbols trade on different calendars (crypto every day, stocks on
+// exchange days, different time zones), so bars are matched by interval bucket: the bar
+// time floored to the interval (the UTC day for daily bars). Returns are taken between
+// consecutive buckets every symbol has, so every column covers the same periods.
+//
+// Input:  series - [{ symbol, bars: [{ time, close }] }], bars oldest first
+// Output: { symbols, buckets, returns, matrix }
+//   returns - { [symbol]: log returns over the common buckets }
+//   matrix  - matrix[i][j] correlation of symbols[i] and symbols[j] (null under 3 returns)
+
+// Fewest returns a correlation is reported for
+const MIN_RETURNS = 3;
+
+// Correlation of two equal-length samples, or null when either is constant or too short
+export function pearson(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < MIN_RETURNS) return null;
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < n; i++) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= n;
+  meanB /= n;
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  if (varA === 0 || varB === 0) return null;
+  return Math.max(-1, Math.min(1, cov / Math.sqrt(varA * varB)));
+}
+
+// Closes by bucket (the last bar in a bucket wins)
+const bucketCloses = (bars, intervalMs) => {
+  const closes = new Map();
+  for (const bar of bars || []) {
+    const close = Number(bar?.close);
+    if (Number.isFinite(bar?.time) && Number.isFinite(close) && close > 0) {
+      closes.set(Math.floor(bar.time / intervalMs), close);
+    }
+  }
+  return closes;
+};
+
+// Log returns of every symbol over the buckets they all have
+export function alignReturns(series, intervalMs) {
+  const closes = series.map(item => bucketCloses(item.bars, intervalMs));
+  const buckets = closes.length === 0
+    ? []
+    : [...closes[0].keys()].filter(bucket => closes.every(map => map.has(bucket))).sort((a, b) => a - b);
+
+  const returns = Object.fromEntries(series.map((item, i) => {
+    const prices = buckets.map(bucket => closes[i].get(bucket));
+    return [item.symbol, prices.slice(1).map((price, k) => Math.log(price / prices[k]))];
+  }));
+  return { buckets: buckets.map(bucket => bucket * intervalMs), returns };
+}
+
+// Correlation matrix of the symbols' aligned returns (see the header)
+export function getCorrelationMatrix(series, intervalMs) {
+  const { buckets, returns } = alignReturns(series, intervalMs);
+  const symbols = series.map(item => item.symbol);
+  const matrix = symbols.map((a, i) => symbols.map((b, j) => (
+    i === j ? (returns[a].length >= MIN_RETURNS ? 1 : null) : pearson(returns[a], returns[b])
+  )));
+  return { symbols, buckets, returns, matrix };
+}
@@ -0,0 +1,72 @@
+// Projection Distribution
+// Spread of a set of projected paths: Monte Carlo simulations, or the triad lines of a
+// Prime Tetration run treated as an ensemble.
+//
+// Distribution: { paths, percentiles, touch, expectedMaxDrawdown }
+//   percentiles         - { 5, 25, 50, 75, 95 }, each a price per projected step
+//   touch               - [{ target, probability }] share of paths that reach the target at
+//                         any step (from above for targets below the last price), 0-1
+//   expectedMaxDrawdown - mean over paths of the deepest fall from a running peak, 0-1,
+//                         with the last price as the first peak
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Touch targets reported when the caller doesn't ask for one: ±5% and ±10% of the last price
+const DEFAULT_TOUCH_MOVES = [-0.1, -0.05, 0.05, 0.1];
+
+// Linear-interpolated percentile of sorted values
+const percentileOf = (sorted, percentile) => {
+  const position = (sorted.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.min(sorted.length - 1, lower + 1);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Deepest fall from a running peak along one path
+export function getMaxDrawdown(path, startPrice) {
+  let peak = startPrice;
+  let maxDrawdown = 0;
+  for (const price of path) {
+    if (price > peak) peak = price;
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - price) / peak);
+  }
+  return maxDrawdown;
+}
+
+// Summarize paths (arrays of `steps` projected prices, first step after the last price)
+// options.targets adds touch probabilities for specific prices
+export function summarizePaths(paths, lastPrice, { targets = [] } = {}) {
+  const steps = paths.length > 0 ? paths[0].length : 0;
+  const percentiles = Object.fromEntries(PERCENTILES.map(percentile => [percentile, []]));
+  const column = new Float64Array(paths.length);
+
+  for (let step = 0; step < steps; step++) {
+    paths.forEach((path, i) => {
+      column[i] = path[step];
+    });
+    column.sort();
+    PERCENTILES.forEach(percentile => {
+      percentiles[percentile].push(percentileOf(column, percentile));
+    });
+  }
+
+  // Path extremes once, then each target is a count
+  const highs = paths.map(path => Math.max(...path));
+  const lows = paths.map(path => Math.min(...path));
+  const touchTargets = [...new Set([
+    ...DEFAULT_TOUCH_MOVES.map(move => lastPrice * (1 + move)),
+    ...targets.filter(target => Number.isFinite(target) && target > 0),
+  ])].sort((a, b) => a - b);
+  const touch = touchTargets.map(target => {
+    const hits = target >= lastPrice
+      ? highs.filter(high => high >= target).length
+      : lows.filter(low => low <= target).length;
+    return { target, probability: paths.length > 0 ? hits / paths.length : 0 };
+  });
+
+  const expectedMaxDrawdown = paths.length > 0
+    ? paths.reduce((sum, path) => sum + getMaxDrawdown(path, lastPrice), 0) / paths.length
+    : 0;
+
+  return { paths: paths.length, percentiles, touch, expectedMaxDrawdown };
+}
@@ -0,0 +1,192 @@
+// Ensemble Projection
+// Runs Prime Tetration, the recursive lattice, Monte Carlo and linear regression on the same
+// bars and blends them into one consensus line, weighting each model by the inverse square
+// of its recent error (MAPE). Prime Tetration takes part as the mean of its triad lines.
+//
+// Errors come from params.modelErrors ({ [model]: MAPE % }, e.g. a stored backtest via
+// getModelErrors) or, when that is missing, from a short walk-forward over the latest bars.
+//
+// Output follows runEngine: { model: 'ensemble', lines, distribution, diagnostics }
+//   lines        - [consensus]
+//   distribution - percentiles from the consensus ± the combined spread: the weighted
+//                  disagreement between models plus each model's own spread; touch
+//                  probabilities and expected max drawdown are the weighted model values
+//   diagnostics  - adds weightSource ('backtest' | 'recent') and
+//                  members: [{ model, label, weight, mape, finalPrice, contribution, breakdown }]
+//                  breakdown is the recursive lattice's per-step terms (ADVANCED_TERMS) with
+//                  params.explain, null for the other members
+
+import { runEngine, toCloses, getVolatility, ENGINE_MODELS, DEFAULT_ENGINE_PARAMS } from './index';
+import { groupBacktestRows, scoreProjection, summarizeScore } from './backtest';
+import { PERCENTILES } from './distribution';
+
+export const ENSEMBLE_MEMBERS = ['primetetration', 'advanced', 'montecarlo', 'simple'];
+
+export const DEFAULT_ENSEMBLE_PARAMS = {
+  modelErrors: null,
+  // Walk-forward used when modelErrors is missing: `errorCutoffs` non-overlapping windows of
+  // up to `errorHorizon` bars, each projected from the `errorLookback` bars before it
+  errorCutoffs: 4,
+  errorHorizon: 10,
+  errorLookback: 90,
+  // The recursive lattice is slow (seconds per pass), so the ensemble runs a single pass
+  maxRecursions: 1,
+  simulations: 2000,
+};
+
+// z-scores of the reported percentiles under a normal spread
+const PERCENTILE_Z = { 5: -1.645, 25: -0.674, 50: 0, 75: 0.674, 95: 1.645 };
+
+// Errors below this are treated as this, so one lucky model can't take all the weight
+const MIN_ERROR = 0.25;
+
+// Model MAPE per ensemble member from backtest result rows (see engine/backtest.js)
+export function getModelErrors(rows) {
+  const errors = {};
+  groupBacktestRows(rows || [], ['model']).forEach(row => {
+    const { mape } = summarizeScore(row.score);
+    if (ENSEMBLE_MEMBERS.includes(row.model) && mape !== null) errors[row.model] = mape;
+  });
+  return errors;
+}
+
+// Inverse squared error weights, normalized to 1; members without an error get none
+export function getEnsembleWeights(errors, members = ENSEMBLE_MEMBERS) {
+  const raw = members.map(model => {
+    const error = errors[model];
+    return Number.isFinite(error) ? 1 / Math.max(error, MIN_ERROR) ** 2 : 0;
+  });
+  const total = raw.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(members.map((model, i) => [
+    model,
+    total > 0 ? raw[i] / total : 1 / members.length,
+  ]));
+}
+
+// One member's projected line: the model's own line, or the triad mean for Prime Tetration
+// (whose per-triad breakdowns don't describe the mean, so only single lines keep theirs)
+const projectMember = (model, closes, params) => {
+  const result = runEngine(closes, { ...params, model });
+  if (result.lines.length === 1) {
+    return { points: result.lines[0].points, distribution: result.distribution, breakdown: result.lines[0].breakdown ?? null };
+  }
+  const points = result.lines[0].points.map((_, step) => (
+    result.lines.reduce((sum, line) => sum + line.points[step], 0) / result.lines.length
+  ));
+  return { points, distribution: result.distribution, breakdown: null };
+};
+
+// MAPE of every member over the most recent non-overlapping windows
+function getRecentErrors(closes, params, onStep) {
+  const horizon = Math.max(1, Math.min(params.errorHorizon, params.steps));
+  const errors = {};
+  const cutoffs = [];
+  for (let k = 1; k <= params.errorCutoffs; k++) {
+    const cutoff = closes.length - 1 - k * horizon;
+    if (cutoff < Math.min(params.errorLookback, 30)) break;
+    cutoffs.push(cutoff);
+  }
+
+  ENSEMBLE_MEMBERS.forEach(model => {
+    let totalPct = 0;
+    let steps = 0;
+    cutoffs.forEach(cutoff => {
+      const history = closes.slice(Math.max(0, cutoff + 1 - params.errorLookback), cutoff + 1);
+      const actual = closes.slice(cutoff + 1, cutoff + 1 + horizon);
+      try {
+        const { points } = projectMember(model, history, { ...params, steps: horizon });
+        const score = scoreProjection(points, actual, history[history.length - 1], getVolatility(history));
+        totalPct += score.absPctError;
+        steps += score.steps;
+      } catch (error) {
+        console.error(`Ensemble: ${model} failed at bar ${cutoff}:`, error);
+      }
+      onStep();
+    });
+    if (steps > 0) errors[model] = (totalPct / steps) * 100;
+  });
+  return { errors, cutoffs: cutoffs.length };
+}
+
+// Blend the members into a consensus projection (see the header for the result shape)
+// options.onProgress(done, total) counts member runs, including the error walk-forward
+export function runEnsemble(bars, params = {}, { onProgress = null } = {}) {
+  const settings = { ...DEFAULT_ENGINE_PARAMS, ...DEFAULT_ENSEMBLE_PARAMS, ...params };
+  const closes = toCloses(bars);
+  if (closes.length < 2) {
+    throw new Error(`Need at least 2 bars to project, got ${closes.length}`);
+  }
+  const started = Date.now();
+  const steps = Math.max(1, Math.min(1000, Math.round(settings.steps) || DEFAULT_ENGINE_PARAMS.steps));
+  const lastPrice = closes[closes.length - 1];
+
+  const stored = settings.modelErrors && ENSEMBLE_MEMBERS.some(model => Number.isFinite(settings.modelErrors[model]));
+  const errorRuns = stored ? 0 : settings.errorCutoffs * ENSEMBLE_MEMBERS.length;
+  const total = errorRuns + ENSEMBLE_MEMBERS.length;
+  let done = 0;
+  const step = () => onProgress?.(++done, total);
+
+  const recent = stored ? null : getRecentErrors(closes, { ...settings, steps, explain: false }, step);
+  const errors = stored ? settings.modelErrors : recent.errors;
+  done = errorRuns;
+
+  // Members that fail drop out and the weights are spread over the rest
+  const runs = [];
+  ENSEMBLE_MEMBERS.forEach(model => {
+    try {
+      runs.push({ model, ...projectMember(model, closes, { ...settings, steps, explain: settings.explain && model === 'advanced' }) });
+    } catch (error) {
+      console.error(`Ensemble: ${model} failed:`, error);
+    }
+    step();
+  });
+  if (runs.length === 0) throw new Error('Every ensemble model failed');
+  const weights = getEnsembleWeights(errors, runs.map(run => run.model));
+
+  const consensus = Array.from({ length: steps }, (_, i) => (
+    runs.reduce((sum, run) => sum + weights[run.model] * run.points[i], 0)
+  ));
+
+  // Combined spread per step: between-model variance plus the members' own variance
+  // (interquartile range / 1.349 is σ for a normal spread)
+  const sigmas = consensus.map((center, i) => Math.sqrt(runs.reduce((sum, run) => {
+    const own = (run.distribution.percentiles[75][i] - run.distribution.percentiles[25][i]) / 1.349;
+    return sum + weights[run.model] * ((run.points[i] - center) ** 2 + own ** 2);
+  }, 0)));
+  const percentiles = Object.fromEntries(PERCENTILES.map(percentile => [
+    percentile,
+    consensus.map((center, i) => Math.max(0, center + PERCENTILE_Z[percentile] * sigmas[i])),
+  ]));
+  const touch = runs[0].distribution.touch.map(({ target }, index) => ({
+    target,
+    probability: runs.reduce((sum, run) => sum + weights[run.model] * (run.distribution.touch[index]?.probability ?? 0), 0),
+  }));
+  const expectedMaxDrawdown = runs.reduce((sum, run) => sum + weights[run.model] * run.distribution.expectedMaxDrawdown, 0);
+
+  const members = runs.map(run => ({
+    model: run.model,
+    label: ENGINE_MODELS.find(option => option.id === run.model)?.label || run.model,
+    weight: weights[run.model],
+    mape: Number.isFinite(errors[run.model]) ? errors[run.model] : null,
+    finalPrice: run.points[steps - 1],
+    // Share of the consensus end price that comes from this member
+    contribution: weights[run.model] * run.points[steps - 1],
+    breakdown: run.breakdown,
+  }));
+
+  return {
+    model: 'ensemble',
+    lines: [{ id: 'ensemble', label: 'Ensemble', points: consensus }],
+    distribution: { paths: runs.length, percentiles, touch, expectedMaxDrawdown },
+    diagnostics: {
+      bars: closes.length,
+      steps,
+      lastPrice,
+      volatility: getVolatility(closes),
+      weightSource: stored ? 'backtest' : 'recent',
+      errorCutoffs: recent ? recent.cutoffs : null,
+      members,
+      durationMs: Date.now() - started,
+    },
+  };
+}
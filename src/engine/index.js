@@ -0,0 +1,230 @@
+// Projection Engine
+// Stable entry point for the projection models in engine/models.js. Every model takes the
+// same input and returns the same shape, so the Projection page, the backtester
+// (engine/backtest.js) and the Web Worker (engine/projection.worker.js) never call model
+// functions directly. Runs are deterministic for a given input and seed (params.seed, or
+// options.random for a caller-supplied generator).
+//
+// Input:  bars   - closes (numbers) or bars with a close ({ close }), oldest first
+//         params - { model, steps, ...model settings } (see DEFAULT_ENGINE_PARAMS)
+// Output: { model, lines, distribution, diagnostics }
+//   lines        - [{ id, label, points, ...model fields }]; points has `steps` prices
+//                  Prime Tetration lines add triad, base, depthPrime, omega, aQ8 (the tower
+//                  amplitude without its guard bits), pointsQ8, zeroCrossings and turningPoints; with params.explain, Prime Tetration and
+//                  Recursive Lattice lines add breakdown, one { terms } per step whose terms
+//                  add up to the point's offset from the last price (CRYSTALLINE_TERMS and
+//                  ADVANCED_TERMS in engine/models.js)
+//   distribution - percentile fan, touch probabilities and expected max drawdown
+//                  (engine/distribution.js) over the Monte Carlo paths, or over the lines
+//                  for the other models
+//   diagnostics  - { bars, steps, lastPrice, volatility, durationMs, ...model specific }
+//                  Prime Tetration adds tower and coprimes, so auditTriadAmplitude(line.base,
+//                  line.triad, { ...tower, coprimes }) rebuilds a line's aQ8 with every level
+
+import {
+  PRIMES_500,
+  generateTriadsAroundPrime,
+  calculatePrimeTetrationProjection,
+  calculateAdvancedProjection,
+  simulateMonteCarloPaths,
+  getMeanPath,
+  calculateSimpleProjection,
+  detectOscillations,
+  detectProjectionOscillations,
+  fitGarch,
+} from './models';
+import { createRandom, normalizeSeed, randomSeed } from './random';
+import { summarizePaths } from './distribution';
+import { normalizeLattice } from './lattice';
+import { normalizeTowerOptions } from './tower';
+
+export { PRIME_STOPS, PRIMES_500, PHI_D, LAMBDA_DEFAULT, CRYSTALLINE_TERMS, ADVANCED_TERMS, auditTriadAmplitude } from './models';
+export { evaluateTower, normalizeTowerOptions, DEFAULT_TOWER_OPTIONS } from './tower';
+export { createRandom, normalizeSeed, randomSeed } from './random';
+export { PERCENTILES } from './distribution';
+
+export const ENGINE_MODELS = [
+  { id: 'primetetration', label: 'Prime Tetration', lattice: true },
+  { id: 'advanced', label: 'Recursive Lattice', lattice: false, slow: true },
+  { id: 'montecarlo', label: 'Monte Carlo', lattice: false },
+  { id: 'simple', label: 'Linear Regression', lattice: false },
+];
+
+export const RETURN_MODEL_OPTIONS = [
+  { id: 'normal', label: 'Normal' },
+  { id: 'studentt', label: 'Student-t' },
+  { id: 'bootstrap', label: 'Bootstrap' },
+  { id: 'garch', label: 'GARCH(1,1)' },
+];
+
+export const DEFAULT_ENGINE_PARAMS = {
+  model: 'primetetration',
+  steps: 20,
+  // Prime Tetration
+  base: 3,
+  beta: 0.01,
+  depthPrime: 31,
+  triadCount: 12,
+  omegaHz: 432,
+  useLambdaSchedule: true,
+  useOmegaSchedule: false,
+  // Amplitude towers are reduced mod `modulus` (a decimal string), or 2^(bits + guardBits)
+  // when it is null; the guard bits are truncated from each amplitude (engine/tower.js)
+  modulus: null,
+  bits: 64,
+  guardBits: 8,
+  // Custom triads, φ-vector, schedules and tower settings (engine/lattice.js); null for the built-in lattice
+  lattice: null,
+  // Monte Carlo (seed null picks a fresh one, reported in diagnostics.seed)
+  simulations: 10000,
+  seed: null,
+  returnModel: 'normal',
+  degreesOfFreedom: 5,
+  // Recursive lattice
+  maxRecursions: 10,
+  stabilizedModel: null,
+  // Per-step term breakdown on Prime Tetration and Recursive Lattice lines
+  explain: false,
+  // Distribution: extra price to report a touch probability for (null for the defaults only)
+  targetPrice: null,
+};
+
+// Closing prices from numbers or bar objects, dropping anything that isn't a positive price
+export function toCloses(bars) {
+  return (bars || [])
+    .map(bar => (typeof bar === 'number' ? bar : Number(bar?.close)))
+    .filter(price => Number.isFinite(price) && price > 0);
+}
+
+// Per-bar volatility: standard deviation of log returns
+export function getVolatility(prices) {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    if (prices[i] > 0 && prices[i - 1] > 0) returns.push(Math.log(prices[i] / prices[i - 1]));
+  }
+  if (returns.length < 2) return 0;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Pad with the last point or trim so a line has exactly `steps` points
+const fitLength = (points, steps, fallback) => {
+  const fitted = (points || []).slice(0, steps);
+  const last = fitted.length > 0 ? fitted[fitted.length - 1] : fallback;
+  while (fitted.length < steps) fitted.push(last);
+  return fitted;
+};
+
+const modelLabel = (id) => ENGINE_MODELS.find(model => model.id === id)?.label || id;
+
+// Run one projection model over a price history
+// options.onProgress(done, total) reports progress of the slow models; options.random
+// replaces the seeded generator for the Monte Carlo paths
+export function runEngine(bars, params = {}, { onProgress = null, random = null } = {}) {
+  const settings = { ...DEFAULT_ENGINE_PARAMS, ...params };
+  const closes = toCloses(bars);
+  const steps = Math.max(1, Math.min(1000, Math.round(settings.steps) || DEFAULT_ENGINE_PARAMS.steps));
+  if (closes.length < 2) {
+    throw new Error(`Need at least 2 bars to project, got ${closes.length}`);
+  }
+
+  const started = Date.now();
+  const lastPrice = closes[closes.length - 1];
+  const diagnostics = {
+    bars: closes.length,
+    steps,
+    lastPrice,
+    volatility: getVolatility(closes),
+  };
+  let lines;
+  let paths = null;
+
+  switch (settings.model) {
+    case 'primetetration': {
+      const lattice = settings.lattice ? normalizeLattice(settings.lattice) : null;
+      const triads = lattice?.triads || generateTriadsAroundPrime(settings.depthPrime, settings.triadCount, PRIMES_500);
+      // A preset's tower settings win over the params
+      const tower = normalizeTowerOptions({
+        modulus: lattice?.modulus ?? settings.modulus,
+        bits: lattice?.bits ?? settings.bits,
+        guardBits: lattice?.guardBits ?? settings.guardBits,
+      });
+      const snapshot = calculatePrimeTetrationProjection(
+        closes,
+        steps,
+        settings.base,
+        triads,
+        settings.beta,
+        settings.depthPrime,
+        settings.omegaHz,
+        settings.useLambdaSchedule,
+        settings.useOmegaSchedule,
+        lattice,
+        settings.explain,
+        tower
+      );
+      lines = snapshot.lines.map(line => ({
+        ...line,
+        id: `triad-${line.triad.join('-')}`,
+        label: `Triad [${line.triad.join('-')}]`,
+        depthPrime: line.depthPrime ?? settings.depthPrime,
+        omega: line.omega ?? settings.omegaHz,
+        points: fitLength(line.points, steps, lastPrice),
+      }));
+      diagnostics.lastPriceQ8 = snapshot.lastPriceQ8;
+      diagnostics.beta = settings.beta;
+      diagnostics.triads = triads;
+      diagnostics.customTriads = Boolean(lattice?.triads);
+      diagnostics.tower = tower;
+      diagnostics.coprimes = lattice?.coprimes || [];
+      break;
+    }
+    case 'advanced': {
+      const result = calculateAdvancedProjection(closes, steps, settings.stabilizedModel, settings.maxRecursions, onProgress);
+      lines = [{
+        id: 'advanced',
+        label: modelLabel('advanced'),
+        points: fitLength(result.projections, steps, lastPrice),
+        breakdown: settings.explain ? result.breakdown ?? null : null,
+      }];
+      diagnostics.stabilizedModel = result.stabilizedModel;
+      diagnostics.priceOscillations = detectOscillations(closes);
+      diagnostics.projectionOscillations = detectProjectionOscillations(result.projections, 0.15);
+      break;
+    }
+    case 'montecarlo': {
+      const seed = random ? null : normalizeSeed(settings.seed ?? randomSeed());
+      paths = simulateMonteCarloPaths(closes, steps, settings.simulations, {
+        random: random || createRandom(seed),
+        returnModel: settings.returnModel,
+        degreesOfFreedom: settings.degreesOfFreedom,
+        onProgress,
+      });
+      lines = [{ id: 'montecarlo', label: modelLabel('montecarlo'), points: getMeanPath(paths, steps) }];
+      diagnostics.simulations = settings.simulations;
+      diagnostics.seed = seed;
+      diagnostics.returnModel = settings.returnModel;
+      if (settings.returnModel === 'studentt') diagnostics.degreesOfFreedom = settings.degreesOfFreedom;
+      if (settings.returnModel === 'garch') {
+        const returns = closes.slice(1).map((price, i) => (price - closes[i]) / closes[i]);
+        diagnostics.garch = fitGarch(returns);
+      }
+      break;
+    }
+    case 'simple': {
+      const points = calculateSimpleProjection(closes, steps);
+      lines = [{ id: 'simple', label: modelLabel('simple'), points: fitLength(points, steps, lastPrice) }];
+      break;
+    }
+    default:
+      throw new Error(`Unknown projection model: ${settings.model}`);
+  }
+
+  const distribution = summarizePaths(paths || lines.map(line => line.points), lastPrice, {
+    targets: settings.targetPrice ? [Number(settings.targetPrice)] : [],
+  });
+
+  diagnostics.durationMs = Date.now() - started;
+  return { model: settings.model, lines, distribution, diagnostics };
+}
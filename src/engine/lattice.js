@@ -0,0 +1,87 @@
+// Lattice Presets
+// User-defined settings for the Prime Tetration lattice, passed to runEngine as
+// params.lattice. Anything left null falls back to the built-in constants in engine/models.js.
+//
+// Lattice: { triads, coprimes, phiVector, lambdaSchedule, omegaSchedule, modulus, bits, guardBits }
+//   triads         - hand-picked [p1, p2, p3] sets, or null to pick them around the depth prime
+//   coprimes       - non-prime values allowed in the hand-picked triads (e.g. 12, 15)
+//   phiVector      - the 12 sector frequencies φ_1..φ_12
+//   lambdaSchedule - phonetic λ per step, cycled: 'dub', 'kubt', "k'anch" or a number
+//   omegaSchedule  - ω in Hz per step, cycled, used when the ω schedule is on
+//   modulus, bits, guardBits - amplitude tower settings (engine/tower.js); null keeps the
+//                    engine's own (params.modulus, params.bits, params.guardBits)
+//
+// A preset adds { id, name } and is what the Projection page stores and shares.
+
+import { PHI_D, LAMBDA_DEFAULT, ALLOWED_COPRIMES, validateTriadicSet } from './models';
+import { normalizeTowerOptions } from './tower';
+
+export const LAMBDA_PHONEMES = ['dub', 'kubt', "k'anch"];
+
+export const DEFAULT_OMEGA_SCHEDULE = [432, 528, 432, 528];
+
+export const DEFAULT_LATTICE = {
+  triads: null,
+  coprimes: ALLOWED_COPRIMES,
+  phiVector: PHI_D,
+  lambdaSchedule: LAMBDA_DEFAULT,
+  omegaSchedule: DEFAULT_OMEGA_SCHEDULE,
+  modulus: null,
+  bits: null,
+  guardBits: null,
+};
+
+// Most triads a preset may hold (the projection draws one line per triad)
+const MAX_TRIADS = 24;
+const MAX_SCHEDULE = 64;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Checked copy of a lattice (or preset); throws with the first problem found
+export function normalizeLattice(input = {}) {
+  const lattice = { ...DEFAULT_LATTICE, ...input };
+
+  const coprimes = [...new Set((lattice.coprimes || []).map(Number))];
+  if (!coprimes.every(value => isPositiveInteger(value) && value >= 2)) {
+    throw new Error('Coprime exceptions must be whole numbers of at least 2');
+  }
+
+  let triads = null;
+  if (Array.isArray(lattice.triads) && lattice.triads.length > 0) {
+    if (lattice.triads.length > MAX_TRIADS) {
+      throw new Error(`At most ${MAX_TRIADS} triads, got ${lattice.triads.length}`);
+    }
+    triads = lattice.triads.map(triad => (Array.isArray(triad) ? triad.map(Number) : triad));
+    triads.forEach(triad => validateTriadicSet(triad, coprimes));
+  }
+
+  const phiVector = (lattice.phiVector || []).map(Number);
+  if (phiVector.length !== 12 || !phiVector.every(Number.isFinite)) {
+    throw new Error(`The φ-vector needs 12 numbers, got ${phiVector.length}`);
+  }
+
+  const lambdaSchedule = (lattice.lambdaSchedule || []).map(value => {
+    if (LAMBDA_PHONEMES.includes(value)) return value;
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number === 'number' && Number.isFinite(number)) return number;
+    throw new Error(`λ must be ${LAMBDA_PHONEMES.join(', ')} or a number, got ${JSON.stringify(value)}`);
+  });
+  if (lambdaSchedule.length === 0 || lambdaSchedule.length > MAX_SCHEDULE) {
+    throw new Error(`The λ schedule needs 1 to ${MAX_SCHEDULE} entries`);
+  }
+
+  const omegaSchedule = (lattice.omegaSchedule || []).map(Number);
+  if (omegaSchedule.length === 0 || omegaSchedule.length > MAX_SCHEDULE || !omegaSchedule.every(value => Number.isFinite(value) && value > 0)) {
+    throw new Error(`The ω schedule needs 1 to ${MAX_SCHEDULE} frequencies above 0 Hz`);
+  }
+
+  // Checked against the default tower for whatever the preset leaves to the engine
+  const optional = (value) => (value === null || value === undefined || String(value).trim() === '' ? null : value);
+  const tower = { modulus: optional(lattice.modulus), bits: optional(lattice.bits), guardBits: optional(lattice.guardBits) };
+  const checked = normalizeTowerOptions(Object.fromEntries(Object.entries(tower).filter(([, value]) => value !== null)));
+  const modulus = tower.modulus === null ? null : checked.modulus;
+  const bits = tower.bits === null ? null : checked.bits;
+  const guardBits = tower.guardBits === null ? null : checked.guardBits;
+
+  return { triads, coprimes, phiVector, lambdaSchedule, omegaSchedule, modulus, bits, guardBits };
+}
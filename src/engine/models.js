@@ -0,0 +1,1854 @@
+/**
+ * IMPROVED CRYSTALLINE PROJECTION ENGINE
+ * =======================================
+ * 
+ * Mathematical Enhancements Integrated from Research:
+ * 
+ * 1. Ψ(p,q) - Plimpton Triple Modulator
+ *    Formula: Ψ = (p² - q²)/(p² + q²)
+ *    Provides prime-based modulation for projection stability
+ * 
+ * 2. θ(i, Ψ, λ, ω) - Theta Step Function
+ *    Formula: θ = k·π·(1 - Ψ) + ν(λ)·(π/180) + Ω_phase(ω)
+ *    Combines Plimpton modulation, phonetic values, and cymatic frequencies
+ * 
+ * 3. g(i) - Recursive 3^θ Growth Step
+ *    Formula: g_i = g_{i-1} · 3^(θ/100) · (1 + τ/1000)
+ *    where τ = log(p1·p2·p3)/log(3)
+ *    Implements self-similar recursive growth
+ * 
+ * 4. 12-Sector Crystalline Lattice
+ *    - Each projection uses 12 sectors with quadrant-based polarity
+ *    - Möbius parity twist: Γ(k) = (-1)^k
+ *    - Phonetic modulation: ν(λ) maps dub=3, kubt=5, k'anch=7
+ *    - Omega phase gate: Ω(ω) for cymatic frequency integration (432Hz, 528Hz, etc.)
+ * 
+ * 5. Q8 Fixed-Point Arithmetic
+ *    - Modular arithmetic, 72-bit with 8 guard bits unless the modulus is set
+ *    - Precise amplitude calculations using modular exponentiation
+ *    - PRIME EXPONENTIATION TOWERS: base^(p1^(p2^p3)) using triadic prime sets [p1, p2, p3]
+ *    - CRITICAL: This is NOT generic tetration (x^x^x), but specifically prime-based towers
+ *    - Example: 2^(5^(7^11)) for triadic set [5, 7, 11]
+ *    - First 500 primes are hardcoded in PRIMES_500
+ *    - Triadic sets MUST contain primes (or explicitly allowed coprimes like 12 or 15)
+ * 
+ * 6. Projection Formula
+ *    For each step i in [0..N]:
+ *      - Calculate λ = lambdaSchedule[i mod len]
+ *      - Calculate ω = omegaSchedule[i mod len]
+ *      - Compute θ_i using Plimpton modulation
+ *      - Update g_i recursively with 3^θ growth
+ *      - Calculate lattice sum over 12 sectors with polarities
+ *      - Scale by depth (log(prime)/log(2)) and triad factor (τ)
+ *      - Projection: P_i = lastPrice + Δ_i
+ */
+
+// Pure projection models behind the engine API (engine/index.js). Nothing here touches
+// React, the DOM or storage, so the models run the same in a Web Worker or in node.
+
+import { normalRandom, studentTRandom } from './random';
+import { evaluateTower, towerToSymmetric, DEFAULT_TOWER_OPTIONS } from './tower';
+
+// Dimensional frequencies φ_i (Phonon Correction) - Full crystalline 12-d set
+// Primarily uses primes, with EXPLICIT coprime exception: 12 is coprime to 5,7,11,13,17,19,23,29,31
+// This is similar to Enigma device using (11, 15, 17) where 15 = 3×5 is coprime to 3*5
+// IMPORTANT: 12 is an explicitly chosen coprime exception, NOT a prime
+// All other values are primes: [3, 7, 31, 19, 5, 11, 13, 17, 23, 29, 31]
+export const PHI_D = [3, 7, 31, 12, 19, 5, 11, 13, 17, 23, 29, 31];
+
+// Prime Exponentiation Tower depth - MUST be prime
+// CRITICAL: This is NOT generic tetration (x^x^x), but PRIME EXPONENTIATION TOWERS
+// Prime exponentiation towers use triadic prime sets: base^(p1^(p2^p3)) where p1,p2,p3 are primes
+// Example: 2^(5^(7^11)) for triadic set [5, 7, 11]
+// The depth prime (31) is used to select triadic sets from PRIMES_500
+// DO NOT confuse this with generic tetration - these are fundamentally different
+const TETRATION_DEPTH = 31; // 11th prime - used for selecting triadic sets, NOT for generic tetration
+
+// Prime depth slider stops (tetration depth primes)
+export const PRIME_STOPS = [11, 13, 17, 29, 31, 47, 59, 61, 97, 101];
+
+// Q8 fixed point for projected prices. Tower amplitudes default to 72-bit (64 bits with +8
+// guard bits); the modulus and guard bits are settings (DEFAULT_TOWER_OPTIONS, engine/tower.js)
+const Q8 = 1 << 8; // 256
+
+// Crystalline lattice constants
+const SECTORS = 12; // 12-sector lattice (crystalline basis)
+const TWO_PI = Math.PI * 2;
+const PHI_VEC = [3, 7, 31, 12, 19, 5, 11, 13, 17, 23, 29, 31]; // Full φ-vector
+
+// Lambda schedule (phonetic modulation)
+export const LAMBDA_DEFAULT = ['dub', 'kubt', "k'anch", 'dub', 'kubt', "k'anch"];
+
+// Ψ(p, q) - Plimpton Triple Modulator
+// Computes (p² - q²) / (p² + q²) for prime pairs
+function psiPlimpton(p, q) {
+  const p2 = p * p;
+  const q2 = q * q;
+  return (p2 - q2) / (p2 + q2);
+}
+
+// Ψ(depth) - Compute psi from depth prime
+function psiFromDepth(depthPrime) {
+  // Use depthPrime and its neighbor for Plimpton modulation
+  const idx = PRIME_STOPS.indexOf(depthPrime);
+  if (idx === -1) return psiPlimpton(depthPrime, depthPrime - 2);
+  const p = depthPrime;
+  const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
+  return psiPlimpton(p, q);
+}
+
+// ν(λ) - Phonetic value mapping
+// Formula: ν(λ) = 3^λ mod 3 for numeric lambda
+// Also maps phonetic strings: ν(dub) = 3, ν(kubt) = 5, ν(k'anch) = 7
+function nuLambda(lambda) {
+  if (lambda === 'dub') return 3;
+  if (lambda === 'kubt') return 5;
+  if (lambda === "k'anch" || lambda === "k'anchay") return 7;
+  if (typeof lambda === 'number') {
+    // Formula: ν(λ) = 3^λ mod 3
+    return Math.pow(3, lambda) % 3;
+  }
+  return 3; // default
+}
+
+// Ω(ω) - Omega gate (cymatic frequency phase)
+function omegaGate(omegaHz) {
+  // Map Hz to phase angle
+  // 432 Hz → 0°, 528 Hz → 90°, etc.
+  const baseFreq = 432;
+  const ratio = omegaHz / baseFreq;
+  const phase = (Math.log(ratio) / Math.log(2)) * (Math.PI / 2);
+  return { phase, magnitude: Math.sqrt(ratio) };
+}
+
+// ω(i) - Omega schedule at step i
+function omegaAt(i, schedule) {
+  if (Array.isArray(schedule)) {
+    return schedule[i % schedule.length];
+  }
+  return schedule; // single value
+}
+
+// θ(i, Ψ, λ, ω) - Theta step function (legacy, for computeCrystallineProjection)
+// This uses the complete formula: θ(n,k,λ,ω,ψ) = k·π·(1 + √5) + n·2π/12 + log3(ν(λ)) + ω/432 + p² - q²
+function thetaStep(i, psi, lambda, omegaHz, depthPrime = 31) {
+  const n = i;
+  const k = i;
+  
+  // Pass depthPrime to calculateTheta so it can extract p and q
+  // If psi is already a number (depthPrime), pass it directly
+  const psiValue = typeof psi === 'number' ? psi : depthPrime;
+  
+  // Use the complete theta formula with depthPrime for p,q extraction
+  return calculateTheta(n, k, lambda, omegaHz, psiValue, depthPrime);
+}
+
+// g(i) - Recursive 3^θ growth step
+function growthStep(gPrev, theta, omegaHz, triad) {
+  // g_i = g_{i-1} · 3^(θ/100) · (1 + τ/1000)
+  // where τ = log(p1·p2·p3) / log(3)
+  const triProd = triad.slice(0, 3).reduce((a, b) => a * b, 1);
+  const tau = Math.log(triProd) / Math.log(3);
+  const exponent = theta / 100;
+  const base3Term = Math.pow(3, exponent);
+  const tauTerm = 1 + tau / 1000;
+  return gPrev * base3Term * tauTerm;
+}
+
+// Γ(k) - Möbius parity twist
+export function mobiusParity(k) {
+  return Math.pow(-1, k);
+}
+
+// Truncate to Q8 precision
+function trunc(x, decimals) {
+  const multiplier = Math.pow(10, decimals);
+  return Math.floor(x * multiplier) / multiplier;
+}
+
+// ==================== IMPROVED PROJECTION ENGINE ====================
+// Terms of a crystalline point's offset from the last price, in the order they are applied.
+// With explain on, each point carries terms[id] (price units) that add up to y - lastPrice:
+// φ, ν(λ) and ω shift the sector angles one after another (the bare sector cosines cancel
+// over the 12 sectors, so φ is the first to move the price), the quadrant polarity and
+// Möbius twist flip sector signs, Ψ scales the lattice sum and θ drives the 3^θ growth.
+// A term's contribution to the move at a step is its change from the step before.
+export const CRYSTALLINE_TERMS = [
+  { id: 'phi', label: 'φ-vector', description: 'Sector frequencies φ_1..φ_12 added to the sector angles' },
+  { id: 'lambda', label: 'ν(λ)', description: 'Phonetic nudge from the λ schedule' },
+  { id: 'omega', label: 'ω phase', description: 'Cymatic phase of the step frequency' },
+  { id: 'polarity', label: 'Polarity', description: 'Alternating signs of the four 3-sector quadrants' },
+  { id: 'mobius', label: 'Möbius', description: 'Sign flip on odd step + sector' },
+  { id: 'psi', label: 'Ψ', description: 'Plimpton Ψ of the depth prime scaling the lattice sum' },
+  { id: 'growth', label: '3^θ growth', description: 'Growth g compounded by 3^(θ/100) each step' },
+  { id: 'rounding', label: 'Rounding', description: 'Truncation to 8 decimals' },
+];
+
+// Compute projection using crystalline lattice with 12 sectors
+// explain adds { terms, factors } to each point (see CRYSTALLINE_TERMS)
+function computeCrystallineProjection({
+  lastPrice,
+  depthPrime,
+  omegaHz = 432,
+  triad = [2, 5, 7],
+  decimals = 8,
+  lambdaSchedule = LAMBDA_DEFAULT,
+  omegaSchedule = null,
+  phiVector = PHI_VEC,
+  N = 120,
+  explain = false
+}) {
+  const psi = psiFromDepth(depthPrime);
+  const triProd = triad.slice(0, 3).reduce((a, b) => a * b, 1);
+  const tau = Math.log(triProd) / Math.log(3);
+  
+  // Initialize growth factor
+  let g = 1 + 0.01 * tau + 0.001 * (depthPrime % 7);
+  
+  const points = [];
+  
+  for (let i = 0; i < N; i++) {
+    // Get lambda and omega for this step
+    const lambda = lambdaSchedule[i % lambdaSchedule.length];
+    const wHz = omegaAt(i, omegaSchedule || omegaHz);
+    
+    // Calculate theta for this step using correct formula
+    const theta_i = thetaStep(i, psi, lambda, wHz, depthPrime);
+    
+    // Update growth recursively
+    g = growthStep(g, theta_i, wHz, triad);
+    
+    // Calculate lattice sum across all 12 sectors
+    let latticeSum = 0;
+    // Sector sums as each angle and sign term is added, for explain
+    const sums = { phi: 0, lambda: 0, omega: 0, polarity: 0, mobius: 0 };
+    
+    for (let s = 0; s < SECTORS; s++) {
+      // Base angle for this sector
+      const angleBase = (i) * (TWO_PI / SECTORS) + (s * TWO_PI / SECTORS);
+      
+      // Add φ-vector component for this sector
+      const phiTerm = (phiVector[s] % 360) * (Math.PI / 180);
+      
+      // Add phonetic nudge
+      const nuVal = nuLambda(lambda);
+      const lambdaNudge = (nuVal % 3) * (Math.PI / 360);
+      
+      // Add omega phase
+      const { phase: omegaPhase } = omegaGate(wHz);
+      
+      // Calculate quadrant and polarities
+      const quadrant = Math.floor(s / 3);
+      const polQuad = ((quadrant % 2) === 0) ? 1 : -1; // Alternating quadrants
+      const polMob = ((i + s) % 2 === 0) ? 1 : -1; // Möbius twist
+      
+      // Complete angle
+      const ang = angleBase + phiTerm + lambdaNudge + 0.5 * omegaPhase;
+      
+      // Calculate term with all components
+      const base = Math.cos(ang);
+      const gNorm = Math.tanh(g / 1e5);
+      const term = base * polQuad * polMob * psi * (1 + 0.5 * gNorm);
+      
+      latticeSum += term;
+
+      if (explain) {
+        sums.phi += Math.cos(angleBase + phiTerm);
+        sums.lambda += Math.cos(angleBase + phiTerm + lambdaNudge);
+        sums.omega += base;
+        sums.polarity += base * polQuad;
+        sums.mobius += base * polQuad * polMob;
+      }
+    }
+    
+    // Scale by depth and triad
+    const depthScale = Math.log(depthPrime) / Math.log(2);
+    const triScale = Math.max(1, tau);
+    const delta = trunc(latticeSum * depthScale * 0.5 * triScale, decimals);
+    
+    // Calculate price point
+    const pricePoint = trunc(lastPrice + delta, decimals);
+    
+    if (!explain) {
+      points.push({ x: i, y: pricePoint });
+      continue;
+    }
+
+    // Each term is the change in the scaled sum when it is added (Ψ = 1 until the Ψ term)
+    const scale = depthScale * 0.5 * triScale;
+    const gNorm = Math.tanh(g / 1e5);
+    const terms = {
+      phi: scale * sums.phi,
+      lambda: scale * (sums.lambda - sums.phi),
+      omega: scale * (sums.omega - sums.lambda),
+      polarity: scale * (sums.polarity - sums.omega),
+      mobius: scale * (sums.mobius - sums.polarity),
+      psi: scale * sums.mobius * (psi - 1),
+      growth: scale * sums.mobius * psi * 0.5 * gNorm,
+    };
+    terms.rounding = pricePoint - lastPrice - Object.values(terms).reduce((sum, value) => sum + value, 0);
+
+    points.push({
+      x: i,
+      y: pricePoint,
+      terms,
+      factors: { psi, theta: theta_i, growth: g, lambda, nu: nuLambda(lambda), omegaHz: wHz },
+    });
+  }
+  
+  return points;
+}
+
+// Compute triadic prime tower amplitude A = base^(p2^p3) mod the tower modulus
+// (2^(64+8) by default), with the exponent reduced by evaluateTower (exact for even bases too).
+// CRITICAL: Triadic set MUST contain primes (or explicitly allowed coprimes)
+// This is a PRIME EXPONENTIATION TOWER, NOT generic tetration
+function amplitudeFromTriad(base, triad, coprimes = false, tower = DEFAULT_TOWER_OPTIONS) {
+  // Validate triadic set contains primes (coprimes only when a lattice preset allows them)
+  validateTriadicSet(triad, coprimes);
+  
+  const [, p2, p3] = triad; // p1 is for reference, we build tower base^(p2^p3)
+  return evaluateTower([base, p2, p3], tower).residue; // 0..modulus-1
+}
+
+// The tower behind a triad's amplitude with every reduced exponent (see evaluateTower), so
+// a line's aQ8 can be checked; tower takes the same { modulus, bits, guardBits } as the engine
+export function auditTriadAmplitude(base, triad, { coprimes = false, ...tower } = {}) {
+  validateTriadicSet(triad, coprimes);
+  const options = { ...DEFAULT_TOWER_OPTIONS, ...tower };
+  const [, p2, p3] = triad;
+  const result = evaluateTower([base, p2, p3], options);
+  return {
+    base,
+    triad,
+    bits: options.bits,
+    guardBits: options.guardBits,
+    ...result,
+    aQ8: truncateAmplitude(result.residue, options).toString(),
+    amplitude: towerToSymmetric(result.residue, options),
+  };
+}
+
+// Amplitude with its guard bits truncated (the aQ8 reported on each line)
+function truncateAmplitude(A, tower = DEFAULT_TOWER_OPTIONS) {
+  return A >> BigInt(tower.guardBits ?? DEFAULT_TOWER_OPTIONS.guardBits);
+}
+
+// Z(n): aggregate cosine of all 12 φ_d without sweeping dimensions
+// Lattice angular oscillator for step n (n ≥ 1)
+function latticeOscillatorZ(n, phiVector = PHI_D) {
+  const k = (n - 1);
+  let sum = 0;
+  for (let i = 0; i < phiVector.length; i++) {
+    const angle = k * (Math.PI * 2 / 12) * phiVector[i];
+    sum += Math.cos(angle);
+  }
+  return sum / phiVector.length; // average in [-1,1]
+}
+
+// Fixed-point Q8 truncation helpers
+function toQ8(xFloat) {
+  // truncate (not round) to Q8
+  const scaled = Math.trunc(xFloat * Q8);
+  return scaled; // integer
+}
+
+function fromQ8(q8int) {
+  return q8int / Q8;
+}
+
+// First 500 primes - HARDCODED for prime exponentiation towers
+// These primes are used to generate triadic sets [p1, p2, p3] for prime exponentiation towers
+// Example: [5, 7, 11] creates tower base^(5^(7^11))
+// Generated using Sieve of Eratosthenes, hardcoded for performance and determinism
+export const PRIMES_500 = [2,3,5,7,11,13,17,19,23,29,31,37,41,43,47,53,59,61,67,71,73,79,83,89,97,101,103,107,109,113,127,131,137,139,149,151,157,163,167,173,179,181,191,193,197,199,211,223,227,229,233,239,241,251,257,263,269,271,277,281,283,293,307,311,313,317,331,337,347,349,353,359,367,373,379,383,389,397,401,409,419,421,431,433,439,443,449,457,461,463,467,479,487,491,499,503,509,521,523,541,547,557,563,569,571,577,587,593,599,601,607,613,617,619,631,641,643,647,653,659,661,673,677,683,691,701,709,719,727,733,739,743,751,757,761,769,773,787,797,809,811,821,823,827,829,839,853,857,859,863,877,881,883,887,907,911,919,929,937,941,947,953,967,971,977,983,991,997,1009,1013,1019,1021,1031,1033,1039,1049,1051,1061,1063,1069,1087,1091,1093,1097,1103,1109,1117,1123,1129,1151,1153,1163,1171,1181,1187,1193,1201,1213,1217,1223,1229,1231,1237,1249,1259,1277,1279,1283,1289,1291,1297,1301,1303,1307,1319,1321,1327,1361,1367,1373,1381,1399,1409,1423,1427,1429,1433,1439,1447,1451,1453,1459,1471,1481,1483,1487,1489,1493,1499,1511,1523,1531,1543,1549,1553,1559,1567,1571,1579,1583,1597,1601,1607,1609,1613,1619,1621,1627,1637,1657,1663,1667,1669,1693,1697,1699,1709,1721,1723,1733,1741,1747,1753,1759,1777,1783,1787,1789,1801,1811,1823,1831,1847,1861,1867,1871,1873,1877,1879,1889,1901,1907,1913,1931,1933,1949,1951,1973,1979,1987,1993,1997,1999,2003,2011,2017,2027,2029,2039,2053,2063,2069,2081,2083,2087,2089,2099,2111,2113,2129,2131,2137,2141,2143,2153,2161,2179,2203,2207,2213,2221,2237,2239,2243,2251,2267,2269,2273,2281,2287,2293,2297,2309,2311,2333,2339,2341,2347,2351,2357,2371,2377,2381,2383,2389,2393,2399,2411,2417,2423,2437,2441,2447,2459,2467,2473,2477,2503,2521,2531,2539,2543,2549,2551,2557,2579,2591,2593,2609,2617,2621,2633,2647,2657,2659,2663,2671,2677,2683,2687,2689,2693,2699,2707,2711,2713,2719,2729,2731,2741,2749,2753,2767,2777,2789,2791,2797,2801,2803,2819,2833,2837,2843,2851,2857,2861,2879,2887,2897,2903,2909,2917,2927,2939,2953,2957,2963,2969,2971,2999,3001,3011,3019,3023,3037,3041,3049,3061,3067,3079,3083,3089,3109,3119,3121,3137,3163,3167,3169,3181,3187,3191,3203,3209,3217,3221,3229,3251,3253,3257,3259,3271,3299,3301,3307,3313,3319,3323,3329,3331,3343,3347,3359,3361,3371,3373,3389,3391,3407,3413,3433,3449,3457,3461,3463,3467,3469,3491,3499,3511,3517,3527,3529,3533,3539,3541,3547,3557,3559,3571];
+
+// Generate triadic prime sets near a given prime depth pDepth
+// Build 11–13 triads centered around pDepth using sequential primes from PRIMES_500
+// Each triadic set is [p[i], p[i+1], p[i+2]] where all values are primes
+// These triadic sets are used for prime exponentiation towers: base^(p1^(p2^p3))
+export function generateTriadsAroundPrime(pDepth, count, primes) {
+  if (!isPrime(pDepth)) {
+    throw new Error(`Depth must be a prime number, got: ${pDepth}. Prime exponentiation towers require prime-based depth.`);
+  }
+  
+  const idx = primes.indexOf(pDepth);
+  if (idx === -1) {
+    throw new Error(`Depth prime ${pDepth} not found in PRIMES_500. Prime exponentiation towers must use primes from the hardcoded list.`);
+  }
+  
+  const triads = [];
+  const half = Math.floor(count / 2);
+  
+  for (let offset = -half; offset <= half; offset++) {
+    if (triads.length >= count) break;
+    const i = Math.max(0, Math.min(primes.length - 3, idx + offset));
+    
+    // Create triadic set: [p[i], p[i+1], p[i+2]]
+    // All values are guaranteed to be primes since they come from PRIMES_500
+    const triad = [primes[i], primes[i + 1], primes[i + 2]];
+    
+    // Validate the triadic set (should always pass since from PRIMES_500, but safety check)
+    try {
+      validateTriadicSet(triad, false); // No coprimes allowed in auto-generated sets
+      triads.push(triad);
+    } catch (err) {
+      console.error(`Invalid triadic set generated: ${JSON.stringify(triad)}`, err);
+      throw new Error(`Failed to generate valid triadic set: ${err.message}`);
+    }
+  }
+  
+  return triads;
+}
+
+// Prime Exponentiation Tower: Compute base^(p1^(p2^p3)) using triadic prime sets
+// This is NOT generic tetration (x^x^x), but specifically prime-based towers
+// Example: 2^(5^(7^11)) for triadic set [5,7,11]
+// The base is typically 2 or 3, and the tower is built from primes
+// CRITICAL: Triadic sets MUST contain primes (or explicitly allowed coprimes like 12 or 15)
+function primeExponentiationTower(base, primeTriad, useModular = true, allowCoprimes = false, tower = DEFAULT_TOWER_OPTIONS) {
+  if (!primeTriad || primeTriad.length === 0) {
+    throw new Error('Prime exponentiation tower requires a triadic set [p1, p2, p3]');
+  }
+  
+  // Validate that triadic set contains primes (or explicitly allowed coprimes)
+  validateTriadicSet(primeTriad, allowCoprimes);
+  
+  // For triadic sets [p1, p2, p3], compute base^(p1^(p2^p3))
+  // Build from the top down: p2^p3 first, then p1^result, then base^result
+  
+  if (useModular) {
+    // Use modular arithmetic for large towers to prevent overflow
+    // Each exponent is reduced by the Carmichael function of the modulus below it
+    const [p1, p2, p3] = primeTriad;
+    const result = evaluateTower([base, p1, p2, p3], tower).residue;
+    
+    // Convert to float in reasonable range
+    return Number(result) / Number(1n << 32n); // Scale down from the tower modulus
+  } else {
+    // Logarithmic method for non-modular computation
+    // log(base^(p1^(p2^p3))) = (p1^(p2^p3)) * log(base)
+    const [p1, p2, p3] = primeTriad;
+    
+    // Compute p2^p3 safely
+    let exponent = Math.log(p2) * p3; // log(p2^p3)
+    if (exponent > 100) exponent = 100; // Cap to prevent overflow
+    let p2ToPowerP3 = Math.exp(exponent);
+    if (p2ToPowerP3 > 1000) p2ToPowerP3 = 1000; // Cap
+    
+    // Compute p1^(p2^p3) safely
+    exponent = Math.log(p1) * p2ToPowerP3;
+    if (exponent > 700) exponent = 700; // Cap to prevent exp overflow
+    
+    // Final result: base^(p1^(p2^p3))
+    const finalResult = Math.exp(exponent * Math.log(base));
+    return isFinite(finalResult) ? finalResult : Number.MAX_SAFE_INTEGER;
+  }
+}
+
+// DEPRECATED: Legacy tetration wrapper - DO NOT USE
+// This function name is confusing because it suggests generic tetration (x^x^x),
+// but we actually use PRIME EXPONENTIATION TOWERS: base^(p1^(p2^p3)) with triadic prime sets
+// 
+// Use primeExponentiationTower() directly with explicit triadic sets instead.
+// Example: primeExponentiationTower(2, [5, 7, 11]) for 2^(5^(7^11))
+//
+// This wrapper is kept only for backward compatibility but should be removed.
+// It converts a depth index to a triadic set, which is not the correct way to use prime towers.
+function tetration(base, depth) {
+  console.warn(
+    'WARNING: tetration() is deprecated. Use primeExponentiationTower() with explicit triadic sets instead. ' +
+    'Example: primeExponentiationTower(2, [5, 7, 11]) for prime exponentiation tower 2^(5^(7^11))'
+  );
+  
+  // Convert depth to a prime-based triadic set from PRIMES_500
+  // Use depth as index into PRIMES_500 to select triadic set
+  const primeIndex = Math.min(depth, PRIMES_500.length - 3);
+  const triad = [
+    PRIMES_500[primeIndex % PRIMES_500.length],
+    PRIMES_500[(primeIndex + 1) % PRIMES_500.length],
+    PRIMES_500[(primeIndex + 2) % PRIMES_500.length]
+  ];
+  
+  return primeExponentiationTower(base, triad, false);
+}
+
+// Helper: Check if number is prime
+export function isPrime(n) {
+  if (n < 2) return false;
+  if (n === 2) return true;
+  if (n % 2 === 0) return false;
+  for (let i = 3; i * i <= n; i += 2) {
+    if (n % i === 0) return false;
+  }
+  return true;
+}
+
+// Explicitly allowed coprimes for triadic sets (like Enigma device using 15 coprime to 3*5)
+// These are exceptions to the prime-only rule and must be explicitly chosen
+// Example: (11, 15, 17) where 15 is coprime to 3*5
+export const ALLOWED_COPRIMES = [12, 15]; // 12 is coprime to 5,7,11,13,17,19,23,29,31; 15 is coprime to 3*5
+
+// Validate triadic set: ensures all values are primes OR explicitly allowed coprimes
+// Triadic sets for prime exponentiation towers MUST be [p1, p2, p3] where p1, p2, p3 are primes
+// Exception: explicitly allowed coprimes (like 12 or 15) may be used if explicitly chosen
+// allowCoprimes: true for ALLOWED_COPRIMES, or a list of coprime exceptions (lattice presets)
+export function validateTriadicSet(triad, allowCoprimes = false) {
+  const coprimes = Array.isArray(allowCoprimes) ? allowCoprimes : allowCoprimes ? ALLOWED_COPRIMES : [];
+  if (!Array.isArray(triad) || triad.length !== 3) {
+    throw new Error(`Triadic set must be array of exactly 3 elements, got: ${JSON.stringify(triad)}`);
+  }
+  
+  for (const value of triad) {
+    if (!Number.isInteger(value) || value < 2) {
+      throw new Error(`Triadic set values must be integers >= 2, got: ${JSON.stringify(triad)}`);
+    }
+    
+    // Check if it's a prime
+    if (isPrime(value)) {
+      continue; // Valid prime
+    }
+    
+    // Check if it's an explicitly allowed coprime
+    if (coprimes.includes(value)) {
+      continue; // Valid coprime exception
+    }
+    
+    // Not a prime and not an allowed coprime
+    throw new Error(
+      `Triadic set contains non-prime value ${value} which is not an explicitly allowed coprime. ` +
+      `Triadic sets for prime exponentiation towers must contain primes. ` +
+      `Allowed coprimes (if explicitly chosen): ${(coprimes.length > 0 ? coprimes : ALLOWED_COPRIMES).join(', ')}. ` +
+      `Got: ${JSON.stringify(triad)}`
+    );
+  }
+  
+  return true;
+}
+
+// Count primes in dimension d
+function countPrimesInD(d) {
+  if (d < 0 || d >= PHI_D.length) return 0;
+  let count = 0;
+  for (let i = 0; i <= d; i++) {
+    if (isPrime(PHI_D[i])) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Calculate entropy of lattice points
+function calculateLatticeEntropy(d, historicalPrices) {
+  if (!historicalPrices || historicalPrices.length === 0) return 1;
+  
+  // Use price variance as entropy measure
+  const mean = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
+  const variance = historicalPrices.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / historicalPrices.length;
+  const entropy = Math.log2(Math.max(1, variance)) + 1;
+  
+  // Scale by dimension
+  return Math.max(1, entropy * (d + 1) / 12);
+}
+
+// Γ(n, d) - Lattice Density / Entropy
+export function calculateGamma(n, d, historicalPrices) {
+  const primeCount = countPrimesInD(d);
+  const entropy = calculateLatticeEntropy(d, historicalPrices);
+  return Math.log2(Math.max(1, primeCount) / Math.max(1, entropy));
+}
+
+// ν(λ) - Phonetic Value
+// Formula: ν(λ) = 3^λ mod 3
+// Also maps phonetic strings: ν(dub) = 3, ν(kubt) = 5, ν(k'anch) = 7
+function calculateNu(lambda) {
+  // Handle phonetic strings
+  if (lambda === 'dub') return 3;
+  if (lambda === 'kubt') return 5;
+  if (lambda === "k'anch" || lambda === "k'anchay") return 7;
+  
+  // For numeric lambda: ν(λ) = 3^λ mod 3
+  if (typeof lambda === 'number') {
+    return Math.pow(3, lambda) % 3;
+  }
+  
+  // Default fallback
+  return 3;
+}
+
+// Γ(k) - Möbius Duality Twist
+function calculateMobiusGamma(k) {
+  return Math.pow(-1, k);
+}
+
+// θ_n - Angle function
+export function calculateThetaN(n) {
+  const goldenRatio = (1 + Math.sqrt(5)) / 2;
+  return n * Math.PI * 2 * goldenRatio;
+}
+
+// θ(n, k, λ, ω, ψ) - Complete Theta Function
+// Formula: θ(n,k,λ,ω,ψ) = k·π·(1 + √5) + n·2π/12 + log3(ν(λ)) + ω/432 + p² - q²
+// Where p and q come from ψ (Plimpton triple)
+// psi can be: a number (depthPrime), an object {p, q}, or null (will use default depthPrime=31)
+export function calculateTheta(n, k, lambda, omega, psi, depthPrime = 31) {
+  const goldenRatio = (1 + Math.sqrt(5)) / 2; // (1 + √5)
+  const PI = Math.PI;
+  
+  // k·π·(1 + √5)
+  const term1 = k * PI * goldenRatio;
+  
+  // n·2π/12
+  const term2 = n * 2 * PI / 12;
+  
+  // log3(ν(λ)) = log(ν(λ)) / log(3)
+  const nuLambda = calculateNu(lambda);
+  // Handle case where nuLambda might be 0 (would cause log(0) = -Infinity)
+  const nuValue = nuLambda > 0 ? nuLambda : 1;
+  const term3 = Math.log(nuValue) / Math.log(3);
+  
+  // ω/432 (omega in Hz, default 144000 if not provided, but formula uses ω/432)
+  const omegaValue = omega || 144000;
+  const term4 = omegaValue / 432;
+  
+  // p² - q² from Plimpton triple (psi)
+  // Extract p and q from psi or depth prime
+  let term5 = 0;
+  if (psi && typeof psi === 'object' && psi.p && psi.q) {
+    // If psi is an object with p and q
+    term5 = psi.p * psi.p - psi.q * psi.q;
+  } else if (typeof psi === 'number') {
+    // If psi is a depth prime number, extract p and q
+    const idx = PRIME_STOPS.indexOf(psi);
+    const p = psi;
+    const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
+    term5 = p * p - q * q;
+  } else {
+    // Default: use depthPrime parameter or fallback to 31
+    const dp = depthPrime || 31;
+    const idx = PRIME_STOPS.indexOf(dp);
+    const p = dp;
+    const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
+    term5 = p * p - q * q;
+  }
+  
+  return term1 + term2 + term3 + term4 + term5;
+}
+
+// Z_n^(d) - The main lattice formula
+// Formula: Z_n^(d) = 3^((n-1)·2π/12/ln3) · cos((n-1)·2π/12 · Φ_d)
+// Exact formula from screenshots - no prime tower scaling
+export function calculateZ(n, d) {
+  if (d < 0 || d >= PHI_D.length) return 0;
+  
+  const phi_d = PHI_D[d];
+  
+  // Exponent: (n-1)·2π/12/ln3
+  const exponent = ((n - 1) * 2 * Math.PI / 12) / Math.log(3);
+  
+  // 3^exponent - direct calculation
+  const baseValue = Math.pow(3, exponent);
+  
+  // Cosine argument: (n-1)·2π/12 · Φ_d
+  const cosineArg = (n - 1) * 2 * Math.PI / 12 * phi_d;
+  
+  return baseValue * Math.cos(cosineArg);
+}
+
+// P_n^(d)(k) - Projection function
+// Formula: P_n^(d)(k) = [12^(θ(k,n)/ln(12) - ln(3))] · Π_{i=1}^d cos(θ(k,n) · φ_i)
+// Note: θ(k,n) means theta with k and n parameters (lambda=0, omega=144000, psi=null for basic version)
+export function calculateP(n, d, k, historicalPrices, lambda = 0, omega = 144000, psi = null) {
+  if (d < 0 || d >= PHI_D.length) return 0;
+  
+  // Calculate theta: θ(k,n) - note the parameter order in formula is θ(k,n)
+  const theta = calculateTheta(n, k, lambda, omega, psi);
+  
+  // Exponent: θ(k,n)/ln(12) - ln(3)
+  const exponent = theta / Math.log(12) - Math.log(3);
+  
+  // 12^exponent - direct calculation, no prime tower scaling
+  const baseTerm = Math.pow(12, exponent);
+  
+  // Product of cosines: Π_{i=1}^d cos(θ(k,n) · φ_i)
+  let product = 1;
+  for (let i = 0; i <= d && i < PHI_D.length; i++) {
+    product *= Math.cos(theta * PHI_D[i]);
+  }
+  
+  return baseTerm * product;
+}
+
+// L(n, d, k, λ) - Lattice Output function
+// Formula: L(n,d,k,λ) = 3^(θ(n,k,λ)) · Π_{i=1}^d cos(θ(n,k,λ) · φ_i) · Γ(k) · ν(λ) · Γ(n,d)
+// Exact formula from screenshots - no prime tower scaling, direct calculation
+export function calculateL(n, d, k, lambda, historicalPrices, omega = 144000, psi = null) {
+  if (d < 0 || d >= PHI_D.length) return 0;
+  
+  // Calculate theta with all parameters
+  const theta = calculateTheta(n, k, lambda, omega, psi);
+  
+  // 3^(θ(n,k,λ)) - direct exponentiation, no scaling
+  const threeToTheta = Math.pow(3, theta);
+  
+  // Product of cosines: Π_{i=1}^d cos(θ(n,k,λ) · φ_i)
+  let cosineProduct = 1;
+  for (let i = 0; i <= d && i < PHI_D.length; i++) {
+    cosineProduct *= Math.cos(theta * PHI_D[i]);
+  }
+  
+  // Γ(k) = (-1)^k (Möbius duality twist)
+  const gammaK = calculateMobiusGamma(k);
+  
+  // ν(λ) = 3^λ mod 3
+  const nuLambda = calculateNu(lambda);
+  
+  // Γ(n,d) = log₂(count of primes in d / entropy of lattice points)
+  const gammaND = calculateGamma(n, d, historicalPrices);
+  
+  // Complete formula: L(n,d,k,λ) = 3^θ · Π cos(θ·φ_i) · Γ(k) · ν(λ) · Γ(n,d)
+  return threeToTheta * cosineProduct * gammaK * nuLambda * gammaND;
+}
+
+// C(n, d, k, λ, ω, ψ) - Complete Crystalline function
+// Formula: C(n,d,k,λ,ω,ψ) = 3^(θ(n,k,λ,ω,ψ)) · Π_{i=1}^d [cos(θ(n,k,λ,ω,ψ) · φ_i)] · Γ(k) · ν(λ) · ω · Ψ(ψ) · Γ(n,d)
+export function calculateC(n, d, k, lambda, omega, psi, historicalPrices) {
+  if (d < 0 || d >= PHI_D.length) return 0;
+  
+  // Calculate theta with all parameters
+  const theta = calculateTheta(n, k, lambda, omega, psi);
+  
+  // 3^(θ(n,k,λ,ω,ψ))
+  const threeToTheta = Math.pow(3, theta);
+  
+  // Product of cosines: Π_{i=1}^d [cos(θ(n,k,λ,ω,ψ) · φ_i)]
+  let cosineProduct = 1;
+  for (let i = 0; i <= d && i < PHI_D.length; i++) {
+    cosineProduct *= Math.cos(theta * PHI_D[i]);
+  }
+  
+  // Γ(k) = (-1)^k
+  const gammaK = calculateMobiusGamma(k);
+  
+  // ν(λ) = 3^λ mod 3
+  const nuLambda = calculateNu(lambda);
+  
+  // ω term (omega value, normalized)
+  const omegaTerm = omega / 144000;
+  
+  // Ψ(ψ) - Plimpton triple generator
+  // If psi is a number (from psiFromDepth), we need to extract p and q
+  let psiValue = 1;
+  if (typeof psi === 'number') {
+    // psi is already (p² - q²) / (p² + q²) from psiPlimpton
+    // For Ψ(ψ), we use the Plimpton ratio
+    psiValue = psi;
+  } else if (psi && typeof psi === 'object' && psi.p && psi.q) {
+    // Calculate Plimpton ratio
+    const p2 = psi.p * psi.p;
+    const q2 = psi.q * psi.q;
+    psiValue = (p2 - q2) / (p2 + q2);
+  } else {
+    // Default: use depth prime
+    const depthPrime = 31;
+    const idx = PRIME_STOPS.indexOf(depthPrime);
+    const p = depthPrime;
+    const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
+    const p2 = p * p;
+    const q2 = q * q;
+    psiValue = (p2 - q2) / (p2 + q2);
+  }
+  
+  // Γ(n,d) = log₂(count of primes in d / entropy of lattice points)
+  const gammaND = calculateGamma(n, d, historicalPrices);
+  
+  // Complete formula: C(n,d,k,λ,ω,ψ) = 3^θ · Π cos(θ·φ_i) · Γ(k) · ν(λ) · ω · Ψ(ψ) · Γ(n,d)
+  return threeToTheta * cosineProduct * gammaK * nuLambda * omegaTerm * psiValue * gammaND;
+}
+
+// Complex number helper
+function complex(re, im) {
+  return { re, im };
+}
+
+// FFT implementation using complex numbers
+export function fftComplex(signal) {
+  const N = signal.length;
+  
+  if (N <= 1) {
+    return signal.map(x => typeof x === 'number' ? complex(x, 0) : x);
+  }
+  
+  // Ensure power of 2
+  const nextPowerOf2 = Math.pow(2, Math.ceil(Math.log2(N)));
+  const padded = signal.map(x => typeof x === 'number' ? complex(x, 0) : x);
+  while (padded.length < nextPowerOf2) {
+    padded.push(complex(0, 0));
+  }
+  const paddedN = padded.length;
+  
+  // Divide
+  const even = [];
+  const odd = [];
+  for (let i = 0; i < paddedN; i += 2) {
+    even.push(padded[i]);
+    if (i + 1 < paddedN) {
+      odd.push(padded[i + 1]);
+    }
+  }
+  
+  // Recursive FFT
+  const evenFFT = fftComplex(even);
+  const oddFFT = fftComplex(odd);
+  
+  // Combine
+  const result = new Array(paddedN);
+  for (let k = 0; k < paddedN / 2; k++) {
+    const angle = -2 * Math.PI * k / paddedN;
+    const twiddle = complex(Math.cos(angle), Math.sin(angle));
+    
+    // Multiply complex numbers
+    const oddK = oddFFT[k] || complex(0, 0);
+    const tRe = oddK.re * twiddle.re - oddK.im * twiddle.im;
+    const tIm = oddK.re * twiddle.im + oddK.im * twiddle.re;
+    const t = complex(tRe, tIm);
+    
+    const evenK = evenFFT[k] || complex(0, 0);
+    result[k] = complex(evenK.re + t.re, evenK.im + t.im);
+    result[k + paddedN / 2] = complex(evenK.re - t.re, evenK.im - t.im);
+  }
+  
+  return result;
+}
+
+// Calculate magnitude of FFT result
+export function fftMagnitude(fftResult) {
+  return fftResult.map(x => {
+    const re = typeof x === 'number' ? x : x.re;
+    const im = typeof x === 'number' ? 0 : x.im;
+    return Math.sqrt(re * re + im * im);
+  });
+}
+
+// Detect oscillations using FFT on the actual price signal
+export function detectOscillations(historicalPrices) {
+  if (!historicalPrices || historicalPrices.length < 8) return null;
+  
+  // Normalize the price signal (remove DC component and normalize)
+  const mean = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
+  const normalizedSignal = historicalPrices.map(p => p - mean);
+  const maxAmplitude = Math.max(...normalizedSignal.map(Math.abs));
+  if (maxAmplitude > 0) {
+    normalizedSignal.forEach((val, i) => {
+      normalizedSignal[i] = val / maxAmplitude;
+    });
+  }
+  
+  // Perform FFT on the normalized price signal
+  const fftResult = fftComplex(normalizedSignal);
+  const magnitudes = fftMagnitude(fftResult);
+  
+  // Extract dominant frequencies (peaks in frequency domain)
+  const N = normalizedSignal.length;
+  const sampleRate = 1; // 1 sample per time unit
+  const frequencies = [];
+  
+  // Only analyze first half (Nyquist limit)
+  for (let i = 1; i < Math.floor(N / 2); i++) {
+    const magnitude = magnitudes[i];
+    const frequency = (i * sampleRate) / N;
+    const period = frequency > 0 ? 1 / frequency : N;
+    
+    if (period >= 2 && period <= N / 2 && magnitude > 0.1) {
+      frequencies.push({
+        frequency,
+        period,
+        magnitude,
+        index: i
+      });
+    }
+  }
+  
+  // Sort by magnitude and get top oscillations
+  frequencies.sort((a, b) => b.magnitude - a.magnitude);
+  
+  // Return top 5 dominant oscillations
+  const oscillations = frequencies.slice(0, 5).map(freq => ({
+    period: freq.period,
+    frequency: freq.frequency,
+    strength: freq.magnitude,
+    magnitude: freq.magnitude
+  }));
+  
+  return oscillations.length > 0 ? oscillations : null;
+}
+
+// Find primes and coprimes for stabilized model based on FFT-detected oscillations
+function findStabilizedPrimes(oscillations, historicalPrices) {
+  if (!oscillations || oscillations.length === 0) {
+    return { primes: PHI_D.slice(0, 6), coprimes: [] };
+  }
+  
+  // Use all detected oscillations, weighted by their strength
+  const weightedPeriods = [];
+  oscillations.forEach(osc => {
+    const period = Math.round(osc.period);
+    const weight = osc.strength || osc.magnitude || 1;
+    if (period >= 2 && period <= 100) {
+      weightedPeriods.push({ period, weight });
+    }
+  });
+  
+  // Sort by weight and get dominant periods
+  weightedPeriods.sort((a, b) => b.weight - a.weight);
+  const dominantPeriods = weightedPeriods.slice(0, 5).map(wp => wp.period);
+  
+  const primes = [];
+  const coprimes = [];
+  const primeWeights = new Map();
+  
+  // Find prime factors of dominant periods (weighted by oscillation strength)
+  oscillations.forEach(osc => {
+    const period = Math.round(osc.period);
+    const weight = osc.strength || osc.magnitude || 1;
+    
+    // Find all prime factors
+    for (let i = 2; i <= period; i++) {
+      if (isPrime(i) && period % i === 0) {
+        const currentWeight = primeWeights.get(i) || 0;
+        primeWeights.set(i, currentWeight + weight);
+      }
+    }
+  });
+  
+  // Sort primes by weight and select top ones
+  const sortedPrimes = Array.from(primeWeights.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(entry => entry[0]);
+  
+  primes.push(...sortedPrimes.slice(0, 8));
+  
+  // Find coprimes that are relatively prime to ALL dominant periods
+  for (let i = 2; i <= 31; i++) {
+    if (primes.includes(i)) continue;
+    
+    let isCoprime = true;
+    for (const period of dominantPeriods) {
+      if (gcd(i, period) !== 1) {
+        isCoprime = false;
+        break;
+      }
+    }
+    if (isCoprime) {
+      coprimes.push(i);
+    }
+  }
+  
+  // Ensure we have sufficient primes/coprimes
+  if (primes.length === 0) {
+    primes.push(...PHI_D.slice(0, 6));
+  }
+  if (primes.length < 6) {
+    // Add default primes if needed
+    PHI_D.forEach(p => {
+      if (!primes.includes(p) && primes.length < 12) {
+        primes.push(p);
+      }
+    });
+  }
+  if (coprimes.length === 0) {
+    coprimes.push(7, 11, 13, 17, 19, 23);
+  }
+  
+  return { 
+    primes: primes.slice(0, 12), 
+    coprimes: coprimes.slice(0, 12),
+    dominantPeriods: dominantPeriods
+  };
+}
+
+// GCD helper function
+function gcd(a, b) {
+  while (b !== 0) {
+    const temp = b;
+    b = a % b;
+    a = temp;
+  }
+  return a;
+}
+
+// Iterations kept in stabilizedModel.history
+const STABILIZATION_HISTORY = 30;
+
+// Recursive stabilization function with FFT-based signal processing
+export function recursiveStabilization(historicalPrices, stabilizedModel, maxIterations = 10) {
+  // Ensure we always have a valid model
+  if (!stabilizedModel || typeof stabilizedModel !== 'object') {
+    stabilizedModel = {
+      primes: PHI_D.slice(0, 6),
+      coprimes: [],
+      lockedPoints: [],
+      lastOscillations: null,
+      iteration: 0,
+      signalStability: 0,
+    };
+  }
+  
+  // Ensure arrays exist
+  if (!Array.isArray(stabilizedModel.primes)) {
+    stabilizedModel.primes = PHI_D.slice(0, 6);
+  }
+  if (!Array.isArray(stabilizedModel.coprimes)) {
+    stabilizedModel.coprimes = [];
+  }
+  if (!Array.isArray(stabilizedModel.lockedPoints)) {
+    stabilizedModel.lockedPoints = [];
+  }
+  if (typeof stabilizedModel.iteration !== 'number') {
+    stabilizedModel.iteration = 0;
+  }
+  if (typeof stabilizedModel.signalStability !== 'number') {
+    stabilizedModel.signalStability = 0;
+  }
+  if (!Array.isArray(stabilizedModel.history)) {
+    stabilizedModel.history = [];
+  }
+  
+  // Perform FFT analysis on the actual price signal
+  const oscillations = detectOscillations(historicalPrices);
+  
+  if (!oscillations || oscillations.length === 0) {
+    // If no oscillations detected, return current model
+    return stabilizedModel;
+  }
+  
+  // Calculate signal stability (how consistent the oscillations are)
+  const oscillationStrengths = oscillations.map(o => o.strength || o.magnitude || 0);
+  const avgStrength = oscillationStrengths.reduce((a, b) => a + b, 0) / oscillationStrengths.length;
+  const stability = avgStrength;
+  
+  // Check if we need to recurse (new oscillations or improved stability)
+  const hasNewOscillation = !stabilizedModel.lastOscillations || 
+    JSON.stringify(oscillations) !== JSON.stringify(stabilizedModel.lastOscillations);
+  const improvedStability = stability > stabilizedModel.signalStability + 0.01;
+  const shouldRecurse = (hasNewOscillation || improvedStability) && stabilizedModel.iteration < maxIterations;
+  
+  if (shouldRecurse) {
+    // Recalculate primes/coprimes based on FFT-detected oscillations
+    const newPrimesCoprimes = findStabilizedPrimes(oscillations, historicalPrices);
+    
+    // Update stabilized model with new primes from signal analysis
+    if (newPrimesCoprimes && newPrimesCoprimes.primes && Array.isArray(newPrimesCoprimes.primes)) {
+      // Merge new primes with existing, prioritizing high-weight primes
+      const mergedPrimes = [...new Set([...newPrimesCoprimes.primes, ...stabilizedModel.primes])];
+      stabilizedModel.primes = mergedPrimes.slice(0, 12);
+    }
+    if (newPrimesCoprimes && newPrimesCoprimes.coprimes && Array.isArray(newPrimesCoprimes.coprimes)) {
+      const mergedCoprimes = [...new Set([...newPrimesCoprimes.coprimes, ...stabilizedModel.coprimes])];
+      stabilizedModel.coprimes = mergedCoprimes.slice(0, 12);
+    }
+    
+    stabilizedModel.lastOscillations = oscillations;
+    stabilizedModel.signalStability = stability;
+    stabilizedModel.iteration++;
+    
+    // Lock in key data points based on detected oscillation periods
+    const lockedPoints = [];
+    if (Array.isArray(historicalPrices) && historicalPrices.length > 2) {
+      // Use dominant periods to identify phase-aligned points
+      const dominantPeriods = newPrimesCoprimes?.dominantPeriods || [];
+      
+      for (let i = 1; i < historicalPrices.length - 1; i++) {
+        const isLocalMin = historicalPrices[i] < historicalPrices[i - 1] && 
+                           historicalPrices[i] < historicalPrices[i + 1];
+        const isLocalMax = historicalPrices[i] > historicalPrices[i - 1] && 
+                           historicalPrices[i] > historicalPrices[i + 1];
+        
+        // Check if point aligns with detected oscillation periods
+        let phaseAligned = false;
+        for (const period of dominantPeriods) {
+          if (period > 0 && (i % Math.round(period)) < 2) {
+            phaseAligned = true;
+            break;
+          }
+        }
+        
+        if ((isLocalMin || isLocalMax) && phaseAligned) {
+          lockedPoints.push({ 
+            index: i, 
+            price: historicalPrices[i], 
+            type: isLocalMin ? 'min' : 'max',
+            phase: i % (dominantPeriods[0] || 1)
+          });
+        }
+      }
+    }
+    stabilizedModel.lockedPoints = lockedPoints.slice(-30); // Keep last 30 phase-aligned points
+    
+    // Record each refinement so the spectral panel can show how the model moved
+    stabilizedModel.history = [...stabilizedModel.history, {
+      iteration: stabilizedModel.iteration,
+      signalStability: stability,
+      periods: oscillations.map(o => o.period),
+      primes: [...stabilizedModel.primes],
+      coprimes: [...stabilizedModel.coprimes],
+      lockedPoints: stabilizedModel.lockedPoints.length,
+    }].slice(-STABILIZATION_HISTORY);
+    
+    // Recursively call with updated model to further refine
+    return recursiveStabilization(historicalPrices, stabilizedModel, maxIterations);
+  }
+  
+  return stabilizedModel;
+}
+
+// Calculate price ratio normalization factor
+function calculateNormalizationFactor(historicalPrices, projectedValue) {
+  const minPrice = Math.min(...historicalPrices);
+  const maxPrice = Math.max(...historicalPrices);
+  const priceRange = maxPrice - minPrice;
+  const lastPrice = historicalPrices[historicalPrices.length - 1];
+  const avgPrice = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
+  
+  // Calculate ratio of projection to real-time price scale
+  const projectionRatio = Math.abs(projectedValue - lastPrice) / lastPrice;
+  const historicalVolatility = priceRange / avgPrice;
+  
+  // Normalize based on historical volatility
+  const normalizationFactor = Math.min(1, historicalVolatility / Math.max(0.01, projectionRatio));
+  
+  return normalizationFactor;
+}
+
+// Detect oscillations in projection data
+export function detectProjectionOscillations(projections, threshold = 0.02) {
+  if (!projections || projections.length < 4) return null;
+  
+  const oscillations = [];
+  const changes = [];
+  
+  // Calculate price changes
+  for (let i = 1; i < projections.length; i++) {
+    const change = (projections[i] - projections[i - 1]) / projections[i - 1];
+    changes.push(change);
+  }
+  
+  // Detect periodic patterns in changes
+  for (let period = 2; period <= Math.min(20, changes.length / 2); period++) {
+    let oscillationStrength = 0;
+    let matches = 0;
+    
+    for (let i = period; i < changes.length; i++) {
+      const current = changes[i];
+      const previous = changes[i - period];
+      const similarity = 1 - Math.abs(current - previous) / (Math.abs(current) + Math.abs(previous) + 0.0001);
+      if (similarity > 0.5) {
+        oscillationStrength += similarity;
+        matches++;
+      }
+    }
+    
+    if (matches > 0) {
+      const avgStrength = oscillationStrength / matches;
+      if (avgStrength > threshold) {
+        oscillations.push({ period, strength: avgStrength });
+      }
+    }
+  }
+  
+  return oscillations.length > 0 ? oscillations.sort((a, b) => b.strength - a.strength) : null;
+}
+
+// Detect price jump (discontinuity) in projection
+function detectPriceJump(historicalPrices, projections, jumpThreshold = 0.05) {
+  if (!projections || projections.length === 0 || !historicalPrices || historicalPrices.length === 0) {
+    return false;
+  }
+  
+  const lastPrice = historicalPrices[historicalPrices.length - 1];
+  const firstProjection = projections[0];
+  
+  // Check if first projection has significant jump from last price
+  const jump = Math.abs(firstProjection - lastPrice) / lastPrice;
+  if (jump > jumpThreshold) {
+    return true;
+  }
+  
+  // Check for jumps within projections
+  for (let i = 1; i < Math.min(5, projections.length); i++) {
+    const change = Math.abs(projections[i] - projections[i - 1]) / projections[i - 1];
+    if (change > jumpThreshold * 2) {
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+// Recursive self-similar lattice calculation at depth level
+// Uses correct L(n,d,k,λ) formula: 3^(θ(n,k,λ)) · Π_{i=1}^d cos(θ(n,k,λ) · φ_i) · Γ(k) · ν(λ) · Γ(n,d)
+function recursiveLatticeLayer(n, d, k, lambda, depth, maxDepth, effectivePrimes, historicalPrices, omega = 144000, psi = null) {
+  if (depth > maxDepth) return 1;
+  
+  // Self-similar scaling factor based on depth (fractal structure)
+  const depthScale = Math.pow(2, -depth); // Each layer is half the scale (self-similar)
+  
+  // Calculate theta with correct formula: θ(n,k,λ,ω,ψ) = k·π·(1 + √5) + n·2π/12 + log3(ν(λ)) + ω/432 + p² - q²
+  const baseTheta = calculateTheta(n, k, lambda, omega, psi);
+  // Apply self-similar scaling at this depth
+  const theta = baseTheta * depthScale;
+  
+  // 3^(θ(n,k,λ)) - direct exponentiation, no prime tower scaling
+  const threeToTheta = Math.pow(3, theta);
+  
+  // Recursive cosine product with self-similar structure
+  let cosineProduct = 1;
+  for (let i = 0; i <= d && i < effectivePrimes.length; i++) {
+    const phi = effectivePrimes[i];
+    // Current layer contribution with self-similar scaling
+    const layerContribution = Math.cos(theta * phi * depthScale);
+    cosineProduct *= layerContribution;
+    
+      // Recursively calculate next layer if not at max depth (self-similar recursion)
+      if (depth < maxDepth) {
+        // Recursive layer uses same L(n,d,k,λ) formula with self-similar scaling
+        const recursiveLayer = recursiveLatticeLayer(n, d, k, lambda, depth + 1, maxDepth, effectivePrimes, historicalPrices, omega, psi);
+        // Multiply by recursive contribution (self-similar structure)
+        cosineProduct *= recursiveLayer;
+      }
+  }
+  
+  // Apply gamma and nu with correct formulas
+  const gammaK = calculateMobiusGamma(k);
+  const nuLambda = calculateNu(lambda); // ν(λ) = 3^λ mod 3
+  const gammaND = calculateGamma(n, d, historicalPrices);
+  
+  // Combine with recursive self-similar structure
+  // Each layer contributes with its depth scale (fractal structure)
+  // Using L(n,d,k,λ) formula: 3^θ · Π cos(θ·φ_i) · Γ(k) · ν(λ) · Γ(n,d)
+  return threeToTheta * cosineProduct * gammaK * nuLambda * gammaND * depthScale;
+}
+
+// Terms of an advanced projection step, in price units; like CRYSTALLINE_TERMS each step's
+// terms add up to its offset from the last price. The lattice move of a step is split between
+// Z, L and P (and the iteration wobble) in proportion to their weighted share of the combined
+// factor zValue*0.4 + lSum*0.3 + pValue*0.3; the adjustments after it are measured directly.
+export const ADVANCED_TERMS = [
+  { id: 'z', label: 'Z', description: 'Z_n^(d) = 3^(...)·cos(...·Φ_d), weight 0.4' },
+  { id: 'l', label: 'L', description: 'Recursive lattice layers L(n,d,k,λ), weight 0.3' },
+  { id: 'p', label: 'P', description: 'P_n^(d)(k) = 12^(...)·Π cos(θ·φ_i), weight 0.3' },
+  { id: 'wobble', label: 'Wobble', description: 'Per-iteration oscillation added to the combined factor' },
+  { id: 'locked', label: 'Locked points', description: 'Pull toward recent phase-locked prices' },
+  { id: 'blend', label: 'Iteration blend', description: 'Blend with the previous iteration of the step' },
+  { id: 'continuity', label: 'Continuity', description: 'Cap on the move from the previous step' },
+  { id: 'trend', label: 'Trend', description: 'Recent average return' },
+  { id: 'cycle', label: 'Cycle', description: 'Final 12-step sine oscillation' },
+  { id: 'bounds', label: 'Bounds', description: 'Clamp to 0.5x–2x the last price' },
+];
+
+// Advanced projection using 12-fold crystalline periodic lattice with recursive self-similar structure
+// onProgress(pass, maxRecursions) is called after each oscillation-minimizing pass
+// Returns { projections, stabilizedModel, breakdown } with one { terms } per step (see ADVANCED_TERMS)
+export function calculateAdvancedProjection(historicalPrices, projectionSteps, stabilizedModel = null, maxRecursions = 10, onProgress = null) {
+  if (historicalPrices.length < 12) {
+    return calculateSimpleProjection(historicalPrices, projectionSteps);
+  }
+
+  const n = historicalPrices.length;
+  const lastPrice = historicalPrices[n - 1];
+  
+  // Perform recursive stabilization to get initial model
+  let model = recursiveStabilization(historicalPrices, stabilizedModel);
+  
+  // Use stabilized primes/coprimes
+  let effectivePrimes = (model.primes && Array.isArray(model.primes) && model.primes.length > 0) 
+    ? model.primes 
+    : PHI_D.slice(0, 6);
+  const effectiveCoprimes = (model.coprimes && Array.isArray(model.coprimes)) 
+    ? model.coprimes 
+    : [];
+  
+  let projections = [];
+  let breakdown = [];
+  let oscillationDetected = true;
+  let recursionCount = 0;
+  const maxOscillationIterations = maxRecursions;
+  
+  // Recursive loop: continue until oscillation is minimized
+  while (oscillationDetected && recursionCount < maxOscillationIterations) {
+    projections = [];
+    breakdown = [];
+    const minPrice = Math.min(...historicalPrices);
+    const maxPrice = Math.max(...historicalPrices);
+    const priceRange = maxPrice - minPrice;
+    const avgPrice = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
+    const historicalVolatility = priceRange / avgPrice;
+    const scaleFactor = Math.max(0.01, Math.min(1, historicalVolatility * 0.1));
+    
+    // Calculate projections using recursive self-similar structure
+    for (let step = 1; step <= projectionSteps; step++) {
+      // RECURSIVE LOOP FOR EACH STEP: Iterate multiple times to create oscillations
+      let stepProjection = null;
+      let stepIteration = 0;
+      const maxStepIterations = 5; // Recursive iterations per step
+      const stepOscillationTarget = 0.01; // Target oscillation amplitude
+      
+      // Start with previous projection or last price
+      let previousStepPrice = step === 1 ? lastPrice : (projections[step - 2] || lastPrice);
+      // Moves from previousStepPrice by term, summed over the step's iterations, for the breakdown
+      let stepMoves = null;
+      
+      // Recursive loop for this specific step
+      while (stepIteration < maxStepIterations) {
+        let weightedSum = 0;
+        let totalWeight = 0;
+        // Weighted lattice move by term: each dimension's move split by share of its combined factor
+        const factorParts = { z: 0, l: 0, p: 0, wobble: 0 };
+        const iterationBase = stepIteration === 0 ? previousStepPrice : (stepProjection || previousStepPrice);
+        
+        // Recursive self-similar calculation for each dimension
+        for (let d = 0; d < effectivePrimes.length; d++) {
+          const n_new = n + step;
+          const phi_d = effectivePrimes[d];
+          
+          // Add iteration-based phase shift to create oscillations
+          const phaseShift = stepIteration * Math.PI / (2 * maxStepIterations);
+          const oscillationPhase = Math.sin(phaseShift) * 0.1; // Small oscillation component
+          
+          // Z calculation using exact formula: Z_n^(d) = 3^((n-1)·2π/12/ln3) · cos((n-1)·2π/12 · Φ_d)
+          // No prime tower scaling - direct calculation as per FORMULA_REFINEMENTS.md
+          const exponent = ((n_new - 1) * 2 * Math.PI / 12) / Math.log(3);
+          const cosineArg = (n_new - 1) * 2 * Math.PI / 12 * phi_d + oscillationPhase;
+          const baseValue = Math.pow(3, exponent); // Direct calculation, no scaling
+          const zValue = baseValue * Math.cos(cosineArg);
+          
+          // L function with recursive self-similar structure (3 layers deep)
+          // Add recursive iteration depth for more oscillations
+          let lSum = 0;
+          const kValues = [0, 1, 2, 3];
+          for (const k of kValues) {
+            const lambda = d % 3;
+            // Recursive self-similar calculation with increased depth based on iteration
+            const recursiveDepth = 2 + Math.floor(stepIteration / 2); // Increase depth with iterations
+            const recursiveL = recursiveLatticeLayer(n_new, d, k, lambda, 0, recursiveDepth, effectivePrimes, historicalPrices);
+            lSum += recursiveL;
+          }
+          
+          // P function using exact formula: P_n^(d)(k) = [12^(θ(k,n)/ln(12) - ln(3))] · Π_{i=1}^d cos(θ(k,n) · φ_i)
+          // No prime tower scaling - direct calculation as per FORMULA_REFINEMENTS.md
+          const thetaBase = calculateTheta(n_new, step, 0, 144000, 0);
+          const theta = thetaBase + oscillationPhase * phi_d; // Modulate theta with oscillation
+          const exponentP = theta / Math.log(12) - Math.log(3);
+          const baseTerm = Math.pow(12, exponentP); // Direct calculation, no scaling
+          
+          let product = 1;
+          for (let i = 0; i <= d && i < effectivePrimes.length; i++) {
+            product *= Math.cos(theta * effectivePrimes[i]);
+          }
+          const pValue = baseTerm * product;
+          
+          // Combine with weights - add oscillation component
+          const weight = Math.abs(zValue) + Math.abs(lSum) / kValues.length + Math.abs(pValue);
+          const oscillationComponent = Math.sin(stepIteration * Math.PI / maxStepIterations) * stepOscillationTarget;
+          const combinedFactor = (zValue * 0.4 + lSum * 0.3 + pValue * 0.3) + oscillationComponent;
+          
+          // Normalize change factor
+          const rawChangeFactor = combinedFactor / 100;
+          const normalizedChangeFactor = rawChangeFactor * scaleFactor;
+          const stepChangeFactor = Math.max(-0.05, Math.min(0.05, normalizedChangeFactor));
+          
+          // Use previous iteration result or last price as base
+          const basePrice = stepIteration === 0 ? previousStepPrice : (stepProjection || previousStepPrice);
+          const projection = basePrice * Math.pow(1 + stepChangeFactor, 1); // Single step change
+          
+          // Apply normalization
+          const normalizationFactor = calculateNormalizationFactor(historicalPrices, projection);
+          const normalizedProjection = basePrice + (projection - basePrice) * normalizationFactor;
+          
+          weightedSum += normalizedProjection * weight;
+          totalWeight += weight;
+
+          // A zero or overflowing factor leaves the dimension's move with its largest part
+          const parts = { z: zValue * 0.4, l: lSum * 0.3, p: pValue * 0.3, wobble: oscillationComponent };
+          const dimensionMove = (normalizedProjection - basePrice) * weight;
+          if (Number.isFinite(combinedFactor) && combinedFactor !== 0) {
+            for (const id in parts) factorParts[id] += dimensionMove * (parts[id] / combinedFactor);
+          } else {
+            const largest = Object.keys(parts).reduce((a, b) => (Math.abs(parts[b]) > Math.abs(parts[a]) ? b : a));
+            factorParts[largest] += dimensionMove;
+          }
+        }
+        
+        // Calculate base projection for this iteration
+        let baseProjection = totalWeight > 0 ? weightedSum / totalWeight : previousStepPrice;
+        const latticePrice = baseProjection;
+        
+        // Apply locked points influence
+        if (model.lockedPoints && Array.isArray(model.lockedPoints) && model.lockedPoints.length > 0) {
+          const recentLocked = model.lockedPoints.slice(-5);
+          const lockedInfluence = recentLocked.reduce((sum, point) => {
+            const distance = Math.abs((n + step) - point.index);
+            const weight = Math.exp(-distance / 10);
+            return sum + point.price * weight;
+          }, 0) / recentLocked.reduce((sum, point) => {
+            const distance = Math.abs((n + step) - point.index);
+            return sum + Math.exp(-distance / 10);
+          }, 0);
+          
+          baseProjection = baseProjection * 0.7 + lockedInfluence * 0.3;
+        }
+        const lockedPrice = baseProjection;
+        
+        // Apply recursive refinement: blend with previous iteration
+        if (stepIteration > 0 && stepProjection !== null) {
+          // Blend current with previous iteration to create smooth oscillations
+          const blendFactor = 0.6; // 60% new, 40% previous
+          baseProjection = baseProjection * blendFactor + stepProjection * (1 - blendFactor);
+        }
+        const blendedPrice = baseProjection;
+        
+        // Ensure smooth continuity - no jumps
+        if (step === 1) {
+          // First projection must be very close to last price
+          const maxDeviation = lastPrice * 0.05;
+          if (Math.abs(baseProjection - lastPrice) > maxDeviation) {
+            baseProjection = lastPrice + Math.sign(baseProjection - lastPrice) * maxDeviation;
+          }
+        } else {
+          // Subsequent projections should be smooth but allow oscillations
+          const prevProjection = projections[step - 2];
+          const maxStepChange = prevProjection * 0.08; // Allow up to 8% change for oscillations
+          const change = baseProjection - prevProjection;
+          if (Math.abs(change) > maxStepChange) {
+            baseProjection = prevProjection + Math.sign(change) * maxStepChange;
+          }
+        }
+        
+        // This iteration's moves on top of the earlier ones; Z also takes what the weighted
+        // parts leave of the lattice move (rounding, or no weight at all)
+        const lattice = totalWeight > 0
+          ? Object.fromEntries(Object.entries(factorParts).map(([id, part]) => [id, part / totalWeight]))
+          : { z: 0, l: 0, p: 0, wobble: 0 };
+        lattice.z += latticePrice - iterationBase - (lattice.z + lattice.l + lattice.p + lattice.wobble);
+        const iterationMoves = {
+          ...lattice,
+          locked: lockedPrice - latticePrice,
+          blend: blendedPrice - lockedPrice,
+          continuity: baseProjection - blendedPrice,
+        };
+        stepMoves = Object.fromEntries(Object.entries(iterationMoves).map(([id, move]) => [id, (stepMoves?.[id] || 0) + move]));
+        
+        // Store this iteration's result
+        stepProjection = baseProjection;
+        stepIteration++;
+      }
+      
+      // Apply trend with oscillation preservation
+      const recentPrices = historicalPrices.slice(-12);
+      const recentTrend = recentPrices.length > 1 
+        ? recentPrices.reduce((sum, price, idx, arr) => {
+            if (idx === 0) return 0;
+            return sum + (price - arr[idx - 1]) / arr[idx - 1];
+          }, 0) / (recentPrices.length - 1)
+        : 0;
+      
+      const normalizedTrend = recentTrend * scaleFactor * 0.1;
+      // Apply trend but preserve oscillations from recursive loop
+      let projectedPrice = stepProjection * (1 + normalizedTrend);
+      const trendedPrice = projectedPrice;
+      
+      // Add final oscillation component to ensure visible oscillations
+      const finalOscillation = Math.sin(step * Math.PI / 6) * stepOscillationTarget * projectedPrice;
+      projectedPrice = projectedPrice + finalOscillation * 0.3; // 30% oscillation strength
+      const cycledPrice = projectedPrice;
+      
+      // Final bounds check
+      projectedPrice = Math.max(lastPrice * 0.5, Math.min(lastPrice * 2, projectedPrice));
+      projections.push(Math.max(0, projectedPrice));
+
+      // Terms as offsets from the last price: the previous step's plus this step's moves
+      const moves = {
+        ...stepMoves,
+        trend: trendedPrice - stepProjection,
+        cycle: cycledPrice - trendedPrice,
+        bounds: Math.max(0, projectedPrice) - cycledPrice,
+      };
+      const previousTerms = breakdown[step - 2]?.terms;
+      breakdown.push({
+        terms: Object.fromEntries(ADVANCED_TERMS.map(({ id }) => [id, (previousTerms?.[id] || 0) + moves[id]])),
+      });
+    }
+    
+    onProgress?.(recursionCount + 1, maxOscillationIterations);
+
+    // Detect oscillations in projections with stricter threshold
+    const projectionOscillations = detectProjectionOscillations(projections, 0.15);
+    const hasPriceJump = detectPriceJump(historicalPrices, projections, 0.03);
+    
+    // Calculate oscillation strength
+    const maxOscillationStrength = projectionOscillations && projectionOscillations.length > 0 
+      ? projectionOscillations[0].strength 
+      : 0;
+    
+    // Continue recursing if oscillation is significant (strength > 0.15) or price jump detected
+    if ((projectionOscillations && projectionOscillations.length > 0 && maxOscillationStrength > 0.15) || 
+        (hasPriceJump && recursionCount < maxOscillationIterations)) {
+      
+      if (projectionOscillations && projectionOscillations.length > 0) {
+        // Use dominant oscillation frequency to identify prime
+        const dominantOsc = projectionOscillations[0];
+        const oscillationPeriod = Math.round(dominantOsc.period);
+        
+        // Find prime closest to oscillation period (the frequency indicates the prime)
+        let bestPrime = effectivePrimes[0];
+        let minDiff = Math.abs(oscillationPeriod - bestPrime);
+        
+        // Also check all primes in PHI_D if not in effectivePrimes
+        for (const prime of [...effectivePrimes, ...PHI_D]) {
+          const diff = Math.abs(oscillationPeriod - prime);
+          if (diff < minDiff) {
+            minDiff = diff;
+            bestPrime = prime;
+          }
+        }
+        
+        // Reorder primes to prioritize the oscillation-indicated prime
+        const newPrimes = [bestPrime, ...effectivePrimes.filter(p => p !== bestPrime)];
+        effectivePrimes = newPrimes.slice(0, 12);
+        
+        // Reassess anchors and k values with new prime priority
+        model = recursiveStabilization(historicalPrices, {
+          ...model,
+          primes: effectivePrimes,
+          iteration: (model.iteration || 0) + 1,
+          lastOscillations: projectionOscillations
+        });
+      } else if (hasPriceJump) {
+        // Price jump detected - reassess everything including k values
+        model = recursiveStabilization(historicalPrices, {
+          ...model,
+          iteration: (model.iteration || 0) + 1,
+          lastOscillations: null // Force re-detection
+        });
+        
+        // Recalculate effective primes from fresh analysis
+        effectivePrimes = (model.primes && Array.isArray(model.primes) && model.primes.length > 0) 
+          ? model.primes 
+          : PHI_D.slice(0, 6);
+      }
+      
+      oscillationDetected = true;
+      recursionCount++;
+    } else {
+      // Oscillation is minimized (strength <= 0.15) and no price jump - we're done
+      oscillationDetected = false;
+    }
+  }
+  
+  return { projections, stabilizedModel: model, breakdown };
+}
+
+// Per-step return distributions for the Monte Carlo paths
+export const RETURN_MODELS = ['normal', 'studentt', 'bootstrap', 'garch'];
+
+// GARCH(1,1) fit by a coarse likelihood grid with variance targeting:
+// h[t] = ω + α·ε[t-1]² + β·h[t-1], ω = σ²·(1 - α - β)
+// Returns { omega, alpha, beta, variance } where variance is the conditional variance
+// for the next (first projected) step
+export function fitGarch(returns) {
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const residuals = returns.map(r => r - mean);
+  const sampleVariance = residuals.reduce((sum, e) => sum + e * e, 0) / residuals.length || 1e-12;
+
+  const filter = (alpha, beta) => {
+    const omega = sampleVariance * (1 - alpha - beta);
+    let h = sampleVariance;
+    let logLikelihood = 0;
+    for (const e of residuals) {
+      logLikelihood -= Math.log(h) + (e * e) / h;
+      h = omega + alpha * e * e + beta * h;
+    }
+    return { omega, alpha, beta, variance: h, logLikelihood };
+  };
+
+  let best = null;
+  for (let alpha = 0.02; alpha <= 0.3; alpha += 0.02) {
+    for (let beta = 0.5; beta <= 0.98 && alpha + beta < 0.999; beta += 0.02) {
+      const fit = filter(alpha, beta);
+      if (!best || fit.logLikelihood > best.logLikelihood) best = fit;
+    }
+  }
+  const { logLikelihood: _logLikelihood, ...fit } = best;
+  return fit;
+}
+
+// Monte Carlo paths for price projection: `simulations` arrays of projectionSteps prices,
+// the first step being the bar after the last historical price
+// options.random replaces Math.random (a seeded generator makes runs repeatable);
+// options.returnModel picks the return distribution (see RETURN_MODELS):
+//   normal    - Gaussian with the historical mean and standard deviation
+//   studentt  - fat-tailed Student-t (options.degreesOfFreedom), scaled to the same variance
+//   bootstrap - historical returns resampled with replacement
+//   garch     - Gaussian shocks with GARCH(1,1) volatility clustering (see fitGarch)
+// options.onProgress(done, total) is called every few hundred paths
+export function simulateMonteCarloPaths(
+  historicalPrices,
+  projectionSteps,
+  simulations = 10000,
+  { random = Math.random, returnModel = 'normal', degreesOfFreedom = 5, onProgress = null } = {}
+) {
+  if (historicalPrices.length < 2) {
+    return [Array(projectionSteps).fill(historicalPrices[historicalPrices.length - 1] || 0)];
+  }
+
+  // Calculate returns from historical data
+  const returns = [];
+  for (let i = 1; i < historicalPrices.length; i++) {
+    const returnValue = (historicalPrices[i] - historicalPrices[i - 1]) / historicalPrices[i - 1];
+    returns.push(returnValue);
+  }
+
+  // Calculate statistics
+  const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / returns.length;
+  const stdDev = Math.sqrt(variance);
+  const lastPrice = historicalPrices[historicalPrices.length - 1];
+  const garch = returnModel === 'garch' ? fitGarch(returns) : null;
+  // Student-t variance is ν/(ν-2); rescale so the draws keep the historical variance
+  const tScale = degreesOfFreedom > 2 ? Math.sqrt((degreesOfFreedom - 2) / degreesOfFreedom) : 1;
+
+  // One path's return generator; GARCH carries its conditional variance along the path
+  const createReturnSampler = () => {
+    switch (returnModel) {
+      case 'studentt':
+        return () => meanReturn + stdDev * tScale * studentTRandom(random, degreesOfFreedom);
+      case 'bootstrap':
+        return () => returns[Math.floor(random() * returns.length)];
+      case 'garch': {
+        let h = garch.variance;
+        return () => {
+          const shock = Math.sqrt(h) * normalRandom(random);
+          h = garch.omega + garch.alpha * shock * shock + garch.beta * h;
+          return meanReturn + shock;
+        };
+      }
+      case 'normal':
+        return () => meanReturn + stdDev * normalRandom(random);
+      default:
+        throw new Error(`Unknown return model: ${returnModel}`);
+    }
+  };
+
+  // Run Monte Carlo simulations (typed arrays keep 10,000 long paths affordable)
+  const simulationResults = [];
+  
+  for (let sim = 0; sim < simulations; sim++) {
+    let currentPrice = lastPrice;
+    const path = new Float64Array(projectionSteps);
+    const nextReturn = createReturnSampler();
+    
+    for (let step = 0; step < projectionSteps; step++) {
+      const randomReturn = nextReturn();
+      
+      // Apply return with drift
+      currentPrice = currentPrice * (1 + randomReturn);
+      path[step] = Math.max(0, currentPrice);
+    }
+    
+    simulationResults.push(path);
+    if (onProgress && (sim + 1) % 250 === 0) onProgress(sim + 1, simulations);
+  }
+
+  return simulationResults;
+}
+
+// Expected value (mean) of Monte Carlo paths at each step
+export function getMeanPath(paths, projectionSteps) {
+  const projections = [];
+  for (let step = 0; step < projectionSteps; step++) {
+    const meanPrice = paths.reduce((sum, path) => sum + path[step], 0) / paths.length;
+    projections.push(Math.max(0, meanPrice));
+  }
+  return projections;
+}
+
+// Monte Carlo Simulation for price projection: the mean of simulateMonteCarloPaths
+export function calculateMonteCarloProjection(historicalPrices, projectionSteps, simulations = 10000, options = {}) {
+  return getMeanPath(simulateMonteCarloPaths(historicalPrices, projectionSteps, simulations, options), projectionSteps);
+}
+
+// Prime Tetration Projection using multiple triads (11-13 projection lines)
+// lattice overrides the φ-vector, λ and ω schedules and coprime exceptions (engine/lattice.js)
+// explain adds each line's per-step term breakdown; tower sets the amplitude modulus and
+// guard bits ({ modulus, bits, guardBits }, engine/tower.js)
+export function calculatePrimeTetrationProjection(
+  historicalPrices, 
+  horizon, 
+  base, 
+  triads, 
+  beta = 0.01,
+  depthPrime = 31,
+  baseOmegaHz = 432,
+  useLambdaSchedule = true,
+  useOmegaSchedule = false,
+  lattice = null,
+  explain = false,
+  tower = DEFAULT_TOWER_OPTIONS
+) {
+  const phiVector = lattice?.phiVector || PHI_VEC;
+  const lambdaSchedule = lattice?.lambdaSchedule || LAMBDA_DEFAULT;
+  const omegaSchedule = lattice?.omegaSchedule || [432, 528, 432, 528];
+  const coprimes = lattice?.coprimes || false;
+
+  if (historicalPrices.length < 2) {
+    return { lines: [] };
+  }
+
+  const lastPrice = historicalPrices[historicalPrices.length - 1];
+  const lines = [];
+
+  // Build projections for each triad using improved crystalline engine
+  for (let li = 0; li < triads.length; li++) {
+    const triad = triads[li];
+    const A = amplitudeFromTriad(base, triad, coprimes, tower);
+    const aSym = towerToSymmetric(A, tower); // [-1,1), guard bits truncated
+
+    // Use the improved crystalline projection engine
+    // Vary omega for each projection if schedule is enabled
+    const omegaHz = useOmegaSchedule 
+      ? baseOmegaHz + (li * 96)  // 432, 528, 624, 720, ...
+      : baseOmegaHz;              // Fixed frequency
+    const decimals = 8;
+    
+    try {
+      const projectionPoints = computeCrystallineProjection({
+        lastPrice,
+        depthPrime,
+        omegaHz,
+        triad,
+        decimals,
+        lambdaSchedule: useLambdaSchedule ? lambdaSchedule : ['dub'],
+        omegaSchedule: useOmegaSchedule ? omegaSchedule : null,
+        phiVector,
+        N: horizon,
+        explain
+      });
+      
+      // Extract prices from points
+      const prices = projectionPoints.map(pt => pt.y);
+      const q8Points = prices.map(toQ8);
+      
+      // Calculate oscillation stats
+      let zeroCross = 0;
+      let extrema = 0;
+      
+      for (let n = 1; n < prices.length; n++) {
+        const Z = latticeOscillatorZ(n, phiVector);
+        const prevZ = latticeOscillatorZ(n - 1, phiVector);
+        
+        // Zero crossings
+        if ((Z > 0 && prevZ <= 0) || (Z < 0 && prevZ >= 0)) {
+          zeroCross++;
+        }
+        
+        // Turning points (local extrema)
+        if (n > 1 && n < prices.length - 1) {
+          const prev = prices[n - 1];
+          const curr = prices[n];
+          const next = prices[n + 1];
+          
+          if ((curr > prev && curr > next) || (curr < prev && curr < next)) {
+            extrema++;
+          }
+        }
+      }
+
+      lines.push({
+        triad, // [p1, p2, p3]
+        base, // 2 or 3
+        aQ8: truncateAmplitude(A, tower).toString(), // truncated amplitude
+        pointsQ8: q8Points, // projected prices in Q8 integers
+        points: prices, // float prices for display
+        zeroCrossings: zeroCross,
+        turningPoints: extrema,
+        omega: omegaHz, // Store omega used for this projection
+        depthPrime, // Store depth prime used
+        // Per-step term breakdown ({ terms, factors }, see CRYSTALLINE_TERMS) when explain is on
+        breakdown: explain ? projectionPoints.map(({ terms, factors }) => ({ terms, factors })) : null
+      });
+    } catch (err) {
+      console.error(`Failed to compute crystalline projection for triad ${triad}:`, err);
+      // Fallback to simple projection
+      let p = lastPrice;
+      const q8Points = [];
+      let zeroCross = 0;
+      let extrema = 0;
+
+      for (let n = 1; n <= horizon; n++) {
+        const Z = latticeOscillatorZ(n, phiVector);
+        const delta = beta * aSym * Z;
+        p = p * (1 + delta);
+        const q8 = toQ8(p);
+        q8Points.push(q8);
+
+        if (n > 1) {
+          const prevZ = latticeOscillatorZ(n - 1, phiVector);
+          if ((Z > 0 && prevZ <= 0) || (Z < 0 && prevZ >= 0)) zeroCross++;
+        }
+      }
+
+      lines.push({
+        triad,
+        base,
+        aQ8: truncateAmplitude(A, tower).toString(),
+        pointsQ8: q8Points,
+        points: q8Points.map(fromQ8),
+        zeroCrossings: zeroCross,
+        turningPoints: extrema
+      });
+    }
+  }
+
+  return {
+    symbol: null, // will be set by caller
+    lastPriceQ8: toQ8(lastPrice),
+    beta,
+    horizon,
+    lines
+  };
+}
+
+// Simple linear regression fallback
+export function calculateSimpleProjection(historicalPrices, projectionSteps) {
+  if (historicalPrices.length < 2) {
+    return Array(projectionSteps).fill(historicalPrices[historicalPrices.length - 1] || 0);
+  }
+
+  const dataPoints = historicalPrices.slice(-30);
+  const n = dataPoints.length;
+  
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumX2 = 0;
+
+  dataPoints.forEach((price, index) => {
+    const x = index;
+    const y = price;
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumX2 += x * x;
+  });
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+
+  const projections = [];
+  for (let i = 1; i <= projectionSteps; i++) {
+    const projectedPrice = intercept + slope * (n + i - 1);
+    projections.push(Math.max(0, projectedPrice));
+  }
+
+  return projections;
+}
@@ -0,0 +1,208 @@
+// Projection Optimizer
+// Searches Prime Tetration settings for one symbol and scores every combination by
+// walk-forward error: at each cutoff (see engine/backtest.js) all triad lines are projected
+// from the bars before it, and the configuration's score merges every line at every cutoff.
+//
+// Strategies:
+//   grid     - every combination of the space, in order, up to maxEvaluations
+//   random   - maxEvaluations distinct combinations drawn with the seeded generator
+//   bayesian - a random warm-up, then each next combination is the one a kernel surrogate
+//              fitted to the scores so far expects to do best, less a bonus for unexplored
+//              regions of the space
+//
+// Result: { params, evaluations, best, heatmap, cancelled }
+//   evaluations - [{ key, config, score, mape, hitRate, coverage }] lowest MAPE first
+//   best        - evaluations[0] or null
+//   heatmap     - { depthPrimes, omegas, cells } where cells[i][j] is the lowest MAPE seen at
+//                 depthPrimes[i] × omegas[j] (null when no combination there was scored)
+
+import { runEngine, getVolatility, PRIME_STOPS } from './index';
+import { getCutoffs, scoreProjection, mergeScores, emptyScore, summarizeScore } from './backtest';
+import { createRandom } from './random';
+
+export const OPTIMIZER_STRATEGIES = [
+  { id: 'bayesian', label: 'Bayesian-style' },
+  { id: 'random', label: 'Random' },
+  { id: 'grid', label: 'Grid' },
+];
+
+// Searchable settings, keyed by their runEngine param names. base and beta are left out:
+// the crystalline projection doesn't read them, so every value would score the same.
+export const DEFAULT_OPTIMIZER_SPACE = {
+  depthPrime: PRIME_STOPS,
+  omegaHz: [396, 432, 528, 639],
+  triadCount: [8, 12],
+  useLambdaSchedule: [true, false],
+  useOmegaSchedule: [false, true],
+};
+
+export const DEFAULT_OPTIMIZER_PARAMS = {
+  strategy: 'bayesian',
+  maxEvaluations: 120,
+  // Random combinations scored before the surrogate takes over (bayesian only)
+  warmup: 12,
+  horizon: 10,
+  lookback: 60,
+  cutoffs: 8,
+  seed: 1,
+  space: DEFAULT_OPTIMIZER_SPACE,
+};
+
+// Candidate pool the surrogate ranks at each bayesian step
+const POOL_SIZE = 200;
+// Surrogate kernel width, in units of each dimension's full range
+const BANDWIDTH = 0.25;
+
+// Number of combinations in a search space
+export function getSpaceSize(space) {
+  return Object.values(space).reduce((size, values) => size * values.length, 1);
+}
+
+const keyOf = (indexes) => indexes.join(',');
+
+const toConfig = (dimensions, indexes) => Object.fromEntries(
+  dimensions.map(([name, values], d) => [name, values[indexes[d]]])
+);
+
+// Walk-forward score of one configuration over every triad line at every cutoff
+function evaluateConfig(prices, cutoffs, config, settings) {
+  let score = emptyScore();
+  cutoffs.forEach(cutoff => {
+    const history = prices.slice(Math.max(0, cutoff + 1 - settings.lookback), cutoff + 1);
+    const actual = prices.slice(cutoff + 1, cutoff + 1 + settings.horizon);
+    const lastPrice = history[history.length - 1];
+    const sigma = getVolatility(history);
+    const { lines } = runEngine(history, { ...config, model: 'primetetration', steps: settings.horizon });
+    lines.forEach(line => {
+      score = mergeScores(score, scoreProjection(line.points, actual, lastPrice, sigma));
+    });
+  });
+  return score;
+}
+
+// Kernel-weighted mean of observed errors near `indexes`, plus how much evidence backs it
+function predict(observed, indexes, dimensions) {
+  let weightSum = 0;
+  let valueSum = 0;
+  observed.forEach(({ indexes: seen, mape }) => {
+    let distance = 0;
+    dimensions.forEach(([, values], d) => {
+      if (values.length > 1) distance += ((seen[d] - indexes[d]) / (values.length - 1)) ** 2;
+    });
+    const weight = Math.exp(-distance / (2 * BANDWIDTH ** 2));
+    weightSum += weight;
+    valueSum += weight * mape;
+  });
+  return { mean: weightSum > 0 ? valueSum / weightSum : Infinity, evidence: weightSum };
+}
+
+// Lowest MAPE per depth prime × ω cell
+function buildHeatmap(evaluations, space) {
+  const depthPrimes = [...space.depthPrime];
+  const omegas = [...space.omegaHz];
+  const cells = depthPrimes.map(() => omegas.map(() => null));
+  evaluations.forEach(({ config, mape }) => {
+    const i = depthPrimes.indexOf(config.depthPrime);
+    const j = omegas.indexOf(config.omegaHz);
+    if (i < 0 || j < 0 || mape === null) return;
+    if (cells[i][j] === null || mape < cells[i][j]) cells[i][j] = mape;
+  });
+  return { depthPrimes, omegas, cells };
+}
+
+// Search the space over `prices` (closes, oldest first)
+// options.onProgress(done, total) runs after each combination; options.signal (AbortSignal)
+// stops the search early and returns what was scored so far with cancelled: true.
+export async function runOptimizer(prices, params = {}, { onProgress = null, signal = null } = {}) {
+  const settings = { ...DEFAULT_OPTIMIZER_PARAMS, ...params };
+  const space = { ...DEFAULT_OPTIMIZER_SPACE, ...settings.space };
+  const dimensions = Object.entries(space).filter(([, values]) => values.length > 0);
+  if (dimensions.length < Object.keys(space).length) {
+    throw new Error('Every optimizer setting needs at least one value');
+  }
+  const cutoffs = getCutoffs(prices.length, settings);
+  if (cutoffs.length === 0) {
+    throw new Error(`Not enough history: need at least ${settings.lookback + settings.horizon} bars, got ${prices.length}`);
+  }
+
+  const size = getSpaceSize(space);
+  const total = Math.min(size, Math.max(1, settings.maxEvaluations));
+  const random = createRandom(settings.seed);
+  const seen = new Set();
+  const observed = [];
+  const evaluations = [];
+
+  const randomIndexes = () => dimensions.map(([, values]) => Math.floor(random() * values.length));
+  const gridIndexes = (n) => {
+    const indexes = [];
+    for (let d = dimensions.length - 1; d >= 0; d--) {
+      const length = dimensions[d][1].length;
+      indexes[d] = n % length;
+      n = Math.floor(n / length);
+    }
+    return indexes;
+  };
+  // An unseen random combination; falls back to scanning when the space is nearly exhausted
+  const unseenRandom = () => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const indexes = randomIndexes();
+      if (!seen.has(keyOf(indexes))) return indexes;
+    }
+    for (let n = 0; n < size; n++) {
+      const indexes = gridIndexes(n);
+      if (!seen.has(keyOf(indexes))) return indexes;
+    }
+    return null;
+  };
+  const surrogatePick = () => {
+    const mapes = observed.map(item => item.mape);
+    const mean = mapes.reduce((a, b) => a + b, 0) / mapes.length;
+    const spread = Math.sqrt(mapes.reduce((sum, value) => sum + (value - mean) ** 2, 0) / mapes.length) || 1;
+    let best = null;
+    for (let i = 0; i < POOL_SIZE; i++) {
+      const indexes = unseenRandom();
+      if (!indexes) break;
+      const { mean: expected, evidence } = predict(observed, indexes, dimensions);
+      const acquisition = expected - spread / Math.sqrt(1 + evidence);
+      if (!best || acquisition < best.acquisition) best = { indexes, acquisition };
+    }
+    return best?.indexes || null;
+  };
+
+  for (let n = 0; n < total; n++) {
+    if (signal?.aborted) break;
+    let indexes;
+    if (settings.strategy === 'grid') {
+      indexes = gridIndexes(n);
+    } else if (settings.strategy === 'bayesian' && observed.length >= settings.warmup) {
+      indexes = surrogatePick();
+    } else {
+      indexes = unseenRandom();
+    }
+    if (!indexes) break;
+
+    const key = keyOf(indexes);
+    seen.add(key);
+    const config = toConfig(dimensions, indexes);
+    try {
+      const score = evaluateConfig(prices, cutoffs, config, settings);
+      const summary = summarizeScore(score);
+      evaluations.push({ key, config, score, ...summary });
+      if (summary.mape !== null) observed.push({ indexes, mape: summary.mape });
+    } catch (error) {
+      console.error(`Optimizer: ${key} failed:`, error);
+    }
+
+    onProgress?.(n + 1, total);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  evaluations.sort((a, b) => (a.mape ?? Infinity) - (b.mape ?? Infinity));
+  return {
+    params: { ...settings, space },
+    evaluations,
+    best: evaluations[0] || null,
+    heatmap: buildHeatmap(evaluations, space),
+    cancelled: evaluations.length < total && Boolean(signal?.aborted),
+  };
+}
@@ -0,0 +1,48 @@
+// Projection Worker
+// Runs engine tasks off the main thread so long Monte Carlo runs and backtests don't
+// freeze the page. Talks to engine/workerClient.js:
+//   in:  { id, type: 'project', bars, params } (params.model 'ensemble' runs engine/ensemble.js)
+//        | { id, type: 'backtest', prices, params } | { id, type: 'optimize', prices, params }
+//        | { id, type: 'cancel' } (stops a backtest or optimizer run after its current step)
+//   out: { id, type: 'progress', done, total } | { id, type: 'result', result }
+//        | { id, type: 'error', message }
+// Projections are cancelled by terminating the worker, so they don't poll for it.
+
+import { runEngine } from './index';
+import { runBacktest } from './backtest';
+import { runEnsemble } from './ensemble';
+import { runOptimizer } from './optimizer';
+
+// Abort controllers of the running backtests and optimizer searches
+const controllers = new Map();
+const stoppable = { backtest: runBacktest, optimize: runOptimizer };
+
+self.onmessage = async (event) => {
+  const { id, type } = event.data;
+  if (type === 'cancel') {
+    controllers.get(id)?.abort();
+    return;
+  }
+  const onProgress = (done, total) => self.postMessage({ id, type: 'progress', done, total });
+
+  try {
+    let result;
+    if (type === 'project') {
+      const project = event.data.params?.model === 'ensemble' ? runEnsemble : runEngine;
+      result = project(event.data.bars, event.data.params, { onProgress });
+    } else if (stoppable[type]) {
+      const controller = new AbortController();
+      controllers.set(id, controller);
+      try {
+        result = await stoppable[type](event.data.prices, event.data.params, { onProgress, signal: controller.signal });
+      } finally {
+        controllers.delete(id);
+      }
+    } else {
+      throw new Error(`Unknown engine task: ${type}`);
+    }
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message || 'Engine task failed' });
+  }
+};
@@ -0,0 +1,49 @@
+// Seedable Random Source
+// mulberry32: a small 32-bit generator with a good enough spread for Monte Carlo paths.
+// The same seed gives the same sequence in the browser, the projection worker and node,
+// so a saved seed reproduces a projection exactly.
+
+// Seeds are unsigned 32-bit integers; anything else is hashed into one
+export function normalizeSeed(seed) {
+  if (Number.isInteger(seed)) return seed >>> 0;
+  const text = String(seed ?? '');
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Fresh seed for a run that wasn't given one
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Uniform generator in [0, 1), drop-in for Math.random
+export function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+// Standard normal draw (Box-Muller); 1 - random() keeps u1 in (0, 1] so the log stays finite
+export function normalRandom(random) {
+  const u1 = 1 - random();
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// Student-t draw with `degreesOfFreedom` (rounded, at least 1): Z / sqrt(χ² / ν)
+export function studentTRandom(random, degreesOfFreedom) {
+  const dof = Math.max(1, Math.round(degreesOfFreedom));
+  let chiSquare = 0;
+  for (let i = 0; i < dof; i++) {
+    chiSquare += normalRandom(random) ** 2;
+  }
+  return normalRandom(random) / Math.sqrt(chiSquare / dof);
+}
@@ -0,0 +1,157 @@
+// Spectral Analysis
+// Periodogram of a price history for the Projection page's spectral panel, built on the same
+// FFT as the oscillation detector (detectOscillations in engine/models.js). Prices are
+// detrended (least-squares line removed) and optionally tapered with a Hann or Hamming window
+// before the transform, which zero-pads to the next power of two.
+//
+// Result: { bars, paddedLength, window, trend, bins, peaks }
+//   trend - { intercept, slope } of the removed line, price per bar
+//   bins  - [{ period, frequency, power }] from the longest period with two full cycles in
+//           the history down to 2 bars; frequency is cycles per bar, power is normalized by
+//           the window's energy so windows compare
+//   peaks - up to maxPeaks local maxima of the periodogram, strongest first, with the
+//           frequency refined between bins: [{ period, frequency, power, share, days, amplitude, phase }]
+//           share     - the peak's fraction of total power, 0-1
+//           days      - period in calendar days (null without options.barDays)
+//           amplitude - price amplitude of the least-squares sinusoid at that period
+//           phase     - radians, so the cycle is amplitude · cos(2π·bar / period + phase)
+
+import { fftComplex, fftMagnitude, recursiveStabilization } from './models';
+import { toCloses } from './index';
+
+export const SPECTRAL_WINDOWS = [
+  { id: 'none', label: 'None' },
+  { id: 'hann', label: 'Hann' },
+  { id: 'hamming', label: 'Hamming' },
+];
+
+// Taper weight of sample i of n
+const windowWeight = (window, i, n) => {
+  if (n < 2) return 1;
+  const cosine = Math.cos((2 * Math.PI * i) / (n - 1));
+  if (window === 'hann') return 0.5 - 0.5 * cosine;
+  if (window === 'hamming') return 0.54 - 0.46 * cosine;
+  return 1;
+};
+
+// Least-squares line through prices indexed by bar
+function fitTrend(prices) {
+  const n = prices.length;
+  const meanX = (n - 1) / 2;
+  const meanY = prices.reduce((a, b) => a + b, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  prices.forEach((price, i) => {
+    covariance += (i - meanX) * (price - meanY);
+    variance += (i - meanX) ** 2;
+  });
+  const slope = variance > 0 ? covariance / variance : 0;
+  return { intercept: meanY - slope * meanX, slope };
+}
+
+// Least-squares sinusoid of one period through a detrended signal
+function fitSinusoid(signal, period) {
+  let cc = 0;
+  let ss = 0;
+  let cs = 0;
+  let xc = 0;
+  let xs = 0;
+  signal.forEach((value, i) => {
+    const angle = (2 * Math.PI * i) / period;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    cc += c * c;
+    ss += s * s;
+    cs += c * s;
+    xc += value * c;
+    xs += value * s;
+  });
+  const determinant = cc * ss - cs * cs;
+  if (Math.abs(determinant) < 1e-12) return { amplitude: 0, phase: 0 };
+  const a = (xc * ss - xs * cs) / determinant;
+  const b = (xs * cc - xc * cs) / determinant;
+  return { amplitude: Math.hypot(a, b), phase: Math.atan2(-b, a) };
+}
+
+// Periodogram and peaks of a price history (see the header for the result shape)
+// options.barDays is the calendar days one bar spans, for the peaks' periods in days
+export function analyzeSpectrum(bars, { window = 'hann', maxPeaks = 5, barDays = null } = {}) {
+  const closes = toCloses(bars);
+  const n = closes.length;
+  if (n < 8) {
+    throw new Error(`Need at least 8 bars for a periodogram, got ${n}`);
+  }
+
+  const trend = fitTrend(closes);
+  const detrended = closes.map((price, i) => price - (trend.intercept + trend.slope * i));
+  const weights = detrended.map((_, i) => windowWeight(window, i, n));
+  const energy = weights.reduce((sum, weight) => sum + weight * weight, 0);
+  const magnitudes = fftMagnitude(fftComplex(detrended.map((value, i) => value * weights[i])));
+  const paddedLength = magnitudes.length;
+
+  // Periods from half the history (two full cycles) down to 2 bars
+  const bins = [];
+  for (let k = 1; k <= paddedLength / 2; k++) {
+    const period = paddedLength / k;
+    if (period > n / 2 || period < 2) continue;
+    bins.push({ period, frequency: k / paddedLength, power: (magnitudes[k] ** 2) / energy });
+  }
+
+  // Peak frequency between bins: vertex of a parabola through the log powers around it
+  const refine = (i) => {
+    const bin = bins[i];
+    if (i === 0 || i === bins.length - 1 || bins[i - 1].power <= 0 || bins[i + 1].power <= 0) return bin;
+    const [left, center, right] = [bins[i - 1], bin, bins[i + 1]].map(item => Math.log(item.power));
+    const curvature = left - 2 * center + right;
+    const offset = curvature < 0 ? (0.5 * (left - right)) / curvature : 0;
+    const frequency = bin.frequency + offset / paddedLength;
+    return { ...bin, frequency, period: 1 / frequency };
+  };
+
+  const totalPower = bins.reduce((sum, bin) => sum + bin.power, 0);
+  const peaks = bins
+    .map((bin, i) => ({ bin, i }))
+    .filter(({ bin, i }) => (
+      bin.power > 0 &&
+      (i === 0 || bin.power > bins[i - 1].power) &&
+      (i === bins.length - 1 || bin.power >= bins[i + 1].power)
+    ))
+    .sort((a, b) => b.bin.power - a.bin.power)
+    .slice(0, maxPeaks)
+    .map(({ i }) => {
+      const peak = refine(i);
+      return {
+        ...peak,
+        share: totalPower > 0 ? peak.power / totalPower : 0,
+        days: barDays ? peak.period * barDays : null,
+        ...fitSinusoid(detrended, peak.period),
+      };
+    });
+
+  return { bars: n, paddedLength, window, trend, bins, peaks };
+}
+
+// One cycle of `period` bars fitted over the trend: its fit over the history and its
+// continuation for `steps` bars after the last one
+export function getCycleLine(bars, period, steps) {
+  const closes = toCloses(bars);
+  const trend = fitTrend(closes);
+  const detrended = closes.map((price, i) => price - (trend.intercept + trend.slope * i));
+  const { amplitude, phase } = fitSinusoid(detrended, period);
+  const at = (i) => trend.intercept + trend.slope * i + amplitude * Math.cos((2 * Math.PI * i) / period + phase);
+  return {
+    period,
+    amplitude,
+    phase,
+    fitted: closes.map((_, i) => at(i)),
+    projected: Array.from({ length: steps }, (_, step) => at(closes.length + step)),
+  };
+}
+
+// How recursiveStabilization refines a fresh model over this history, one entry per iteration
+// (same shape as stabilizedModel.history)
+export function traceStabilization(bars, maxIterations = 10) {
+  const closes = toCloses(bars);
+  if (closes.length < 8) return [];
+  return recursiveStabilization(closes, null, maxIterations).history;
+}
@@ -0,0 +1,196 @@
+// Tower Arithmetic
+// Exact residues of exponent towers a1^(a2^(...^an)) modulo any modulus, for the prime
+// exponentiation towers behind the Prime Tetration amplitudes (engine/models.js). The towers
+// are far too large to evaluate, so each exponent is reduced modulo the Carmichael function
+// λ of the modulus below it, using
+//
+//   a^e ≡ a^(((e - k) mod λ(m)) + k)  (mod m)   whenever e ≥ k
+//
+// where k is the largest prime exponent in m. This holds for every base, including bases
+// that share factors with m (2 mod 2^72, say), unlike plain a^(e mod λ(m)). Exponents below
+// k are used as they are, so each level tracks the true exponent up to a cap.
+//
+// Moduli are factored by trial division: use powers of two (the default 2^(bits + guardBits))
+// or moduli whose prime factors are small.
+//
+// Result of evaluateTower: { residue, modulus, levels }
+//   levels - one entry per tower value, bottom first: { value, modulus, carmichael,
+//            threshold, exponentResidue, exponent, exact, residue }
+//            exponentResidue is the level above's residue (the true exponent mod carmichael),
+//            exponent the reduced exponent actually used, exact whether it is the true one
+
+// Tower values and exponents are compared against this, so it must exceed any threshold
+// (the largest prime exponent of a modulus is at most its bit length)
+const EXACT_CAP = 1n << 20n;
+
+// Largest trial divisor before factorize gives up
+const TRIAL_LIMIT = 1n << 24n;
+
+// Largest modulus normalizeTowerOptions accepts, in bits
+const MAX_TOWER_BITS = 512;
+
+export const DEFAULT_TOWER_OPTIONS = {
+  modulus: null,
+  bits: 64,
+  guardBits: 8,
+};
+
+const toBigInt = (value, name) => {
+  const big = typeof value === 'bigint' ? value : BigInt(value);
+  if (big < 0n) throw new Error(`${name} must not be negative, got ${big}`);
+  return big;
+};
+
+// Modulus from options: an explicit modulus, or 2^(bits + guardBits)
+export function getTowerModulus({ modulus = null, bits = 64, guardBits = 8 } = {}) {
+  if (modulus !== null && modulus !== undefined) {
+    const m = toBigInt(modulus, 'Modulus');
+    if (m < 1n) throw new Error('Modulus must be at least 1');
+    return m;
+  }
+  if (!Number.isInteger(bits) || !Number.isInteger(guardBits) || bits < 1 || guardBits < 0) {
+    throw new Error(`Need whole bits ≥ 1 and guard bits ≥ 0, got ${bits} and ${guardBits}`);
+  }
+  return 1n << BigInt(bits + guardBits);
+}
+
+// a^e mod m (BigInt); m = 1 gives 0
+export function modPow(a, e, m) {
+  if (m === 1n) return 0n;
+  let base = a % m;
+  let result = 1n;
+  while (e > 0n) {
+    if (e & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Prime factorization as [[prime, exponent]] (trial division)
+export function factorize(n) {
+  const factors = [];
+  let rest = toBigInt(n, 'Number');
+  for (let p = 2n; p * p <= rest; p += p === 2n ? 1n : 2n) {
+    if (p > TRIAL_LIMIT) {
+      throw new Error(`Can't factor ${n}: it has no prime factor below ${TRIAL_LIMIT} and is too large to check further`);
+    }
+    let exponent = 0;
+    while (rest % p === 0n) {
+      rest /= p;
+      exponent++;
+    }
+    if (exponent > 0) factors.push([p, exponent]);
+  }
+  if (rest > 1n) factors.push([rest, 1]);
+  return factors;
+}
+
+const gcd = (a, b) => {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+};
+
+// Carmichael function λ(m): the smallest t with a^t ≡ 1 (mod m) for every a coprime to m
+export function carmichael(m) {
+  return factorize(m).reduce((lambda, [p, k]) => {
+    let part;
+    if (p === 2n) {
+      part = k === 1 ? 1n : k === 2 ? 2n : 1n << BigInt(k - 2);
+    } else {
+      part = p ** BigInt(k - 1) * (p - 1n);
+    }
+    return (lambda * part) / gcd(lambda, part);
+  }, 1n);
+}
+
+// Largest prime exponent of m: past it, powers of any base cycle with period dividing λ(m)
+const reductionThreshold = (m) => BigInt(factorize(m).reduce((max, [, k]) => Math.max(max, k), 0));
+
+// a^e capped at EXACT_CAP
+const cappedPow = (a, e) => {
+  if (e === 0n) return 1n;
+  if (a <= 1n) return a;
+  let result = 1n;
+  for (let i = 0n; i < e; i++) {
+    result *= a;
+    if (result >= EXACT_CAP) return EXACT_CAP;
+  }
+  return result;
+};
+
+// Residue of values[index]^(values[index + 1]^(...)) mod m, with the true value capped
+function reduceLevel(values, index, m, levels) {
+  const value = values[index];
+  if (index === values.length - 1) {
+    const residue = m === 1n ? 0n : value % m;
+    levels[index] = {
+      value, modulus: m, carmichael: null, threshold: null,
+      exponentResidue: null, exponent: null, exact: true, residue,
+    };
+    return { residue, capped: value < EXACT_CAP ? value : EXACT_CAP };
+  }
+
+  const lambda = carmichael(m);
+  const inner = reduceLevel(values, index + 1, lambda, levels);
+  const threshold = reductionThreshold(m);
+  const exact = inner.capped < threshold;
+  const exponent = exact
+    ? inner.capped
+    : ((inner.residue - threshold) % lambda + lambda) % lambda + threshold;
+  const residue = modPow(value, exponent, m);
+  levels[index] = {
+    value, modulus: m, carmichael: lambda, threshold,
+    exponentResidue: inner.residue, exponent, exact, residue,
+  };
+  return { residue, capped: cappedPow(value, inner.capped) };
+}
+
+// Residue of the tower values[0]^(values[1]^(...^values[n-1])) (see the header)
+// options: { modulus } or { bits, guardBits } for 2^(bits + guardBits)
+export function evaluateTower(values, options = {}) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error('A tower needs at least one value');
+  }
+  const modulus = getTowerModulus({ ...DEFAULT_TOWER_OPTIONS, ...options });
+  const tower = values.map((value, i) => toBigInt(value, `Tower value ${i + 1}`));
+  const levels = new Array(tower.length);
+  const { residue } = reduceLevel(tower, 0, modulus, levels);
+  return { residue, modulus, levels };
+}
+
+// Residue as a signed fraction: the guard bits are truncated, then [0, modulus >> guardBits)
+// maps onto [-1, +1) (for the default modulus that is [0, 2^bits))
+export function towerToSymmetric(residue, options = {}) {
+  const { guardBits } = { ...DEFAULT_TOWER_OPTIONS, ...options };
+  const span = getTowerModulus({ ...DEFAULT_TOWER_OPTIONS, ...options }) >> BigInt(guardBits);
+  return (Number(residue >> BigInt(guardBits)) / Number(span)) * 2 - 1;
+}
+
+// Checked amplitude tower settings { modulus, bits, guardBits }; modulus stays a decimal
+// string (or null for 2^(bits + guardBits)) so settings survive JSON and localStorage.
+// Throws when the modulus leaves nothing after the guard bits or can't be factored.
+export function normalizeTowerOptions(options = {}) {
+  const { modulus, bits, guardBits } = { ...DEFAULT_TOWER_OPTIONS, ...options };
+  const text = modulus === null || modulus === undefined ? '' : String(modulus).trim();
+  if (text !== '' && !/^\d+$/.test(text)) {
+    throw new Error(`The modulus must be a whole number, got ${text}`);
+  }
+  const settings = { modulus: text === '' ? null : text, bits: Number(bits), guardBits: Number(guardBits) };
+  if (!Number.isInteger(settings.guardBits) || settings.guardBits < 0) {
+    throw new Error(`Need whole guard bits ≥ 0, got ${guardBits}`);
+  }
+  if (settings.bits + settings.guardBits > MAX_TOWER_BITS) {
+    throw new Error(`Bits and guard bits may add up to at most ${MAX_TOWER_BITS}`);
+  }
+  const m = getTowerModulus(settings);
+  if (m >> BigInt(settings.guardBits) < 2n) {
+    throw new Error(`The modulus needs more than ${settings.guardBits} bits to keep any after the guard bits`);
+  }
+  if (m.toString(2).length > MAX_TOWER_BITS) {
+    throw new Error(`The modulus may have at most ${MAX_TOWER_BITS} bits`);
+  }
+  // A three-level tower (base^(p2^p3)) reduces its exponents modulo λ(m) and λ(λ(m))
+  carmichael(carmichael(m));
+  return settings;
+}
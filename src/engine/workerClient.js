@@ -0,0 +1,90 @@
+// Projection Worker Client
+// Promise API over engine/projection.worker.js. Each task gets its own worker.
+// Cancelling (options.signal) terminates a projection outright; a backtest or optimizer
+// search is asked to stop after its current step and resolves with what it scored so far
+// (cancelled: true). Where Web Workers aren't available tasks run on the main thread.
+
+import { runEngine } from './index';
+import { runBacktest } from './backtest';
+import { runEnsemble } from './ensemble';
+import { runOptimizer } from './optimizer';
+
+let nextTaskId = 1;
+
+// Error for a task stopped through its AbortSignal
+const cancelledError = () => {
+  const error = new Error('Projection cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+// Same task without a worker; cancellation only applies between backtest or optimizer steps
+const runInline = (message, { onProgress, signal }) => {
+  if (message.type === 'project') {
+    const project = message.params?.model === 'ensemble' ? runEnsemble : runEngine;
+    return Promise.resolve().then(() => project(message.bars, message.params, { onProgress }));
+  }
+  const run = message.type === 'optimize' ? runOptimizer : runBacktest;
+  return run(message.prices, message.params, { onProgress, signal });
+};
+
+const runTask = (message, { onProgress = null, signal = null } = {}) => {
+  if (signal?.aborted) return Promise.reject(cancelledError());
+  if (typeof Worker === 'undefined') return runInline(message, { onProgress, signal });
+
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    const worker = new Worker(new URL('./projection.worker.js', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      if (message.type === 'backtest' || message.type === 'optimize') {
+        worker.postMessage({ id, type: 'cancel' });
+        return;
+      }
+      finish();
+      reject(cancelledError());
+    };
+
+    worker.onmessage = (event) => {
+      const data = event.data;
+      if (data.id !== id) return;
+      if (data.type === 'progress') {
+        onProgress?.(data.done, data.total);
+        return;
+      }
+      finish();
+      if (data.type === 'result') {
+        resolve(data.result);
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Projection worker failed'));
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+    worker.postMessage({ id, ...message });
+  });
+};
+
+// Run one projection model, or the ensemble (model 'ensemble'), off the main thread
+// (see runEngine and runEnsemble for bars, params and result)
+export const projectInWorker = (bars, params, options = {}) => {
+  return runTask({ type: 'project', bars, params }, options);
+};
+
+// Run a walk-forward backtest off the main thread (see runBacktest for params and result)
+export const backtestInWorker = (prices, params, options = {}) => {
+  return runTask({ type: 'backtest', prices, params }, options);
+};
+
+// Search Prime Tetration settings off the main thread (see runOptimizer for params and result)
+export const optimizeInWorker = (prices, params, options = {}) => {
+  return runTask({ type: 'optimize', prices, params }, options);
+};
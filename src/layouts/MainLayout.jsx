@@ -1,6 +1,8 @@
 import { Outlet } from 'react-router-dom';
 import { useState, useEffect } from 'react';
 import Sidebar from '../components/Sidebar';
+import RateLimitNotice from '../components/RateLimitNotice';
+import ProjectionAlertNotice from '../components/ProjectionAlertNotice';
 
 function MainLayout() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -74,6 +76,8 @@ function MainLayout() {
           </div>
         </div>
         <div className="flex-1 overflow-y-auto p-4 sm:p-6 lg:p-8 min-h-0">
+          <RateLimitNotice />
+          <ProjectionAlertNotice />
           <Outlet />
         </div>
       </main>
@@ -1,7 +1,16 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import MonitorCard from '../components/MonitorCard';
 import AddMonitorModal from '../components/AddMonitorModal';
-import { getMonitors, createMonitor, updateMonitor, deleteMonitor, togglePauseMonitor } from '../services/monitorService';
+import StreamStatusBadge from '../components/StreamStatusBadge';
+import { getMonitors, createMonitor, updateMonitor, deleteMonitor, togglePauseMonitor, getAvailableProviders } from '../services/monitorService';
+import { getAllProviderHealth } from '../services/fetchHealth';
+
+// Monitor status from the recorded health of its data feed
+const getMonitorStatus = (monitor) => {
+  if (monitor.paused) return 'paused';
+  if (monitor.status === 'operational' || monitor.status === 'degraded') return monitor.status;
+  return 'down';
+};
 
 function API() {
   const [monitors, setMonitors] = useState([]);
@@ -19,6 +28,7 @@ function API() {
   const [lastRefresh, setLastRefresh] = useState(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [refreshInterval, setRefreshInterval] = useState(30); // seconds
+  const [providerHealth, setProviderHealth] = useState([]);
 
   const loadMonitors = useCallback(async () => {
     try {
@@ -26,6 +36,7 @@ function API() {
       setError(null);
       const data = await getMonitors();
       setMonitors(data || []);
+      setProviderHealth(getAllProviderHealth());
       setConnectionStatus('connected');
       setLastRefresh(new Date());
     } catch (err) {
@@ -68,20 +79,7 @@ function API() {
 
     // Status filter
     if (filterStatus !== 'all') {
-      filtered = filtered.filter(monitor => {
-        if (filterStatus === 'operational') {
-          const responseTime = monitor.responseTime || monitor.avgResponseTime || 0;
-          return monitor.isUp && responseTime > 0 && responseTime < 1000;
-        } else if (filterStatus === 'degraded') {
-          const responseTime = monitor.responseTime || monitor.avgResponseTime || 0;
-          return monitor.isUp && responseTime >= 1000 && responseTime < 5000;
-        } else if (filterStatus === 'down') {
-          return !monitor.isUp || (monitor.responseTime || monitor.avgResponseTime || 0) === 0;
-        } else if (filterStatus === 'paused') {
-          return monitor.paused;
-        }
-        return true;
-      });
+      filtered = filtered.filter(monitor => getMonitorStatus(monitor) === filterStatus);
     }
 
     // Sort
@@ -92,9 +90,7 @@ function API() {
         case 'change':
           return (b.changePercent || 0) - (a.changePercent || 0);
         case 'status':
-          const aStatus = a.paused ? 'paused' : (!a.isUp ? 'down' : 'operational');
-          const bStatus = b.paused ? 'paused' : (!b.isUp ? 'down' : 'operational');
-          return aStatus.localeCompare(bStatus);
+          return getMonitorStatus(a).localeCompare(getMonitorStatus(b));
         case 'name':
         default:
           return (a.name || a.id || '').localeCompare(b.name || b.id || '');
@@ -104,18 +100,17 @@ function API() {
     return filtered;
   }, [monitors, searchQuery, filterStatus, sortBy]);
 
+  // Provider id -> display name for the data feed panel
+  const providerNames = useMemo(() => {
+    return Object.fromEntries(getAvailableProviders().map(provider => [provider.id, provider.name]));
+  }, []);
+
   // Statistics
   const stats = useMemo(() => {
     const total = monitors.length;
-    const operational = monitors.filter(m => {
-      const rt = m.responseTime || m.avgResponseTime || 0;
-      return m.isUp && rt > 0 && rt < 1000 && !m.paused;
-    }).length;
-    const degraded = monitors.filter(m => {
-      const rt = m.responseTime || m.avgResponseTime || 0;
-      return m.isUp && rt >= 1000 && rt < 5000 && !m.paused;
-    }).length;
-    const down = monitors.filter(m => !m.isUp || (m.responseTime || m.avgResponseTime || 0) === 0 || m.paused).length;
+    const operational = monitors.filter(m => getMonitorStatus(m) === 'operational').length;
+    const degraded = monitors.filter(m => getMonitorStatus(m) === 'degraded').length;
+    const down = monitors.filter(m => getMonitorStatus(m) !== 'operational' && getMonitorStatus(m) !== 'degraded').length;
     const totalValue = monitors.reduce((sum, m) => sum + (m.price || 0), 0);
     const avgChange = monitors.length > 0 
       ? monitors.reduce((sum, m) => sum + (m.changePercent || 0), 0) / monitors.length 
@@ -345,6 +340,64 @@ function API() {
           </div>
         )}
 
+        {/* Data Feed Health */}
+        {showStats && providerHealth.length > 0 && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 mb-6">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Data Feeds (last 24h)</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {providerHealth.map(feed => {
+                const name = providerNames[feed.id] || feed.id;
+                const uptimeColor = feed.uptimePercent === null
+                  ? 'text-gray-500 dark:text-gray-400'
+                  : feed.uptimePercent >= 95
+                    ? 'text-green-600 dark:text-green-400'
+                    : feed.uptimePercent >= 80
+                      ? 'text-yellow-600 dark:text-yellow-400'
+                      : 'text-red-600 dark:text-red-400';
+                return (
+                  <div key={feed.id} className="rounded-lg border border-gray-200 dark:border-gray-700 p-3">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white">{name}</span>
+                      <span className={`text-sm font-semibold ${uptimeColor}`}>
+                        {feed.uptimePercent === null ? 'N/A' : `${feed.uptimePercent}%`}
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2 text-xs text-gray-600 dark:text-gray-400">
+                      <div>
+                        <p>Requests</p>
+                        <p className="font-semibold text-gray-900 dark:text-white">{feed.samples}</p>
+                      </div>
+                      <div>
+                        <p>Failures</p>
+                        <p className="font-semibold text-gray-900 dark:text-white">{feed.failures}</p>
+                      </div>
+                      <div>
+                        <p>Avg Latency</p>
+                        <p className="font-semibold text-gray-900 dark:text-white">{feed.avgLatency}ms</p>
+                      </div>
+                    </div>
+                    {Object.keys(feed.proxies).length > 1 && (
+                      <div className="mt-2 space-y-1">
+                        {Object.entries(feed.proxies).map(([proxy, proxyHealth]) => (
+                          <div key={proxy} className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                            <span>{proxy}</span>
+                            <span>{proxyHealth.uptimePercent}% · {proxyHealth.avgLatency}ms</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {feed.lastError && feed.lastFailure && (
+                      <p className="mt-2 text-xs text-red-600 dark:text-red-400 truncate" title={feed.lastError}>
+                        Last error {new Date(feed.lastFailure).toLocaleTimeString('en-US', { timeZone: 'America/New_York' })}: {feed.lastError}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Controls Bar */}
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 mb-6">
           <div className="flex flex-col lg:flex-row gap-4">
@@ -505,9 +558,12 @@ function API() {
 
           {/* Last Refresh Info */}
           {lastRefresh && (
-            <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
-              Last refreshed: {lastRefresh.toLocaleTimeString('en-US', { timeZone: 'America/New_York' })}
-              {autoRefresh && ` • Auto-refresh every ${refreshInterval}s`}
+            <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400 flex items-center gap-3">
+              <span>
+                Last refreshed: {lastRefresh.toLocaleTimeString('en-US', { timeZone: 'America/New_York' })}
+                {autoRefresh && ` • Auto-refresh every ${refreshInterval}s`}
+              </span>
+              <StreamStatusBadge />
             </div>
           )}
         </div>
@@ -0,0 +1,471 @@
+import { useRef, useState } from 'react';
+import { getBarSeries } from '../services/monitorService';
+import { validateSymbol } from '../services/symbolSearch';
+import { getBacktestResults, saveBacktestResult } from '../services/backtestService';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import { formatPrice, getPricePrefix } from '../utils/assetClasses';
+import { ENGINE_MODELS, PRIME_STOPS, RETURN_MODEL_OPTIONS, randomSeed } from '../engine';
+import { DEFAULT_BACKTEST_PARAMS, groupBacktestRows, summarizeScore } from '../engine/backtest';
+import { backtestInWorker } from '../engine/workerClient';
+
+// History windows worth replaying per interval (Yahoo keeps ~2 years of hourly bars)
+const RANGE_OPTIONS = {
+  '1D': ['6mo', '1y', '2y', '5y'],
+  '1H': ['1mo', '3mo', '6mo'],
+};
+
+const GROUP_OPTIONS = [
+  { id: 'config', label: 'Configuration', fields: ['model', 'triad', 'depthPrime', 'omega', 'returnModel'] },
+  { id: 'model', label: 'Model', fields: ['model'] },
+  { id: 'triad', label: 'Triad', fields: ['model', 'triad'] },
+  { id: 'depthPrime', label: 'Depth prime', fields: ['model', 'depthPrime'] },
+  { id: 'omega', label: 'ω', fields: ['model', 'omega'] },
+  { id: 'returnModel', label: 'Return model', fields: ['model', 'returnModel'] },
+];
+
+// Lower error is better, higher hit rate is better, coverage is best near the 90% band
+const SORT_OPTIONS = [
+  { id: 'mape', label: 'MAPE', compare: (a, b) => a.mape - b.mape },
+  { id: 'mae', label: 'MAE', compare: (a, b) => a.mae - b.mae },
+  { id: 'hitRate', label: 'Hit rate', compare: (a, b) => b.hitRate - a.hitRate },
+  { id: 'coverage', label: 'Band coverage', compare: (a, b) => Math.abs(a.coverage - 90) - Math.abs(b.coverage - 90) },
+];
+
+const MODEL_LABELS = Object.fromEntries(ENGINE_MODELS.map(model => [model.id, model.label]));
+const RETURN_MODEL_LABELS = Object.fromEntries(RETURN_MODEL_OPTIONS.map(option => [option.id, option.label]));
+
+const inputClass = 'w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-colors';
+const labelClass = 'block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1';
+
+const toggleClass = (active) => `px-2 py-1.5 rounded text-xs font-medium transition-all ${
+  active
+    ? 'bg-purple-600 text-white'
+    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+}`;
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+
+// Parse "432, 528" into unique positive frequencies
+const parseOmegas = (input) => [...new Set(
+  String(input).split(/[\s,]+/).map(Number).filter(value => Number.isFinite(value) && value > 0)
+)];
+
+function Backtest() {
+  const [lastResult] = useState(() => getBacktestResults()[0] || null);
+  const [symbol, setSymbol] = useState(lastResult?.symbol || '');
+  const [interval, setInterval] = useState(lastResult?.interval || '1D');
+  const [range, setRange] = useState(lastResult?.range || '1y');
+  const [models, setModels] = useState(lastResult?.params.models || DEFAULT_BACKTEST_PARAMS.models);
+  const [horizon, setHorizon] = useState(lastResult?.params.horizon || DEFAULT_BACKTEST_PARAMS.horizon);
+  const [lookback, setLookback] = useState(lastResult?.params.lookback || DEFAULT_BACKTEST_PARAMS.lookback);
+  const [cutoffCount, setCutoffCount] = useState(lastResult?.params.cutoffs || DEFAULT_BACKTEST_PARAMS.cutoffs);
+  const [base, setBase] = useState(lastResult?.params.base || DEFAULT_BACKTEST_PARAMS.base);
+  const [triadCount, setTriadCount] = useState(lastResult?.params.triadCount || DEFAULT_BACKTEST_PARAMS.triadCount);
+  const [depthPrimes, setDepthPrimes] = useState(lastResult?.params.depthPrimes || DEFAULT_BACKTEST_PARAMS.depthPrimes);
+  const [omegaInput, setOmegaInput] = useState((lastResult?.params.omegas || DEFAULT_BACKTEST_PARAMS.omegas).join(', '));
+  const [useLambdaSchedule, setUseLambdaSchedule] = useState(lastResult?.params.useLambdaSchedule ?? true);
+  const [useOmegaSchedule, setUseOmegaSchedule] = useState(lastResult?.params.useOmegaSchedule ?? false);
+  const [returnModels, setReturnModels] = useState(lastResult?.params.returnModels || DEFAULT_BACKTEST_PARAMS.returnModels);
+  const [seed, setSeed] = useState(lastResult?.params.seed ?? DEFAULT_BACKTEST_PARAMS.seed);
+  const [result, setResult] = useState(lastResult);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [groupBy, setGroupBy] = useState('config');
+  const [sortBy, setSortBy] = useState('mape');
+  const abortRef = useRef(null);
+
+  const toggleItem = (list, item) => (list.includes(item) ? list.filter(value => value !== item) : [...list, item]);
+
+  const handleIntervalChange = (value) => {
+    setInterval(value);
+    if (!RANGE_OPTIONS[value].includes(range)) setRange(RANGE_OPTIONS[value][0]);
+  };
+
+  const handleRun = async () => {
+    const omegas = parseOmegas(omegaInput);
+    if (models.length === 0) {
+      setError('Select at least one model');
+      return;
+    }
+    if (models.includes('primetetration') && (depthPrimes.length === 0 || omegas.length === 0)) {
+      setError('Prime Tetration needs at least one depth prime and one ω');
+      return;
+    }
+    if (models.includes('montecarlo') && returnModels.length === 0) {
+      setError('Monte Carlo needs at least one return model');
+      return;
+    }
+
+    const check = await validateSymbol(symbol);
+    if (check.status === 'invalid') {
+      setError(check.message);
+      return;
+    }
+    const symbolKey = check.symbol;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+
+    try {
+      const series = await getBarSeries(symbolKey, interval === '1H' ? '1h' : '1d', range);
+      const prices = series.bars.map(bar => Number(bar.close));
+      const params = {
+        models,
+        horizon: Number(horizon),
+        lookback: Number(lookback),
+        cutoffs: Number(cutoffCount),
+        base: Number(base),
+        triadCount: Number(triadCount),
+        depthPrimes: [...depthPrimes].sort((a, b) => a - b),
+        omegas,
+        useLambdaSchedule,
+        useOmegaSchedule,
+        returnModels,
+        seed: Number(seed) >>> 0,
+      };
+
+      const outcome = await backtestInWorker(prices, params, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      if (outcome.rows.length === 0) {
+        throw new Error(outcome.cancelled ? 'Backtest cancelled before the first cutoff' : 'No projections could be scored');
+      }
+
+      const entry = {
+        symbol: symbolKey,
+        interval,
+        range,
+        params: outcome.params,
+        cutoffs: outcome.cutoffs.map(index => series.bars[index].time),
+        rows: outcome.rows,
+        bars: prices.length,
+        firstBar: series.bars[0].time,
+        lastBar: series.bars[series.bars.length - 1].time,
+        cancelled: outcome.cancelled,
+      };
+      // Partial runs are shown but not kept as the symbol's backtest
+      setResult(outcome.cancelled ? { ...entry, ranAt: new Date().toISOString() } : saveBacktestResult(entry));
+    } catch (err) {
+      console.error('Backtest failed:', err);
+      setError(err.message || 'Backtest failed');
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const group = GROUP_OPTIONS.find(option => option.id === groupBy) || GROUP_OPTIONS[0];
+  const sort = SORT_OPTIONS.find(option => option.id === sortBy) || SORT_OPTIONS[0];
+  const rows = result
+    ? groupBacktestRows(result.rows, group.fields)
+      .map(row => ({ ...row, ...summarizeScore(row.score) }))
+      .filter(row => row[sort.id] !== null)
+      .sort(sort.compare)
+    : [];
+  const bestMape = rows.length > 0 ? rows.reduce((best, row) => (row.mape < best.mape ? row : best)) : null;
+  const bestHitRate = rows.length > 0 ? rows.reduce((best, row) => ((row.hitRate ?? -1) > (best.hitRate ?? -1) ? row : best)) : null;
+  const pricePrefix = result ? getPricePrefix(result.symbol) : '';
+
+  const describeRow = (row) => [
+    MODEL_LABELS[row.model] || 'Mixed',
+    row.triad ? `[${row.triad}]` : null,
+    row.depthPrime ? `p=${row.depthPrime}` : null,
+    row.omega ? `${row.omega} Hz` : null,
+    row.returnModel ? RETURN_MODEL_LABELS[row.returnModel] : null,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="w-full max-w-[1800px] mx-auto px-4 flex flex-col h-full min-h-0 overflow-y-auto">
+      {/* Header */}
+      <div className="text-center mb-3 flex-shrink-0">
+        <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">
+          Projection Backtest
+        </h1>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          Walk-forward replay: each cutoff projects from the bars before it and is scored against the bars that followed
+        </p>
+      </div>
+
+      {/* Controls */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-3 border border-gray-200 dark:border-gray-700 mb-3 flex-shrink-0 space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[160px]">
+            <label htmlFor="backtest-symbol" className={labelClass}>Symbol</label>
+            <SymbolSearchInput
+              id="backtest-symbol"
+              value={symbol}
+              onChange={setSymbol}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !running) handleRun();
+              }}
+              placeholder="AAPL, BTC-USD, ^GSPC"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="min-w-[100px]">
+            <label className={labelClass}>Interval</label>
+            <div className="flex gap-1">
+              {Object.keys(RANGE_OPTIONS).map(value => (
+                <button key={value} type="button" onClick={() => handleIntervalChange(value)} className={`flex-1 ${toggleClass(interval === value)}`}>
+                  {value}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="min-w-[90px]">
+            <label htmlFor="backtest-range" className={labelClass}>History</label>
+            <select id="backtest-range" value={range} onChange={(e) => setRange(e.target.value)} className={inputClass}>
+              {RANGE_OPTIONS[interval].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="backtest-horizon" className={labelClass}>Horizon</label>
+            <input id="backtest-horizon" type="number" min="1" max="120" value={horizon} onChange={(e) => setHorizon(e.target.value)} className={inputClass} />
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="backtest-lookback" className={labelClass}>Lookback</label>
+            <input id="backtest-lookback" type="number" min="12" max="1000" value={lookback} onChange={(e) => setLookback(e.target.value)} className={inputClass} />
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="backtest-cutoffs" className={labelClass}>Cutoffs</label>
+            <input id="backtest-cutoffs" type="number" min="1" max="250" value={cutoffCount} onChange={(e) => setCutoffCount(e.target.value)} className={inputClass} />
+          </div>
+
+          <div>
+            {running ? (
+              <button type="button" onClick={handleCancel} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-red-600 hover:bg-red-700 text-white transition-colors">
+                Cancel
+              </button>
+            ) : (
+              <button type="button" onClick={handleRun} disabled={!symbol} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white transition-colors">
+                Run backtest
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-start gap-4">
+          <div>
+            <label className={labelClass}>Models</label>
+            <div className="flex flex-wrap gap-1">
+              {ENGINE_MODELS.map(model => (
+                <button
+                  key={model.id}
+                  type="button"
+                  onClick={() => setModels(list => toggleItem(list, model.id))}
+                  title={model.slow ? 'Recursive lattice takes a second or more per cutoff' : undefined}
+                  className={toggleClass(models.includes(model.id))}
+                >
+                  {model.label}{model.slow ? ' (slow)' : ''}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {models.includes('primetetration') && (
+            <>
+              <div>
+                <label className={labelClass}>Depth primes</label>
+                <div className="flex flex-wrap gap-1">
+                  {PRIME_STOPS.map(prime => (
+                    <button key={prime} type="button" onClick={() => setDepthPrimes(list => toggleItem(list, prime))} className={toggleClass(depthPrimes.includes(prime))}>
+                      {prime}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="w-36">
+                <label htmlFor="backtest-omegas" className={labelClass}>ω (Hz, comma-separated)</label>
+                <input id="backtest-omegas" type="text" value={omegaInput} onChange={(e) => setOmegaInput(e.target.value)} placeholder="432, 528" className={inputClass} />
+              </div>
+
+              <div>
+                <label className={labelClass}>Base</label>
+                <div className="flex gap-1">
+                  {[2, 3].map(value => (
+                    <button key={value} type="button" onClick={() => setBase(value)} className={toggleClass(Number(base) === value)}>
+                      {value}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="w-20">
+                <label htmlFor="backtest-triads" className={labelClass}>Triads</label>
+                <input id="backtest-triads" type="number" min="1" max="13" value={triadCount} onChange={(e) => setTriadCount(e.target.value)} className={inputClass} />
+              </div>
+
+              <div className="flex flex-col gap-1 text-xs text-gray-700 dark:text-gray-300 pt-5">
+                <label className="flex items-center gap-1.5">
+                  <input type="checkbox" checked={useLambdaSchedule} onChange={(e) => setUseLambdaSchedule(e.target.checked)} />
+                  λ schedule
+                </label>
+                <label className="flex items-center gap-1.5">
+                  <input type="checkbox" checked={useOmegaSchedule} onChange={(e) => setUseOmegaSchedule(e.target.checked)} />
+                  ω schedule
+                </label>
+              </div>
+            </>
+          )}
+
+          {models.includes('montecarlo') && (
+            <>
+              <div>
+                <label className={labelClass}>Return models</label>
+                <div className="flex flex-wrap gap-1">
+                  {RETURN_MODEL_OPTIONS.map(option => (
+                    <button key={option.id} type="button" onClick={() => setReturnModels(list => toggleItem(list, option.id))} className={toggleClass(returnModels.includes(option.id))}>
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="w-36">
+                <label htmlFor="backtest-seed" className={labelClass}>Seed</label>
+                <div className="flex gap-1">
+                  <input id="backtest-seed" type="number" min="0" value={seed} onChange={(e) => setSeed(e.target.value)} className={inputClass} />
+                  <button type="button" onClick={() => setSeed(randomSeed())} title="New random seed" className={toggleClass(false)}>
+                    ↻
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        {running && (
+          <div>
+            <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+              <span>Replaying cutoffs…</span>
+              <span>{progress ? `${progress.done} / ${progress.total}` : 'Loading bars'}</span>
+            </div>
+            <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-purple-600 transition-all"
+                style={{ width: progress ? `${(progress.done / progress.total) * 100}%` : '0%' }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+        )}
+      </div>
+
+      {/* Results */}
+      {result && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-3 border border-gray-200 dark:border-gray-700 mb-3">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <div>
+              <h2 className="text-base font-semibold text-gray-900 dark:text-white">
+                {result.symbol} · {result.interval} · {result.params.horizon}-step horizon
+              </h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {result.cutoffs.length} cutoffs over {result.bars} bars
+                ({new Date(result.firstBar).toLocaleDateString()} – {new Date(result.lastBar).toLocaleDateString()})
+                {result.cancelled ? ' · cancelled, partial results' : ''}
+                {result.params.models.includes('montecarlo') ? ` · seed ${result.params.seed ?? '—'}` : ''}
+                {result.ranAt ? ` · run ${new Date(result.ranAt).toLocaleString()}` : ''}
+              </p>
+            </div>
+            <div className="flex items-end gap-2">
+              <div>
+                <label htmlFor="backtest-group" className={labelClass}>Group by</label>
+                <select id="backtest-group" value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={inputClass}>
+                  {GROUP_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="backtest-sort" className={labelClass}>Rank by</label>
+                <select id="backtest-sort" value={sortBy} onChange={(e) => setSortBy(e.target.value)} className={inputClass}>
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {bestMape && bestHitRate && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+              <div className="rounded-lg bg-purple-50 dark:bg-purple-900/20 p-3">
+                <div className="text-xs text-gray-500 dark:text-gray-400">Lowest MAPE</div>
+                <div className="text-sm font-semibold text-gray-900 dark:text-white">{describeRow(bestMape)}</div>
+                <div className="text-xs text-gray-600 dark:text-gray-300">{formatPercent(bestMape.mape)} mean error</div>
+              </div>
+              <div className="rounded-lg bg-purple-50 dark:bg-purple-900/20 p-3">
+                <div className="text-xs text-gray-500 dark:text-gray-400">Best directional hit rate</div>
+                <div className="text-sm font-semibold text-gray-900 dark:text-white">{describeRow(bestHitRate)}</div>
+                <div className="text-xs text-gray-600 dark:text-gray-300">{formatPercent(bestHitRate.hitRate)} of steps called the right way (50% is a coin flip)</div>
+              </div>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2 pr-3 font-medium">Model</th>
+                  <th className="py-2 pr-3 font-medium">Triad</th>
+                  <th className="py-2 pr-3 font-medium">Depth</th>
+                  <th className="py-2 pr-3 font-medium">ω</th>
+                  <th className="py-2 pr-3 font-medium">Returns</th>
+                  <th className="py-2 pr-3 font-medium text-right">Runs</th>
+                  <th className="py-2 pr-3 font-medium text-right">MAE</th>
+                  <th className="py-2 pr-3 font-medium text-right">MAPE</th>
+                  <th className="py-2 pr-3 font-medium text-right">Hit rate</th>
+                  <th className="py-2 font-medium text-right" title="Share of realized prices inside the 90% volatility band around each projected step">Band coverage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={row.key} className={`border-b border-gray-100 dark:border-gray-700/50 ${index === 0 ? 'bg-green-50 dark:bg-green-900/20' : ''}`}>
+                    <td className="py-2 pr-3 text-gray-900 dark:text-white">{MODEL_LABELS[row.model] || 'Mixed'}</td>
+                    <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.triad ? `[${row.triad}]` : '—'}</td>
+                    <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.depthPrime ?? '—'}</td>
+                    <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.omega ? `${row.omega} Hz` : '—'}</td>
+                    <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.returnModel ? RETURN_MODEL_LABELS[row.returnModel] : '—'}</td>
+                    <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{row.samples}</td>
+                    <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{row.mae === null ? '—' : `${pricePrefix}${formatPrice(row.mae, result.symbol)}`}</td>
+                    <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(row.mape)}</td>
+                    <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(row.hitRate)}</td>
+                    <td className="py-2 text-right text-gray-700 dark:text-gray-300">{formatPercent(row.coverage)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {!result && !running && (
+        <div className="text-center text-sm text-gray-500 dark:text-gray-400 py-12">
+          Pick a symbol and the settings to replay, then run the backtest.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Backtest;
@@ -0,0 +1,571 @@
+import { useMemo, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Filler,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { getBarSeries } from '../services/monitorService';
+import { validateSymbol } from '../services/symbolSearch';
+import { getBacktestResult } from '../services/backtestService';
+import { getLatticePresets, getLatticePreset } from '../services/latticePresetService';
+import { ENGINE_MODELS, PRIME_STOPS, RETURN_MODEL_OPTIONS, randomSeed } from '../engine';
+import { getModelErrors } from '../engine/ensemble';
+import { getCorrelationMatrix } from '../engine/correlation';
+import { projectInWorker } from '../engine/workerClient';
+import { getIntervalMs } from '../utils/barSeries';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Filler
+);
+
+const WATCHLIST_KEY = 'compareWatchlist';
+
+// Most symbols one comparison runs (each is a fetch and a projection)
+const MAX_SYMBOLS = 30;
+
+// History per interval: the Projection page's window first, longer ones for steadier correlations
+const RANGE_OPTIONS = {
+  '1D': ['1mo', '3mo', '6mo', '1y'],
+  '1H': ['1d', '5d', '1mo'],
+};
+
+// History bars drawn before the projection on each small chart
+const CHART_HISTORY = 30;
+
+// Same models as the Projection page
+const COMPARE_MODES = [
+  ...ENGINE_MODELS.filter(model => model.id === 'primetetration' || model.id === 'montecarlo'),
+  { id: 'ensemble', label: 'Ensemble' },
+];
+
+const DEFAULT_CONFIG = {
+  model: 'primetetration',
+  steps: 20,
+  base: 3,
+  beta: 0.01,
+  depthPrime: 31,
+  triadCount: 12,
+  omegaHz: 432,
+  useLambdaSchedule: true,
+  useOmegaSchedule: false,
+  latticePresetId: null,
+  returnModel: 'normal',
+  seed: null,
+};
+
+const inputClass = 'w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-colors';
+const labelClass = 'block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1';
+
+const toggleClass = (active) => `px-2 py-1.5 rounded text-xs font-medium transition-all ${
+  active
+    ? 'bg-purple-600 text-white'
+    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+}`;
+
+const formatChange = (value) => (value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+
+// Dashboard symbols (API tickers), or its defaults
+const getDashboardSymbols = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem('dashboardSymbols'));
+    if (Array.isArray(saved) && saved.length > 0) return saved.map(item => item.api || item.display).filter(Boolean);
+  } catch (error) {
+    console.error('Error loading dashboard symbols:', error);
+  }
+  return ['QQQ', 'SPY', 'DX-Y.NYB', '^VIX'];
+};
+
+// Unique symbols from "AAPL, MSFT BTC-USD"
+const parseWatchlist = (input) => [...new Set(
+  String(input).split(/[\s,;]+/).map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+)];
+
+// Mean of the projected lines per step (the triad mean for Prime Tetration)
+const getConsensus = (lines) => lines[0].points.map((_, step) => (
+  lines.reduce((sum, line) => sum + line.points[step], 0) / lines.length
+));
+
+// Correlation cell colour: green for moving together, red for moving apart
+const correlationColor = (value) => {
+  if (value === null) return undefined;
+  return value >= 0
+    ? `rgba(34, 197, 94, ${0.15 + 0.6 * value})`
+    : `rgba(239, 68, 68, ${0.15 + 0.6 * -value})`;
+};
+
+// Small chart of recent history and the projection, with the 5-95 band
+function CompareChart({ row }) {
+  const history = row.closes.slice(-CHART_HISTORY);
+  const labels = [...history.map((_, i) => i - history.length + 1), ...row.points.map((_, i) => i + 1)];
+  const pad = (values) => [...new Array(history.length - 1).fill(null), row.lastPrice, ...values];
+  const up = row.change >= 0;
+  const band = row.distribution?.percentiles;
+
+  const datasets = [
+    {
+      data: [...history, ...row.points.map(() => null)],
+      borderColor: 'rgba(107, 114, 128, 0.9)',
+      borderWidth: 1.5,
+      pointRadius: 0,
+      tension: 0.2,
+    },
+    {
+      data: pad(row.points),
+      borderColor: up ? 'rgba(34, 197, 94, 0.95)' : 'rgba(239, 68, 68, 0.95)',
+      borderWidth: 2,
+      borderDash: [4, 3],
+      pointRadius: 0,
+      tension: 0.3,
+    },
+  ];
+  if (band?.[5] && band?.[95]) {
+    datasets.push(
+      { data: pad(band[95]), borderColor: 'transparent', pointRadius: 0, fill: false },
+      { data: pad(band[5]), borderColor: 'transparent', backgroundColor: 'rgba(168, 85, 247, 0.15)', pointRadius: 0, fill: '-1' },
+    );
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: { legend: { display: false }, tooltip: { enabled: false } },
+    scales: { x: { display: false }, y: { display: false } },
+  };
+
+  return <Line data={{ labels, datasets }} options={options} />;
+}
+
+function Compare() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [watchlistInput, setWatchlistInput] = useState(() => {
+    const saved = localStorage.getItem(WATCHLIST_KEY);
+    return saved || getDashboardSymbols().join(', ');
+  });
+  const [interval, setInterval] = useState(() => location.state?.compareSettings?.interval || '1D');
+  const [range, setRange] = useState(() => RANGE_OPTIONS[location.state?.compareSettings?.interval || '1D'][0]);
+  // Settings handed over by the Projection page, or the page defaults
+  const [config, setConfig] = useState(() => ({
+    ...DEFAULT_CONFIG,
+    seed: randomSeed(),
+    ...location.state?.compareSettings,
+  }));
+  const [latticePresets] = useState(() => getLatticePresets());
+  const [rows, setRows] = useState([]);
+  const [ranAt, setRanAt] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [rankBy, setRankBy] = useState('change'); // 'change' | 'magnitude'
+  const abortRef = useRef(null);
+
+  const symbols = parseWatchlist(watchlistInput);
+  const setField = (field, value) => setConfig(current => ({ ...current, [field]: value }));
+
+  const handleIntervalChange = (value) => {
+    setInterval(value);
+    setRange(RANGE_OPTIONS[value][0]);
+  };
+
+  const projectSymbol = async (symbol, signal) => {
+    const check = await validateSymbol(symbol);
+    if (check.status === 'invalid') throw new Error(check.message);
+    const symbolKey = check.symbol;
+
+    const series = await getBarSeries(symbolKey, interval === '1H' ? '1h' : '1d', range);
+    const bars = series.bars.filter(bar => Number(bar.close) > 0);
+    const closes = bars.map(bar => Number(bar.close));
+    if (closes.length < 2) throw new Error(`Only ${closes.length} bars of history`);
+
+    const params = { model: config.model, steps: Number(config.steps) };
+    if (config.model === 'primetetration') {
+      Object.assign(params, {
+        base: config.base,
+        beta: Number(config.beta),
+        depthPrime: config.depthPrime,
+        triadCount: Number(config.triadCount),
+        omegaHz: Number(config.omegaHz),
+        useLambdaSchedule: config.useLambdaSchedule,
+        useOmegaSchedule: config.useOmegaSchedule,
+        lattice: getLatticePreset(config.latticePresetId),
+      });
+    } else {
+      const backtest = config.model === 'ensemble' ? getBacktestResult(symbolKey, interval) : null;
+      Object.assign(params, {
+        seed: config.seed,
+        returnModel: config.returnModel,
+        modelErrors: backtest ? getModelErrors(backtest.rows) : null,
+      });
+    }
+
+    const result = await projectInWorker(closes, params, { signal });
+    const points = getConsensus(result.lines);
+    const lastPrice = closes[closes.length - 1];
+    return {
+      symbol: symbolKey,
+      bars,
+      closes,
+      lastPrice,
+      points,
+      projectedPrice: points[points.length - 1],
+      change: ((points[points.length - 1] - lastPrice) / lastPrice) * 100,
+      distribution: result.distribution,
+      error: null,
+    };
+  };
+
+  const handleRun = async () => {
+    if (symbols.length === 0) {
+      setError('Add at least one symbol to the watchlist');
+      return;
+    }
+    if (symbols.length > MAX_SYMBOLS) {
+      setError(`Compare at most ${MAX_SYMBOLS} symbols at a time, got ${symbols.length}`);
+      return;
+    }
+    localStorage.setItem(WATCHLIST_KEY, symbols.join(', '));
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setRows([]);
+
+    // One symbol at a time: fetches go through the shared rate limits and each run gets the worker
+    const results = [];
+    try {
+      for (let i = 0; i < symbols.length; i++) {
+        if (controller.signal.aborted) break;
+        setProgress({ done: i, total: symbols.length, symbol: symbols[i] });
+        try {
+          results.push(await projectSymbol(symbols[i], controller.signal));
+        } catch (err) {
+          if (err.cancelled) break;
+          console.error(`Comparison failed for ${symbols[i]}:`, err);
+          results.push({ symbol: symbols[i], error: err.message || 'Projection failed' });
+        }
+        setRows([...results]);
+      }
+      setRanAt(new Date().toISOString());
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  // Open one symbol on the Projection page with the compared settings
+  const handleOpen = (symbol) => {
+    navigate('/projection', {
+      state: { applySettings: { ...config, symbol, interval, projectionSteps: Number(config.steps) } },
+    });
+  };
+
+  const ranked = useMemo(() => {
+    const scored = rows.filter(row => !row.error);
+    const score = (row) => (rankBy === 'magnitude' ? Math.abs(row.change) : row.change);
+    return [...scored.sort((a, b) => score(b) - score(a)), ...rows.filter(row => row.error)];
+  }, [rows, rankBy]);
+
+  const correlation = useMemo(() => {
+    const scored = ranked.filter(row => !row.error);
+    if (scored.length < 2) return null;
+    return getCorrelationMatrix(scored.map(row => ({ symbol: row.symbol, bars: row.bars })), getIntervalMs(interval === '1H' ? '1h' : '1d'));
+  }, [ranked, interval]);
+
+  const changeBySymbol = Object.fromEntries(ranked.map(row => [row.symbol, row.change]));
+
+  return (
+    <div className="w-full max-w-[1800px] mx-auto px-4 flex flex-col h-full min-h-0 overflow-y-auto">
+      {/* Header */}
+      <div className="text-center mb-3 flex-shrink-0">
+        <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">
+          Projection Compare
+        </h1>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          Runs one projection configuration across a watchlist, ranks the projected moves and correlates the symbols&apos; returns
+        </p>
+      </div>
+
+      {/* Controls */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-3 border border-gray-200 dark:border-gray-700 mb-3 flex-shrink-0 space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[240px]">
+            <div className="flex items-center justify-between mb-1">
+              <label htmlFor="compare-watchlist" className="text-xs font-semibold text-gray-700 dark:text-gray-300">
+                Watchlist ({symbols.length})
+              </label>
+              <button
+                type="button"
+                onClick={() => setWatchlistInput(getDashboardSymbols().join(', '))}
+                className="text-[10px] font-medium text-purple-600 dark:text-purple-400 hover:underline"
+              >
+                Use Dashboard symbols
+              </button>
+            </div>
+            <input
+              id="compare-watchlist"
+              type="text"
+              value={watchlistInput}
+              onChange={(e) => setWatchlistInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !running) handleRun();
+              }}
+              placeholder="AAPL, MSFT, BTC-USD, ^GSPC"
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+
+          <div className="min-w-[100px]">
+            <label className={labelClass}>Interval</label>
+            <div className="flex gap-1">
+              {Object.keys(RANGE_OPTIONS).map(value => (
+                <button key={value} type="button" onClick={() => handleIntervalChange(value)} className={`flex-1 ${toggleClass(interval === value)}`}>
+                  {value}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="min-w-[90px]">
+            <label htmlFor="compare-range" className={labelClass}>History</label>
+            <select id="compare-range" value={range} onChange={(e) => setRange(e.target.value)} className={inputClass}>
+              {RANGE_OPTIONS[interval].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="compare-steps" className={labelClass}>Steps</label>
+            <input id="compare-steps" type="number" min="1" max="1000" value={config.steps} onChange={(e) => setField('steps', e.target.value)} className={inputClass} />
+          </div>
+
+          <div>
+            {running ? (
+              <button type="button" onClick={handleCancel} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-red-600 hover:bg-red-700 text-white transition-colors">
+                Cancel
+              </button>
+            ) : (
+              <button type="button" onClick={handleRun} disabled={symbols.length === 0} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white transition-colors">
+                Compare
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label className={labelClass}>Model</label>
+            <div className="flex gap-1">
+              {COMPARE_MODES.map(mode => (
+                <button key={mode.id} type="button" onClick={() => setField('model', mode.id)} className={toggleClass(config.model === mode.id)}>
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {config.model === 'primetetration' ? (
+            <>
+              <div className="w-20">
+                <label htmlFor="compare-depth" className={labelClass}>Depth</label>
+                <select id="compare-depth" value={config.depthPrime} onChange={(e) => setField('depthPrime', Number(e.target.value))} className={inputClass}>
+                  {PRIME_STOPS.map(prime => (
+                    <option key={prime} value={prime}>{prime}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Base</label>
+                <div className="flex gap-1">
+                  {[2, 3].map(value => (
+                    <button key={value} type="button" onClick={() => setField('base', value)} className={toggleClass(config.base === value)}>
+                      {value}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="w-20">
+                <label htmlFor="compare-count" className={labelClass}>Triads</label>
+                <input id="compare-count" type="number" min="1" max="50" value={config.triadCount} onChange={(e) => setField('triadCount', e.target.value)} className={inputClass} />
+              </div>
+              <div className="w-20">
+                <label htmlFor="compare-omega" className={labelClass}>Ω Hz</label>
+                <input id="compare-omega" type="number" min="1" value={config.omegaHz} onChange={(e) => setField('omegaHz', e.target.value)} className={inputClass} />
+              </div>
+              <div className="w-20">
+                <label htmlFor="compare-beta" className={labelClass}>β</label>
+                <input id="compare-beta" type="number" step="0.001" min="0" value={config.beta} onChange={(e) => setField('beta', e.target.value)} className={inputClass} />
+              </div>
+              <div>
+                <label className={labelClass}>Schedules</label>
+                <div className="flex gap-1">
+                  <button type="button" onClick={() => setField('useLambdaSchedule', !config.useLambdaSchedule)} className={toggleClass(config.useLambdaSchedule)}>λ</button>
+                  <button type="button" onClick={() => setField('useOmegaSchedule', !config.useOmegaSchedule)} className={toggleClass(config.useOmegaSchedule)}>Ω</button>
+                </div>
+              </div>
+              <div className="min-w-[140px]">
+                <label htmlFor="compare-lattice" className={labelClass}>Lattice preset</label>
+                <select id="compare-lattice" value={config.latticePresetId || ''} onChange={(e) => setField('latticePresetId', e.target.value || null)} className={inputClass}>
+                  <option value="">Default lattice</option>
+                  {latticePresets.map(preset => (
+                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="min-w-[120px]">
+                <label htmlFor="compare-returns" className={labelClass}>Return model</label>
+                <select id="compare-returns" value={config.returnModel} onChange={(e) => setField('returnModel', e.target.value)} className={inputClass}>
+                  {RETURN_MODEL_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="w-28">
+                <label htmlFor="compare-seed" className={labelClass}>Seed</label>
+                <input id="compare-seed" type="number" min="0" value={config.seed ?? ''} onChange={(e) => setField('seed', Number(e.target.value) >>> 0)} className={inputClass} />
+              </div>
+            </>
+          )}
+        </div>
+
+        {progress && (
+          <div>
+            <div className="flex justify-between text-xs text-gray-600 dark:text-gray-400 mb-1">
+              <span>Projecting {progress.symbol}…</span>
+              <span>{progress.done} / {progress.total}</span>
+            </div>
+            <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div className="h-full bg-purple-600 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+        )}
+      </div>
+
+      {ranked.length > 0 && (
+        <div className="grid grid-cols-1 xl:grid-cols-[1fr_auto] gap-3 mb-3">
+          {/* Ranked projections */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-sm font-semibold text-gray-900 dark:text-white">
+                Projected moves · {COMPARE_MODES.find(mode => mode.id === config.model)?.label} · {config.steps} steps
+              </h2>
+              <div className="flex items-center gap-1 text-xs">
+                <span className="text-gray-500 dark:text-gray-400 mr-1">Rank by</span>
+                <button type="button" onClick={() => setRankBy('change')} className={toggleClass(rankBy === 'change')}>Change</button>
+                <button type="button" onClick={() => setRankBy('magnitude')} className={toggleClass(rankBy === 'magnitude')}>|Change|</button>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 2xl:grid-cols-4 gap-2 p-3">
+              {ranked.map((row, index) => (
+                <div key={row.symbol} className="rounded-lg border border-gray-200 dark:border-gray-700 p-2">
+                  <div className="flex items-center justify-between text-xs">
+                    <span className="font-semibold text-gray-900 dark:text-white">
+                      <span className="text-gray-400 mr-1">#{index + 1}</span>{row.symbol}
+                    </span>
+                    {!row.error && (
+                      <span className={`font-bold ${row.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                        {formatChange(row.change)}
+                      </span>
+                    )}
+                  </div>
+                  {row.error ? (
+                    <p className="text-xs text-red-600 dark:text-red-400 mt-2">{row.error}</p>
+                  ) : (
+                    <>
+                      <div className="h-24 mt-1">
+                        <CompareChart row={row} />
+                      </div>
+                      <div className="flex items-center justify-between text-[10px] text-gray-500 dark:text-gray-400 mt-1">
+                        <span>${row.lastPrice.toFixed(2)} → ${row.projectedPrice.toFixed(2)}</span>
+                        {row.distribution?.percentiles?.[5] && (
+                          <span title="5th to 95th percentile at the horizon">
+                            {formatChange(((row.distribution.percentiles[5].at(-1) - row.lastPrice) / row.lastPrice) * 100)} … {formatChange(((row.distribution.percentiles[95].at(-1) - row.lastPrice) / row.lastPrice) * 100)}
+                          </span>
+                        )}
+                        <button type="button" onClick={() => handleOpen(row.symbol)} className="font-medium text-purple-600 dark:text-purple-400 hover:underline">
+                          Open
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Return correlations next to the projected moves */}
+          {correlation && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 overflow-hidden self-start">
+              <div className="px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+                <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Return correlation</h2>
+                <p className="text-[10px] text-gray-500 dark:text-gray-400">
+                  {Math.max(0, correlation.buckets.length - 1)} common {interval === '1H' ? 'hourly' : 'daily'} returns{ranAt ? ` · ${new Date(ranAt).toLocaleString()}` : ''}
+                </p>
+              </div>
+              <div className="overflow-x-auto p-3">
+                <table className="text-[10px]">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th className="px-1 pb-1 font-medium text-gray-500 dark:text-gray-400 text-right">Proj.</th>
+                      {correlation.symbols.map(symbol => (
+                        <th key={symbol} className="px-1 pb-1 font-medium text-gray-500 dark:text-gray-400 max-w-[48px] truncate" title={symbol}>{symbol}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {correlation.symbols.map((symbol, i) => (
+                      <tr key={symbol}>
+                        <th className="pr-2 py-0.5 font-semibold text-left text-gray-900 dark:text-white whitespace-nowrap">{symbol}</th>
+                        <td className={`px-1 text-right font-semibold whitespace-nowrap ${changeBySymbol[symbol] >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                          {formatChange(changeBySymbol[symbol])}
+                        </td>
+                        {correlation.matrix[i].map((value, j) => (
+                          <td
+                            key={correlation.symbols[j]}
+                            className="w-11 h-7 text-center text-gray-900 dark:text-white"
+                            style={{ backgroundColor: correlationColor(value) }}
+                            title={`${symbol} / ${correlation.symbols[j]}`}
+                          >
+                            {value === null ? '—' : value.toFixed(2)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Compare;
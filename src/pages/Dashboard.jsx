@@ -3,30 +3,19 @@ import { DndContext, closestCenter, KeyboardSensor, PointerSensor, useSensor, us
 import { arrayMove, SortableContext, sortableKeyboardCoordinates, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import { calculateUniversalDayNumber, getNumerologyForecast } from '../utils/numerology';
-
-// Helper function to check if US market is currently open
-const isMarketOpen = () => {
-  const now = new Date();
-  const easternTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const day = easternTime.getDay(); // 0 = Sunday, 6 = Saturday
-  const hours = easternTime.getHours();
-  const minutes = easternTime.getMinutes();
-  const timeInMinutes = hours * 60 + minutes;
-  
-  // Market is closed on weekends
-  if (day === 0 || day === 6) {
-    return false;
-  }
-  
-  // Regular market hours: 9:30 AM - 4:00 PM ET (930 - 960 minutes)
-  const marketOpen = 9 * 60 + 30; // 9:30 AM
-  const marketClose = 16 * 60; // 4:00 PM
-  
-  return timeInMinutes >= marketOpen && timeInMinutes < marketClose;
-};
+import { subscribeQuotes } from '../services/quoteStream';
+import StreamStatusBadge from '../components/StreamStatusBadge';
+import FundamentalsPanel from '../components/FundamentalsPanel';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import { validateSymbol } from '../services/symbolSearch';
+import { normalizeSymbol } from '../utils/symbols';
+import { getAssetClass, getMarketSession, isMarketOpen, supportsInterval, formatPrice, getPricePrefix } from '../utils/assetClasses';
+import { getExchangeForTimezone } from '../utils/tradingCalendar';
+import MarketHoursBadge from '../components/MarketHoursBadge';
 
 // Helper function to determine market state
-const getMarketState = (meta, fallbackToTimeCheck = true) => {
+// The time-based fallback follows the symbol's asset class (exchange hours, 24/7 crypto, 24/5 FX)
+const getMarketState = (meta, symbol, fallbackToTimeCheck = true) => {
   // First, try to use the marketState from the API
   if (meta.marketState) {
     const state = meta.marketState.toUpperCase();
@@ -37,10 +26,9 @@ const getMarketState = (meta, fallbackToTimeCheck = true) => {
     if (state === 'CLOSED') return 'CLOSED';
   }
   
-  // Fallback: check if market is open based on current time
+  // Fallback: check the symbol's session based on current time
   if (fallbackToTimeCheck) {
-    const marketOpen = isMarketOpen();
-    return marketOpen ? 'REGULAR' : 'CLOSED';
+    return getMarketSession(symbol);
   }
   
   return 'UNKNOWN';
@@ -52,88 +40,20 @@ const getStockPrice = async (symbol) => {
   try {
     // Use 5m interval to get more recent data when market is open
     // This helps get the latest price instead of just previous close
-    const interval = isMarketOpen() ? '5m' : '1d';
-    const range = isMarketOpen() ? '1d' : '1d';
+    const interval = isMarketOpen(symbol) && supportsInterval(symbol, '5m') ? '5m' : '1d';
+    const range = '1d';
     
-    // Import fetchMarketData which handles both Yahoo and Finnhub
-    const { fetchMarketData } = await import('../services/monitorService');
+    // fetchMarketData picks a provider from the registry; normalizeQuote maps its response
+    const { fetchMarketData, normalizeQuote } = await import('../services/monitorService');
     const response = await fetchMarketData(symbol, interval, range);
     
     if (!response || !response.data) {
       throw new Error('Invalid response format');
     }
     
-    const data = response.data;
-    const source = response.source;
-    
-    // Handle Finnhub data format (flat object with c, pc, h, l, o, v)
-    if (source === 'finnhub') {
-      const currentPrice = data.c || 0;
-      const previousClose = data.pc || currentPrice;
-      const change = currentPrice - previousClose;
-      const changePercent = previousClose > 0 ? (change / previousClose) * 100 : 0;
-      
-      // Finnhub doesn't provide market state, check by time
-      const marketState = isMarketOpen() ? 'REGULAR' : 'CLOSED';
-      
-      return {
-        symbol,
-        price: currentPrice,
-        change,
-        changePercent,
-        previousClose: previousClose,
-        marketState: marketState,
-        volume: data.v || 0,
-      };
-    }
-    
-    // Handle Yahoo Finance data format
-    if (!data?.chart?.result?.[0]) {
-      throw new Error('Invalid data format: missing chart result');
-    }
-    
-    const result = data.chart.result[0];
-    
-    if (!result.meta) {
-      throw new Error('Invalid data format: missing meta data');
-    }
-    
-    const meta = result.meta;
-    const quotes = result.indicators?.quote?.[0];
-    
-    // Get previous close first (this should always be available)
-    const previousClose = meta.previousClose || meta.close || 0;
-    
-    // Get current price - prioritize real-time data when market is open
-    let currentPrice = 0;
-    
-    // Priority 1: Use regularMarketPrice if available (most accurate for current price)
-    if (meta.regularMarketPrice && meta.regularMarketPrice > 0) {
-      currentPrice = meta.regularMarketPrice;
-    }
-    
-    // Priority 2: Try to get the most recent price from quote data
-    if ((!currentPrice || currentPrice === 0) && quotes && quotes.close && quotes.close.length > 0) {
-      // Get the last non-null close price from the array
-      for (let i = quotes.close.length - 1; i >= 0; i--) {
-        const price = quotes.close[i];
-        if (price !== null && price !== undefined && price > 0) {
-          currentPrice = price;
-          break;
-        }
-      }
-    }
-    
-    // Priority 3: Try chartPreviousClose or other meta fields
-    if (!currentPrice || currentPrice === 0) {
-      currentPrice = meta.chartPreviousClose || meta.close || 0;
-    }
-    
-    // Priority 4: If still no current price, use previousClose as last resort
-    // But only if we're sure it's different (market closed scenario)
-    if (!currentPrice || currentPrice === 0) {
-      currentPrice = previousClose || meta.close || 0;
-    }
+    const quote = normalizeQuote(symbol, response);
+    const currentPrice = quote.price;
+    const previousClose = quote.previousClose || 0;
     
     if (!currentPrice || currentPrice === 0) {
       throw new Error('Invalid data format: no valid price data');
@@ -149,22 +69,10 @@ const getStockPrice = async (symbol) => {
     }
     
     // Determine market state with fallback to time-based check
-    const marketState = getMarketState(meta, true);
-    
-    // Get volume data
-    let volume = 0;
-    if (meta.regularMarketVolume && meta.regularMarketVolume > 0) {
-      volume = meta.regularMarketVolume;
-    } else if (quotes && quotes.volume && quotes.volume.length > 0) {
-      // Get the most recent non-null volume
-      for (let i = quotes.volume.length - 1; i >= 0; i--) {
-        const vol = quotes.volume[i];
-        if (vol !== null && vol !== undefined && vol > 0) {
-          volume = vol;
-          break;
-        }
-      }
-    }
+    // Quote-only providers don't report market state, so check by time for those
+    const marketState = quote.marketStateInferred
+      ? getMarketState({}, symbol, true)
+      : getMarketState({ marketState: quote.marketState }, symbol, true);
     
     return {
       symbol,
@@ -173,13 +81,13 @@ const getStockPrice = async (symbol) => {
       changePercent,
       previousClose: previousClose,
       marketState: marketState,
-      volume: volume,
+      volume: quote.volume || 0,
     };
   } catch (error) {
     console.error(`Error fetching ${symbol}:`, error);
     
     // If API fails, try to determine market state from time
-    const marketState = isMarketOpen() ? 'REGULAR' : 'CLOSED';
+    const marketState = getMarketSession(symbol);
     
     return {
       symbol,
@@ -258,6 +166,7 @@ function SortableWorldClock({ id, timezone, city, country }) {
   const localDate = new Date(year, month - 1, day);
   const universalDayNumber = calculateUniversalDayNumber(localDate);
   const forecast = getNumerologyForecast(universalDayNumber);
+  const exchange = getExchangeForTimezone(timezone);
 
   return (
     <div
@@ -281,6 +190,9 @@ function SortableWorldClock({ id, timezone, city, country }) {
         <div className="text-sm text-gray-600 dark:text-gray-400 mb-4">
           {dateStr}
         </div>
+        {exchange && (
+          <MarketHoursBadge exchangeId={exchange.id} showName className="justify-center mb-2" />
+        )}
         
         {/* Daily Global Numerology Forecast */}
         <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
@@ -350,6 +262,7 @@ function WorldClock({ timezone, city, country }) {
   const localDate = new Date(year, month - 1, day);
   const universalDayNumber = calculateUniversalDayNumber(localDate);
   const forecast = getNumerologyForecast(universalDayNumber);
+  const exchange = getExchangeForTimezone(timezone);
 
   return (
     <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
@@ -362,6 +275,9 @@ function WorldClock({ timezone, city, country }) {
         <div className="text-sm text-gray-600 dark:text-gray-400 mb-4">
           {dateStr}
         </div>
+        {exchange && (
+          <MarketHoursBadge exchangeId={exchange.id} showName className="justify-center mb-2" />
+        )}
         
         {/* Daily Global Numerology Forecast */}
         <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
@@ -425,8 +341,9 @@ function SortableSection({ id, children }) {
 }
 
 // Volume Tooltip Component
-function VolumeTooltip({ volume, symbol }) {
-  if (!volume || volume === 0) {
+// assetClass decides what the number means (shares, contracts, traded value)
+function VolumeTooltip({ volume, symbol, assetClass }) {
+  if (!volume || volume === 0 || assetClass.volume.unit === 'none') {
     return null;
   }
 
@@ -446,7 +363,7 @@ function VolumeTooltip({ volume, symbol }) {
     <div className="absolute z-50 w-56 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 pointer-events-none opacity-0 group-hover:opacity-100 transition-opacity duration-200 bottom-full left-1/2 transform -translate-x-1/2 mb-3">
       <div className="text-xs font-semibold mb-2 text-gray-500 dark:text-gray-400 uppercase tracking-wide">{symbol} Volume</div>
       <div className="text-2xl font-bold text-gray-900 dark:text-white mb-1">{formatVolume(volume)}</div>
-      <div className="text-xs text-gray-600 dark:text-gray-400">Total shares traded</div>
+      <div className="text-xs text-gray-600 dark:text-gray-400">{assetClass.volume.label}</div>
       {/* Arrow pointing down */}
       <div className="absolute top-full left-1/2 transform -translate-x-1/2 -mt-px">
         <div className="w-0 h-0 border-l-[6px] border-r-[6px] border-t-[6px] border-transparent border-t-white dark:border-t-gray-800"></div>
@@ -457,7 +374,7 @@ function VolumeTooltip({ volume, symbol }) {
 }
 
 // Sortable Stock Info Card Component
-function SortableStockCard({ id, symbol, data, loading, onRemove }) {
+function SortableStockCard({ id, symbol, apiSymbol, data, loading, onRemove }) {
   const {
     attributes,
     listeners,
@@ -596,9 +513,9 @@ function SortableStockCard({ id, symbol, data, loading, onRemove }) {
 
   const isPositive = data.change >= 0;
   
-  // DXY and VIX don't use dollar signs
-  const isIndex = symbol === 'DXY' || symbol === 'VIX';
-  const pricePrefix = isIndex ? '' : '$';
+  // Indices and FX pairs don't use dollar signs; crypto and FX need more decimals
+  const assetClass = getAssetClass(apiSymbol || symbol);
+  const pricePrefix = getPricePrefix(assetClass);
   
   // Determine market status with better logic
   let marketStatus = 'Closed';
@@ -618,7 +535,7 @@ function SortableStockCard({ id, symbol, data, loading, onRemove }) {
     statusColor = 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-300';
   } else {
     // Fallback: check if market should be open based on time
-    const marketOpen = isMarketOpen();
+    const marketOpen = isMarketOpen(assetClass);
     if (marketOpen) {
       marketStatus = 'Open';
       statusColor = 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-400';
@@ -638,7 +555,7 @@ function SortableStockCard({ id, symbol, data, loading, onRemove }) {
     >
       {/* Volume Tooltip */}
       {data && data.volume > 0 && (
-        <VolumeTooltip volume={data.volume} symbol={symbol} />
+        <VolumeTooltip volume={data.volume} symbol={symbol} assetClass={assetClass} />
       )}
       
       <div className="flex items-center justify-between mb-4">
@@ -672,12 +589,12 @@ function SortableStockCard({ id, symbol, data, loading, onRemove }) {
       
       <div className="mb-4">
         <p className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-          {pricePrefix}{data.price.toFixed(2)}
+          {pricePrefix}{formatPrice(data.price, assetClass)}
         </p>
         <div className="flex items-center gap-2">
           <span className={`text-lg font-semibold ${isPositive ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
             {data.change !== 0 ? (
-              `${isPositive ? '+' : ''}${pricePrefix}${Math.abs(data.change).toFixed(2)}`
+              `${isPositive ? '+' : ''}${pricePrefix}${formatPrice(Math.abs(data.change), assetClass)}`
             ) : (
               `${pricePrefix}0.00`
             )}
@@ -696,9 +613,15 @@ function SortableStockCard({ id, symbol, data, loading, onRemove }) {
         <div className="flex items-center justify-between text-sm">
           <span className="text-gray-500 dark:text-gray-400">Previous Close</span>
           <span className="text-gray-900 dark:text-white font-medium">
-            {pricePrefix}{(data.previousClose || (data.price - data.change)).toFixed(2)}
+            {pricePrefix}{formatPrice(data.previousClose || (data.price - data.change), assetClass)}
           </span>
         </div>
+        {assetClass.calendar === 'exchange' && (
+          <div className="mt-2">
+            <MarketHoursBadge exchangeId={assetClass.exchange} />
+          </div>
+        )}
+        {(assetClass.id === 'equity' || assetClass.id === 'etf') && <FundamentalsPanel symbol={apiSymbol || symbol} compact />}
       </div>
     </div>
   );
@@ -787,9 +710,9 @@ function StockInfoCard({ symbol, data, loading, onRemove }) {
 
   const isPositive = data.change >= 0;
   
-  // DXY and VIX don't use dollar signs
-  const isIndex = symbol === 'DXY' || symbol === 'VIX';
-  const pricePrefix = isIndex ? '' : '$';
+  // Indices and FX pairs don't use dollar signs; crypto and FX need more decimals
+  const assetClass = getAssetClass(symbol);
+  const pricePrefix = getPricePrefix(assetClass);
   
   // Determine market status with better logic
   let marketStatus = 'Closed';
@@ -809,7 +732,7 @@ function StockInfoCard({ symbol, data, loading, onRemove }) {
     statusColor = 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-300';
   } else {
     // Fallback: check if market should be open based on time
-    const marketOpen = isMarketOpen();
+    const marketOpen = isMarketOpen(assetClass);
     if (marketOpen) {
       marketStatus = 'Open';
       statusColor = 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-400';
@@ -823,7 +746,7 @@ function StockInfoCard({ symbol, data, loading, onRemove }) {
     <div className="relative group bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 border border-gray-200 dark:border-gray-700">
       {/* Volume Tooltip */}
       {data && data.volume > 0 && (
-        <VolumeTooltip volume={data.volume} symbol={symbol} />
+        <VolumeTooltip volume={data.volume} symbol={symbol} assetClass={assetClass} />
       )}
       
       <div className="flex items-center justify-between mb-4">
@@ -849,12 +772,12 @@ function StockInfoCard({ symbol, data, loading, onRemove }) {
       
       <div className="mb-4">
         <p className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-          {pricePrefix}{data.price.toFixed(2)}
+          {pricePrefix}{formatPrice(data.price, assetClass)}
         </p>
         <div className="flex items-center gap-2">
           <span className={`text-lg font-semibold ${isPositive ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
             {data.change !== 0 ? (
-              `${isPositive ? '+' : ''}${pricePrefix}${Math.abs(data.change).toFixed(2)}`
+              `${isPositive ? '+' : ''}${pricePrefix}${formatPrice(Math.abs(data.change), assetClass)}`
             ) : (
               `${pricePrefix}0.00`
             )}
@@ -873,9 +796,14 @@ function StockInfoCard({ symbol, data, loading, onRemove }) {
         <div className="flex items-center justify-between text-sm">
           <span className="text-gray-500 dark:text-gray-400">Previous Close</span>
           <span className="text-gray-900 dark:text-white font-medium">
-            {pricePrefix}{(data.previousClose || (data.price - data.change)).toFixed(2)}
+            {pricePrefix}{formatPrice(data.previousClose || (data.price - data.change), assetClass)}
           </span>
         </div>
+        {assetClass.calendar === 'exchange' && (
+          <div className="mt-2">
+            <MarketHoursBadge exchangeId={assetClass.exchange} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1001,7 +929,7 @@ function Dashboard() {
           change: 0,
           changePercent: 0,
           previousClose: 0,
-          marketState: isMarketOpen() ? 'REGULAR' : 'CLOSED',
+          marketState: getMarketSession(symbolConfig.api),
           error: 'Failed to fetch data. Please try again.',
         }))
       );
@@ -1035,7 +963,7 @@ function Dashboard() {
             change: 0,
             changePercent: 0,
             previousClose: 0,
-            marketState: isMarketOpen() ? 'REGULAR' : 'CLOSED',
+            marketState: getMarketSession(symbolConfig.api),
             error: 'Failed to fetch data. Please try again.',
           };
         }
@@ -1048,14 +976,44 @@ function Dashboard() {
 
   useEffect(() => {
     loadStockData();
-    // Auto-refresh every 30 seconds
-    const interval = setInterval(loadStockData, 30000);
+    // Live prices come from the quote stream; a full reload every 5 minutes
+    // refreshes previous close and market state
+    const interval = setInterval(loadStockData, 300000);
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [symbols.length]); // Reload when symbols count changes
 
+  // Stream live quotes into the stock cards
+  useEffect(() => {
+    const unsubscribers = symbols.map(symbolConfig =>
+      subscribeQuotes(symbolConfig.api, (quote) => {
+        setStockData(prev => {
+          const current = prev[symbolConfig.display];
+          if (!current || current.price === null) {
+            return prev;
+          }
+          const previousClose = quote.previousClose || current.previousClose;
+          const change = previousClose > 0 ? quote.price - previousClose : current.change;
+          return {
+            ...prev,
+            [symbolConfig.display]: {
+              ...current,
+              price: quote.price,
+              previousClose,
+              change,
+              changePercent: previousClose > 0 ? (change / previousClose) * 100 : current.changePercent,
+              volume: quote.volume || current.volume,
+            },
+          };
+        });
+        setLastUpdate(new Date());
+      })
+    );
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [symbols]);
+
   const addSymbol = async () => {
-    const symbolToAdd = newSymbolInput.trim().toUpperCase();
+    const symbolToAdd = normalizeSymbol(newSymbolInput);
     if (!symbolToAdd) {
       return;
     }
@@ -1069,6 +1027,14 @@ function Dashboard() {
 
     setAddingSymbol(true);
     try {
+      // Reject malformed or unknown tickers before fetching
+      const check = await validateSymbol(symbolToAdd);
+      if (check.status === 'invalid') {
+        alert(check.message);
+        setAddingSymbol(false);
+        return;
+      }
+
       // Test if symbol is valid by trying to fetch it
       const testData = await getStockPrice(symbolToAdd);
       if (testData.error || testData.price === null) {
@@ -1191,6 +1157,7 @@ function Dashboard() {
               <div className="flex items-center justify-between mb-4">
                 <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Market</h2>
                 <div className="flex items-center gap-4">
+                  <StreamStatusBadge />
                   {lastUpdate && (
                     <span className="text-xs text-gray-500 dark:text-gray-400">
                       Last updated: {lastUpdate.toLocaleTimeString('en-US', { timeZone: 'America/New_York' })}
@@ -1212,14 +1179,14 @@ function Dashboard() {
               
               {/* Add Symbol Input */}
               <div className="mb-4 flex gap-2">
-                <input
-                  type="text"
+                <SymbolSearchInput
                   value={newSymbolInput}
-                  onChange={(e) => setNewSymbolInput(e.target.value.toUpperCase())}
-                  onKeyPress={handleKeyPress}
-                  placeholder="Enter symbol (e.g., AAPL, TSLA, MSFT)"
+                  onChange={setNewSymbolInput}
+                  onKeyDown={handleKeyPress}
+                  placeholder="Search symbol or company (e.g., AAPL, BTC-USD, ^GSPC)"
                   disabled={addingSymbol}
-                  className="flex-1 px-4 py-2 border-2 border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  containerClassName="relative flex-1"
+                  className="w-full px-4 py-2 border-2 border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                 />
                 <button
                   type="button"
@@ -1257,6 +1224,7 @@ function Dashboard() {
                         key={symbolConfig.display}
                         id={symbolConfig.display}
                         symbol={symbolConfig.display}
+                        apiSymbol={symbolConfig.api}
                         data={stockData[symbolConfig.display] || null}
                         loading={loading && !stockData[symbolConfig.display]}
                         onRemove={symbols.length > 1 ? () => removeSymbol(symbolConfig.display) : null}
@@ -1,6 +1,10 @@
 import { useState, useEffect, useMemo } from 'react';
-import { getSavedProjections, deleteProjection } from '../services/projectionService';
+import { getSavedProjections, deleteProjection, evaluateSavedProjections } from '../services/projectionService';
+import { buildLeaderboard } from '../utils/projectionScoring';
+import { RETURN_MODEL_OPTIONS } from '../engine';
+import { summarizeScore } from '../engine/backtest';
 import { useNavigate } from 'react-router-dom';
+import ProjectionAlertsPanel from '../components/ProjectionAlertsPanel';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -51,6 +55,7 @@ function Data() {
   const [viewMode, setViewMode] = useState('grid'); // grid, list
   const [selectedProjections, setSelectedProjections] = useState([]);
   const [showStats, setShowStats] = useState(true);
+  const [scoring, setScoring] = useState(false);
   const navigate = useNavigate();
 
   // Chart options matching Projection page
@@ -156,6 +161,7 @@ function Data() {
 
   useEffect(() => {
     loadProjections();
+    scoreProjections();
   }, []);
 
   const loadProjections = () => {
@@ -172,6 +178,20 @@ function Data() {
     }
   };
 
+  // Re-score saved projections against bars that printed since they were made
+  const scoreProjections = async () => {
+    setScoring(true);
+    try {
+      const updated = await evaluateSavedProjections();
+      setProjections(updated);
+      setSelectedProjection(current => (current ? updated.find(p => p.id === current.id) || current : current));
+    } catch (error) {
+      console.error('Error scoring projections:', error);
+    } finally {
+      setScoring(false);
+    }
+  };
+
   // Get all unique models from projections
   const allModels = useMemo(() => {
     const models = new Set();
@@ -235,6 +255,49 @@ function Data() {
     return { total, byModel, withCharts, withoutCharts, totalSymbols };
   }, [projections]);
 
+  // Saved configurations ranked by how closely they tracked realized prices
+  const leaderboard = useMemo(() => {
+    return buildLeaderboard(projections)
+      .map(row => ({ ...row, ...summarizeScore(row.score) }))
+      .sort((a, b) => a.mape - b.mape);
+  }, [projections]);
+
+  const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+
+  // Best-tracking line of an evaluated projection
+  const getBestLine = (projection) => {
+    const lines = (projection.evaluation?.lines || [])
+      .filter(line => line.score?.steps > 0)
+      .map(line => ({ ...line, ...summarizeScore(line.score) }));
+    return lines.length > 0 ? lines.reduce((best, line) => (line.mape < best.mape ? line : best)) : null;
+  };
+
+  // Chart datasets with realized prices overlaid on the projected bars
+  const getModalDatasets = (projection) => {
+    const datasets = (projection.chartData.datasets || []).map(dataset => ({
+      ...dataset,
+      data: Array.isArray(dataset.data) ? dataset.data : [],
+    }));
+    const actual = projection.evaluation?.actual;
+    const start = projection.chartData.historicalCount;
+    if (!actual || !actual.some(price => price !== null) || start === null || start === undefined) return datasets;
+    return [
+      ...datasets,
+      {
+        label: 'Actual',
+        data: projection.chartData.labels.map((_, index) => (index >= start ? actual[index - start] ?? null : null)),
+        borderColor: 'rgb(17, 24, 39)',
+        backgroundColor: 'rgba(17, 24, 39, 0.1)',
+        borderWidth: 3,
+        pointRadius: 3,
+        pointHoverRadius: 6,
+        tension: 0,
+        fill: false,
+        spanGaps: false,
+      },
+    ];
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -247,15 +310,35 @@ function Data() {
     });
   };
 
+  // Horizon as chosen on the Projection page with the steps it resolved to
+  const formatHorizon = (projection) => {
+    const steps = projection.projectedTimes?.length || projection.projectionSteps;
+    if (projection.horizonUnit === 'hours') return `${projection.projectionHours} hours (${steps} bars)`;
+    if (projection.horizonUnit === 'sessions') return `${projection.projectionSessions} trading sessions (${steps} bars)`;
+    return `${projection.projectionSteps} steps`;
+  };
+
+  // First and last trading bar the projection was mapped onto
+  const getProjectedRange = (projection) => {
+    const times = (projection.projectedTimes || []).filter(Boolean);
+    if (times.length === 0) return null;
+    return `${formatDate(times[0])} – ${formatDate(times[times.length - 1])}`;
+  };
+
   const formatModelName = (model) => {
     const modelNames = {
       'lattice': '12-Fold Lattice',
       'primetetration': 'Prime Tetration',
       'montecarlo': 'Monte Carlo',
+      'ensemble': 'Ensemble',
     };
     return modelNames[model] || model || 'Unknown';
   };
 
+  const formatReturnModel = (returnModel) => {
+    return RETURN_MODEL_OPTIONS.find(option => option.id === returnModel)?.label || returnModel || 'Normal';
+  };
+
   const getProjectionColor = (index) => {
     return PROJECTION_COLORS[index % PROJECTION_COLORS.length];
   };
@@ -422,6 +505,56 @@ function Data() {
           </div>
         )}
 
+        {/* Leaderboard of saved configurations */}
+        {showStats && (leaderboard.length > 0 || scoring) && (
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 mb-6">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Tracking Leaderboard</h2>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {scoring ? 'Checking new bars…' : 'Saved configurations ranked by error against realized prices'}
+              </span>
+            </div>
+            {leaderboard.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                      <th className="py-2 pr-3 font-medium">#</th>
+                      <th className="py-2 pr-3 font-medium">Model</th>
+                      <th className="py-2 pr-3 font-medium">Triad</th>
+                      <th className="py-2 pr-3 font-medium">Base</th>
+                      <th className="py-2 pr-3 font-medium">β</th>
+                      <th className="py-2 pr-3 font-medium">ω</th>
+                      <th className="py-2 pr-3 font-medium text-right">Projections</th>
+                      <th className="py-2 pr-3 font-medium text-right">MAPE</th>
+                      <th className="py-2 pr-3 font-medium text-right">Hit rate</th>
+                      <th className="py-2 font-medium text-right">Band coverage</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {leaderboard.slice(0, 10).map((row, index) => (
+                      <tr key={row.key} className="border-b border-gray-100 dark:border-gray-700/50">
+                        <td className="py-2 pr-3 text-gray-500 dark:text-gray-400">{index + 1}</td>
+                        <td className="py-2 pr-3 text-gray-900 dark:text-white">
+                          {formatModelName(row.model)}{row.returnModel ? ` · ${formatReturnModel(row.returnModel)}` : ''}
+                        </td>
+                        <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.triad ? `[${row.triad}]` : '—'}</td>
+                        <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.base ?? '—'}</td>
+                        <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.beta ?? '—'}</td>
+                        <td className="py-2 pr-3 text-gray-700 dark:text-gray-300">{row.omega ? `${row.omega} Hz` : '—'}</td>
+                        <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{row.projections}</td>
+                        <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(row.mape)}</td>
+                        <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(row.hitRate)}</td>
+                        <td className="py-2 text-right text-gray-700 dark:text-gray-300">{formatPercent(row.coverage)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Controls Bar */}
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4 mb-6">
           <div className="flex flex-col lg:flex-row gap-4">
@@ -634,6 +767,7 @@ function Data() {
           }>
             {filteredProjections.map((projection, index) => {
               const color = getProjectionColor(index);
+              const bestLine = getBestLine(projection);
               return (
                 <div
                   key={projection.id}
@@ -712,6 +846,29 @@ function Data() {
                         <span className="px-2 py-0.5 text-xs font-medium bg-white/60 dark:bg-gray-800/60 text-gray-700 dark:text-gray-300 rounded-full">
                           Depth: {projection.primeDepth || 'N/A'}
                         </span>
+                        {projection.latticePreset && (
+                          <span className="px-2 py-0.5 text-xs font-medium bg-white/60 dark:bg-gray-800/60 text-gray-700 dark:text-gray-300 rounded-full">
+                            Lattice: {projection.latticePreset.name}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                    {projection.projectionModel === 'montecarlo' && (
+                      <div className="flex flex-wrap gap-1.5">
+                        <span className="px-2 py-0.5 text-xs font-medium bg-white/60 dark:bg-gray-800/60 text-gray-700 dark:text-gray-300 rounded-full">
+                          Returns: {formatReturnModel(projection.returnModel)}
+                        </span>
+                        <span className="px-2 py-0.5 text-xs font-medium bg-white/60 dark:bg-gray-800/60 text-gray-700 dark:text-gray-300 rounded-full">
+                          Seed: {projection.seed ?? 'N/A'}
+                        </span>
+                      </div>
+                    )}
+                    {bestLine && (
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs font-medium text-gray-600 dark:text-gray-400">Tracking:</span>
+                        <span className="text-sm text-gray-700 dark:text-gray-300">
+                          {formatPercent(bestLine.mape)} MAPE ({projection.evaluation.realizedSteps}/{projection.evaluation.totalSteps} bars)
+                        </span>
                       </div>
                     )}
                   </div>
@@ -786,10 +943,7 @@ function Data() {
                           <Line
                             data={{
                               labels: selectedProjection.chartData.labels || [],
-                              datasets: (selectedProjection.chartData.datasets || []).map(dataset => ({
-                                ...dataset,
-                                data: Array.isArray(dataset.data) ? dataset.data : [],
-                              })),
+                              datasets: getModalDatasets(selectedProjection),
                             }}
                             options={chartOptions}
                           />
@@ -850,6 +1004,54 @@ function Data() {
                       </div>
                     )}
 
+                    {/* Tracking error per projected line */}
+                    {selectedProjection.evaluation && (
+                      <div className="mb-6 bg-gray-50 dark:bg-gray-900 rounded-lg p-4 border border-gray-200 dark:border-gray-700">
+                        <div className="flex items-center justify-between mb-3">
+                          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                            Tracking vs. Actual
+                          </h4>
+                          <span className="text-xs text-gray-500 dark:text-gray-400">
+                            {selectedProjection.evaluation.realizedSteps} of {selectedProjection.evaluation.totalSteps} projected bars realized · {selectedProjection.evaluation.complete ? 'final, ' : ''}checked {formatDate(selectedProjection.evaluation.evaluatedAt)}
+                          </span>
+                        </div>
+                        {selectedProjection.evaluation.realizedSteps > 0 ? (
+                          <div className="overflow-x-auto">
+                            <table className="w-full text-xs">
+                              <thead>
+                                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                                  <th className="py-2 pr-3 font-medium">Line</th>
+                                  <th className="py-2 pr-3 font-medium text-right">MAE</th>
+                                  <th className="py-2 pr-3 font-medium text-right">MAPE</th>
+                                  <th className="py-2 pr-3 font-medium text-right">Hit rate</th>
+                                  <th className="py-2 font-medium text-right">Band coverage</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {selectedProjection.evaluation.lines
+                                  .map(line => ({ ...line, ...summarizeScore(line.score) }))
+                                  .sort((a, b) => (a.mape ?? Infinity) - (b.mape ?? Infinity))
+                                  .map(line => (
+                                    <tr key={line.label} className="border-b border-gray-100 dark:border-gray-700/50">
+                                      <td className="py-2 pr-3 text-gray-900 dark:text-white">{line.label}</td>
+                                      <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{line.mae === null ? '—' : `$${line.mae.toFixed(2)}`}</td>
+                                      <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(line.mape)}</td>
+                                      <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(line.hitRate)}</td>
+                                      <td className="py-2 text-right text-gray-700 dark:text-gray-300">{formatPercent(line.coverage)}</td>
+                                    </tr>
+                                  ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        ) : (
+                          <p className="text-sm text-gray-500 dark:text-gray-400">No projected bars have printed yet.</p>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Live alerts on this projection */}
+                    <ProjectionAlertsPanel key={selectedProjection.id} projection={selectedProjection} />
+
                     <div className="mt-2 space-y-4">
                       <div className="grid grid-cols-2 gap-4">
                         <div>
@@ -918,15 +1120,53 @@ function Data() {
                                 {selectedProjection.useOmegaSchedule ? 'Enabled' : 'Disabled'}
                               </p>
                             </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Lattice Preset
+                              </label>
+                              <p className="mt-1 text-sm text-gray-900 dark:text-white">
+                                {selectedProjection.latticePreset?.name || 'Default'}
+                              </p>
+                            </div>
+                          </>
+                        )}
+                        {selectedProjection.projectionModel === 'montecarlo' && (
+                          <>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Return Model
+                              </label>
+                              <p className="mt-1 text-sm text-gray-900 dark:text-white">
+                                {formatReturnModel(selectedProjection.returnModel)}
+                              </p>
+                            </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Seed
+                              </label>
+                              <p className="mt-1 text-sm text-gray-900 dark:text-white font-mono">
+                                {selectedProjection.seed ?? 'N/A'}
+                              </p>
+                            </div>
                           </>
                         )}
                         {selectedProjection.projectionSteps && (
                           <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                              Projection Steps
+                              {selectedProjection.horizonUnit ? 'Horizon' : 'Projection Steps'}
+                            </label>
+                            <p className="mt-1 text-sm text-gray-900 dark:text-white">
+                              {formatHorizon(selectedProjection)}
+                            </p>
+                          </div>
+                        )}
+                        {getProjectedRange(selectedProjection) && (
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                              Projected Bars
                             </label>
                             <p className="mt-1 text-sm text-gray-900 dark:text-white">
-                              {selectedProjection.projectionSteps}
+                              {getProjectedRange(selectedProjection)}
                             </p>
                           </div>
                         )}
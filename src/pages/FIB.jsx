@@ -1,6 +1,11 @@
 import { useState, useEffect, useRef } from 'react';
 import ApexCharts from 'apexcharts';
-import { fetchMarketData } from '../services/monitorService';
+import { getBarSeries } from '../services/monitorService';
+import { getSeriesRange } from '../utils/barSeries';
+import { normalizeSymbol } from '../utils/symbols';
+import { validateSymbol } from '../services/symbolSearch';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import { getBarDate, getPricePrecision } from '../utils/assetClasses';
 
 // Custom Fibonacci ratios - Positive levels (above anchor)
 const RETRACEMENT_LEVELS = [
@@ -61,73 +66,35 @@ function FIB() {
       const range = period === 'ytd' ? 'ytd' : '1y';
       const interval = '1d'; // Daily data for YTD
       
-      // For FIB calculations, we need historical chart data, so prioritize Yahoo Finance
-      // Use fetchMarketData with prioritizeYahoo=true to ensure we get chart data
-      const result = await fetchMarketData(symbolValue, interval, range, true);
+      // For FIB calculations we need historical daily bars; getBarSeries only
+      // uses providers that serve them and returns cleaned, sorted bars
+      const series = await getBarSeries(symbolValue, interval, range);
+      const bars = series.bars;
       
-      // Verify we got Yahoo Finance data (required for historical chart data)
-      if (result.source !== 'yahoo') {
-        throw new Error('Historical chart data is required for Fibonacci calculations. Yahoo Finance API is currently unavailable. Please try again later or check your internet connection.');
-      }
-      
-      const data = result.data;
-      
-      if (!data || !data.chart || !data.chart.result || data.chart.result.length === 0) {
+      if (bars.length === 0) {
         throw new Error('No data available for this symbol');
       }
-
-      const chartResult = data.chart.result[0];
-      const meta = chartResult.meta;
-      const quotes = chartResult.indicators?.quote?.[0];
-      const timestamps = chartResult.timestamp;
-      
-      if (!quotes) {
-        throw new Error('No quote data available for this symbol');
-      }
-      
-      if (!timestamps || timestamps.length === 0) {
-        throw new Error('No timestamp data available');
-      }
       
       // Get high and low based on anchor mode
       let high, low, anchorInfo;
       
       if (anchorMode === 'first_day') {
         // Find first trading day of the year (January 2, 2025 or first available)
-        const currentYear = new Date().getFullYear();
+        // Years are read in the asset's bar time zone so a crypto bar starting at UTC
+        // midnight on Jan 1 isn't dated Dec 31 in the Americas
+        const currentYear = getBarDate(Date.now(), symbolValue).slice(0, 4);
         
-        // Find all candles from current year
-        const currentYearCandles = [];
-        for (let i = 0; i < timestamps.length; i++) {
-          const date = new Date(timestamps[i] * 1000);
-          if (date.getFullYear() === currentYear) {
-            currentYearCandles.push({
-              index: i,
-              date: date,
-              timestamp: timestamps[i],
-              high: quotes.high[i],
-              low: quotes.low[i],
-              open: quotes.open[i],
-              close: quotes.close[i]
-            });
-          }
-        }
+        // Find all candles from current year (bars are already sorted by time)
+        const currentYearCandles = bars
+          .filter(bar => getBarDate(bar.time, symbolValue).slice(0, 4) === currentYear)
+          .map(bar => ({ ...bar, date: new Date(bar.time) }));
         
         if (currentYearCandles.length === 0) {
           throw new Error('No data available for current year');
         }
         
-        // Sort by date to get the earliest (first trading day)
-        currentYearCandles.sort((a, b) => a.timestamp - b.timestamp);
-        
         const firstCandle = currentYearCandles[0];
         
-        // Verify we have valid data
-        if (firstCandle.high === null || firstCandle.low === null || 
-            firstCandle.open === null || firstCandle.close === null) {
-          throw new Error('Invalid data for first trading day');
-        }
-        
         // Determine if candle is bullish or bearish
         const isBullish = firstCandle.close > firstCandle.open;
         
@@ -161,57 +128,28 @@ function FIB() {
         });
       } else {
         // Use period high/low (default behavior)
-        const highs = quotes.high.filter(h => h !== null);
-        const lows = quotes.low.filter(l => l !== null);
+        const periodRange = getSeriesRange(series);
         
-        if (highs.length === 0 || lows.length === 0) {
+        if (periodRange.high === null || periodRange.low === null) {
           throw new Error('Insufficient data for this period');
         }
         
-        high = Math.max(...highs);
-        low = Math.min(...lows);
+        high = periodRange.high;
+        low = periodRange.low;
         anchorInfo = 'Period High/Low';
       }
       
-      const closes = quotes.close.filter(c => c !== null);
-      const current = closes[closes.length - 1];
+      const current = bars[bars.length - 1].close;
 
       // Convert data format for lightweight-charts
-      // lightweight-charts accepts Unix timestamps (numbers) for daily data
-      const chartData = [];
-      
-      for (let i = 0; i < timestamps.length; i++) {
-        if (quotes.open[i] !== null && quotes.high[i] !== null && 
-            quotes.low[i] !== null && quotes.close[i] !== null) {
-          // Use Unix timestamp directly (in seconds) - ensure it's a number
-          const timeValue = Math.floor(Number(timestamps[i]));
-          
-          // Convert all values to numbers explicitly (not strings)
-          const open = Number(quotes.open[i]);
-          const high = Number(quotes.high[i]);
-          const low = Number(quotes.low[i]);
-          const close = Number(quotes.close[i]);
-          
-          // Only add if all values are valid numbers
-          if (!isNaN(open) && !isNaN(high) && !isNaN(low) && !isNaN(close) &&
-              open > 0 && high > 0 && low > 0 && close > 0 &&
-              timeValue > 0 &&
-              high >= low &&
-              high >= Math.max(open, close) &&
-              low <= Math.min(open, close)) {
-            chartData.push({
-              time: timeValue,
-              open: open,
-              high: high,
-              low: low,
-              close: close
-            });
-          }
-        }
-      }
-      
-      // Sort by time to ensure chronological order
-      chartData.sort((a, b) => a.time - b.time);
+      // lightweight-charts accepts Unix timestamps (numbers, in seconds) for daily data
+      const chartData = bars.map(bar => ({
+        time: Math.floor(bar.time / 1000),
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close
+      }));
       
       console.log('Chart data prepared:', {
         totalCandles: chartData.length,
@@ -225,13 +163,13 @@ function FIB() {
       }
 
       return {
-        symbol: meta.symbol,
+        symbol: series.symbol,
         current: current,
         high: high,
         low: low,
-        currency: meta.currency || 'USD',
-        timestamps: timestamps,
-        quotes: quotes,
+        currency: series.currency || 'USD',
+        timestamps: bars.map(bar => Math.floor(bar.time / 1000)),
+        bars: bars,
         anchorInfo: anchorInfo,
         chartData: chartData
       };
@@ -244,13 +182,19 @@ function FIB() {
 
   // Fetch market data and calculate Fibonacci levels
   const fetchDataAndCalculate = async () => {
-    const symbolValue = symbol.trim().toUpperCase();
+    const symbolValue = normalizeSymbol(symbol);
     
     if (!symbolValue) {
       setError('Please enter a valid symbol');
       return;
     }
 
+    const check = await validateSymbol(symbolValue);
+    if (check.status === 'invalid') {
+      setError(check.message);
+      return;
+    }
+
     setLoading(true);
     setError(null);
     setShowResults(false);
@@ -261,6 +205,7 @@ function FIB() {
       console.log('Data received:', data);
       
       setPriceInfo(data);
+      setPrecision(getPricePrecision(data.symbol, data.current));
       setShowResults(true);
       
     } catch (err) {
@@ -978,6 +923,10 @@ function FIB() {
   const filteredPositiveLevels = filterLevels(positiveLevels);
   const filteredNegativeLevels = filterLevels(negativeLevels);
 
+  // FX and sub-dollar crypto need more decimals than the usual 2 or 3
+  const precisionOptions = [...new Set([2, 3, priceInfo ? getPricePrecision(priceInfo.symbol, priceInfo.current) : 2])]
+    .sort((a, b) => a - b);
+
   return (
     <div className="w-full max-w-[1800px] mx-auto px-4 flex flex-col h-full min-h-0 overflow-hidden">
       {/* Header */}
@@ -998,12 +947,11 @@ function FIB() {
             <label htmlFor="symbol" className="block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
               Symbol
             </label>
-            <input
-              type="text"
+            <SymbolSearchInput
               id="symbol"
               value={symbol}
-              onChange={(e) => setSymbol(e.target.value)}
-              onKeyPress={handleKeyPress}
+              onChange={setSymbol}
+              onKeyDown={handleKeyPress}
               placeholder="AAPL, BTC-USD"
               className="w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-blue-500 focus:ring-1 focus:ring-blue-500 transition-colors"
             />
@@ -1035,7 +983,7 @@ function FIB() {
               Decimals
             </label>
             <div className="flex gap-1">
-              {[2, 3].map(val => (
+              {precisionOptions.map(val => (
                 <button
                   key={val}
                   className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-all ${
@@ -3,6 +3,14 @@ import { getNewsByCategory, searchNews } from '../services/newsService';
 
 const ARTICLES_PER_PAGE = 10;
 
+// Hint for the user based on why sources failed
+const getErrorHint = (errors) => {
+  if (errors.some(e => e.rateLimited)) {
+    return 'News sources are rate-limiting requests. Please wait a minute and refresh.';
+  }
+  return 'Please check your API keys in Settings.';
+};
+
 function News() {
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [news, setNews] = useState([]);
@@ -36,7 +44,7 @@ function News() {
         // Check if there were errors
         if (result.errors && result.errors.length > 0) {
           const errorMessages = result.errors.map(e => `${e.source}: ${e.error}`).join(', ');
-          setError(`Failed to fetch news from all sources. ${errorMessages}. Please check your API keys in Settings.`);
+          setError(`Failed to fetch news from all sources. ${errorMessages}. ${getErrorHint(result.errors)}`);
         } else {
           setError('No news available at this time. Please try again later or check your API keys in Settings.');
         }
@@ -81,7 +89,7 @@ function News() {
         // Check if there were errors
         if (result.errors && result.errors.length > 0) {
           const errorMessages = result.errors.map(e => `${e.source}: ${e.error}`).join(', ');
-          setError(`No news found for "${query}". ${errorMessages}. Please check your API keys in Settings.`);
+          setError(`No news found for "${query}". ${errorMessages}. ${getErrorHint(result.errors)}`);
         } else {
           setError(`No news found for "${query}". Please try a different search term or check your API keys in Settings.`);
         }
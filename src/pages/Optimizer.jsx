@@ -0,0 +1,429 @@
+import { useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getBarSeries } from '../services/monitorService';
+import { validateSymbol } from '../services/symbolSearch';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import { PRIME_STOPS } from '../engine';
+import { DEFAULT_OPTIMIZER_PARAMS, DEFAULT_OPTIMIZER_SPACE, OPTIMIZER_STRATEGIES, getSpaceSize } from '../engine/optimizer';
+import { optimizeInWorker } from '../engine/workerClient';
+
+// History windows worth replaying per interval (Yahoo keeps ~2 years of hourly bars)
+const RANGE_OPTIONS = {
+  '1D': ['6mo', '1y', '2y', '5y'],
+  '1H': ['1mo', '3mo', '6mo'],
+};
+
+// Schedule choices map to the values searched for that toggle
+const SCHEDULE_OPTIONS = [
+  { id: 'on', label: 'On', values: [true] },
+  { id: 'off', label: 'Off', values: [false] },
+  { id: 'both', label: 'Both', values: [true, false] },
+];
+
+const inputClass = 'w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-colors';
+const labelClass = 'block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1';
+
+const toggleClass = (active) => `px-2 py-1.5 rounded text-xs font-medium transition-all ${
+  active
+    ? 'bg-purple-600 text-white'
+    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+}`;
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+
+// Parse "432, 528" into unique positive numbers
+const parseNumbers = (input) => [...new Set(
+  String(input).split(/[\s,]+/).map(Number).filter(value => Number.isFinite(value) && value > 0)
+)];
+
+// Heatmap cell colour: green for the lowest MAPE on the map, red for the highest
+const heatColor = (value, min, max) => {
+  if (value === null) return undefined;
+  const t = max > min ? (value - min) / (max - min) : 0;
+  return `hsla(${Math.round(120 * (1 - t))}, 70%, 45%, 0.75)`;
+};
+
+const describeConfig = (config) => [
+  `p=${config.depthPrime}`,
+  `${config.omegaHz} Hz`,
+  `${config.triadCount} triads`,
+  `λ ${config.useLambdaSchedule ? 'on' : 'off'}`,
+  `ω sched ${config.useOmegaSchedule ? 'on' : 'off'}`,
+].join(' · ');
+
+function Optimizer() {
+  const navigate = useNavigate();
+  const [symbol, setSymbol] = useState('');
+  const [interval, setInterval] = useState('1D');
+  const [range, setRange] = useState('1y');
+  const [strategy, setStrategy] = useState(DEFAULT_OPTIMIZER_PARAMS.strategy);
+  const [maxEvaluations, setMaxEvaluations] = useState(DEFAULT_OPTIMIZER_PARAMS.maxEvaluations);
+  const [horizon, setHorizon] = useState(DEFAULT_OPTIMIZER_PARAMS.horizon);
+  const [lookback, setLookback] = useState(DEFAULT_OPTIMIZER_PARAMS.lookback);
+  const [cutoffCount, setCutoffCount] = useState(DEFAULT_OPTIMIZER_PARAMS.cutoffs);
+  const [seed, setSeed] = useState(DEFAULT_OPTIMIZER_PARAMS.seed);
+  const [depthPrimes, setDepthPrimes] = useState(DEFAULT_OPTIMIZER_SPACE.depthPrime);
+  const [omegaInput, setOmegaInput] = useState(DEFAULT_OPTIMIZER_SPACE.omegaHz.join(', '));
+  const [triadInput, setTriadInput] = useState(DEFAULT_OPTIMIZER_SPACE.triadCount.join(', '));
+  const [lambdaSchedule, setLambdaSchedule] = useState('both');
+  const [omegaSchedule, setOmegaSchedule] = useState('both');
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const toggleItem = (list, item) => (list.includes(item) ? list.filter(value => value !== item) : [...list, item]);
+
+  const space = {
+    depthPrime: [...depthPrimes].sort((a, b) => a - b),
+    omegaHz: parseNumbers(omegaInput).sort((a, b) => a - b),
+    triadCount: parseNumbers(triadInput).map(Math.round).filter(value => value >= 1 && value <= 13),
+    useLambdaSchedule: SCHEDULE_OPTIONS.find(option => option.id === lambdaSchedule).values,
+    useOmegaSchedule: SCHEDULE_OPTIONS.find(option => option.id === omegaSchedule).values,
+  };
+  const spaceSize = getSpaceSize(space);
+
+  const handleIntervalChange = (value) => {
+    setInterval(value);
+    if (!RANGE_OPTIONS[value].includes(range)) setRange(RANGE_OPTIONS[value][0]);
+  };
+
+  const handleRun = async () => {
+    if (spaceSize === 0) {
+      setError('Pick at least one value for every setting');
+      return;
+    }
+
+    const check = await validateSymbol(symbol);
+    if (check.status === 'invalid') {
+      setError(check.message);
+      return;
+    }
+    const symbolKey = check.symbol;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setProgress(null);
+
+    try {
+      const series = await getBarSeries(symbolKey, interval === '1H' ? '1h' : '1d', range);
+      const prices = series.bars.map(bar => Number(bar.close));
+      const outcome = await optimizeInWorker(prices, {
+        strategy,
+        maxEvaluations: Number(maxEvaluations),
+        horizon: Number(horizon),
+        lookback: Number(lookback),
+        cutoffs: Number(cutoffCount),
+        seed: Number(seed) >>> 0,
+        space,
+      }, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      if (outcome.evaluations.length === 0) {
+        throw new Error(outcome.cancelled ? 'Search cancelled before the first combination' : 'No combination could be scored');
+      }
+      setResult({ ...outcome, symbol: symbolKey, interval, bars: prices.length, ranAt: new Date().toISOString() });
+    } catch (err) {
+      console.error('Optimizer failed:', err);
+      setError(err.message || 'Optimizer failed');
+    } finally {
+      abortRef.current = null;
+      setRunning(false);
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
+
+  // Open the Projection page with the chosen settings and run it
+  const handleApply = (config) => {
+    navigate('/projection', {
+      state: { applySettings: { symbol: result.symbol, interval: result.interval, ...config } },
+    });
+  };
+
+  const heatValues = result ? result.heatmap.cells.flat().filter(value => value !== null) : [];
+  const heatMin = heatValues.length > 0 ? Math.min(...heatValues) : 0;
+  const heatMax = heatValues.length > 0 ? Math.max(...heatValues) : 0;
+
+  return (
+    <div className="w-full max-w-[1800px] mx-auto px-4 flex flex-col h-full min-h-0 overflow-y-auto">
+      {/* Header */}
+      <div className="text-center mb-3 flex-shrink-0">
+        <h1 className="text-xl md:text-2xl font-bold text-gray-900 dark:text-white">
+          Prime Tetration Optimizer
+        </h1>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          Scores setting combinations by walk-forward error over every triad line, in a background worker
+        </p>
+      </div>
+
+      {/* Controls */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-3 border border-gray-200 dark:border-gray-700 mb-3 flex-shrink-0 space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[160px]">
+            <label htmlFor="optimizer-symbol" className={labelClass}>Symbol</label>
+            <SymbolSearchInput
+              id="optimizer-symbol"
+              value={symbol}
+              onChange={setSymbol}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !running) handleRun();
+              }}
+              placeholder="AAPL, BTC-USD, ^GSPC"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="min-w-[100px]">
+            <label className={labelClass}>Interval</label>
+            <div className="flex gap-1">
+              {Object.keys(RANGE_OPTIONS).map(value => (
+                <button key={value} type="button" onClick={() => handleIntervalChange(value)} className={`flex-1 ${toggleClass(interval === value)}`}>
+                  {value}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="min-w-[90px]">
+            <label htmlFor="optimizer-range" className={labelClass}>History</label>
+            <select id="optimizer-range" value={range} onChange={(e) => setRange(e.target.value)} className={inputClass}>
+              {RANGE_OPTIONS[interval].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="optimizer-horizon" className={labelClass}>Horizon</label>
+            <input id="optimizer-horizon" type="number" min="1" max="120" value={horizon} onChange={(e) => setHorizon(e.target.value)} className={inputClass} />
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="optimizer-lookback" className={labelClass}>Lookback</label>
+            <input id="optimizer-lookback" type="number" min="12" max="1000" value={lookback} onChange={(e) => setLookback(e.target.value)} className={inputClass} />
+          </div>
+
+          <div className="w-20">
+            <label htmlFor="optimizer-cutoffs" className={labelClass}>Cutoffs</label>
+            <input id="optimizer-cutoffs" type="number" min="1" max="100" value={cutoffCount} onChange={(e) => setCutoffCount(e.target.value)} className={inputClass} />
+          </div>
+
+          <div>
+            {running ? (
+              <button type="button" onClick={handleCancel} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-red-600 hover:bg-red-700 text-white transition-colors">
+                Cancel
+              </button>
+            ) : (
+              <button type="button" onClick={handleRun} disabled={!symbol} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white transition-colors">
+                Run optimizer
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-start gap-4">
+          <div>
+            <label className={labelClass}>Search</label>
+            <div className="flex gap-1">
+              {OPTIMIZER_STRATEGIES.map(option => (
+                <button key={option.id} type="button" onClick={() => setStrategy(option.id)} className={toggleClass(strategy === option.id)}>
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="w-24">
+            <label htmlFor="optimizer-evaluations" className={labelClass}>Evaluations</label>
+            <input id="optimizer-evaluations" type="number" min="1" max="2000" value={maxEvaluations} onChange={(e) => setMaxEvaluations(e.target.value)} className={inputClass} />
+          </div>
+
+          <div className="w-24">
+            <label htmlFor="optimizer-seed" className={labelClass}>Seed</label>
+            <input id="optimizer-seed" type="number" min="0" value={seed} onChange={(e) => setSeed(e.target.value)} className={inputClass} />
+          </div>
+
+          <div className="text-xs text-gray-500 dark:text-gray-400 pt-6">
+            {spaceSize.toLocaleString()} combinations
+            {strategy === 'grid' && spaceSize > Number(maxEvaluations) ? ` · grid stops after ${maxEvaluations}` : ''}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-start gap-4">
+          <div>
+            <label className={labelClass}>Depth primes</label>
+            <div className="flex flex-wrap gap-1">
+              {PRIME_STOPS.map(prime => (
+                <button key={prime} type="button" onClick={() => setDepthPrimes(list => toggleItem(list, prime))} className={toggleClass(depthPrimes.includes(prime))}>
+                  {prime}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="w-40">
+            <label htmlFor="optimizer-omegas" className={labelClass}>ω (Hz, comma-separated)</label>
+            <input id="optimizer-omegas" type="text" value={omegaInput} onChange={(e) => setOmegaInput(e.target.value)} placeholder="432, 528" className={inputClass} />
+          </div>
+
+          <div className="w-28">
+            <label htmlFor="optimizer-triads" className={labelClass}>Triads</label>
+            <input id="optimizer-triads" type="text" value={triadInput} onChange={(e) => setTriadInput(e.target.value)} placeholder="8, 12" className={inputClass} />
+          </div>
+
+          <div>
+            <label className={labelClass}>λ schedule</label>
+            <div className="flex gap-1">
+              {SCHEDULE_OPTIONS.map(option => (
+                <button key={option.id} type="button" onClick={() => setLambdaSchedule(option.id)} className={toggleClass(lambdaSchedule === option.id)}>
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>ω schedule</label>
+            <div className="flex gap-1">
+              {SCHEDULE_OPTIONS.map(option => (
+                <button key={option.id} type="button" onClick={() => setOmegaSchedule(option.id)} className={toggleClass(omegaSchedule === option.id)}>
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {running && (
+          <div>
+            <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+              <span>Scoring combinations…</span>
+              <span>{progress ? `${progress.done} / ${progress.total}` : 'Loading bars'}</span>
+            </div>
+            <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-purple-600 transition-all"
+                style={{ width: progress ? `${(progress.done / progress.total) * 100}%` : '0%' }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="text-sm text-red-600 dark:text-red-400">{error}</div>
+        )}
+      </div>
+
+      {/* Results */}
+      {result && result.best && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-3 mb-3">
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-3 border border-gray-200 dark:border-gray-700">
+            <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+              <div>
+                <h2 className="text-base font-semibold text-gray-900 dark:text-white">
+                  {result.symbol} · {result.interval} · {result.params.horizon}-step horizon
+                </h2>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {result.evaluations.length} combinations over {result.bars} bars
+                  {result.cancelled ? ' · cancelled, partial results' : ''}
+                  {` · run ${new Date(result.ranAt).toLocaleString()}`}
+                </p>
+              </div>
+              <button type="button" onClick={() => handleApply(result.best.config)} className="px-4 py-1.5 rounded-lg text-sm font-medium bg-green-600 hover:bg-green-700 text-white transition-colors">
+                Apply best
+              </button>
+            </div>
+
+            <div className="rounded-lg bg-purple-50 dark:bg-purple-900/20 p-3 mb-3">
+              <div className="text-xs text-gray-500 dark:text-gray-400">Lowest walk-forward MAPE</div>
+              <div className="text-sm font-semibold text-gray-900 dark:text-white">{describeConfig(result.best.config)}</div>
+              <div className="text-xs text-gray-600 dark:text-gray-300">
+                {formatPercent(result.best.mape)} mean error · {formatPercent(result.best.hitRate)} hit rate · {formatPercent(result.best.coverage)} band coverage
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-2 pr-3 font-medium">#</th>
+                    <th className="py-2 pr-3 font-medium">Settings</th>
+                    <th className="py-2 pr-3 font-medium text-right">MAPE</th>
+                    <th className="py-2 pr-3 font-medium text-right">Hit rate</th>
+                    <th className="py-2 font-medium"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.evaluations.slice(0, 10).map((evaluation, index) => (
+                    <tr key={evaluation.key} className="border-b border-gray-100 dark:border-gray-700/50">
+                      <td className="py-2 pr-3 text-gray-500 dark:text-gray-400">{index + 1}</td>
+                      <td className="py-2 pr-3 text-gray-900 dark:text-white">{describeConfig(evaluation.config)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(evaluation.mape)}</td>
+                      <td className="py-2 pr-3 text-right text-gray-700 dark:text-gray-300">{formatPercent(evaluation.hitRate)}</td>
+                      <td className="py-2 text-right">
+                        <button type="button" onClick={() => handleApply(evaluation.config)} className="text-purple-600 dark:text-purple-400 hover:underline">
+                          Apply
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-3 border border-gray-200 dark:border-gray-700">
+            <h2 className="text-base font-semibold text-gray-900 dark:text-white">Depth prime × ω</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+              Lowest MAPE found in each cell; blank cells weren't tried
+            </p>
+            <div className="overflow-x-auto">
+              <table className="text-xs border-separate border-spacing-0.5">
+                <thead>
+                  <tr>
+                    <th className="px-2 py-1 text-gray-500 dark:text-gray-400 font-medium text-right">p \ ω</th>
+                    {result.heatmap.omegas.map(omega => (
+                      <th key={omega} className="px-2 py-1 text-gray-500 dark:text-gray-400 font-medium">{omega}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.heatmap.depthPrimes.map((prime, i) => (
+                    <tr key={prime}>
+                      <th className="px-2 py-1 text-gray-500 dark:text-gray-400 font-medium text-right">{prime}</th>
+                      {result.heatmap.cells[i].map((value, j) => (
+                        <td
+                          key={result.heatmap.omegas[j]}
+                          className={`px-2 py-1 text-center rounded min-w-[52px] ${value === null ? 'bg-gray-50 dark:bg-gray-700/40 text-gray-400' : 'text-white font-semibold'}`}
+                          style={{ backgroundColor: heatColor(value, heatMin, heatMax) }}
+                          title={value === null ? 'Not tried' : `p=${prime}, ${result.heatmap.omegas[j]} Hz: ${value.toFixed(2)}% MAPE`}
+                        >
+                          {value === null ? '·' : value.toFixed(2)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!result && !running && (
+        <div className="text-center text-sm text-gray-500 dark:text-gray-400 py-12">
+          Pick a symbol and the settings to search, then run the optimizer.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Optimizer;
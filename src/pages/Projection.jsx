@@ -1,50 +1,5 @@
-/**
- * IMPROVED CRYSTALLINE PROJECTION ENGINE
- * =======================================
- * 
- * Mathematical Enhancements Integrated from Research:
- * 
- * 1. Ψ(p,q) - Plimpton Triple Modulator
- *    Formula: Ψ = (p² - q²)/(p² + q²)
- *    Provides prime-based modulation for projection stability
- * 
- * 2. θ(i, Ψ, λ, ω) - Theta Step Function
- *    Formula: θ = k·π·(1 - Ψ) + ν(λ)·(π/180) + Ω_phase(ω)
- *    Combines Plimpton modulation, phonetic values, and cymatic frequencies
- * 
- * 3. g(i) - Recursive 3^θ Growth Step
- *    Formula: g_i = g_{i-1} · 3^(θ/100) · (1 + τ/1000)
- *    where τ = log(p1·p2·p3)/log(3)
- *    Implements self-similar recursive growth
- * 
- * 4. 12-Sector Crystalline Lattice
- *    - Each projection uses 12 sectors with quadrant-based polarity
- *    - Möbius parity twist: Γ(k) = (-1)^k
- *    - Phonetic modulation: ν(λ) maps dub=3, kubt=5, k'anch=7
- *    - Omega phase gate: Ω(ω) for cymatic frequency integration (432Hz, 528Hz, etc.)
- * 
- * 5. Q8 Fixed-Point Arithmetic
- *    - 72-bit modular arithmetic with 8 guard bits
- *    - Precise amplitude calculations using modular exponentiation
- *    - PRIME EXPONENTIATION TOWERS: base^(p1^(p2^p3)) using triadic prime sets [p1, p2, p3]
- *    - CRITICAL: This is NOT generic tetration (x^x^x), but specifically prime-based towers
- *    - Example: 2^(5^(7^11)) for triadic set [5, 7, 11]
- *    - First 500 primes are hardcoded in PRIMES_500
- *    - Triadic sets MUST contain primes (or explicitly allowed coprimes like 12 or 15)
- * 
- * 6. Projection Formula
- *    For each step i in [0..N]:
- *      - Calculate λ = lambdaSchedule[i mod len]
- *      - Calculate ω = omegaSchedule[i mod len]
- *      - Compute θ_i using Plimpton modulation
- *      - Update g_i recursively with 3^θ growth
- *      - Calculate lattice sum over 12 sectors with polarities
- *      - Scale by depth (log(prime)/log(2)) and triad factor (τ)
- *      - Projection: P_i = lastPrice + Δ_i
- */
-
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -60,6 +15,19 @@ import zoomPlugin from 'chartjs-plugin-zoom';
 import { Line } from 'react-chartjs-2';
 import { getPriceChartData } from '../services/monitorService';
 import { saveProjection } from '../services/projectionService';
+import { getBacktestResult } from '../services/backtestService';
+import { validateSymbol } from '../services/symbolSearch';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import SpectralPanel from '../components/SpectralPanel';
+import TermBreakdownPanel from '../components/TermBreakdownPanel';
+import LatticePresetEditor from '../components/LatticePresetEditor';
+import { getLatticePresets, getLatticePreset, saveLatticePreset } from '../services/latticePresetService';
+import { getAssetClass, getHorizonSteps, getSessionSteps, getNextBarStarts } from '../utils/assetClasses';
+import { PHI_D, PRIME_STOPS, calculateGamma, calculateZ, calculateSimpleProjection } from '../engine/models';
+import { ENGINE_MODELS, RETURN_MODEL_OPTIONS, PERCENTILES, DEFAULT_TOWER_OPTIONS, normalizeTowerOptions, randomSeed } from '../engine';
+import { getModelErrors } from '../engine/ensemble';
+import { getCycleLine } from '../engine/spectrum';
+import { projectInWorker } from '../engine/workerClient';
 
 ChartJS.register(
   CategoryScale,
@@ -73,1596 +41,12 @@ ChartJS.register(
   zoomPlugin
 );
 
-// Dimensional frequencies φ_i (Phonon Correction) - Full crystalline 12-d set
-// Primarily uses primes, with EXPLICIT coprime exception: 12 is coprime to 5,7,11,13,17,19,23,29,31
-// This is similar to Enigma device using (11, 15, 17) where 15 = 3×5 is coprime to 3*5
-// IMPORTANT: 12 is an explicitly chosen coprime exception, NOT a prime
-// All other values are primes: [3, 7, 31, 19, 5, 11, 13, 17, 23, 29, 31]
-const PHI_D = [3, 7, 31, 12, 19, 5, 11, 13, 17, 23, 29, 31];
-
-// Prime Exponentiation Tower depth - MUST be prime
-// CRITICAL: This is NOT generic tetration (x^x^x), but PRIME EXPONENTIATION TOWERS
-// Prime exponentiation towers use triadic prime sets: base^(p1^(p2^p3)) where p1,p2,p3 are primes
-// Example: 2^(5^(7^11)) for triadic set [5, 7, 11]
-// The depth prime (31) is used to select triadic sets from PRIMES_500
-// DO NOT confuse this with generic tetration - these are fundamentally different
-const TETRATION_DEPTH = 31; // 11th prime - used for selecting triadic sets, NOT for generic tetration
-
-// Prime depth slider stops (tetration depth primes)
-const PRIME_STOPS = [11, 13, 17, 29, 31, 47, 59, 61, 97, 101];
-
-// Q8 Fixed-point constants (72-bit with +8 guard bits)
-const MOD_BITS = 72n; // 64 + 8 guard bits
-const MOD = 1n << MOD_BITS; // 2^72
-const LAMBDA = 1n << (MOD_BITS - 2n); // 2^(72-2) for odd base cycles
-const Q_FRAC_BITS = 8n; // +8 bits computations
-const OUTPUT_SCALE = 1n << 64n; // after truncation, map to 64-bit fractional space
-const Q8 = 1 << 8; // 256
-
-// Crystalline lattice constants
-const SECTORS = 12; // 12-sector lattice (crystalline basis)
-const TWO_PI = Math.PI * 2;
-const PHI_VEC = [3, 7, 31, 12, 19, 5, 11, 13, 17, 23, 29, 31]; // Full φ-vector
-
-// Lambda schedule (phonetic modulation)
-const LAMBDA_DEFAULT = ['dub', 'kubt', "k'anch", 'dub', 'kubt', "k'anch"];
-
-// Projection colors
-const COLORS = [
-  '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
-  '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16',
-  '#06b6d4', '#a855f7', '#22c55e'
-];
-
-// Safe modular exponentiation: a^e mod m (BigInt)
-function modPow(a, e, m) {
-  a = ((a % m) + m) % m;
-  let result = 1n;
-  while (e > 0n) {
-    if (e & 1n) result = (result * a) % m;
-    a = (a * a) % m;
-    e >>= 1n;
-  }
-  return result;
-}
-
-// Ψ(p, q) - Plimpton Triple Modulator
-// Computes (p² - q²) / (p² + q²) for prime pairs
-function psiPlimpton(p, q) {
-  const p2 = p * p;
-  const q2 = q * q;
-  return (p2 - q2) / (p2 + q2);
-}
-
-// Ψ(depth) - Compute psi from depth prime
-function psiFromDepth(depthPrime) {
-  // Use depthPrime and its neighbor for Plimpton modulation
-  const idx = PRIME_STOPS.indexOf(depthPrime);
-  if (idx === -1) return psiPlimpton(depthPrime, depthPrime - 2);
-  const p = depthPrime;
-  const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
-  return psiPlimpton(p, q);
-}
-
-// ν(λ) - Phonetic value mapping
-// Formula: ν(λ) = 3^λ mod 3 for numeric lambda
-// Also maps phonetic strings: ν(dub) = 3, ν(kubt) = 5, ν(k'anch) = 7
-function nuLambda(lambda) {
-  if (lambda === 'dub') return 3;
-  if (lambda === 'kubt') return 5;
-  if (lambda === "k'anch" || lambda === "k'anchay") return 7;
-  if (typeof lambda === 'number') {
-    // Formula: ν(λ) = 3^λ mod 3
-    return Math.pow(3, lambda) % 3;
-  }
-  return 3; // default
-}
-
-// Ω(ω) - Omega gate (cymatic frequency phase)
-function omegaGate(omegaHz) {
-  // Map Hz to phase angle
-  // 432 Hz → 0°, 528 Hz → 90°, etc.
-  const baseFreq = 432;
-  const ratio = omegaHz / baseFreq;
-  const phase = (Math.log(ratio) / Math.log(2)) * (Math.PI / 2);
-  return { phase, magnitude: Math.sqrt(ratio) };
-}
-
-// ω(i) - Omega schedule at step i
-function omegaAt(i, schedule) {
-  if (Array.isArray(schedule)) {
-    return schedule[i % schedule.length];
-  }
-  return schedule; // single value
-}
-
-// θ(i, Ψ, λ, ω) - Theta step function (legacy, for computeCrystallineProjection)
-// This uses the complete formula: θ(n,k,λ,ω,ψ) = k·π·(1 + √5) + n·2π/12 + log3(ν(λ)) + ω/432 + p² - q²
-function thetaStep(i, psi, lambda, omegaHz, depthPrime = 31) {
-  const n = i;
-  const k = i;
-  
-  // Pass depthPrime to calculateTheta so it can extract p and q
-  // If psi is already a number (depthPrime), pass it directly
-  const psiValue = typeof psi === 'number' ? psi : depthPrime;
-  
-  // Use the complete theta formula with depthPrime for p,q extraction
-  return calculateTheta(n, k, lambda, omegaHz, psiValue, depthPrime);
-}
-
-// g(i) - Recursive 3^θ growth step
-function growthStep(gPrev, theta, omegaHz, triad) {
-  // g_i = g_{i-1} · 3^(θ/100) · (1 + τ/1000)
-  // where τ = log(p1·p2·p3) / log(3)
-  const triProd = triad.slice(0, 3).reduce((a, b) => a * b, 1);
-  const tau = Math.log(triProd) / Math.log(3);
-  const exponent = theta / 100;
-  const base3Term = Math.pow(3, exponent);
-  const tauTerm = 1 + tau / 1000;
-  return gPrev * base3Term * tauTerm;
-}
-
-// Γ(k) - Möbius parity twist
-function mobiusParity(k) {
-  return Math.pow(-1, k);
-}
-
-// Truncate to Q8 precision
-function trunc(x, decimals) {
-  const multiplier = Math.pow(10, decimals);
-  return Math.floor(x * multiplier) / multiplier;
-}
-
-// ==================== IMPROVED PROJECTION ENGINE ====================
-// Compute projection using crystalline lattice with 12 sectors
-function computeCrystallineProjection({
-  lastPrice,
-  depthPrime,
-  omegaHz = 432,
-  triad = [2, 5, 7],
-  decimals = 8,
-  lambdaSchedule = LAMBDA_DEFAULT,
-  omegaSchedule = null,
-  N = 120
-}) {
-  const psi = psiFromDepth(depthPrime);
-  const triProd = triad.slice(0, 3).reduce((a, b) => a * b, 1);
-  const tau = Math.log(triProd) / Math.log(3);
-  
-  // Initialize growth factor
-  let g = 1 + 0.01 * tau + 0.001 * (depthPrime % 7);
-  
-  const points = [];
-  
-  for (let i = 0; i < N; i++) {
-    // Get lambda and omega for this step
-    const lambda = lambdaSchedule[i % lambdaSchedule.length];
-    const wHz = omegaAt(i, omegaSchedule || omegaHz);
-    
-    // Calculate theta for this step using correct formula
-    const theta_i = thetaStep(i, psi, lambda, wHz, depthPrime);
-    
-    // Update growth recursively
-    g = growthStep(g, theta_i, wHz, triad);
-    
-    // Calculate lattice sum across all 12 sectors
-    let latticeSum = 0;
-    
-    for (let s = 0; s < SECTORS; s++) {
-      // Base angle for this sector
-      const angleBase = (i) * (TWO_PI / SECTORS) + (s * TWO_PI / SECTORS);
-      
-      // Add φ-vector component for this sector
-      const phiTerm = (PHI_VEC[s] % 360) * (Math.PI / 180);
-      
-      // Add phonetic nudge
-      const nuVal = nuLambda(lambda);
-      const lambdaNudge = (nuVal % 3) * (Math.PI / 360);
-      
-      // Add omega phase
-      const { phase: omegaPhase } = omegaGate(wHz);
-      
-      // Calculate quadrant and polarities
-      const quadrant = Math.floor(s / 3);
-      const polQuad = ((quadrant % 2) === 0) ? 1 : -1; // Alternating quadrants
-      const polMob = ((i + s) % 2 === 0) ? 1 : -1; // Möbius twist
-      
-      // Complete angle
-      const ang = angleBase + phiTerm + lambdaNudge + 0.5 * omegaPhase;
-      
-      // Calculate term with all components
-      const base = Math.cos(ang);
-      const gNorm = Math.tanh(g / 1e5);
-      const term = base * polQuad * polMob * psi * (1 + 0.5 * gNorm);
-      
-      latticeSum += term;
-    }
-    
-    // Scale by depth and triad
-    const depthScale = Math.log(depthPrime) / Math.log(2);
-    const triScale = Math.max(1, tau);
-    const delta = trunc(latticeSum * depthScale * 0.5 * triScale, decimals);
-    
-    // Calculate price point
-    const pricePoint = trunc(lastPrice + delta, decimals);
-    
-    points.push({ x: i, y: pricePoint });
-  }
-  
-  return points;
-}
-
-// Compute triadic prime tower amplitude A = base^(p2^p3) mod 2^(64+8),
-// with exponent reduced mod λ(2^k) since base is odd and gcd(base, 2^k)=1.
-// CRITICAL: Triadic set MUST contain primes (or explicitly allowed coprimes)
-// This is a PRIME EXPONENTIATION TOWER, NOT generic tetration
-function amplitudeFromTriad(base, triad) {
-  // Validate triadic set contains primes (no coprimes allowed for amplitude calculations)
-  validateTriadicSet(triad, false);
-  
-  const [p1, p2, p3] = triad; // p1 is for reference, we build tower base^(p2^p3)
-  // Exponent E = p2^p3 mod LAMBDA
-  const eMod = modPow(BigInt(p2), BigInt(p3), LAMBDA);
-  const eEff = eMod + LAMBDA; // ensure in correct range for odd base modulo cycles
-  const A = modPow(BigInt(base), eEff, MOD);
-  return A; // 0..2^72-1
-}
-
-// Turn a 72-bit amplitude to symmetric float [-1, +1), truncating +8 bits before mapping
-function amplitudeToSymmetric(A72) {
-  const aQ8 = A72 >> Q_FRAC_BITS; // drop 8 guard bits, now in 0..2^64-1
-  const aUnit = Number(aQ8) / Number(1n << 64n); // [0,1)
-  return (aUnit * 2) - 1; // (-1, +1)
-}
-
-// Z(n): aggregate cosine of all 12 φ_d without sweeping dimensions
-// Lattice angular oscillator for step n (n ≥ 1)
-function latticeOscillatorZ(n) {
-  const k = (n - 1);
-  let sum = 0;
-  for (let i = 0; i < PHI_D.length; i++) {
-    const angle = k * (Math.PI * 2 / 12) * PHI_D[i];
-    sum += Math.cos(angle);
-  }
-  return sum / PHI_D.length; // average in [-1,1]
-}
-
-// Fixed-point Q8 truncation helpers
-function toQ8(xFloat) {
-  // truncate (not round) to Q8
-  const scaled = Math.trunc(xFloat * Q8);
-  return scaled; // integer
-}
-
-function fromQ8(q8int) {
-  return q8int / Q8;
-}
-
-// First 500 primes - HARDCODED for prime exponentiation towers
-// These primes are used to generate triadic sets [p1, p2, p3] for prime exponentiation towers
-// Example: [5, 7, 11] creates tower base^(5^(7^11))
-// Generated using Sieve of Eratosthenes, hardcoded for performance and determinism
-const PRIMES_500 = [2,3,5,7,11,13,17,19,23,29,31,37,41,43,47,53,59,61,67,71,73,79,83,89,97,101,103,107,109,113,127,131,137,139,149,151,157,163,167,173,179,181,191,193,197,199,211,223,227,229,233,239,241,251,257,263,269,271,277,281,283,293,307,311,313,317,331,337,347,349,353,359,367,373,379,383,389,397,401,409,419,421,431,433,439,443,449,457,461,463,467,479,487,491,499,503,509,521,523,541,547,557,563,569,571,577,587,593,599,601,607,613,617,619,631,641,643,647,653,659,661,673,677,683,691,701,709,719,727,733,739,743,751,757,761,769,773,787,797,809,811,821,823,827,829,839,853,857,859,863,877,881,883,887,907,911,919,929,937,941,947,953,967,971,977,983,991,997,1009,1013,1019,1021,1031,1033,1039,1049,1051,1061,1063,1069,1087,1091,1093,1097,1103,1109,1117,1123,1129,1151,1153,1163,1171,1181,1187,1193,1201,1213,1217,1223,1229,1231,1237,1249,1259,1277,1279,1283,1289,1291,1297,1301,1303,1307,1319,1321,1327,1361,1367,1373,1381,1399,1409,1423,1427,1429,1433,1439,1447,1451,1453,1459,1471,1481,1483,1487,1489,1493,1499,1511,1523,1531,1543,1549,1553,1559,1567,1571,1579,1583,1597,1601,1607,1609,1613,1619,1621,1627,1637,1657,1663,1667,1669,1693,1697,1699,1709,1721,1723,1733,1741,1747,1753,1759,1777,1783,1787,1789,1801,1811,1823,1831,1847,1861,1867,1871,1873,1877,1879,1889,1901,1907,1913,1931,1933,1949,1951,1973,1979,1987,1993,1997,1999,2003,2011,2017,2027,2029,2039,2053,2063,2069,2081,2083,2087,2089,2099,2111,2113,2129,2131,2137,2141,2143,2153,2161,2179,2203,2207,2213,2221,2237,2239,2243,2251,2267,2269,2273,2281,2287,2293,2297,2309,2311,2333,2339,2341,2347,2351,2357,2371,2377,2381,2383,2389,2393,2399,2411,2417,2423,2437,2441,2447,2459,2467,2473,2477,2503,2521,2531,2539,2543,2549,2551,2557,2579,2591,2593,2609,2617,2621,2633,2647,2657,2659,2663,2671,2677,2683,2687,2689,2693,2699,2707,2711,2713,2719,2729,2731,2741,2749,2753,2767,2777,2789,2791,2797,2801,2803,2819,2833,2837,2843,2851,2857,2861,2879,2887,2897,2903,2909,2917,2927,2939,2953,2957,2963,2969,2971,2999,3001,3011,3019,3023,3037,3041,3049,3061,3067,3079,3083,3089,3109,3119,3121,3137,3163,3167,3169,3181,3187,3191,3203,3209,3217,3221,3229,3251,3253,3257,3259,3271,3299,3301,3307,3313,3319,3323,3329,3331,3343,3347,3359,3361,3371,3373,3389,3391,3407,3413,3433,3449,3457,3461,3463,3467,3469,3491,3499,3511,3517,3527,3529,3533,3539,3541,3547,3557,3559,3571];
-
-// Generate triadic prime sets near a given prime depth pDepth
-// Build 11–13 triads centered around pDepth using sequential primes from PRIMES_500
-// Each triadic set is [p[i], p[i+1], p[i+2]] where all values are primes
-// These triadic sets are used for prime exponentiation towers: base^(p1^(p2^p3))
-function generateTriadsAroundPrime(pDepth, count, primes) {
-  if (!isPrime(pDepth)) {
-    throw new Error(`Depth must be a prime number, got: ${pDepth}. Prime exponentiation towers require prime-based depth.`);
-  }
-  
-  const idx = primes.indexOf(pDepth);
-  if (idx === -1) {
-    throw new Error(`Depth prime ${pDepth} not found in PRIMES_500. Prime exponentiation towers must use primes from the hardcoded list.`);
-  }
-  
-  const triads = [];
-  const half = Math.floor(count / 2);
-  
-  for (let offset = -half; offset <= half; offset++) {
-    if (triads.length >= count) break;
-    const i = Math.max(0, Math.min(primes.length - 3, idx + offset));
-    
-    // Create triadic set: [p[i], p[i+1], p[i+2]]
-    // All values are guaranteed to be primes since they come from PRIMES_500
-    const triad = [primes[i], primes[i + 1], primes[i + 2]];
-    
-    // Validate the triadic set (should always pass since from PRIMES_500, but safety check)
-    try {
-      validateTriadicSet(triad, false); // No coprimes allowed in auto-generated sets
-      triads.push(triad);
-    } catch (err) {
-      console.error(`Invalid triadic set generated: ${JSON.stringify(triad)}`, err);
-      throw new Error(`Failed to generate valid triadic set: ${err.message}`);
-    }
-  }
-  
-  return triads;
-}
-
-// Prime Exponentiation Tower: Compute base^(p1^(p2^p3)) using triadic prime sets
-// This is NOT generic tetration (x^x^x), but specifically prime-based towers
-// Example: 2^(5^(7^11)) for triadic set [5,7,11]
-// The base is typically 2 or 3, and the tower is built from primes
-// CRITICAL: Triadic sets MUST contain primes (or explicitly allowed coprimes like 12 or 15)
-function primeExponentiationTower(base, primeTriad, useModular = true, allowCoprimes = false) {
-  if (!primeTriad || primeTriad.length === 0) {
-    throw new Error('Prime exponentiation tower requires a triadic set [p1, p2, p3]');
-  }
-  
-  // Validate that triadic set contains primes (or explicitly allowed coprimes)
-  validateTriadicSet(primeTriad, allowCoprimes);
-  
-  // For triadic sets [p1, p2, p3], compute base^(p1^(p2^p3))
-  // Build from the top down: p2^p3 first, then p1^result, then base^result
-  
-  if (useModular) {
-    // Use modular arithmetic for large towers to prevent overflow
-    // Compute using Euler's theorem and modular exponentiation
-    const [p1, p2, p3] = primeTriad;
-    
-    // First compute p2^p3 mod LAMBDA (for reduction)
-    const topExponent = modPow(BigInt(p2), BigInt(p3), LAMBDA);
-    
-    // Then compute p1^topExponent mod LAMBDA
-    const middleExponent = modPow(BigInt(p1), topExponent, LAMBDA);
-    
-    // Finally compute base^middleExponent mod MOD
-    const result = modPow(BigInt(base), middleExponent, MOD);
-    
-    // Convert to float in reasonable range
-    return Number(result) / Number(1n << 32n); // Scale down from 72-bit space
-  } else {
-    // Logarithmic method for non-modular computation
-    // log(base^(p1^(p2^p3))) = (p1^(p2^p3)) * log(base)
-    const [p1, p2, p3] = primeTriad;
-    
-    // Compute p2^p3 safely
-    let exponent = Math.log(p2) * p3; // log(p2^p3)
-    if (exponent > 100) exponent = 100; // Cap to prevent overflow
-    let p2ToPowerP3 = Math.exp(exponent);
-    if (p2ToPowerP3 > 1000) p2ToPowerP3 = 1000; // Cap
-    
-    // Compute p1^(p2^p3) safely
-    exponent = Math.log(p1) * p2ToPowerP3;
-    if (exponent > 700) exponent = 700; // Cap to prevent exp overflow
-    
-    // Final result: base^(p1^(p2^p3))
-    const finalResult = Math.exp(exponent * Math.log(base));
-    return isFinite(finalResult) ? finalResult : Number.MAX_SAFE_INTEGER;
-  }
-}
-
-// DEPRECATED: Legacy tetration wrapper - DO NOT USE
-// This function name is confusing because it suggests generic tetration (x^x^x),
-// but we actually use PRIME EXPONENTIATION TOWERS: base^(p1^(p2^p3)) with triadic prime sets
-// 
-// Use primeExponentiationTower() directly with explicit triadic sets instead.
-// Example: primeExponentiationTower(2, [5, 7, 11]) for 2^(5^(7^11))
-//
-// This wrapper is kept only for backward compatibility but should be removed.
-// It converts a depth index to a triadic set, which is not the correct way to use prime towers.
-function tetration(base, depth) {
-  console.warn(
-    'WARNING: tetration() is deprecated. Use primeExponentiationTower() with explicit triadic sets instead. ' +
-    'Example: primeExponentiationTower(2, [5, 7, 11]) for prime exponentiation tower 2^(5^(7^11))'
-  );
-  
-  // Convert depth to a prime-based triadic set from PRIMES_500
-  // Use depth as index into PRIMES_500 to select triadic set
-  const primeIndex = Math.min(depth, PRIMES_500.length - 3);
-  const triad = [
-    PRIMES_500[primeIndex % PRIMES_500.length],
-    PRIMES_500[(primeIndex + 1) % PRIMES_500.length],
-    PRIMES_500[(primeIndex + 2) % PRIMES_500.length]
-  ];
-  
-  return primeExponentiationTower(base, triad, false);
-}
-
-// Helper: Check if number is prime
-function isPrime(n) {
-  if (n < 2) return false;
-  if (n === 2) return true;
-  if (n % 2 === 0) return false;
-  for (let i = 3; i * i <= n; i += 2) {
-    if (n % i === 0) return false;
-  }
-  return true;
-}
-
-// Explicitly allowed coprimes for triadic sets (like Enigma device using 15 coprime to 3*5)
-// These are exceptions to the prime-only rule and must be explicitly chosen
-// Example: (11, 15, 17) where 15 is coprime to 3*5
-const ALLOWED_COPRIMES = [12, 15]; // 12 is coprime to 5,7,11,13,17,19,23,29,31; 15 is coprime to 3*5
-
-// Validate triadic set: ensures all values are primes OR explicitly allowed coprimes
-// Triadic sets for prime exponentiation towers MUST be [p1, p2, p3] where p1, p2, p3 are primes
-// Exception: explicitly allowed coprimes (like 12 or 15) may be used if explicitly chosen
-function validateTriadicSet(triad, allowCoprimes = false) {
-  if (!Array.isArray(triad) || triad.length !== 3) {
-    throw new Error(`Triadic set must be array of exactly 3 elements, got: ${JSON.stringify(triad)}`);
-  }
-  
-  for (const value of triad) {
-    if (!Number.isInteger(value) || value < 2) {
-      throw new Error(`Triadic set values must be integers >= 2, got: ${JSON.stringify(triad)}`);
-    }
-    
-    // Check if it's a prime
-    if (isPrime(value)) {
-      continue; // Valid prime
-    }
-    
-    // Check if it's an explicitly allowed coprime
-    if (allowCoprimes && ALLOWED_COPRIMES.includes(value)) {
-      continue; // Valid coprime exception
-    }
-    
-    // Not a prime and not an allowed coprime
-    throw new Error(
-      `Triadic set contains non-prime value ${value} which is not an explicitly allowed coprime. ` +
-      `Triadic sets for prime exponentiation towers must contain primes. ` +
-      `Allowed coprimes (if explicitly chosen): ${ALLOWED_COPRIMES.join(', ')}. ` +
-      `Got: ${JSON.stringify(triad)}`
-    );
-  }
-  
-  return true;
-}
-
-// Count primes in dimension d
-function countPrimesInD(d) {
-  if (d < 0 || d >= PHI_D.length) return 0;
-  let count = 0;
-  for (let i = 0; i <= d; i++) {
-    if (isPrime(PHI_D[i])) {
-      count++;
-    }
-  }
-  return count;
-}
-
-// Calculate entropy of lattice points
-function calculateLatticeEntropy(d, historicalPrices) {
-  if (!historicalPrices || historicalPrices.length === 0) return 1;
-  
-  // Use price variance as entropy measure
-  const mean = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
-  const variance = historicalPrices.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / historicalPrices.length;
-  const entropy = Math.log2(Math.max(1, variance)) + 1;
-  
-  // Scale by dimension
-  return Math.max(1, entropy * (d + 1) / 12);
-}
-
-// Γ(n, d) - Lattice Density / Entropy
-function calculateGamma(n, d, historicalPrices) {
-  const primeCount = countPrimesInD(d);
-  const entropy = calculateLatticeEntropy(d, historicalPrices);
-  return Math.log2(Math.max(1, primeCount) / Math.max(1, entropy));
-}
-
-// ν(λ) - Phonetic Value
-// Formula: ν(λ) = 3^λ mod 3
-// Also maps phonetic strings: ν(dub) = 3, ν(kubt) = 5, ν(k'anch) = 7
-function calculateNu(lambda) {
-  // Handle phonetic strings
-  if (lambda === 'dub') return 3;
-  if (lambda === 'kubt') return 5;
-  if (lambda === "k'anch" || lambda === "k'anchay") return 7;
-  
-  // For numeric lambda: ν(λ) = 3^λ mod 3
-  if (typeof lambda === 'number') {
-    return Math.pow(3, lambda) % 3;
-  }
-  
-  // Default fallback
-  return 3;
-}
-
-// Γ(k) - Möbius Duality Twist
-function calculateMobiusGamma(k) {
-  return Math.pow(-1, k);
-}
-
-// θ_n - Angle function
-function calculateThetaN(n) {
-  const goldenRatio = (1 + Math.sqrt(5)) / 2;
-  return n * Math.PI * 2 * goldenRatio;
-}
-
-// θ(n, k, λ, ω, ψ) - Complete Theta Function
-// Formula: θ(n,k,λ,ω,ψ) = k·π·(1 + √5) + n·2π/12 + log3(ν(λ)) + ω/432 + p² - q²
-// Where p and q come from ψ (Plimpton triple)
-// psi can be: a number (depthPrime), an object {p, q}, or null (will use default depthPrime=31)
-function calculateTheta(n, k, lambda, omega, psi, depthPrime = 31) {
-  const goldenRatio = (1 + Math.sqrt(5)) / 2; // (1 + √5)
-  const PI = Math.PI;
-  
-  // k·π·(1 + √5)
-  const term1 = k * PI * goldenRatio;
-  
-  // n·2π/12
-  const term2 = n * 2 * PI / 12;
-  
-  // log3(ν(λ)) = log(ν(λ)) / log(3)
-  const nuLambda = calculateNu(lambda);
-  // Handle case where nuLambda might be 0 (would cause log(0) = -Infinity)
-  const nuValue = nuLambda > 0 ? nuLambda : 1;
-  const term3 = Math.log(nuValue) / Math.log(3);
-  
-  // ω/432 (omega in Hz, default 144000 if not provided, but formula uses ω/432)
-  const omegaValue = omega || 144000;
-  const term4 = omegaValue / 432;
-  
-  // p² - q² from Plimpton triple (psi)
-  // Extract p and q from psi or depth prime
-  let term5 = 0;
-  if (psi && typeof psi === 'object' && psi.p && psi.q) {
-    // If psi is an object with p and q
-    term5 = psi.p * psi.p - psi.q * psi.q;
-  } else if (typeof psi === 'number') {
-    // If psi is a depth prime number, extract p and q
-    const idx = PRIME_STOPS.indexOf(psi);
-    const p = psi;
-    const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
-    term5 = p * p - q * q;
-  } else {
-    // Default: use depthPrime parameter or fallback to 31
-    const dp = depthPrime || 31;
-    const idx = PRIME_STOPS.indexOf(dp);
-    const p = dp;
-    const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
-    term5 = p * p - q * q;
-  }
-  
-  return term1 + term2 + term3 + term4 + term5;
-}
-
-// Z_n^(d) - The main lattice formula
-// Formula: Z_n^(d) = 3^((n-1)·2π/12/ln3) · cos((n-1)·2π/12 · Φ_d)
-// Exact formula from screenshots - no prime tower scaling
-function calculateZ(n, d) {
-  if (d < 0 || d >= PHI_D.length) return 0;
-  
-  const phi_d = PHI_D[d];
-  
-  // Exponent: (n-1)·2π/12/ln3
-  const exponent = ((n - 1) * 2 * Math.PI / 12) / Math.log(3);
-  
-  // 3^exponent - direct calculation
-  const baseValue = Math.pow(3, exponent);
-  
-  // Cosine argument: (n-1)·2π/12 · Φ_d
-  const cosineArg = (n - 1) * 2 * Math.PI / 12 * phi_d;
-  
-  return baseValue * Math.cos(cosineArg);
-}
-
-// P_n^(d)(k) - Projection function
-// Formula: P_n^(d)(k) = [12^(θ(k,n)/ln(12) - ln(3))] · Π_{i=1}^d cos(θ(k,n) · φ_i)
-// Note: θ(k,n) means theta with k and n parameters (lambda=0, omega=144000, psi=null for basic version)
-function calculateP(n, d, k, historicalPrices, lambda = 0, omega = 144000, psi = null) {
-  if (d < 0 || d >= PHI_D.length) return 0;
-  
-  // Calculate theta: θ(k,n) - note the parameter order in formula is θ(k,n)
-  const theta = calculateTheta(n, k, lambda, omega, psi);
-  
-  // Exponent: θ(k,n)/ln(12) - ln(3)
-  const exponent = theta / Math.log(12) - Math.log(3);
-  
-  // 12^exponent - direct calculation, no prime tower scaling
-  const baseTerm = Math.pow(12, exponent);
-  
-  // Product of cosines: Π_{i=1}^d cos(θ(k,n) · φ_i)
-  let product = 1;
-  for (let i = 0; i <= d && i < PHI_D.length; i++) {
-    product *= Math.cos(theta * PHI_D[i]);
-  }
-  
-  return baseTerm * product;
-}
-
-// L(n, d, k, λ) - Lattice Output function
-// Formula: L(n,d,k,λ) = 3^(θ(n,k,λ)) · Π_{i=1}^d cos(θ(n,k,λ) · φ_i) · Γ(k) · ν(λ) · Γ(n,d)
-// Exact formula from screenshots - no prime tower scaling, direct calculation
-function calculateL(n, d, k, lambda, historicalPrices, omega = 144000, psi = null) {
-  if (d < 0 || d >= PHI_D.length) return 0;
-  
-  // Calculate theta with all parameters
-  const theta = calculateTheta(n, k, lambda, omega, psi);
-  
-  // 3^(θ(n,k,λ)) - direct exponentiation, no scaling
-  const threeToTheta = Math.pow(3, theta);
-  
-  // Product of cosines: Π_{i=1}^d cos(θ(n,k,λ) · φ_i)
-  let cosineProduct = 1;
-  for (let i = 0; i <= d && i < PHI_D.length; i++) {
-    cosineProduct *= Math.cos(theta * PHI_D[i]);
-  }
-  
-  // Γ(k) = (-1)^k (Möbius duality twist)
-  const gammaK = calculateMobiusGamma(k);
-  
-  // ν(λ) = 3^λ mod 3
-  const nuLambda = calculateNu(lambda);
-  
-  // Γ(n,d) = log₂(count of primes in d / entropy of lattice points)
-  const gammaND = calculateGamma(n, d, historicalPrices);
-  
-  // Complete formula: L(n,d,k,λ) = 3^θ · Π cos(θ·φ_i) · Γ(k) · ν(λ) · Γ(n,d)
-  return threeToTheta * cosineProduct * gammaK * nuLambda * gammaND;
-}
-
-// C(n, d, k, λ, ω, ψ) - Complete Crystalline function
-// Formula: C(n,d,k,λ,ω,ψ) = 3^(θ(n,k,λ,ω,ψ)) · Π_{i=1}^d [cos(θ(n,k,λ,ω,ψ) · φ_i)] · Γ(k) · ν(λ) · ω · Ψ(ψ) · Γ(n,d)
-function calculateC(n, d, k, lambda, omega, psi, historicalPrices) {
-  if (d < 0 || d >= PHI_D.length) return 0;
-  
-  // Calculate theta with all parameters
-  const theta = calculateTheta(n, k, lambda, omega, psi);
-  
-  // 3^(θ(n,k,λ,ω,ψ))
-  const threeToTheta = Math.pow(3, theta);
-  
-  // Product of cosines: Π_{i=1}^d [cos(θ(n,k,λ,ω,ψ) · φ_i)]
-  let cosineProduct = 1;
-  for (let i = 0; i <= d && i < PHI_D.length; i++) {
-    cosineProduct *= Math.cos(theta * PHI_D[i]);
-  }
-  
-  // Γ(k) = (-1)^k
-  const gammaK = calculateMobiusGamma(k);
-  
-  // ν(λ) = 3^λ mod 3
-  const nuLambda = calculateNu(lambda);
-  
-  // ω term (omega value, normalized)
-  const omegaTerm = omega / 144000;
-  
-  // Ψ(ψ) - Plimpton triple generator
-  // If psi is a number (from psiFromDepth), we need to extract p and q
-  let psiValue = 1;
-  if (typeof psi === 'number') {
-    // psi is already (p² - q²) / (p² + q²) from psiPlimpton
-    // For Ψ(ψ), we use the Plimpton ratio
-    psiValue = psi;
-  } else if (psi && typeof psi === 'object' && psi.p && psi.q) {
-    // Calculate Plimpton ratio
-    const p2 = psi.p * psi.p;
-    const q2 = psi.q * psi.q;
-    psiValue = (p2 - q2) / (p2 + q2);
-  } else {
-    // Default: use depth prime
-    const depthPrime = 31;
-    const idx = PRIME_STOPS.indexOf(depthPrime);
-    const p = depthPrime;
-    const q = idx > 0 ? PRIME_STOPS[idx - 1] : 2;
-    const p2 = p * p;
-    const q2 = q * q;
-    psiValue = (p2 - q2) / (p2 + q2);
-  }
-  
-  // Γ(n,d) = log₂(count of primes in d / entropy of lattice points)
-  const gammaND = calculateGamma(n, d, historicalPrices);
-  
-  // Complete formula: C(n,d,k,λ,ω,ψ) = 3^θ · Π cos(θ·φ_i) · Γ(k) · ν(λ) · ω · Ψ(ψ) · Γ(n,d)
-  return threeToTheta * cosineProduct * gammaK * nuLambda * omegaTerm * psiValue * gammaND;
-}
-
-// Complex number helper
-function complex(re, im) {
-  return { re, im };
-}
-
-// FFT implementation using complex numbers
-function fftComplex(signal) {
-  const N = signal.length;
-  
-  if (N <= 1) {
-    return signal.map(x => typeof x === 'number' ? complex(x, 0) : x);
-  }
-  
-  // Ensure power of 2
-  const nextPowerOf2 = Math.pow(2, Math.ceil(Math.log2(N)));
-  const padded = signal.map(x => typeof x === 'number' ? complex(x, 0) : x);
-  while (padded.length < nextPowerOf2) {
-    padded.push(complex(0, 0));
-  }
-  const paddedN = padded.length;
-  
-  // Divide
-  const even = [];
-  const odd = [];
-  for (let i = 0; i < paddedN; i += 2) {
-    even.push(padded[i]);
-    if (i + 1 < paddedN) {
-      odd.push(padded[i + 1]);
-    }
-  }
-  
-  // Recursive FFT
-  const evenFFT = fftComplex(even);
-  const oddFFT = fftComplex(odd);
-  
-  // Combine
-  const result = new Array(paddedN);
-  for (let k = 0; k < paddedN / 2; k++) {
-    const angle = -2 * Math.PI * k / paddedN;
-    const twiddle = complex(Math.cos(angle), Math.sin(angle));
-    
-    // Multiply complex numbers
-    const oddK = oddFFT[k] || complex(0, 0);
-    const tRe = oddK.re * twiddle.re - oddK.im * twiddle.im;
-    const tIm = oddK.re * twiddle.im + oddK.im * twiddle.re;
-    const t = complex(tRe, tIm);
-    
-    const evenK = evenFFT[k] || complex(0, 0);
-    result[k] = complex(evenK.re + t.re, evenK.im + t.im);
-    result[k + paddedN / 2] = complex(evenK.re - t.re, evenK.im - t.im);
-  }
-  
-  return result;
-}
-
-// Calculate magnitude of FFT result
-function fftMagnitude(fftResult) {
-  return fftResult.map(x => {
-    const re = typeof x === 'number' ? x : x.re;
-    const im = typeof x === 'number' ? 0 : x.im;
-    return Math.sqrt(re * re + im * im);
-  });
-}
-
-// Detect oscillations using FFT on the actual price signal
-function detectOscillations(historicalPrices) {
-  if (!historicalPrices || historicalPrices.length < 8) return null;
-  
-  // Normalize the price signal (remove DC component and normalize)
-  const mean = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
-  const normalizedSignal = historicalPrices.map(p => p - mean);
-  const maxAmplitude = Math.max(...normalizedSignal.map(Math.abs));
-  if (maxAmplitude > 0) {
-    normalizedSignal.forEach((val, i) => {
-      normalizedSignal[i] = val / maxAmplitude;
-    });
-  }
-  
-  // Perform FFT on the normalized price signal
-  const fftResult = fftComplex(normalizedSignal);
-  const magnitudes = fftMagnitude(fftResult);
-  
-  // Extract dominant frequencies (peaks in frequency domain)
-  const N = normalizedSignal.length;
-  const sampleRate = 1; // 1 sample per time unit
-  const frequencies = [];
-  
-  // Only analyze first half (Nyquist limit)
-  for (let i = 1; i < Math.floor(N / 2); i++) {
-    const magnitude = magnitudes[i];
-    const frequency = (i * sampleRate) / N;
-    const period = frequency > 0 ? 1 / frequency : N;
-    
-    if (period >= 2 && period <= N / 2 && magnitude > 0.1) {
-      frequencies.push({
-        frequency,
-        period,
-        magnitude,
-        index: i
-      });
-    }
-  }
-  
-  // Sort by magnitude and get top oscillations
-  frequencies.sort((a, b) => b.magnitude - a.magnitude);
-  
-  // Return top 5 dominant oscillations
-  const oscillations = frequencies.slice(0, 5).map(freq => ({
-    period: freq.period,
-    frequency: freq.frequency,
-    strength: freq.magnitude,
-    magnitude: freq.magnitude
-  }));
-  
-  return oscillations.length > 0 ? oscillations : null;
-}
-
-// Find primes and coprimes for stabilized model based on FFT-detected oscillations
-function findStabilizedPrimes(oscillations, historicalPrices) {
-  if (!oscillations || oscillations.length === 0) {
-    return { primes: PHI_D.slice(0, 6), coprimes: [] };
-  }
-  
-  // Use all detected oscillations, weighted by their strength
-  const weightedPeriods = [];
-  oscillations.forEach(osc => {
-    const period = Math.round(osc.period);
-    const weight = osc.strength || osc.magnitude || 1;
-    if (period >= 2 && period <= 100) {
-      weightedPeriods.push({ period, weight });
-    }
-  });
-  
-  // Sort by weight and get dominant periods
-  weightedPeriods.sort((a, b) => b.weight - a.weight);
-  const dominantPeriods = weightedPeriods.slice(0, 5).map(wp => wp.period);
-  
-  const primes = [];
-  const coprimes = [];
-  const primeWeights = new Map();
-  
-  // Find prime factors of dominant periods (weighted by oscillation strength)
-  oscillations.forEach(osc => {
-    const period = Math.round(osc.period);
-    const weight = osc.strength || osc.magnitude || 1;
-    
-    // Find all prime factors
-    for (let i = 2; i <= period; i++) {
-      if (isPrime(i) && period % i === 0) {
-        const currentWeight = primeWeights.get(i) || 0;
-        primeWeights.set(i, currentWeight + weight);
-      }
-    }
-  });
-  
-  // Sort primes by weight and select top ones
-  const sortedPrimes = Array.from(primeWeights.entries())
-    .sort((a, b) => b[1] - a[1])
-    .map(entry => entry[0]);
-  
-  primes.push(...sortedPrimes.slice(0, 8));
-  
-  // Find coprimes that are relatively prime to ALL dominant periods
-  for (let i = 2; i <= 31; i++) {
-    if (primes.includes(i)) continue;
-    
-    let isCoprime = true;
-    for (const period of dominantPeriods) {
-      if (gcd(i, period) !== 1) {
-        isCoprime = false;
-        break;
-      }
-    }
-    if (isCoprime) {
-      coprimes.push(i);
-    }
-  }
-  
-  // Ensure we have sufficient primes/coprimes
-  if (primes.length === 0) {
-    primes.push(...PHI_D.slice(0, 6));
-  }
-  if (primes.length < 6) {
-    // Add default primes if needed
-    PHI_D.forEach(p => {
-      if (!primes.includes(p) && primes.length < 12) {
-        primes.push(p);
-      }
-    });
-  }
-  if (coprimes.length === 0) {
-    coprimes.push(7, 11, 13, 17, 19, 23);
-  }
-  
-  return { 
-    primes: primes.slice(0, 12), 
-    coprimes: coprimes.slice(0, 12),
-    dominantPeriods: dominantPeriods
-  };
-}
-
-// GCD helper function
-function gcd(a, b) {
-  while (b !== 0) {
-    const temp = b;
-    b = a % b;
-    a = temp;
-  }
-  return a;
-}
-
-// Recursive stabilization function with FFT-based signal processing
-function recursiveStabilization(historicalPrices, stabilizedModel, maxIterations = 10) {
-  // Ensure we always have a valid model
-  if (!stabilizedModel || typeof stabilizedModel !== 'object') {
-    stabilizedModel = {
-      primes: PHI_D.slice(0, 6),
-      coprimes: [],
-      lockedPoints: [],
-      lastOscillations: null,
-      iteration: 0,
-      signalStability: 0,
-    };
-  }
-  
-  // Ensure arrays exist
-  if (!Array.isArray(stabilizedModel.primes)) {
-    stabilizedModel.primes = PHI_D.slice(0, 6);
-  }
-  if (!Array.isArray(stabilizedModel.coprimes)) {
-    stabilizedModel.coprimes = [];
-  }
-  if (!Array.isArray(stabilizedModel.lockedPoints)) {
-    stabilizedModel.lockedPoints = [];
-  }
-  if (typeof stabilizedModel.iteration !== 'number') {
-    stabilizedModel.iteration = 0;
-  }
-  if (typeof stabilizedModel.signalStability !== 'number') {
-    stabilizedModel.signalStability = 0;
-  }
-  
-  // Perform FFT analysis on the actual price signal
-  const oscillations = detectOscillations(historicalPrices);
-  
-  if (!oscillations || oscillations.length === 0) {
-    // If no oscillations detected, return current model
-    return stabilizedModel;
-  }
-  
-  // Calculate signal stability (how consistent the oscillations are)
-  const oscillationStrengths = oscillations.map(o => o.strength || o.magnitude || 0);
-  const avgStrength = oscillationStrengths.reduce((a, b) => a + b, 0) / oscillationStrengths.length;
-  const stability = avgStrength;
-  
-  // Check if we need to recurse (new oscillations or improved stability)
-  const hasNewOscillation = !stabilizedModel.lastOscillations || 
-    JSON.stringify(oscillations) !== JSON.stringify(stabilizedModel.lastOscillations);
-  const improvedStability = stability > stabilizedModel.signalStability + 0.01;
-  const shouldRecurse = (hasNewOscillation || improvedStability) && stabilizedModel.iteration < maxIterations;
-  
-  if (shouldRecurse) {
-    // Recalculate primes/coprimes based on FFT-detected oscillations
-    const newPrimesCoprimes = findStabilizedPrimes(oscillations, historicalPrices);
-    
-    // Update stabilized model with new primes from signal analysis
-    if (newPrimesCoprimes && newPrimesCoprimes.primes && Array.isArray(newPrimesCoprimes.primes)) {
-      // Merge new primes with existing, prioritizing high-weight primes
-      const mergedPrimes = [...new Set([...newPrimesCoprimes.primes, ...stabilizedModel.primes])];
-      stabilizedModel.primes = mergedPrimes.slice(0, 12);
-    }
-    if (newPrimesCoprimes && newPrimesCoprimes.coprimes && Array.isArray(newPrimesCoprimes.coprimes)) {
-      const mergedCoprimes = [...new Set([...newPrimesCoprimes.coprimes, ...stabilizedModel.coprimes])];
-      stabilizedModel.coprimes = mergedCoprimes.slice(0, 12);
-    }
-    
-    stabilizedModel.lastOscillations = oscillations;
-    stabilizedModel.signalStability = stability;
-    stabilizedModel.iteration++;
-    
-    // Lock in key data points based on detected oscillation periods
-    const lockedPoints = [];
-    if (Array.isArray(historicalPrices) && historicalPrices.length > 2) {
-      // Use dominant periods to identify phase-aligned points
-      const dominantPeriods = newPrimesCoprimes?.dominantPeriods || [];
-      
-      for (let i = 1; i < historicalPrices.length - 1; i++) {
-        const isLocalMin = historicalPrices[i] < historicalPrices[i - 1] && 
-                           historicalPrices[i] < historicalPrices[i + 1];
-        const isLocalMax = historicalPrices[i] > historicalPrices[i - 1] && 
-                           historicalPrices[i] > historicalPrices[i + 1];
-        
-        // Check if point aligns with detected oscillation periods
-        let phaseAligned = false;
-        for (const period of dominantPeriods) {
-          if (period > 0 && (i % Math.round(period)) < 2) {
-            phaseAligned = true;
-            break;
-          }
-        }
-        
-        if ((isLocalMin || isLocalMax) && phaseAligned) {
-          lockedPoints.push({ 
-            index: i, 
-            price: historicalPrices[i], 
-            type: isLocalMin ? 'min' : 'max',
-            phase: i % (dominantPeriods[0] || 1)
-          });
-        }
-      }
-    }
-    stabilizedModel.lockedPoints = lockedPoints.slice(-30); // Keep last 30 phase-aligned points
-    
-    // Recursively call with updated model to further refine
-    return recursiveStabilization(historicalPrices, stabilizedModel, maxIterations);
-  }
-  
-  return stabilizedModel;
-}
-
-// Calculate price ratio normalization factor
-function calculateNormalizationFactor(historicalPrices, projectedValue) {
-  const minPrice = Math.min(...historicalPrices);
-  const maxPrice = Math.max(...historicalPrices);
-  const priceRange = maxPrice - minPrice;
-  const lastPrice = historicalPrices[historicalPrices.length - 1];
-  const avgPrice = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
-  
-  // Calculate ratio of projection to real-time price scale
-  const projectionRatio = Math.abs(projectedValue - lastPrice) / lastPrice;
-  const historicalVolatility = priceRange / avgPrice;
-  
-  // Normalize based on historical volatility
-  const normalizationFactor = Math.min(1, historicalVolatility / Math.max(0.01, projectionRatio));
-  
-  return normalizationFactor;
-}
-
-// Detect oscillations in projection data
-function detectProjectionOscillations(projections, threshold = 0.02) {
-  if (!projections || projections.length < 4) return null;
-  
-  const oscillations = [];
-  const changes = [];
-  
-  // Calculate price changes
-  for (let i = 1; i < projections.length; i++) {
-    const change = (projections[i] - projections[i - 1]) / projections[i - 1];
-    changes.push(change);
-  }
-  
-  // Detect periodic patterns in changes
-  for (let period = 2; period <= Math.min(20, changes.length / 2); period++) {
-    let oscillationStrength = 0;
-    let matches = 0;
-    
-    for (let i = period; i < changes.length; i++) {
-      const current = changes[i];
-      const previous = changes[i - period];
-      const similarity = 1 - Math.abs(current - previous) / (Math.abs(current) + Math.abs(previous) + 0.0001);
-      if (similarity > 0.5) {
-        oscillationStrength += similarity;
-        matches++;
-      }
-    }
-    
-    if (matches > 0) {
-      const avgStrength = oscillationStrength / matches;
-      if (avgStrength > threshold) {
-        oscillations.push({ period, strength: avgStrength });
-      }
-    }
-  }
-  
-  return oscillations.length > 0 ? oscillations.sort((a, b) => b.strength - a.strength) : null;
-}
-
-// Detect price jump (discontinuity) in projection
-function detectPriceJump(historicalPrices, projections, jumpThreshold = 0.05) {
-  if (!projections || projections.length === 0 || !historicalPrices || historicalPrices.length === 0) {
-    return false;
-  }
-  
-  const lastPrice = historicalPrices[historicalPrices.length - 1];
-  const firstProjection = projections[0];
-  
-  // Check if first projection has significant jump from last price
-  const jump = Math.abs(firstProjection - lastPrice) / lastPrice;
-  if (jump > jumpThreshold) {
-    return true;
-  }
-  
-  // Check for jumps within projections
-  for (let i = 1; i < Math.min(5, projections.length); i++) {
-    const change = Math.abs(projections[i] - projections[i - 1]) / projections[i - 1];
-    if (change > jumpThreshold * 2) {
-      return true;
-    }
-  }
-  
-  return false;
-}
-
-// Recursive self-similar lattice calculation at depth level
-// Uses correct L(n,d,k,λ) formula: 3^(θ(n,k,λ)) · Π_{i=1}^d cos(θ(n,k,λ) · φ_i) · Γ(k) · ν(λ) · Γ(n,d)
-function recursiveLatticeLayer(n, d, k, lambda, depth, maxDepth, effectivePrimes, historicalPrices, omega = 144000, psi = null) {
-  if (depth > maxDepth) return 1;
-  
-  // Self-similar scaling factor based on depth (fractal structure)
-  const depthScale = Math.pow(2, -depth); // Each layer is half the scale (self-similar)
-  
-  // Calculate theta with correct formula: θ(n,k,λ,ω,ψ) = k·π·(1 + √5) + n·2π/12 + log3(ν(λ)) + ω/432 + p² - q²
-  const baseTheta = calculateTheta(n, k, lambda, omega, psi);
-  // Apply self-similar scaling at this depth
-  const theta = baseTheta * depthScale;
-  
-  // 3^(θ(n,k,λ)) - direct exponentiation, no prime tower scaling
-  const threeToTheta = Math.pow(3, theta);
-  
-  // Recursive cosine product with self-similar structure
-  let cosineProduct = 1;
-  for (let i = 0; i <= d && i < effectivePrimes.length; i++) {
-    const phi = effectivePrimes[i];
-    // Current layer contribution with self-similar scaling
-    const layerContribution = Math.cos(theta * phi * depthScale);
-    cosineProduct *= layerContribution;
-    
-      // Recursively calculate next layer if not at max depth (self-similar recursion)
-      if (depth < maxDepth) {
-        // Recursive layer uses same L(n,d,k,λ) formula with self-similar scaling
-        const recursiveLayer = recursiveLatticeLayer(n, d, k, lambda, depth + 1, maxDepth, effectivePrimes, historicalPrices, omega, psi);
-        // Multiply by recursive contribution (self-similar structure)
-        cosineProduct *= recursiveLayer;
-      }
-  }
-  
-  // Apply gamma and nu with correct formulas
-  const gammaK = calculateMobiusGamma(k);
-  const nuLambda = calculateNu(lambda); // ν(λ) = 3^λ mod 3
-  const gammaND = calculateGamma(n, d, historicalPrices);
-  
-  // Combine with recursive self-similar structure
-  // Each layer contributes with its depth scale (fractal structure)
-  // Using L(n,d,k,λ) formula: 3^θ · Π cos(θ·φ_i) · Γ(k) · ν(λ) · Γ(n,d)
-  return threeToTheta * cosineProduct * gammaK * nuLambda * gammaND * depthScale;
-}
-
-// Advanced projection using 12-fold crystalline periodic lattice with recursive self-similar structure
-function calculateAdvancedProjection(historicalPrices, projectionSteps, stabilizedModel = null, maxRecursions = 10) {
-  if (historicalPrices.length < 12) {
-    return calculateSimpleProjection(historicalPrices, projectionSteps);
-  }
-
-  const n = historicalPrices.length;
-  const lastPrice = historicalPrices[n - 1];
-  
-  // Perform recursive stabilization to get initial model
-  let model = recursiveStabilization(historicalPrices, stabilizedModel);
-  
-  // Use stabilized primes/coprimes
-  let effectivePrimes = (model.primes && Array.isArray(model.primes) && model.primes.length > 0) 
-    ? model.primes 
-    : PHI_D.slice(0, 6);
-  const effectiveCoprimes = (model.coprimes && Array.isArray(model.coprimes)) 
-    ? model.coprimes 
-    : [];
-  
-  let projections = [];
-  let oscillationDetected = true;
-  let recursionCount = 0;
-  const maxOscillationIterations = maxRecursions;
-  
-  // Recursive loop: continue until oscillation is minimized
-  while (oscillationDetected && recursionCount < maxOscillationIterations) {
-    projections = [];
-    const minPrice = Math.min(...historicalPrices);
-    const maxPrice = Math.max(...historicalPrices);
-    const priceRange = maxPrice - minPrice;
-    const avgPrice = historicalPrices.reduce((a, b) => a + b, 0) / historicalPrices.length;
-    const historicalVolatility = priceRange / avgPrice;
-    const scaleFactor = Math.max(0.01, Math.min(1, historicalVolatility * 0.1));
-    
-    // Calculate projections using recursive self-similar structure
-    for (let step = 1; step <= projectionSteps; step++) {
-      // RECURSIVE LOOP FOR EACH STEP: Iterate multiple times to create oscillations
-      let stepProjection = null;
-      let stepIteration = 0;
-      const maxStepIterations = 5; // Recursive iterations per step
-      const stepOscillationTarget = 0.01; // Target oscillation amplitude
-      
-      // Start with previous projection or last price
-      let previousStepPrice = step === 1 ? lastPrice : (projections[step - 2] || lastPrice);
-      
-      // Recursive loop for this specific step
-      while (stepIteration < maxStepIterations) {
-        let weightedSum = 0;
-        let totalWeight = 0;
-        
-        // Recursive self-similar calculation for each dimension
-        for (let d = 0; d < effectivePrimes.length; d++) {
-          const n_new = n + step;
-          const phi_d = effectivePrimes[d];
-          
-          // Add iteration-based phase shift to create oscillations
-          const phaseShift = stepIteration * Math.PI / (2 * maxStepIterations);
-          const oscillationPhase = Math.sin(phaseShift) * 0.1; // Small oscillation component
-          
-          // Z calculation using exact formula: Z_n^(d) = 3^((n-1)·2π/12/ln3) · cos((n-1)·2π/12 · Φ_d)
-          // No prime tower scaling - direct calculation as per FORMULA_REFINEMENTS.md
-          const exponent = ((n_new - 1) * 2 * Math.PI / 12) / Math.log(3);
-          const cosineArg = (n_new - 1) * 2 * Math.PI / 12 * phi_d + oscillationPhase;
-          const baseValue = Math.pow(3, exponent); // Direct calculation, no scaling
-          const zValue = baseValue * Math.cos(cosineArg);
-          
-          // L function with recursive self-similar structure (3 layers deep)
-          // Add recursive iteration depth for more oscillations
-          let lSum = 0;
-          const kValues = [0, 1, 2, 3];
-          for (const k of kValues) {
-            const lambda = d % 3;
-            // Recursive self-similar calculation with increased depth based on iteration
-            const recursiveDepth = 2 + Math.floor(stepIteration / 2); // Increase depth with iterations
-            const recursiveL = recursiveLatticeLayer(n_new, d, k, lambda, 0, recursiveDepth, effectivePrimes, historicalPrices);
-            lSum += recursiveL;
-          }
-          
-          // P function using exact formula: P_n^(d)(k) = [12^(θ(k,n)/ln(12) - ln(3))] · Π_{i=1}^d cos(θ(k,n) · φ_i)
-          // No prime tower scaling - direct calculation as per FORMULA_REFINEMENTS.md
-          const thetaBase = calculateTheta(n_new, step, 0, 144000, 0);
-          const theta = thetaBase + oscillationPhase * phi_d; // Modulate theta with oscillation
-          const exponentP = theta / Math.log(12) - Math.log(3);
-          const baseTerm = Math.pow(12, exponentP); // Direct calculation, no scaling
-          
-          let product = 1;
-          for (let i = 0; i <= d && i < effectivePrimes.length; i++) {
-            product *= Math.cos(theta * effectivePrimes[i]);
-          }
-          const pValue = baseTerm * product;
-          
-          // Combine with weights - add oscillation component
-          const weight = Math.abs(zValue) + Math.abs(lSum) / kValues.length + Math.abs(pValue);
-          const oscillationComponent = Math.sin(stepIteration * Math.PI / maxStepIterations) * stepOscillationTarget;
-          const combinedFactor = (zValue * 0.4 + lSum * 0.3 + pValue * 0.3) + oscillationComponent;
-          
-          // Normalize change factor
-          const rawChangeFactor = combinedFactor / 100;
-          const normalizedChangeFactor = rawChangeFactor * scaleFactor;
-          const stepChangeFactor = Math.max(-0.05, Math.min(0.05, normalizedChangeFactor));
-          
-          // Use previous iteration result or last price as base
-          const basePrice = stepIteration === 0 ? previousStepPrice : (stepProjection || previousStepPrice);
-          const projection = basePrice * Math.pow(1 + stepChangeFactor, 1); // Single step change
-          
-          // Apply normalization
-          const normalizationFactor = calculateNormalizationFactor(historicalPrices, projection);
-          const normalizedProjection = basePrice + (projection - basePrice) * normalizationFactor;
-          
-          weightedSum += normalizedProjection * weight;
-          totalWeight += weight;
-        }
-        
-        // Calculate base projection for this iteration
-        let baseProjection = totalWeight > 0 ? weightedSum / totalWeight : previousStepPrice;
-        
-        // Apply locked points influence
-        if (model.lockedPoints && Array.isArray(model.lockedPoints) && model.lockedPoints.length > 0) {
-          const recentLocked = model.lockedPoints.slice(-5);
-          const lockedInfluence = recentLocked.reduce((sum, point) => {
-            const distance = Math.abs((n + step) - point.index);
-            const weight = Math.exp(-distance / 10);
-            return sum + point.price * weight;
-          }, 0) / recentLocked.reduce((sum, point) => {
-            const distance = Math.abs((n + step) - point.index);
-            return sum + Math.exp(-distance / 10);
-          }, 0);
-          
-          baseProjection = baseProjection * 0.7 + lockedInfluence * 0.3;
-        }
-        
-        // Apply recursive refinement: blend with previous iteration
-        if (stepIteration > 0 && stepProjection !== null) {
-          // Blend current with previous iteration to create smooth oscillations
-          const blendFactor = 0.6; // 60% new, 40% previous
-          baseProjection = baseProjection * blendFactor + stepProjection * (1 - blendFactor);
-        }
-        
-        // Ensure smooth continuity - no jumps
-        if (step === 1) {
-          // First projection must be very close to last price
-          const maxDeviation = lastPrice * 0.05;
-          if (Math.abs(baseProjection - lastPrice) > maxDeviation) {
-            baseProjection = lastPrice + Math.sign(baseProjection - lastPrice) * maxDeviation;
-          }
-        } else {
-          // Subsequent projections should be smooth but allow oscillations
-          const prevProjection = projections[step - 2];
-          const maxStepChange = prevProjection * 0.08; // Allow up to 8% change for oscillations
-          const change = baseProjection - prevProjection;
-          if (Math.abs(change) > maxStepChange) {
-            baseProjection = prevProjection + Math.sign(change) * maxStepChange;
-          }
-        }
-        
-        // Store this iteration's result
-        stepProjection = baseProjection;
-        stepIteration++;
-      }
-      
-      // Apply trend with oscillation preservation
-      const recentPrices = historicalPrices.slice(-12);
-      const recentTrend = recentPrices.length > 1 
-        ? recentPrices.reduce((sum, price, idx, arr) => {
-            if (idx === 0) return 0;
-            return sum + (price - arr[idx - 1]) / arr[idx - 1];
-          }, 0) / (recentPrices.length - 1)
-        : 0;
-      
-      const normalizedTrend = recentTrend * scaleFactor * 0.1;
-      // Apply trend but preserve oscillations from recursive loop
-      let projectedPrice = stepProjection * (1 + normalizedTrend);
-      
-      // Add final oscillation component to ensure visible oscillations
-      const finalOscillation = Math.sin(step * Math.PI / 6) * stepOscillationTarget * projectedPrice;
-      projectedPrice = projectedPrice + finalOscillation * 0.3; // 30% oscillation strength
-      
-      // Final bounds check
-      projectedPrice = Math.max(lastPrice * 0.5, Math.min(lastPrice * 2, projectedPrice));
-      projections.push(Math.max(0, projectedPrice));
-    }
-    
-    // Detect oscillations in projections with stricter threshold
-    const projectionOscillations = detectProjectionOscillations(projections, 0.15);
-    const hasPriceJump = detectPriceJump(historicalPrices, projections, 0.03);
-    
-    // Calculate oscillation strength
-    const maxOscillationStrength = projectionOscillations && projectionOscillations.length > 0 
-      ? projectionOscillations[0].strength 
-      : 0;
-    
-    // Continue recursing if oscillation is significant (strength > 0.15) or price jump detected
-    if ((projectionOscillations && projectionOscillations.length > 0 && maxOscillationStrength > 0.15) || 
-        (hasPriceJump && recursionCount < maxOscillationIterations)) {
-      
-      if (projectionOscillations && projectionOscillations.length > 0) {
-        // Use dominant oscillation frequency to identify prime
-        const dominantOsc = projectionOscillations[0];
-        const oscillationPeriod = Math.round(dominantOsc.period);
-        
-        // Find prime closest to oscillation period (the frequency indicates the prime)
-        let bestPrime = effectivePrimes[0];
-        let minDiff = Math.abs(oscillationPeriod - bestPrime);
-        
-        // Also check all primes in PHI_D if not in effectivePrimes
-        for (const prime of [...effectivePrimes, ...PHI_D]) {
-          const diff = Math.abs(oscillationPeriod - prime);
-          if (diff < minDiff) {
-            minDiff = diff;
-            bestPrime = prime;
-          }
-        }
-        
-        // Reorder primes to prioritize the oscillation-indicated prime
-        const newPrimes = [bestPrime, ...effectivePrimes.filter(p => p !== bestPrime)];
-        effectivePrimes = newPrimes.slice(0, 12);
-        
-        // Reassess anchors and k values with new prime priority
-        model = recursiveStabilization(historicalPrices, {
-          ...model,
-          primes: effectivePrimes,
-          iteration: (model.iteration || 0) + 1,
-          lastOscillations: projectionOscillations
-        });
-      } else if (hasPriceJump) {
-        // Price jump detected - reassess everything including k values
-        model = recursiveStabilization(historicalPrices, {
-          ...model,
-          iteration: (model.iteration || 0) + 1,
-          lastOscillations: null // Force re-detection
-        });
-        
-        // Recalculate effective primes from fresh analysis
-        effectivePrimes = (model.primes && Array.isArray(model.primes) && model.primes.length > 0) 
-          ? model.primes 
-          : PHI_D.slice(0, 6);
-      }
-      
-      oscillationDetected = true;
-      recursionCount++;
-    } else {
-      // Oscillation is minimized (strength <= 0.15) and no price jump - we're done
-      oscillationDetected = false;
-    }
-  }
-  
-  return { projections, stabilizedModel: model };
-}
-
-// Monte Carlo Simulation for price projection
-function calculateMonteCarloProjection(historicalPrices, projectionSteps, simulations = 10000) {
-  if (historicalPrices.length < 2) {
-    return Array(projectionSteps).fill(historicalPrices[historicalPrices.length - 1] || 0);
-  }
-
-  // Calculate returns from historical data
-  const returns = [];
-  for (let i = 1; i < historicalPrices.length; i++) {
-    const returnValue = (historicalPrices[i] - historicalPrices[i - 1]) / historicalPrices[i - 1];
-    returns.push(returnValue);
-  }
-
-  // Calculate statistics
-  const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-  const variance = returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / returns.length;
-  const stdDev = Math.sqrt(variance);
-  const lastPrice = historicalPrices[historicalPrices.length - 1];
-
-  // Run Monte Carlo simulations
-  const simulationResults = [];
-  
-  for (let sim = 0; sim < simulations; sim++) {
-    let currentPrice = lastPrice;
-    const path = [currentPrice];
-    
-    for (let step = 1; step <= projectionSteps; step++) {
-      // Generate random return using normal distribution approximation
-      // Box-Muller transform for normal distribution
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const randomReturn = meanReturn + stdDev * z0;
-      
-      // Apply return with drift
-      currentPrice = currentPrice * (1 + randomReturn);
-      path.push(Math.max(0, currentPrice));
-    }
-    
-    simulationResults.push(path);
-  }
-
-  // Calculate expected value (mean) for each step
-  const projections = [];
-  for (let step = 1; step <= projectionSteps; step++) {
-    const stepPrices = simulationResults.map(path => path[step] || path[path.length - 1]);
-    const meanPrice = stepPrices.reduce((a, b) => a + b, 0) / stepPrices.length;
-    projections.push(Math.max(0, meanPrice));
-  }
-
-  return projections;
-}
-
-// Prime Tetration Projection using multiple triads (11-13 projection lines)
-function calculatePrimeTetrationProjection(
-  historicalPrices, 
-  horizon, 
-  base, 
-  triads, 
-  beta = 0.01,
-  depthPrime = 31,
-  baseOmegaHz = 432,
-  useLambdaSchedule = true,
-  useOmegaSchedule = false
-) {
-  if (historicalPrices.length < 2) {
-    return { lines: [] };
-  }
-
-  const lastPrice = historicalPrices[historicalPrices.length - 1];
-  const lines = [];
-
-  // Build projections for each triad using improved crystalline engine
-  for (let li = 0; li < triads.length; li++) {
-    const triad = triads[li];
-    const A72 = amplitudeFromTriad(base, triad);
-    const aSym = amplitudeToSymmetric(A72); // [-1,1)
-
-    // Use the improved crystalline projection engine
-    // Vary omega for each projection if schedule is enabled
-    const omegaHz = useOmegaSchedule 
-      ? baseOmegaHz + (li * 96)  // 432, 528, 624, 720, ...
-      : baseOmegaHz;              // Fixed frequency
-    const decimals = 8;
-    
-    try {
-      const projectionPoints = computeCrystallineProjection({
-        lastPrice,
-        depthPrime,
-        omegaHz,
-        triad,
-        decimals,
-        lambdaSchedule: useLambdaSchedule ? LAMBDA_DEFAULT : ['dub'],
-        omegaSchedule: useOmegaSchedule ? [432, 528, 432, 528] : null,
-        N: horizon
-      });
-      
-      // Extract prices from points
-      const prices = projectionPoints.map(pt => pt.y);
-      const q8Points = prices.map(toQ8);
-      
-      // Calculate oscillation stats
-      let zeroCross = 0;
-      let extrema = 0;
-      
-      for (let n = 1; n < prices.length; n++) {
-        const Z = latticeOscillatorZ(n);
-        const prevZ = latticeOscillatorZ(n - 1);
-        
-        // Zero crossings
-        if ((Z > 0 && prevZ <= 0) || (Z < 0 && prevZ >= 0)) {
-          zeroCross++;
-        }
-        
-        // Turning points (local extrema)
-        if (n > 1 && n < prices.length - 1) {
-          const prev = prices[n - 1];
-          const curr = prices[n];
-          const next = prices[n + 1];
-          
-          if ((curr > prev && curr > next) || (curr < prev && curr < next)) {
-            extrema++;
-          }
-        }
-      }
-
-      lines.push({
-        triad, // [p1, p2, p3]
-        base, // 2 or 3
-        aQ8: (A72 >> Q_FRAC_BITS).toString(), // truncated amplitude
-        pointsQ8: q8Points, // projected prices in Q8 integers
-        points: prices, // float prices for display
-        zeroCrossings: zeroCross,
-        turningPoints: extrema,
-        omega: omegaHz, // Store omega used for this projection
-        depthPrime // Store depth prime used
-      });
-    } catch (err) {
-      console.error(`Failed to compute crystalline projection for triad ${triad}:`, err);
-      // Fallback to simple projection
-      let p = lastPrice;
-      const q8Points = [];
-      let zeroCross = 0;
-      let extrema = 0;
-
-      for (let n = 1; n <= horizon; n++) {
-        const Z = latticeOscillatorZ(n);
-        const delta = beta * aSym * Z;
-        p = p * (1 + delta);
-        const q8 = toQ8(p);
-        q8Points.push(q8);
-
-        if (n > 1) {
-          const prevZ = latticeOscillatorZ(n - 1);
-          if ((Z > 0 && prevZ <= 0) || (Z < 0 && prevZ >= 0)) zeroCross++;
-        }
-      }
-
-      lines.push({
-        triad,
-        base,
-        aQ8: (A72 >> Q_FRAC_BITS).toString(),
-        pointsQ8: q8Points,
-        points: q8Points.map(fromQ8),
-        zeroCrossings: zeroCross,
-        turningPoints: extrema
-      });
-    }
-  }
-
-  return {
-    symbol: null, // will be set by caller
-    lastPriceQ8: toQ8(lastPrice),
-    beta,
-    horizon,
-    lines
-  };
-}
-
-// Simple linear regression fallback
-function calculateSimpleProjection(historicalPrices, projectionSteps) {
-  if (historicalPrices.length < 2) {
-    return Array(projectionSteps).fill(historicalPrices[historicalPrices.length - 1] || 0);
-  }
-
-  const dataPoints = historicalPrices.slice(-30);
-  const n = dataPoints.length;
-  
-  let sumX = 0;
-  let sumY = 0;
-  let sumXY = 0;
-  let sumX2 = 0;
-
-  dataPoints.forEach((price, index) => {
-    const x = index;
-    const y = price;
-    sumX += x;
-    sumY += y;
-    sumXY += x * y;
-    sumX2 += x * x;
-  });
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-  const intercept = (sumY - slope * sumX) / n;
-
-  const projections = [];
-  for (let i = 1; i <= projectionSteps; i++) {
-    const projectedPrice = intercept + slope * (n + i - 1);
-    projections.push(Math.max(0, projectedPrice));
-  }
-
-  return projections;
-}
+// Projection colors
+const COLORS = [
+  '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
+  '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16',
+  '#06b6d4', '#a855f7', '#22c55e'
+];
 
 // Get or create stabilized model for a stock
 function getStabilizedModel(symbol) {
@@ -1695,8 +79,68 @@ function getProjectionColor(i, alpha = 0.9) {
   return `hsla(${h}, 85%, 60%, ${alpha})`;
 }
 
+// Models the page runs: Prime Tetration, Monte Carlo and the error-weighted ensemble of all models
+const PROJECTION_MODES = [
+  ...ENGINE_MODELS.filter(model => model.id === 'primetetration' || model.id === 'montecarlo'),
+  { id: 'ensemble', label: 'Ensemble' },
+];
+
+// Horizon choices: fixed steps, calendar hours, or trading sessions (trading days)
+const HORIZON_OPTIONS = [
+  { unit: 'steps', values: [10, 20, 40, 60], label: (n) => `${n} steps` },
+  { unit: 'hours', values: [24, 48, 72, 168], label: (n) => (n === 168 ? '1 week' : `${n} hours`) },
+  { unit: 'sessions', values: [1, 2, 5, 10, 20], label: (n) => `${n} session${n === 1 ? '' : 's'}` },
+];
+
+// Steps for a horizon, counting only bars the asset trades after `from`
+// (48 hours of 1H bars is ~14 steps for a stock but 48 for crypto)
+function resolveHorizonSteps(symbol, interval, horizon, from) {
+  const { unit, steps, hours, sessions } = horizon;
+  if (unit === 'sessions') return getSessionSteps(symbol, sessions, interval, from);
+  if (unit === 'hours' && hours) return getHorizonSteps(symbol, hours, interval, from);
+  return steps;
+}
+
+// Format a bar timestamp as a chart label (time for hourly, date for daily)
+// Bars are shown in the asset's bar time zone, so crypto days don't slip back a day and
+// LSE or TSE hours read as local exchange time
+function formatBarLabel(timestamp, interval, timeZone = 'America/New_York') {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  if (interval === '1H') {
+    return date.toLocaleTimeString('en-US', { 
+      hour: '2-digit', 
+      minute: '2-digit',
+      timeZone
+    });
+  }
+  return date.toLocaleDateString('en-US', { 
+    month: 'short', 
+    day: 'numeric',
+    timeZone
+  });
+}
+
+// Full bar date for tooltips and saved projections
+function formatBarTime(timestamp, interval, timeZone = 'America/New_York') {
+  const options = interval === '1H'
+    ? { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone, timeZoneName: 'short' }
+    : { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone };
+  return new Date(timestamp).toLocaleString('en-US', options);
+}
+
+// Form fields for the amplitude tower settings
+const toTowerInput = ({ modulus, bits, guardBits }) => ({
+  modulus: modulus ?? '',
+  bits: String(bits),
+  guardBits: String(guardBits),
+});
+
 function Projection() {
   const location = useLocation();
+  const navigate = useNavigate();
   const [symbol, setSymbol] = useState('');
   const [interval, setInterval] = useState('1D');
   const [chartData, setChartData] = useState(null);
@@ -1706,9 +150,11 @@ function Projection() {
   const [currentInterval, setCurrentInterval] = useState(null);
   const [projectionSteps, setProjectionSteps] = useState(20);
   const [projectionHours, setProjectionHours] = useState(48); // 48-hour projection option
+  const [projectionSessions, setProjectionSessions] = useState(2);
+  const [horizonUnit, setHorizonUnit] = useState('hours'); // 'steps' | 'hours' | 'sessions'
   const [recentSearches, setRecentSearches] = useState([]);
   const [showRecentSearches, setShowRecentSearches] = useState(false);
-  const [projectionModel, setProjectionModel] = useState('primetetration'); // 'primetetration'
+  const [projectionModel, setProjectionModel] = useState('primetetration'); // 'primetetration' | 'montecarlo' | 'ensemble'
   const [modelParams, setModelParams] = useState(null);
   const [showModelInfo, setShowModelInfo] = useState(false);
   const [stabilizedModel, setStabilizedModel] = useState(null);
@@ -1724,12 +170,43 @@ function Projection() {
   const [omegaHz, setOmegaHz] = useState(432); // Cymatic frequency (432Hz default)
   const [useOmegaSchedule, setUseOmegaSchedule] = useState(false); // Toggle omega schedule
   const [useLambdaSchedule, setUseLambdaSchedule] = useState(true); // Toggle lambda schedule
+  // Lattice preset (custom triads, φ-vector and schedules); null for the built-in lattice
+  const [latticePresetId, setLatticePresetId] = useState(null);
+  const [latticePresets, setLatticePresets] = useState(() => getLatticePresets());
+  const [latticeEditor, setLatticeEditor] = useState(null); // { preset } while the editor is open
+  // Amplitude tower modulus and guard bits ({ modulus, bits, guardBits }, engine/tower.js) and
+  // the form that edits them; a blank modulus means 2^(bits + guard bits)
+  const [tower, setTower] = useState(DEFAULT_TOWER_OPTIONS);
+  const [towerInput, setTowerInput] = useState(() => toTowerInput(DEFAULT_TOWER_OPTIONS));
+  const [towerError, setTowerError] = useState(null);
+  // Monte Carlo controls
+  const [returnModel, setReturnModel] = useState('normal'); // 'normal' | 'studentt' | 'bootstrap' | 'garch'
+  const [seed, setSeed] = useState(() => randomSeed()); // Same seed, same paths
+  // Spread of the projection (percentile fan, touch probabilities, expected max drawdown)
+  const [distribution, setDistribution] = useState(null);
+  const [targetPrice, setTargetPrice] = useState(''); // Extra touch-probability target
+  // Ensemble weights and per-model breakdown, and progress of long worker runs
+  const [ensemble, setEnsemble] = useState(null);
+  const [projectionProgress, setProjectionProgress] = useState(null);
+  // Spectral panel and the detected cycle pinned over the chart (period in bars)
+  const [showSpectrum, setShowSpectrum] = useState(false);
+  const [pinnedPeriod, setPinnedPeriod] = useState(null);
+  // Per-term breakdowns (Prime Tetration lines, the ensemble's recursive lattice member and the
+  // last recursive lattice run from Recursive Analysis, { symbol, lines }) and the one shown
+  const [showTerms, setShowTerms] = useState(false);
+  const [termSourceId, setTermSourceId] = useState(null);
+  const [latticeRun, setLatticeRun] = useState(null);
   const [saving, setSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
   const [projectionLoaded, setProjectionLoaded] = useState(false);
   const [loadedProjectionId, setLoadedProjectionId] = useState(null);
   const inputRef = useRef(null);
   const chartDataRef = useRef(null);
+  const loadChartDataRef = useRef(null);
+  // Abort controller of the projection run in flight; a new run aborts the one before it
+  const abortRef = useRef(null);
+  // Abort controller of the Recursive Analysis in flight (see handleRecursiveAnalysis)
+  const analysisAbortRef = useRef(null);
   const historicalPricesRef = useRef(null);
   const chartRef = useRef(null);
   const originalYMin = useRef(null);
@@ -1769,6 +246,14 @@ function Projection() {
           size: 13,
         },
         callbacks: {
+          // Show the full bar date; projected points carry the trading bar they map to
+          title: function(items) {
+            const current = chartDataRef.current;
+            const time = items.length > 0 ? current?.timestamps?.[items[0].dataIndex] : null;
+            if (!time) return items.length > 0 ? items[0].label : '';
+            const projected = items[0].dataIndex >= (current.historicalCount ?? Infinity);
+            return `${formatBarTime(time, current.interval, current.timeZone)}${projected ? ' (projected)' : ''}`;
+          },
           label: function(context) {
             if (context.parsed.y !== null && context.parsed.y !== undefined) {
               return `${context.dataset.label}: $${context.parsed.y.toFixed(2)}`;
@@ -1846,6 +331,23 @@ function Projection() {
       return;
     }
 
+    // Only the latest run may touch the chart: starting one cancels the run before it
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    // Reject malformed or unknown tickers before hitting the chart APIs
+    const check = await validateSymbol(symbol);
+    if (signal.aborted) return;
+    if (check.status === 'invalid') {
+      setError(check.message);
+      abortRef.current = null;
+      setLoading(false);
+      setProjectionProgress(null);
+      return;
+    }
+
     const previousChartData = chartData;
     
     setLoading(true);
@@ -1858,6 +360,7 @@ function Projection() {
       
       const dataPromise = getPriceChartData(symbol.toUpperCase().trim(), interval);
       const data = await Promise.race([dataPromise, timeoutPromise]);
+      if (signal.aborted) return;
       
       if (!data) {
         throw new Error('No data received from API');
@@ -1871,40 +374,18 @@ function Projection() {
         throw new Error('No chart data available for this symbol');
       }
       
-      const validData = data.data.filter((d) => {
-        if (!d || !d.timestamp) return false;
-        const close = d.close;
-        return close !== null && close !== undefined && !isNaN(close) && close > 0;
-      });
-      
-      if (validData.length === 0) {
-        throw new Error('No valid price data available. All data points are invalid.');
-      }
-      
-      validData.sort((a, b) => a.timestamp - b.timestamp);
+      // Bars arrive validated, deduplicated and sorted by the shared bar series
+      const validData = data.data;
       
       const historicalPrices = validData.map((d) => Number(d.close));
       historicalPricesRef.current = historicalPrices;
       
+      const symbolKey = symbol.toUpperCase().trim();
+      const barTimeZone = getAssetClass(symbolKey).timezone;
+      const historicalTimes = validData.map((d) => new Date(d.timestamp).getTime());
       const historicalLabels = validData.map((d) => {
         try {
-          const date = new Date(d.timestamp);
-          if (isNaN(date.getTime())) {
-            return '';
-          }
-          if (interval === '1H') {
-            return date.toLocaleTimeString('en-US', { 
-              hour: '2-digit', 
-              minute: '2-digit',
-              timeZone: 'America/New_York'
-            });
-          } else {
-            return date.toLocaleDateString('en-US', { 
-              month: 'short', 
-              day: 'numeric',
-              timeZone: 'America/New_York'
-            });
-          }
+          return formatBarLabel(d.timestamp, interval, barTimeZone);
         } catch (e) {
           return '';
         }
@@ -1912,83 +393,135 @@ function Projection() {
       
       // Load stabilized model for this stock
       const savedModel = getStabilizedModel(symbol.toUpperCase().trim());
+      setStabilizedModel(savedModel);
       
       // Calculate projections using selected model
       let projectedPrices = [];
       let currentStabilizedModel = savedModel;
       
-      // Calculate projection steps based on hours if needed
-      let stepsToUse = projectionSteps;
-      if (projectionModel === 'primetetration' && projectionHours) {
-        // Convert hours to steps based on interval
-        // For 1H interval: 1 hour = 1 step
-        // For 1D interval: 1 day = 24 hours, so 48 hours = 2 steps
-        if (interval === '1H') {
-          stepsToUse = projectionHours;
-        } else if (interval === '1D' || interval === '1d') {
-          stepsToUse = Math.ceil(projectionHours / 24);
-        } else {
-          stepsToUse = projectionSteps; // Use default steps
-        }
-      }
+      // Projections start after the last bar, which may be days old when the market is closed
+      const lastBarTime = historicalTimes[historicalTimes.length - 1];
+
+      // Convert the horizon to steps counting only bars the asset trades
+      let stepsToUse = resolveHorizonSteps(symbolKey, interval, {
+        unit: horizonUnit,
+        steps: projectionSteps,
+        hours: projectionHours,
+        sessions: projectionSessions,
+      }, lastBarTime);
       
       // Ensure stepsToUse is valid and positive
       stepsToUse = Math.max(1, Math.min(1000, stepsToUse || projectionSteps || 20));
       
       const lastPrice = historicalPrices[historicalPrices.length - 1];
       
+      let snapshot = null;
+      let projectionDistribution = null;
+      let projectionEnsemble = null;
+      const target = Number(targetPrice) > 0 ? Number(targetPrice) : null;
       if (projectionModel === 'primetetration') {
-        // Prime Tetration with multiple triads (11-13 projection lines)
+        // Prime Tetration with multiple triads (11-13 projection lines), run in the projection worker
         try {
           const depthPrime = PRIME_STOPS[primeDepthIndex] || 31;
-          const triads = generateTriadsAroundPrime(depthPrime, projectionCount, PRIMES_500);
-          const snapshotResult = calculatePrimeTetrationProjection(
-            historicalPrices, 
-            stepsToUse, 
-            base, 
-            triads, 
-            beta, 
-            depthPrime, 
+          const result = await projectInWorker(historicalPrices, {
+            model: 'primetetration',
+            steps: stepsToUse,
+            base,
+            beta,
+            depthPrime,
+            triadCount: projectionCount,
             omegaHz,
             useLambdaSchedule,
-            useOmegaSchedule
-          );
-          snapshotResult.symbol = symbol.toUpperCase().trim();
-          setSnapshotData(snapshotResult);
-          
-          // Use first line as primary projection for compatibility
-          if (snapshotResult.lines && snapshotResult.lines.length > 0 && snapshotResult.lines[0].points) {
-            projectedPrices = snapshotResult.lines[0].points;
-            // Ensure we have the correct number of points
-            if (projectedPrices.length !== stepsToUse) {
-              console.warn(`Projected prices length (${projectedPrices.length}) doesn't match stepsToUse (${stepsToUse})`);
-              // Pad or trim to match stepsToUse
-              if (projectedPrices.length < stepsToUse) {
-                const lastProjPrice = projectedPrices[projectedPrices.length - 1] || lastPrice;
-                while (projectedPrices.length < stepsToUse) {
-                  projectedPrices.push(lastProjPrice);
-                }
-              } else {
-                projectedPrices = projectedPrices.slice(0, stepsToUse);
-              }
-            }
-          } else {
-            projectedPrices = calculateSimpleProjection(historicalPrices, stepsToUse);
-          }
+            useOmegaSchedule,
+            lattice: getLatticePreset(latticePresetId),
+            ...tower,
+            explain: true,
+            targetPrice: target,
+          }, { signal });
+          projectionDistribution = result.distribution;
+          snapshot = {
+            symbol: symbol.toUpperCase().trim(),
+            lastPriceQ8: result.diagnostics.lastPriceQ8,
+            beta,
+            horizon: stepsToUse,
+            lines: result.lines,
+            // Tower settings and coprimes the amplitudes used, for the tower audit
+            tower: result.diagnostics.tower,
+            coprimes: result.diagnostics.coprimes,
+          };
+
+          // Use first line as primary projection for compatibility (engine lines already have stepsToUse points)
+          projectedPrices = snapshot.lines.length > 0
+            ? [...snapshot.lines[0].points]
+            : calculateSimpleProjection(historicalPrices, stepsToUse);
         } catch (err) {
+          if (err.cancelled) throw err;
           console.error('Prime Tetration projection failed, falling back to simple:', err);
           projectedPrices = calculateSimpleProjection(historicalPrices, stepsToUse);
-          setSnapshotData(null);
+          snapshot = null;
+        }
+      } else if (projectionModel === 'montecarlo') {
+        // Seeded Monte Carlo: the mean of the simulated paths
+        try {
+          const result = await projectInWorker(historicalPrices, {
+            model: 'montecarlo',
+            steps: stepsToUse,
+            seed,
+            returnModel,
+            targetPrice: target,
+          }, {
+            signal,
+            onProgress: (done, total) => setProjectionProgress({ label: 'Simulating paths', done, total }),
+          });
+          projectionDistribution = result.distribution;
+          projectedPrices = [...result.lines[0].points];
+        } catch (err) {
+          if (err.cancelled) throw err;
+          console.error('Monte Carlo projection failed, falling back to simple:', err);
+          projectedPrices = calculateSimpleProjection(historicalPrices, stepsToUse);
+        }
+      } else if (projectionModel === 'ensemble') {
+        // All models blended by recent error: the stored backtest for this symbol and
+        // interval when there is one, otherwise a short walk-forward in the worker
+        try {
+          const backtest = getBacktestResult(symbolKey, interval);
+          const result = await projectInWorker(historicalPrices, {
+            model: 'ensemble',
+            steps: stepsToUse,
+            seed,
+            returnModel,
+            targetPrice: target,
+            modelErrors: backtest ? getModelErrors(backtest.rows) : null,
+            explain: true,
+          }, {
+            signal,
+            onProgress: (done, total) => setProjectionProgress({ label: 'Running models', done, total }),
+          });
+          projectionDistribution = result.distribution;
+          projectionEnsemble = {
+            weightSource: result.diagnostics.weightSource,
+            backtestRanAt: result.diagnostics.weightSource === 'backtest' ? backtest.ranAt : null,
+            errorCutoffs: result.diagnostics.errorCutoffs,
+            members: result.diagnostics.members,
+          };
+          projectedPrices = [...result.lines[0].points];
+        } catch (err) {
+          if (err.cancelled) throw err;
+          console.error('Ensemble projection failed, falling back to simple:', err);
+          projectedPrices = calculateSimpleProjection(historicalPrices, stepsToUse);
         }
       } else {
-        // Fallback to simple projection if Prime Tetration fails
+        // Fallback to simple projection for other models
         projectedPrices = calculateSimpleProjection(historicalPrices, stepsToUse);
       }
+
+      // A result that lands after a newer run started belongs to settings no longer selected
+      if (signal.aborted) return;
       
-      // Clear snapshot data for non-Prime Tetration models
-      if (projectionModel !== 'primetetration') {
-        setSnapshotData(null);
-      }
+      // Snapshot data is cleared for non-Prime Tetration models
+      setSnapshotData(snapshot);
+      setDistribution(projectionDistribution);
+      setEnsemble(projectionEnsemble);
       
       // Ensure projectedPrices is a valid array with correct length
       if (!Array.isArray(projectedPrices) || projectedPrices.length === 0) {
@@ -2016,7 +549,7 @@ function Projection() {
       ).reduce((a, b) => a + b, 0) / 12;
       
       // Update model parameters based on selected model
-      if (projectionModel === 'primetetration' && snapshotData) {
+      if (projectionModel === 'primetetration' && snapshot) {
         // Prime Tetration model parameters
         setModelParams({
           depthPrime: PRIME_STOPS[primeDepthIndex] || 31,
@@ -2025,16 +558,18 @@ function Projection() {
           beta: beta,
           horizon: stepsToUse,
           phi: PHI_D,
-          lines: snapshotData.lines ? snapshotData.lines.length : 0,
+          lines: snapshot.lines.length,
         });
       } else {
         setModelParams(null);
       }
       
-      // Generate future labels for projections (using step-based labels)
+      // Generate future labels for projections from the bars the market will trade
+      // (skipping nights, weekends and holidays); steps past the calendar keep step labels
+      const stepTimes = getNextBarStarts(symbolKey, stepsToUse, interval, lastBarTime);
       const projectedLabels = [];
       for (let i = 1; i <= stepsToUse; i++) {
-        projectedLabels.push(`Step ${i}`);
+        projectedLabels.push(stepTimes[i - 1] ? formatBarLabel(stepTimes[i - 1], interval, barTimeZone) : `Step ${i}`);
       }
       
       // Ensure arrays are valid before spreading
@@ -2222,9 +757,9 @@ function Projection() {
       ];
 
       // Add projection lines based on model
-      if (projectionModel === 'primetetration' && snapshotData && snapshotData.lines && snapshotData.lines.length > 0) {
+      if (projectionModel === 'primetetration' && snapshot && snapshot.lines.length > 0) {
         // Multiple projection lines for Prime Tetration (11-13 lines)
-        snapshotData.lines.forEach((line, idx) => {
+        snapshot.lines.forEach((line, idx) => {
           // Ensure line.points has the correct length
           let linePoints = line.points || [];
           if (linePoints.length !== stepsToUse) {
@@ -2272,8 +807,13 @@ function Projection() {
         });
       } else {
         // Single projection line for other models
+        const returnLabel = RETURN_MODEL_OPTIONS.find(option => option.id === returnModel)?.label;
+        const modelLabel = {
+          montecarlo: `Monte Carlo · ${returnLabel} · seed ${seed}`,
+          ensemble: 'Ensemble',
+        }[projectionModel] || 'Linear Regression';
         datasets.push({
-            label: `${symbol.toUpperCase()} Projected (Prime Tetration)`,
+          label: `${symbol.toUpperCase()} Projected (${modelLabel})`,
           data: projectedData.slice(0, allLabels.length),
           borderColor: 'rgb(168, 85, 247)',
           backgroundColor: 'rgba(168, 85, 247, 0.1)',
@@ -2289,6 +829,45 @@ function Projection() {
         });
       }
 
+      // Percentile fan: 5-95 and 25-75 bands fanning out from the last historical price,
+      // with the median on top. Band datasets are skipped when saved projections are scored.
+      const fanValues = [];
+      if (projectionDistribution && safeHistoricalPrices.length > 0) {
+        const fanData = (percentile) => allLabels.map((_, index) => {
+          if (index === safeHistoricalPrices.length - 1) return lastPrice;
+          const point = projectionDistribution.percentiles[percentile]?.[index - safeHistoricalPrices.length];
+          return index >= safeHistoricalPrices.length && point > 0 ? point : null;
+        });
+        const fanBand = (percentile, fill, opacity) => {
+          const data = fanData(percentile);
+          fanValues.push(...data);
+          return {
+            label: percentile === 50 ? 'Median' : `P${percentile}`,
+            data,
+            band: true,
+            borderColor: `rgba(168, 85, 247, ${percentile === 50 ? 0.9 : 0.35})`,
+            backgroundColor: `rgba(168, 85, 247, ${opacity})`,
+            borderDash: percentile === 50 ? [2, 3] : undefined,
+            borderWidth: percentile === 50 ? 1.5 : 1,
+            tension: 0.4,
+            fill,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            spanGaps: false,
+            showLine: true,
+            stepped: false,
+          };
+        };
+        const [p5, p25, p50, p75, p95] = PERCENTILES;
+        datasets.push(
+          fanBand(p95, false, 0),
+          fanBand(p5, '-1', 0.1),
+          fanBand(p75, false, 0),
+          fanBand(p25, '-1', 0.2),
+          fanBand(p50, false, 0)
+        );
+      }
+
       const chartDataObj = {
         labels: allLabels,
         datasets: datasets,
@@ -2298,6 +877,15 @@ function Projection() {
         projectedPrice: finalProjectedPrice,
         projectedChange: projectedChange,
         projectedChangePercent: projectedChangePercent,
+        // Bar start per label (null for steps past the calendar) for tooltips and saving
+        timestamps: [
+          ...historicalTimes.slice(0, safeHistoricalLabels.length),
+          ...safeProjectedLabels.map((_, i) => stepTimes[i] ?? null),
+        ].slice(0, allLabels.length),
+        historicalCount: safeHistoricalLabels.length,
+        historicalPrices,
+        interval,
+        timeZone: barTimeZone,
       };
       
       // Final check: log the actual data being sent to chart
@@ -2313,7 +901,7 @@ function Projection() {
       });
       
       // Calculate min/max for y-axis scaling based on actual data
-      const allValidValues = [...historicalData, ...projectedData].filter(
+      const allValidValues = [...historicalData, ...projectedData, ...fanValues].filter(
         v => v !== null && v !== undefined && !isNaN(v) && typeof v === 'number' && v > 0
       );
       
@@ -2345,15 +933,135 @@ function Projection() {
         return newSearches;
       });
     } catch (err) {
+      if (err.cancelled || signal.aborted) return;
       const errorMessage = err.message || 'Failed to load chart data. Please check the symbol and try again.';
       setError(errorMessage);
       if (!previousChartData) {
         setChartData(null);
       }
     } finally {
-      setLoading(false);
+      // A cancelled run leaves loading and progress to the run that replaced it
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setLoading(false);
+        setProjectionProgress(null);
+      }
+    }
+  }, [symbol, interval, projectionSteps, projectionHours, projectionSessions, horizonUnit, projectionModel, primeDepthIndex, base, projectionCount, beta, omegaHz, useLambdaSchedule, useOmegaSchedule, latticePresetId, tower, seed, returnModel, targetPrice]);
+
+  // Controls that change state and rerun right away go through the ref, so the rerun
+  // sees the new state rather than the render that handled the click
+  useEffect(() => {
+    loadChartDataRef.current = loadChartData;
+  }, [loadChartData]);
+
+  const rerunProjection = () => {
+    if (chartData) setTimeout(() => loadChartDataRef.current?.(), 100);
+  };
+
+  // Stop the projection run in flight, keeping the chart from the last finished run
+  const handleCancelProjection = () => {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setLoading(false);
+    setProjectionProgress(null);
+  };
+
+  // Run the current settings across a watchlist on the Compare page (steps as last projected)
+  const handleCompare = () => {
+    const projectedSteps = chartData?.labels && chartData.historicalCount
+      ? chartData.labels.length - chartData.historicalCount
+      : projectionSteps;
+    navigate('/projection/compare', {
+      state: {
+        compareSettings: {
+          model: projectionModel,
+          interval,
+          steps: horizonUnit === 'steps' ? projectionSteps : projectedSteps,
+          base,
+          beta,
+          depthPrime: PRIME_STOPS[primeDepthIndex] || 31,
+          triadCount: projectionCount,
+          omegaHz,
+          useLambdaSchedule,
+          useOmegaSchedule,
+          latticePresetId,
+          returnModel,
+          seed,
+        },
+      },
+    });
+  };
+
+  // Lattice editor results: select the saved or imported preset and rerun with it
+  const handleLatticeSaved = (preset) => {
+    setLatticePresets(getLatticePresets());
+    setLatticePresetId(preset.id);
+    setLatticeEditor(null);
+    rerunProjection();
+  };
+
+  const handleLatticeDeleted = (id) => {
+    setLatticePresets(getLatticePresets());
+    setLatticeEditor(null);
+    if (id === latticePresetId) {
+      setLatticePresetId(null);
+      rerunProjection();
     }
-  }, [symbol, interval, projectionSteps, projectionModel, primeDepthIndex, base, projectionCount, beta]);
+  };
+
+  const selectedLatticePreset = latticePresets.find(preset => preset.id === latticePresetId) || null;
+  // Term breakdowns on offer for the current projection (see showTerms)
+  const ensembleLattice = ensemble?.members?.find(member => member.model === 'advanced' && member.breakdown);
+  const termSources = [
+    projectionModel === 'primetetration' && { id: 'primetetration', label: 'Prime Tetration', model: 'primetetration', lines: snapshotData?.lines },
+    projectionModel === 'ensemble' && ensembleLattice && {
+      id: 'ensemble',
+      label: 'Ensemble lattice member',
+      model: 'advanced',
+      lines: [{ id: 'ensemble-advanced', label: 'Recursive Lattice (ensemble member)', breakdown: ensembleLattice.breakdown }],
+    },
+    latticeRun && latticeRun.symbol === symbol.toUpperCase().trim() && {
+      id: 'lattice',
+      label: 'Recursive Analysis',
+      model: 'advanced',
+      lines: latticeRun.lines.map(line => ({ ...line, label: `${line.label} (Recursive Analysis)` })),
+    },
+  ].filter(Boolean);
+  const termSource = termSources.find(source => source.id === termSourceId) || termSources[0] || null;
+
+  const presetSetsTower = ['modulus', 'bits', 'guardBits'].some(field => (selectedLatticePreset?.[field] ?? null) !== null);
+
+  // Calendar days one loaded bar spans, for cycle periods in days
+  const barDays = useMemo(() => {
+    const times = chartData?.timestamps?.slice(0, chartData.historicalCount ?? 0).filter(Boolean);
+    if (!times || times.length < 2) return null;
+    return (times[times.length - 1] - times[0]) / (times.length - 1) / 86400000;
+  }, [chartData]);
+
+  // Pinned cycle over the trend, fitted on the loaded history and carried through the projection
+  const cycleDataset = useMemo(() => {
+    const prices = chartData?.historicalPrices;
+    const historicalCount = chartData?.historicalCount;
+    if (!pinnedPeriod || !Array.isArray(prices) || prices.length < 8 || !historicalCount) return null;
+    const steps = Math.max(0, chartData.labels.length - historicalCount);
+    const cycle = getCycleLine(prices, pinnedPeriod, steps);
+    const fitted = cycle.fitted.slice(-historicalCount);
+    return {
+      label: `Cycle ${pinnedPeriod.toFixed(1)} bars`,
+      data: chartData.labels.map((_, i) => {
+        const price = i < historicalCount ? fitted[i - (historicalCount - fitted.length)] : cycle.projected[i - historicalCount];
+        return Number.isFinite(price) && price > 0 ? price : null;
+      }),
+      borderColor: 'rgba(236, 72, 153, 0.85)',
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      borderDash: [4, 4],
+      pointRadius: 0,
+      fill: false,
+      tension: 0.3,
+    };
+  }, [chartData, pinnedPeriod]);
 
   // Load saved projection if navigating from Data page
   useEffect(() => {
@@ -2370,6 +1078,8 @@ function Projection() {
       setProjectionModel(savedProjection.projectionModel || 'primetetration');
       setProjectionSteps(savedProjection.projectionSteps || 20);
       setProjectionHours(savedProjection.projectionHours || 48);
+      setProjectionSessions(savedProjection.projectionSessions || 2);
+      setHorizonUnit(savedProjection.horizonUnit || 'hours');
       
       if (savedProjection.projectionModel === 'primetetration') {
         setBase(savedProjection.base || 3);
@@ -2380,6 +1090,32 @@ function Projection() {
         setOmegaHz(savedProjection.omegaHz || 432);
         setUseLambdaSchedule(savedProjection.useLambdaSchedule !== undefined ? savedProjection.useLambdaSchedule : true);
         setUseOmegaSchedule(savedProjection.useOmegaSchedule || false);
+        const savedTower = { ...DEFAULT_TOWER_OPTIONS, ...savedProjection.tower };
+        setTower(savedTower);
+        setTowerInput(toTowerInput(savedTower));
+        setTowerError(null);
+
+        // The preset the projection used, re-saved from its snapshot if it was deleted here
+        // or the projection came from elsewhere
+        let presetId = savedProjection.latticePresetId || null;
+        if (presetId && !getLatticePreset(presetId) && savedProjection.latticePreset) {
+          try {
+            presetId = saveLatticePreset({ ...savedProjection.latticePreset, id: presetId }).id;
+          } catch (err) {
+            console.error('Failed to restore lattice preset:', err);
+            presetId = null;
+          }
+        }
+        setLatticePresetId(getLatticePreset(presetId) ? presetId : null);
+        setLatticePresets(getLatticePresets());
+      }
+      
+      setDistribution(savedProjection.distribution || null);
+      setEnsemble(savedProjection.ensemble || null);
+      
+      if (savedProjection.projectionModel === 'montecarlo' || savedProjection.projectionModel === 'ensemble') {
+        setReturnModel(savedProjection.returnModel || 'normal');
+        if (savedProjection.seed !== undefined && savedProjection.seed !== null) setSeed(savedProjection.seed);
       }
       
       // Load saved chart data if available
@@ -2403,6 +1139,11 @@ function Projection() {
             projectedPrice: savedProjection.chartData.projectedPrice !== undefined ? Number(savedProjection.chartData.projectedPrice) : null,
             projectedChange: savedProjection.chartData.projectedChange !== undefined ? Number(savedProjection.chartData.projectedChange) : null,
             projectedChangePercent: savedProjection.chartData.projectedChangePercent !== undefined ? Number(savedProjection.chartData.projectedChangePercent) : null,
+            timestamps: savedProjection.chartData.timestamps || null,
+            historicalCount: savedProjection.chartData.historicalCount ?? null,
+            historicalPrices: savedProjection.chartData.historicalPrices || null,
+            interval: savedProjection.interval || '1D',
+            timeZone: savedProjection.chartData.timeZone || 'America/New_York',
           };
           
           // Calculate and store original min/max for reset zoom
@@ -2442,6 +1183,30 @@ function Projection() {
       setTimeout(() => {
         setProjectionLoaded(false);
       }, 5000);
+    } else if (location.state?.applySettings) {
+      // Settings picked on the Optimizer page (Prime Tetration) or the Compare page: run them
+      const settings = location.state.applySettings;
+      const depthIndex = PRIME_STOPS.indexOf(settings.depthPrime);
+      setSymbol(settings.symbol || '');
+      setInterval(settings.interval || '1D');
+      setProjectionModel(settings.model || 'primetetration');
+      if (settings.projectionSteps) {
+        setHorizonUnit('steps');
+        setProjectionSteps(settings.projectionSteps);
+      }
+      if (settings.returnModel) setReturnModel(settings.returnModel);
+      if (settings.seed !== undefined && settings.seed !== null) setSeed(settings.seed);
+      setBase(settings.base || 3);
+      setProjectionCount(settings.triadCount || 12);
+      setPrimeDepthIndex(depthIndex >= 0 ? depthIndex : 4);
+      setPrimeDepthInput(depthIndex >= 0 ? settings.depthPrime : PRIME_STOPS[4] || 31);
+      setOmegaHz(settings.omegaHz || 432);
+      setBeta(settings.beta || 0.01);
+      setUseLambdaSchedule(settings.useLambdaSchedule !== undefined ? settings.useLambdaSchedule : true);
+      setUseOmegaSchedule(settings.useOmegaSchedule || false);
+      setLatticePresetId(settings.latticePresetId || null);
+      window.history.replaceState({}, document.title);
+      setTimeout(() => loadChartDataRef.current?.(), 100);
     }
   }, [location.state]);
 
@@ -2493,6 +1258,12 @@ function Projection() {
         interval,
         projectionSteps,
         projectionHours,
+        projectionSessions,
+        horizonUnit,
+        // Projected bar dates (UTC ms), so saved projections can be checked against real bars
+        projectedTimes: chartData?.timestamps && chartData.historicalCount !== undefined
+          ? chartData.timestamps.slice(chartData.historicalCount)
+          : [],
         // Prime Tetration specific
         base,
         projectionCount,
@@ -2502,8 +1273,19 @@ function Projection() {
         useLambdaSchedule,
         useOmegaSchedule,
         beta,
-        // Data - Deep clone to ensure all data is saved
-        snapshotData: snapshotData ? JSON.parse(JSON.stringify(snapshotData)) : null,
+        tower: projectionModel === 'primetetration' ? tower : null,
+        // Lattice preset and a copy of it, so the projection can be rerun where the preset is missing
+        latticePresetId: projectionModel === 'primetetration' ? latticePresetId : null,
+        latticePreset: projectionModel === 'primetetration' ? getLatticePreset(latticePresetId) : null,
+        // Monte Carlo specific, also used by the ensemble's Monte Carlo member (the seed reproduces the run)
+        returnModel: projectionModel === 'montecarlo' || projectionModel === 'ensemble' ? returnModel : null,
+        seed: projectionModel === 'montecarlo' || projectionModel === 'ensemble' ? seed : null,
+        // Ensemble weights and per-model breakdown
+        ensemble: projectionModel === 'ensemble' && ensemble ? JSON.parse(JSON.stringify(ensemble, (key, value) => (key === 'breakdown' ? undefined : value))) : null,
+        // Percentile fan, touch probabilities and expected max drawdown
+        distribution: distribution ? JSON.parse(JSON.stringify(distribution)) : null,
+        // Data - Deep clone to ensure all data is saved (term breakdowns come back on a rerun)
+        snapshotData: snapshotData ? JSON.parse(JSON.stringify(snapshotData, (key, value) => (key === 'breakdown' ? undefined : value))) : null,
         chartData: chartData ? (() => {
           // Deep clone chart data to ensure everything is saved
           const clonedChartData = JSON.parse(JSON.stringify({
@@ -2523,6 +1305,7 @@ function Projection() {
               spanGaps: dataset.spanGaps !== undefined ? dataset.spanGaps : false,
               showLine: dataset.showLine !== undefined ? dataset.showLine : true,
               stepped: dataset.stepped !== undefined ? dataset.stepped : false,
+              band: dataset.band || undefined,
             })) : [],
             // Price metrics
             currentPrice: chartData.currentPrice !== undefined ? Number(chartData.currentPrice) : null,
@@ -2533,6 +1316,9 @@ function Projection() {
             projectedChangePercent: chartData.projectedChangePercent !== undefined ? Number(chartData.projectedChangePercent) : null,
             // Historical data for reference
             historicalPrices: historicalPricesRef.current ? historicalPricesRef.current.map(p => Number(p)) : [],
+            timestamps: chartData.timestamps || null,
+            historicalCount: chartData.historicalCount ?? null,
+            timeZone: chartData.timeZone || null,
           }));
           return clonedChartData;
         })() : null,
@@ -2561,8 +1347,14 @@ function Projection() {
     }
   };
 
+  // Split "SYMBOL-INTERVAL" on the last dash so symbols like BTC-USD survive
+  const parseSearchKey = (searchKey) => {
+    const index = searchKey.lastIndexOf('-');
+    return [searchKey.slice(0, index), searchKey.slice(index + 1)];
+  };
+
   const handleRecentSearch = (searchKey) => {
-    const [sym, int] = searchKey.split('-');
+    const [sym, int] = parseSearchKey(searchKey);
     setSymbol(sym);
     setInterval(int);
     setShowRecentSearches(false);
@@ -2623,6 +1415,12 @@ function Projection() {
       return;
     }
 
+    // A new analysis replaces the one in flight; unmount and symbol changes abort it too
+    analysisAbortRef.current?.abort();
+    const controller = new AbortController();
+    analysisAbortRef.current = controller;
+    const { signal } = controller;
+
     setAnalyzing(true);
     setError(null);
 
@@ -2636,65 +1434,99 @@ function Projection() {
       const symbolKey = symbol.toUpperCase().trim();
       const savedModel = getStabilizedModel(symbolKey);
       
-      // Calculate steps based on hours
-      let stepsToUse = projectionSteps;
-      if (projectionHours) {
-        if (interval === '1H') {
-          stepsToUse = projectionHours;
-        } else if (interval === '1D' || interval === '1d') {
-          stepsToUse = Math.ceil(projectionHours / 24);
-        }
-      }
-      
-      // Force full recursive analysis - the calculateAdvancedProjection will automatically recurse
+      // Calculate steps from the horizon, starting after the last loaded bar
+      const loadedTimes = chartDataRef.current?.timestamps;
+      const lastBarTime = loadedTimes && chartDataRef.current.historicalCount
+        ? loadedTimes[chartDataRef.current.historicalCount - 1]
+        : Date.now();
+      const stepsToUse = resolveHorizonSteps(symbolKey, interval, {
+        unit: horizonUnit,
+        steps: projectionSteps,
+        hours: projectionHours,
+        sessions: projectionSessions,
+      }, lastBarTime);
+      
+      // Force full recursive analysis - the advanced model will automatically recurse
       const modelToAnalyze = savedModel ? { 
         ...savedModel, 
         iteration: 0,
         signalStability: 0,
-        lastOscillations: null
+        lastOscillations: null,
+        history: []
       } : null;
       
       // Perform recursive analysis with automatic oscillation minimization (max 15 iterations)
-      const result = calculateAdvancedProjection(historicalPrices, stepsToUse, modelToAnalyze, 15);
-      
-      if (!result || !result.projections || !Array.isArray(result.projections)) {
-        throw new Error('Invalid projection result from advanced model');
-      }
+      let result = await projectInWorker(historicalPrices, {
+        model: 'advanced',
+        steps: stepsToUse,
+        stabilizedModel: modelToAnalyze,
+        maxRecursions: 15,
+        explain: true,
+      }, { signal });
       
       // Verify no price jump at start
       const lastPrice = historicalPrices[historicalPrices.length - 1];
-      const firstProjection = result.projections[0];
+      const firstProjection = result.lines[0].points[0];
       const jump = Math.abs(firstProjection - lastPrice) / lastPrice;
       
       if (jump > 0.05) {
         // Still has jump - force another round
-        const reanalyzedResult = calculateAdvancedProjection(historicalPrices, stepsToUse, result.stabilizedModel, 10);
-        if (reanalyzedResult && reanalyzedResult.projections) {
-          Object.assign(result, reanalyzedResult);
-        }
+        result = await projectInWorker(historicalPrices, {
+          model: 'advanced',
+          steps: stepsToUse,
+          stabilizedModel: result.diagnostics.stabilizedModel,
+          maxRecursions: 10,
+          explain: true,
+        }, { signal });
       }
+      // Nothing from a run that was cancelled or replaced reaches the page or the saved models
+      if (signal.aborted) return;
+      setLatticeRun({ symbol: symbolKey, lines: result.lines });
       
       // Save the updated stabilized model
-      saveStabilizedModel(symbolKey, result.stabilizedModel);
-      setStabilizedModel(result.stabilizedModel);
+      const { stabilizedModel: updatedModel } = result.diagnostics;
+      saveStabilizedModel(symbolKey, updatedModel);
+      setStabilizedModel(updatedModel);
       
       // Reload chart with new model
       await loadChartData();
       
     } catch (error) {
+      if (error.cancelled || signal.aborted) return;
       console.error('Recursive FFT analysis failed:', error);
       setError('Failed to perform recursive FFT analysis: ' + (error.message || 'Unknown error'));
     } finally {
-      setAnalyzing(false);
+      if (analysisAbortRef.current === controller) {
+        analysisAbortRef.current = null;
+        setAnalyzing(false);
+      }
     }
   };
 
+  // Stop the Recursive Analysis in flight, keeping the saved stabilized model as it was
+  const handleCancelAnalysis = () => {
+    analysisAbortRef.current?.abort();
+    analysisAbortRef.current = null;
+    setAnalyzing(false);
+  };
+
+  // Cancel a projection still running when the page unmounts
   useEffect(() => {
     return () => {
-      // Cleanup if needed
+      abortRef.current?.abort();
     };
   }, []);
 
+  // A Recursive Analysis belongs to the symbol it started on: cancel it when the symbol
+  // changes or the page unmounts
+  useEffect(() => {
+    return () => {
+      analysisAbortRef.current?.abort();
+      analysisAbortRef.current = null;
+      setAnalyzing(false);
+    };
+  }, [symbol]);
+
   return (
     <div className="w-full max-w-[1800px] mx-auto px-4 flex flex-col h-full min-h-0 overflow-hidden">
       {/* Header */}
@@ -2712,29 +1544,26 @@ function Projection() {
             <label htmlFor="symbol" className="block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
               Symbol
             </label>
-            <div className="relative">
-              <input
-                ref={inputRef}
-                type="text"
-                id="symbol"
-                value={symbol}
-                onChange={(e) => {
-                  const newValue = e.target.value.toUpperCase();
-                  setSymbol(newValue);
-                  setShowRecentSearches(newValue.length === 0 && recentSearches.length > 0);
-                }}
-                onKeyDown={handleKeyPress}
-                onFocus={() => {
-                  if (recentSearches.length > 0 && !symbol) {
-                    setShowRecentSearches(true);
-                  }
-                }}
-                onBlur={() => {
-                  setTimeout(() => setShowRecentSearches(false), 200);
-                }}
-                placeholder="AAPL, TSLA"
-                className="w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-colors"
-              />
+            <SymbolSearchInput
+              inputRef={inputRef}
+              id="symbol"
+              value={symbol}
+              onChange={(newValue) => {
+                setSymbol(newValue);
+                setShowRecentSearches(newValue.length === 0 && recentSearches.length > 0);
+              }}
+              onKeyDown={handleKeyPress}
+              onFocus={() => {
+                if (recentSearches.length > 0 && !symbol) {
+                  setShowRecentSearches(true);
+                }
+              }}
+              onBlur={() => {
+                setTimeout(() => setShowRecentSearches(false), 200);
+              }}
+              placeholder="AAPL, BTC-USD, ^GSPC"
+              className="w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-colors"
+            >
               {symbol && (
                 <button
                   type="button"
@@ -2757,7 +1586,7 @@ function Projection() {
                     Recent
                   </div>
                   {recentSearches.map((searchKey) => {
-                    const [sym, int] = searchKey.split('-');
+                    const [sym, int] = parseSearchKey(searchKey);
                     return (
                       <button
                         key={searchKey}
@@ -2772,7 +1601,7 @@ function Projection() {
                   })}
                 </div>
               )}
-            </div>
+            </SymbolSearchInput>
           </div>
 
           {/* Time Interval */}
@@ -2806,27 +1635,34 @@ function Projection() {
             </div>
           </div>
 
-          {/* Projection Steps */}
-          <div className="min-w-[70px]">
+          {/* Projection Horizon: steps, calendar hours or trading sessions */}
+          <div className="min-w-[110px]">
             <label className="block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
-              Steps
+              Horizon
             </label>
             <select
               id="projectionSteps"
-              value={projectionSteps}
+              value={`${horizonUnit}:${horizonUnit === 'steps' ? projectionSteps : horizonUnit === 'hours' ? projectionHours : projectionSessions}`}
               onChange={(e) => {
-                const value = parseInt(e.target.value);
-                setProjectionSteps(value);
+                const [unit, rawValue] = e.target.value.split(':');
+                const value = parseInt(rawValue);
+                setHorizonUnit(unit);
+                if (unit === 'steps') setProjectionSteps(value);
+                if (unit === 'hours') setProjectionHours(value);
+                if (unit === 'sessions') setProjectionSessions(value);
                 if (chartData) {
                   setTimeout(() => loadChartData(), 100);
                 }
               }}
               className="w-full px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500"
             >
-              <option value={10}>10</option>
-              <option value={20}>20</option>
-              <option value={40}>40</option>
-              <option value={60}>60</option>
+              {HORIZON_OPTIONS.map(group => (
+                <optgroup key={group.unit} label={group.unit === 'sessions' ? 'Trading sessions' : group.unit === 'hours' ? 'Calendar hours' : 'Bars'}>
+                  {group.values.map(value => (
+                    <option key={value} value={`${group.unit}:${value}`}>{group.label(value)}</option>
+                  ))}
+                </optgroup>
+              ))}
             </select>
           </div>
 
@@ -2912,6 +1748,95 @@ function Projection() {
             </div>
           )}
 
+          {/* Outcome Range - spread of the projection at the horizon */}
+          {chartData && distribution && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 p-3 flex-shrink-0">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Outcome Range</h3>
+                <span className="text-[10px] text-gray-500 dark:text-gray-400">
+                  {distribution.paths} {projectionModel === 'montecarlo' ? 'paths' : 'lines'}
+                </span>
+              </div>
+              <div className="grid grid-cols-3 gap-2 text-xs mb-2">
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded p-2">
+                  <span className="text-gray-500 dark:text-gray-400 block">P5–P95</span>
+                  <span className="font-bold text-gray-900 dark:text-white">
+                    ${distribution.percentiles[5].at(-1)?.toFixed(2)}–{distribution.percentiles[95].at(-1)?.toFixed(2)}
+                  </span>
+                </div>
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded p-2">
+                  <span className="text-gray-500 dark:text-gray-400 block">Median</span>
+                  <span className="font-bold text-purple-600 dark:text-purple-400">${distribution.percentiles[50].at(-1)?.toFixed(2)}</span>
+                </div>
+                <div className="bg-gray-50 dark:bg-gray-700/50 rounded p-2" title="Mean over paths of the deepest fall from a running peak">
+                  <span className="text-gray-500 dark:text-gray-400 block">Exp. max DD</span>
+                  <span className="font-bold text-red-600 dark:text-red-400">{(distribution.expectedMaxDrawdown * 100).toFixed(1)}%</span>
+                </div>
+              </div>
+              <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-1">Chance of touching</div>
+              <div className="space-y-0.5 text-xs mb-2">
+                {distribution.touch.map(({ target, probability }) => {
+                  const move = chartData.currentPrice ? (target / chartData.currentPrice - 1) * 100 : null;
+                  return (
+                    <div key={target} className="flex items-center justify-between">
+                      <span className="text-gray-600 dark:text-gray-400">
+                        ${target.toFixed(2)}{move !== null ? ` (${move >= 0 ? '+' : ''}${move.toFixed(1)}%)` : ''}
+                      </span>
+                      <span className="font-semibold text-gray-900 dark:text-white">{(probability * 100).toFixed(0)}%</span>
+                    </div>
+                  );
+                })}
+              </div>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={targetPrice}
+                onChange={(e) => setTargetPrice(e.target.value)}
+                onBlur={rerunProjection}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') rerunProjection();
+                }}
+                placeholder="Target price"
+                className="w-full px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
+              />
+            </div>
+          )}
+
+          {/* Ensemble Breakdown - weight and pull of each model on the consensus */}
+          {chartData && projectionModel === 'ensemble' && ensemble && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 p-3 flex-shrink-0">
+              <div className="flex items-center justify-between mb-1">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Ensemble Weights</h3>
+              </div>
+              <p className="text-[10px] text-gray-500 dark:text-gray-400 mb-2">
+                {ensemble.weightSource === 'backtest'
+                  ? `Inverse squared MAPE from the backtest run ${ensemble.backtestRanAt ? new Date(ensemble.backtestRanAt).toLocaleDateString() : ''}`
+                  : `Inverse squared MAPE over the last ${ensemble.errorCutoffs ?? 0} windows`}
+              </p>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 dark:text-gray-400">
+                    <th className="pb-1 font-medium">Model</th>
+                    <th className="pb-1 font-medium text-right">Weight</th>
+                    <th className="pb-1 font-medium text-right">MAPE</th>
+                    <th className="pb-1 font-medium text-right" title="Weight × the model's end price">Contribution</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ensemble.members.map(member => (
+                    <tr key={member.model} className="border-t border-gray-100 dark:border-gray-700/50">
+                      <td className="py-1 text-gray-900 dark:text-white" title={`Ends at $${member.finalPrice.toFixed(2)}`}>{member.label}</td>
+                      <td className="py-1 text-right font-semibold text-purple-600 dark:text-purple-400">{(member.weight * 100).toFixed(0)}%</td>
+                      <td className="py-1 text-right text-gray-700 dark:text-gray-300">{member.mape === null ? '—' : `${member.mape.toFixed(2)}%`}</td>
+                      <td className="py-1 text-right text-gray-700 dark:text-gray-300">${member.contribution.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Model Configuration Box */}
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 overflow-hidden flex flex-col flex-1 min-h-0">
             <div className="px-3 py-2.5 border-b border-gray-200 dark:border-gray-700 bg-gradient-to-r from-purple-50 to-blue-50 dark:from-purple-900/20 dark:to-blue-900/20 flex-shrink-0">
@@ -2924,144 +1849,310 @@ function Projection() {
             </div>
             
             <div className="p-3 flex-1 overflow-y-auto space-y-3">
-              {/* Model Type Badge */}
-              <div className="px-2.5 py-1.5 bg-purple-50 dark:bg-purple-900/30 border border-purple-300 dark:border-purple-700 rounded-lg text-xs font-semibold text-purple-600 dark:text-purple-400 flex items-center justify-center gap-1.5">
-                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                Prime Tetration
+              {/* Model Selection */}
+              <div className="grid grid-cols-3 gap-1.5">
+                {PROJECTION_MODES.map(model => (
+                  <button
+                    key={model.id}
+                    type="button"
+                    onClick={() => {
+                      if (model.id === projectionModel) return;
+                      setProjectionModel(model.id);
+                      rerunProjection();
+                    }}
+                    className={`px-2.5 py-1.5 rounded-lg text-xs font-semibold border transition-all ${
+                      projectionModel === model.id
+                        ? 'bg-purple-50 dark:bg-purple-900/30 border-purple-300 dark:border-purple-700 text-purple-600 dark:text-purple-400'
+                        : 'bg-white dark:bg-gray-700 border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:bg-purple-100 dark:hover:bg-purple-900/30'
+                    }`}
+                  >
+                    {model.label}
+                  </button>
+                ))}
               </div>
 
-              {/* Base & Frequency Controls */}
-              <div className="space-y-2">
-                <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Parameters</div>
-                <div className="grid grid-cols-2 gap-2">
-                  <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
-                    <div className="flex items-center justify-between mb-1.5">
-                      <span className="text-xs font-medium text-gray-700 dark:text-gray-300">Base</span>
-                      <span className="text-xs font-bold text-purple-600 dark:text-purple-400">{base}</span>
+              {(projectionModel === 'montecarlo' || projectionModel === 'ensemble') && (
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    {projectionModel === 'ensemble' ? 'Monte Carlo Return Model' : 'Return Model'}
+                  </div>
+                  <select
+                    value={returnModel}
+                    onChange={(e) => {
+                      setReturnModel(e.target.value);
+                      rerunProjection();
+                    }}
+                    className="w-full px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500"
+                  >
+                    {RETURN_MODEL_OPTIONS.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Seed</div>
+                  <div className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
+                    <input
+                      type="number"
+                      min="0"
+                      value={seed}
+                      onChange={(e) => {
+                        const value = parseInt(e.target.value, 10);
+                        if (!isNaN(value) && value >= 0) {
+                          setSeed(value >>> 0);
+                          rerunProjection();
+                        }
+                      }}
+                      className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs font-mono focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setSeed(randomSeed());
+                        rerunProjection();
+                      }}
+                      title="New random seed"
+                      className="px-2 py-1.5 rounded text-xs font-semibold bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-purple-100 dark:hover:bg-purple-900/30 border border-gray-200 dark:border-gray-600"
+                    >
+                      New
+                    </button>
+                  </div>
+                  <p className="text-[10px] text-gray-500 dark:text-gray-400">The same seed and data reproduce the same paths; the seed is saved with the projection.</p>
+                </div>
+              )}
+
+              {projectionModel === 'primetetration' && (
+                <>
+                {/* Lattice Preset */}
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Lattice Preset</div>
+                  <div className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
+                    <select
+                      value={latticePresetId || ''}
+                      onChange={(e) => {
+                        setLatticePresetId(e.target.value || null);
+                        rerunProjection();
+                      }}
+                      className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500"
+                    >
+                      <option value="">Default lattice</option>
+                      {latticePresets.map(preset => (
+                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => setLatticeEditor({ preset: selectedLatticePreset })}
+                      title={selectedLatticePreset ? 'Edit, share or delete this preset' : 'Create or import a preset'}
+                      className="px-2 py-1.5 rounded text-xs font-semibold bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-purple-100 dark:hover:bg-purple-900/30 border border-gray-200 dark:border-gray-600"
+                    >
+                      {selectedLatticePreset ? 'Edit' : 'New'}
+                    </button>
+                  </div>
+                  {selectedLatticePreset?.triads && (
+                    <p className="text-[10px] text-gray-500 dark:text-gray-400">
+                      Uses the preset&apos;s {selectedLatticePreset.triads.length} triads: Count is ignored and Prime Depth only sets ψ.
+                    </p>
+                  )}
+                </div>
+
+                {/* Base & Frequency Controls */}
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Parameters</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
+                      <div className="flex items-center justify-between mb-1.5">
+                        <span className="text-xs font-medium text-gray-700 dark:text-gray-300">Base</span>
+                        <span className="text-xs font-bold text-purple-600 dark:text-purple-400">{base}</span>
+                      </div>
+                      <label className="inline-flex items-center cursor-pointer w-full justify-center">
+                        <input 
+                          type="checkbox" 
+                          checked={base === 3}
+                          onChange={() => {
+                            const newBase = base === 3 ? 2 : 3;
+                            setBase(newBase);
+                            if (chartData) setTimeout(() => loadChartData(), 100);
+                          }}
+                          className="sr-only peer" 
+                        />
+                        <div className="relative w-9 h-5 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-purple-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-4 after:w-4 after:transition-all"></div>
+                      </label>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
+                      <div className="flex items-center justify-between mb-1.5">
+                        <span className="text-xs font-medium text-gray-700 dark:text-gray-300">Ω Hz</span>
+                        <span className="text-xs font-bold text-green-600 dark:text-green-400">{omegaHz}</span>
+                      </div>
+                      <label className="inline-flex items-center cursor-pointer w-full justify-center">
+                        <input 
+                          type="checkbox" 
+                          checked={omegaHz === 528}
+                          onChange={() => {
+                            const newOmegaHz = omegaHz === 432 ? 528 : 432;
+                            setOmegaHz(newOmegaHz);
+                            if (chartData) setTimeout(() => loadChartData(), 100);
+                          }}
+                          className="sr-only peer" 
+                        />
+                        <div className="relative w-9 h-5 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-green-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-4 after:w-4 after:transition-all"></div>
+                      </label>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Amplitude Tower */}
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Amplitude Tower</div>
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      try {
+                        setTower(normalizeTowerOptions(towerInput));
+                        setTowerError(null);
+                        rerunProjection();
+                      } catch (err) {
+                        setTowerError(err.message);
+                      }
+                    }}
+                    className="space-y-1.5 bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600"
+                  >
+                    <div className="grid grid-cols-2 gap-1.5">
+                      <label className="text-[10px] text-gray-600 dark:text-gray-400">
+                        Bits
+                        <input
+                          type="number"
+                          min="1"
+                          value={towerInput.bits}
+                          onChange={(e) => setTowerInput(current => ({ ...current, bits: e.target.value }))}
+                          disabled={towerInput.modulus.trim() !== ''}
+                          className="mt-0.5 w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500 disabled:opacity-50"
+                        />
+                      </label>
+                      <label className="text-[10px] text-gray-600 dark:text-gray-400">
+                        Guard bits
+                        <input
+                          type="number"
+                          min="0"
+                          value={towerInput.guardBits}
+                          onChange={(e) => setTowerInput(current => ({ ...current, guardBits: e.target.value }))}
+                          className="mt-0.5 w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs focus:outline-none focus:border-purple-500"
+                        />
+                      </label>
+                    </div>
+                    <div className="flex items-center gap-1.5">
+                      <input
+                        type="text"
+                        value={towerInput.modulus}
+                        onChange={(e) => setTowerInput(current => ({ ...current, modulus: e.target.value }))}
+                        placeholder={`Modulus (2^${Number(towerInput.bits) + Number(towerInput.guardBits)})`}
+                        aria-label="Modulus"
+                        className="flex-1 min-w-0 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs font-mono focus:outline-none focus:border-purple-500"
+                      />
+                      <button
+                        type="submit"
+                        className="px-2 py-1 rounded text-xs font-semibold bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-purple-100 dark:hover:bg-purple-900/30 border border-gray-200 dark:border-gray-600"
+                      >
+                        Apply
+                      </button>
                     </div>
-                    <label className="inline-flex items-center cursor-pointer w-full justify-center">
+                  </form>
+                  {towerError ? (
+                    <p className="text-[10px] text-red-600 dark:text-red-400">{towerError}</p>
+                  ) : (
+                    <p className="text-[10px] text-gray-500 dark:text-gray-400">
+                      Triad towers are reduced mod {tower.modulus ? tower.modulus : `2^${tower.bits + tower.guardBits}`} and {tower.guardBits} guard bits dropped from each amplitude.
+                      {presetSetsTower ? ' The lattice preset overrides these.' : ''}
+                    </p>
+                  )}
+                </div>
+
+                {/* Schedule Options */}
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Schedules</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="inline-flex items-center cursor-pointer bg-gray-50 dark:bg-gray-700/50 rounded-lg px-2.5 py-2 border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors">
                       <input 
                         type="checkbox" 
-                        checked={base === 3}
-                        onChange={() => {
-                          const newBase = base === 3 ? 2 : 3;
-                          setBase(newBase);
+                        checked={useLambdaSchedule}
+                        onChange={(e) => {
+                          setUseLambdaSchedule(e.target.checked);
                           if (chartData) setTimeout(() => loadChartData(), 100);
                         }}
                         className="sr-only peer" 
                       />
-                      <div className="relative w-9 h-5 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-purple-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-4 after:w-4 after:transition-all"></div>
+                      <div className="relative w-7 h-4 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-purple-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-3 after:w-3 after:transition-all"></div>
+                      <span className="ms-2 text-xs font-medium text-gray-700 dark:text-gray-300">λ Schedule</span>
                     </label>
-                  </div>
-                  <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
-                    <div className="flex items-center justify-between mb-1.5">
-                      <span className="text-xs font-medium text-gray-700 dark:text-gray-300">Ω Hz</span>
-                      <span className="text-xs font-bold text-green-600 dark:text-green-400">{omegaHz}</span>
-                    </div>
-                    <label className="inline-flex items-center cursor-pointer w-full justify-center">
+                    <label className="inline-flex items-center cursor-pointer bg-gray-50 dark:bg-gray-700/50 rounded-lg px-2.5 py-2 border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors">
                       <input 
                         type="checkbox" 
-                        checked={omegaHz === 528}
-                        onChange={() => {
-                          const newOmegaHz = omegaHz === 432 ? 528 : 432;
-                          setOmegaHz(newOmegaHz);
+                        checked={useOmegaSchedule}
+                        onChange={(e) => {
+                          setUseOmegaSchedule(e.target.checked);
                           if (chartData) setTimeout(() => loadChartData(), 100);
                         }}
                         className="sr-only peer" 
                       />
-                      <div className="relative w-9 h-5 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-green-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-4 after:w-4 after:transition-all"></div>
+                      <div className="relative w-7 h-4 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-blue-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-3 after:w-3 after:transition-all"></div>
+                      <span className="ms-2 text-xs font-medium text-gray-700 dark:text-gray-300">Ω Schedule</span>
                     </label>
                   </div>
                 </div>
-              </div>
 
-              {/* Schedule Options */}
-              <div className="space-y-2">
-                <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Schedules</div>
-                <div className="grid grid-cols-2 gap-2">
-                  <label className="inline-flex items-center cursor-pointer bg-gray-50 dark:bg-gray-700/50 rounded-lg px-2.5 py-2 border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors">
-                    <input 
-                      type="checkbox" 
-                      checked={useLambdaSchedule}
+                {/* Count Input */}
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Projection Count</div>
+                  <div className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
+                    <span className="text-xs font-medium text-gray-600 dark:text-gray-400 whitespace-nowrap">Count</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={projectionCount}
                       onChange={(e) => {
-                        setUseLambdaSchedule(e.target.checked);
-                        if (chartData) setTimeout(() => loadChartData(), 100);
-                      }}
-                      className="sr-only peer" 
-                    />
-                    <div className="relative w-7 h-4 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-purple-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-3 after:w-3 after:transition-all"></div>
-                    <span className="ms-2 text-xs font-medium text-gray-700 dark:text-gray-300">λ Schedule</span>
-                  </label>
-                  <label className="inline-flex items-center cursor-pointer bg-gray-50 dark:bg-gray-700/50 rounded-lg px-2.5 py-2 border border-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors">
-                    <input 
-                      type="checkbox" 
-                      checked={useOmegaSchedule}
-                      onChange={(e) => {
-                        setUseOmegaSchedule(e.target.checked);
-                        if (chartData) setTimeout(() => loadChartData(), 100);
+                        const value = parseInt(e.target.value, 10);
+                        if (!isNaN(value) && value >= 1 && value <= 50) {
+                          setProjectionCount(value);
+                          if (chartData) setTimeout(() => loadChartData(), 100);
+                        }
                       }}
-                      className="sr-only peer" 
+                      className="flex-1 px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs font-semibold focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
                     />
-                    <div className="relative w-7 h-4 bg-gray-300 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full peer-checked:bg-blue-600 after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-3 after:w-3 after:transition-all"></div>
-                    <span className="ms-2 text-xs font-medium text-gray-700 dark:text-gray-300">Ω Schedule</span>
-                  </label>
-                </div>
-              </div>
-
-              {/* Count Input */}
-              <div className="space-y-2">
-                <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Projection Count</div>
-                <div className="flex items-center gap-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
-                  <span className="text-xs font-medium text-gray-600 dark:text-gray-400 whitespace-nowrap">Count</span>
-                  <input
-                    type="number"
-                    min="1"
-                    max="50"
-                    value={projectionCount}
-                    onChange={(e) => {
-                      const value = parseInt(e.target.value, 10);
-                      if (!isNaN(value) && value >= 1 && value <= 50) {
-                        setProjectionCount(value);
-                        if (chartData) setTimeout(() => loadChartData(), 100);
-                      }
-                    }}
-                    className="flex-1 px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-xs font-semibold focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
-                  />
+                  </div>
                 </div>
-              </div>
 
-              {/* Prime Depth Selection */}
-              <div className="space-y-2">
-                <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Prime Depth</div>
-                <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
-                  <div className="flex flex-wrap gap-1.5">
-                    {PRIME_STOPS.map((prime) => {
-                      const isSelected = PRIME_STOPS[primeDepthIndex] === prime;
-                      return (
-                        <button
-                          key={prime}
-                          type="button"
-                          onClick={() => {
-                            const newIndex = PRIME_STOPS.indexOf(prime);
-                            setPrimeDepthIndex(newIndex);
-                            setPrimeDepthInput(prime);
-                            if (chartData) setTimeout(() => loadChartData(), 100);
-                          }}
-                          className={`px-2 py-1 rounded-md text-xs font-semibold transition-all ${
-                            isSelected
-                              ? 'bg-purple-600 text-white shadow-md'
-                              : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-purple-100 dark:hover:bg-purple-900/30 border border-gray-200 dark:border-gray-600'
-                          }`}
-                        >
-                          {prime}
-                        </button>
-                      );
-                    })}
+                {/* Prime Depth Selection */}
+                <div className="space-y-2">
+                  <div className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wider">Prime Depth</div>
+                  <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-2 border border-gray-200 dark:border-gray-600">
+                    <div className="flex flex-wrap gap-1.5">
+                      {PRIME_STOPS.map((prime) => {
+                        const isSelected = PRIME_STOPS[primeDepthIndex] === prime;
+                        return (
+                          <button
+                            key={prime}
+                            type="button"
+                            onClick={() => {
+                              const newIndex = PRIME_STOPS.indexOf(prime);
+                              setPrimeDepthIndex(newIndex);
+                              setPrimeDepthInput(prime);
+                              if (chartData) setTimeout(() => loadChartData(), 100);
+                            }}
+                            className={`px-2 py-1 rounded-md text-xs font-semibold transition-all ${
+                              isSelected
+                                ? 'bg-purple-600 text-white shadow-md'
+                                : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 hover:bg-purple-100 dark:hover:bg-purple-900/30 border border-gray-200 dark:border-gray-600'
+                            }`}
+                          >
+                            {prime}
+                          </button>
+                        );
+                      })}
+                    </div>
                   </div>
                 </div>
-              </div>
+                </>
+              )}
 
               {/* Save Button */}
               <div className="pt-1">
@@ -3087,6 +2178,14 @@ function Projection() {
                 {saveSuccess && (
                   <p className="text-[10px] text-green-600 dark:text-green-400 text-center mt-1.5 font-medium">✓ Saved successfully!</p>
                 )}
+                <button
+                  type="button"
+                  onClick={handleCompare}
+                  title="Run these settings across a watchlist"
+                  className="w-full mt-1.5 px-3 py-1.5 text-xs font-semibold rounded-lg text-purple-600 dark:text-purple-400 bg-purple-50 dark:bg-purple-900/20 hover:bg-purple-100 dark:hover:bg-purple-900/40 transition-colors"
+                >
+                  Compare across watchlist
+                </button>
               </div>
             </div>
           </div>
@@ -3102,6 +2201,22 @@ function Projection() {
               Price Projection Chart
             </h2>
             <div className="flex items-center gap-3 text-[10px]">
+              {loading && (
+                <span className="flex items-center gap-1.5">
+                  <span className="text-purple-600 dark:text-purple-400 font-medium">
+                    {projectionProgress
+                      ? `${projectionProgress.label} ${projectionProgress.done}/${projectionProgress.total}`
+                      : 'Projecting…'}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={handleCancelProjection}
+                    className="px-1.5 py-0.5 rounded font-medium text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 hover:bg-red-100 dark:hover:bg-red-900/40 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </span>
+              )}
               <div className="flex items-center gap-1">
                 <div className="w-2 h-2 rounded-full bg-blue-500"></div>
                 <span className="text-gray-500 dark:text-gray-400">Historical</span>
@@ -3110,6 +2225,33 @@ function Projection() {
                 <div className="w-2 h-2 rounded-full bg-purple-500"></div>
                 <span className="text-gray-500 dark:text-gray-400">Projected</span>
               </div>
+              {chartData && (
+                <button
+                  type="button"
+                  onClick={() => setShowSpectrum(!showSpectrum)}
+                  className={`flex items-center gap-0.5 px-1.5 py-0.5 rounded transition-colors ${
+                    showSpectrum
+                      ? 'bg-purple-600 text-white'
+                      : 'text-gray-500 hover:text-purple-600 bg-gray-100 dark:bg-gray-700'
+                  }`}
+                >
+                  Spectrum{pinnedPeriod ? ` · ${pinnedPeriod.toFixed(1)}` : ''}
+                </button>
+              )}
+              {chartData && termSource && (
+                <button
+                  type="button"
+                  onClick={() => setShowTerms(!showTerms)}
+                  title="What each term contributed to the lines' moves"
+                  className={`flex items-center gap-0.5 px-1.5 py-0.5 rounded transition-colors ${
+                    showTerms
+                      ? 'bg-purple-600 text-white'
+                      : 'text-gray-500 hover:text-purple-600 bg-gray-100 dark:bg-gray-700'
+                  }`}
+                >
+                  Terms
+                </button>
+              )}
               {chartData && (
                 <button
                   type="button"
@@ -3148,10 +2290,13 @@ function Projection() {
                     key={`chart-${symbol}-${interval}-${projectionSteps}-${chartData.labels?.length || 0}`}
                     data={{
                       labels: Array.isArray(chartData.labels) ? chartData.labels : [],
-                      datasets: Array.isArray(chartData.datasets) ? chartData.datasets.map(dataset => ({
-                        ...dataset,
-                        data: Array.isArray(dataset.data) ? dataset.data : []
-                      })) : []
+                      datasets: Array.isArray(chartData.datasets) ? [
+                        ...chartData.datasets.map(dataset => ({
+                          ...dataset,
+                          data: Array.isArray(dataset.data) ? dataset.data : []
+                        })),
+                        ...(cycleDataset ? [cycleDataset] : []),
+                      ] : []
                     }}
                     options={{
                       ...lineChartOptions.current,
@@ -3194,8 +2339,68 @@ function Projection() {
               )}
             </div>
           </div>
+
+          {/* Term Breakdown Panel - per-term moves of the Prime Tetration or Recursive Lattice lines */}
+          {showTerms && chartData && termSource && (
+            <div className="border-t border-gray-200 dark:border-gray-700 flex-shrink-0">
+              {termSources.length > 1 && (
+                <div className="flex gap-1 px-3 pt-2">
+                  {termSources.map(source => (
+                    <button
+                      key={source.id}
+                      type="button"
+                      onClick={() => setTermSourceId(source.id)}
+                      className={`px-1.5 py-0.5 rounded text-[10px] font-medium transition-colors ${
+                        source.id === termSource.id
+                          ? 'bg-purple-600 text-white'
+                          : 'text-gray-500 hover:text-purple-600 bg-gray-100 dark:bg-gray-700'
+                      }`}
+                    >
+                      {source.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <TermBreakdownPanel
+                key={termSource.id}
+                model={termSource.model}
+                lines={termSource.lines}
+                lastPrice={chartData.historicalPrices?.[chartData.historicalPrices.length - 1] ?? chartData.currentPrice}
+                stepLabels={chartData.labels.slice(chartData.historicalCount ?? 0)}
+                getColor={getProjectionColor}
+                tower={snapshotData?.tower}
+                coprimes={snapshotData?.coprimes}
+              />
+            </div>
+          )}
+
+          {/* Spectral Panel - periodogram, detected cycles and stabilization history */}
+          {showSpectrum && chartData && (
+            <div className="border-t border-gray-200 dark:border-gray-700 flex-shrink-0">
+              <SpectralPanel
+                prices={chartData.historicalPrices}
+                barDays={barDays}
+                stabilizedModel={stabilizedModel}
+                pinnedPeriod={pinnedPeriod}
+                onPin={setPinnedPeriod}
+                onRunStabilization={handleRecursiveAnalysis}
+                onCancelStabilization={handleCancelAnalysis}
+                analyzing={analyzing}
+              />
+            </div>
+          )}
         </div>
       </div>
+
+      {latticeEditor && (
+        <LatticePresetEditor
+          key={latticeEditor.preset?.id || 'new'}
+          preset={latticeEditor.preset}
+          onClose={() => setLatticeEditor(null)}
+          onSaved={handleLatticeSaved}
+          onDeleted={handleLatticeDeleted}
+        />
+      )}
     </div>
   );
 }
@@ -1,5 +1,13 @@
 import { useState, useEffect, useCallback } from 'react';
 import GridGenerator from '../components/GridGenerator';
+import ProxyDiagnostics from '../components/ProxyDiagnostics';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import { getAvailableProviders, getPreferredApi } from '../services/monitorService';
+import { getCandleCacheStats, clearCandleCache, setCacheBudget } from '../services/candleCache';
+import { getProxies, addCustomProxy, removeCustomProxy, setProxyEnabled } from '../services/proxyManager';
+import { validateSymbol } from '../services/symbolSearch';
+import { syncProjectionAlerts, requestNotificationPermission } from '../services/projectionAlertService';
+import { normalizeSymbol } from '../utils/symbols';
 
 function Settings() {
   // Appearance Settings
@@ -15,6 +23,17 @@ function Settings() {
     fibhub: '',
   });
 
+  // Preferred market data source ('auto' uses the registry's fallback order)
+  const [preferredApi, setPreferredApi] = useState(() => getPreferredApi());
+  const dataProviders = getAvailableProviders();
+
+  // Candle cache (IndexedDB) stats and budget
+  const [cacheStats, setCacheStats] = useState(null);
+
+  // CORS proxies (built-in and custom)
+  const [proxies, setProxies] = useState(() => getProxies());
+  const [newProxy, setNewProxy] = useState({ name: '', template: '' });
+
   // Data Refresh Settings
   const [refreshInterval, setRefreshInterval] = useState(() => {
     const saved = localStorage.getItem('refreshInterval');
@@ -113,6 +132,63 @@ function Settings() {
     autoSave('apiKeys', apiKeys, 'API keys saved successfully');
   };
 
+  // Load candle cache stats when the data tab opens
+  const refreshCacheStats = useCallback(async () => {
+    setCacheStats(await getCandleCacheStats());
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'data') {
+      refreshCacheStats();
+    }
+  }, [activeTab, refreshCacheStats]);
+
+  const handleCacheBudgetChange = async (value) => {
+    const megabytes = Math.max(1, Math.min(500, parseInt(value) || 25));
+    await setCacheBudget(megabytes);
+    showSaveStatus('Cache size limit updated', 'success');
+    refreshCacheStats();
+  };
+
+  const handleClearCandleCache = async () => {
+    if (!window.confirm('Clear all cached price history? It will be downloaded again as needed.')) {
+      return;
+    }
+    const cleared = await clearCandleCache();
+    showSaveStatus(cleared ? 'Price history cache cleared' : 'Failed to clear cache', cleared ? 'success' : 'error');
+    refreshCacheStats();
+  };
+
+  // Handle custom proxies
+  const handleAddProxy = () => {
+    try {
+      addCustomProxy(newProxy);
+      setProxies(getProxies());
+      setNewProxy({ name: '', template: '' });
+      showSaveStatus('Proxy added', 'success');
+    } catch (error) {
+      showSaveStatus(error.message, 'error');
+    }
+  };
+
+  const handleRemoveProxy = (id) => {
+    removeCustomProxy(id);
+    setProxies(getProxies());
+    showSaveStatus('Proxy removed', 'success');
+  };
+
+  const handleToggleProxy = (id, enabled) => {
+    setProxyEnabled(id, enabled);
+    setProxies(getProxies());
+    showSaveStatus(enabled ? 'Proxy enabled' : 'Proxy disabled', 'success');
+  };
+
+  // Handle preferred data source change
+  const handlePreferredApiChange = (value) => {
+    setPreferredApi(value);
+    autoSave('preferredApi', value, 'Preferred data source updated');
+  };
+
   // Handle Refresh Interval change
   const handleRefreshIntervalChange = (value) => {
     const numValue = parseInt(value, 10) || 30;
@@ -121,9 +197,14 @@ function Settings() {
   };
 
   // Handle Default Symbols
-  const handleAddSymbol = () => {
-    const symbol = newSymbol.toUpperCase().trim();
-    if (symbol && !defaultSymbols.includes(symbol) && symbol.length <= 10) {
+  const handleAddSymbol = async () => {
+    const symbol = normalizeSymbol(newSymbol);
+    if (symbol && !defaultSymbols.includes(symbol)) {
+      const check = await validateSymbol(symbol);
+      if (check.status === 'invalid') {
+        showSaveStatus(check.message, 'error');
+        return;
+      }
       const updated = [...defaultSymbols, symbol];
       setDefaultSymbols(updated);
       setNewSymbol('');
@@ -142,6 +223,10 @@ function Settings() {
     const updated = { ...notifications, [key]: value };
     setNotifications(updated);
     autoSave('notificationSettings', updated, 'Notification settings updated');
+    syncProjectionAlerts();
+    if (key === 'priceAlerts' && value) {
+      requestNotificationPermission();
+    }
   };
 
   // Handle General Settings
@@ -178,6 +263,7 @@ function Settings() {
         showTooltips: true,
         compactMode: false,
       });
+      syncProjectionAlerts();
       showSaveStatus('All settings reset to defaults', 'success');
       setHasUnsavedChanges(false);
     }
@@ -187,6 +273,7 @@ function Settings() {
     { id: 'appearance', label: 'Appearance' },
     { id: 'api', label: 'API Keys' },
     { id: 'data', label: 'Data & Refresh' },
+    { id: 'proxies', label: 'Proxies' },
     { id: 'notifications', label: 'Notifications' },
     { id: 'general', label: 'General' },
     { id: 'tools', label: 'Tools' },
@@ -338,6 +425,35 @@ function Settings() {
             </div>
 
             <div className="space-y-6">
+              {/* Preferred Data Source */}
+              <div>
+                <label className="block text-sm font-semibold text-gray-900 dark:text-white mb-2">
+                  Preferred Data Source
+                </label>
+                <select
+                  value={preferredApi}
+                  onChange={(e) => handlePreferredApiChange(e.target.value)}
+                  className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                >
+                  <option value="auto">Auto (fallback order)</option>
+                  {dataProviders.map(provider => (
+                    <option key={provider.id} value={provider.id}>
+                      {provider.name}
+                    </option>
+                  ))}
+                </select>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {dataProviders.map(provider => (
+                    <span key={provider.id} className="text-xs text-gray-500 dark:text-gray-400">
+                      {provider.name}: {Object.keys(provider.capabilities).filter(c => provider.capabilities[c]).join(', ')}
+                    </span>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Charts always try a source with historical bars first
+                </p>
+              </div>
+
               {/* Finnhub */}
               <div>
                 <label className="block text-sm font-semibold text-gray-900 dark:text-white mb-2">
@@ -509,6 +625,67 @@ function Settings() {
               </div>
             </div>
 
+            {/* Price History Cache */}
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
+              <div className="mb-6">
+                <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">Price History Cache</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Bars are stored in your browser so charts open instantly and only new bars are downloaded
+                </p>
+              </div>
+
+              {cacheStats && !cacheStats.available ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  IndexedDB is not available in this browser, so price history is not cached.
+                </p>
+              ) : (
+                <div className="space-y-4">
+                  <div className="grid grid-cols-3 gap-3">
+                    <div className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-600">
+                      <p className="text-xs text-gray-500 dark:text-gray-400">Series</p>
+                      <p className="text-lg font-bold text-gray-900 dark:text-white">{cacheStats?.series ?? '—'}</p>
+                    </div>
+                    <div className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-600">
+                      <p className="text-xs text-gray-500 dark:text-gray-400">Bars</p>
+                      <p className="text-lg font-bold text-gray-900 dark:text-white">{cacheStats ? cacheStats.bars.toLocaleString() : '—'}</p>
+                    </div>
+                    <div className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-600">
+                      <p className="text-xs text-gray-500 dark:text-gray-400">Size</p>
+                      <p className="text-lg font-bold text-gray-900 dark:text-white">
+                        {cacheStats ? `${(cacheStats.bytes / (1024 * 1024)).toFixed(1)} MB` : '—'}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-end gap-3">
+                    <div className="flex-1">
+                      <label className="block text-sm font-semibold text-gray-900 dark:text-white mb-2">
+                        Size Limit (MB)
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="500"
+                        defaultValue={cacheStats ? Math.round(cacheStats.budget / (1024 * 1024)) : 25}
+                        key={cacheStats?.budget || 'budget'}
+                        onBlur={(e) => handleCacheBudgetChange(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                    <button
+                      onClick={handleClearCandleCache}
+                      className="px-6 py-3 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition-colors"
+                    >
+                      Clear Cache
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Least recently used symbols are removed first when the limit is reached
+                  </p>
+                </div>
+              )}
+            </div>
+
             {/* Default Symbols */}
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
               <div className="mb-6">
@@ -520,18 +697,18 @@ function Settings() {
 
               <div className="space-y-4">
                 <div className="flex gap-2">
-                  <input
-                    type="text"
+                  <SymbolSearchInput
                     value={newSymbol}
-                    onChange={(e) => setNewSymbol(e.target.value.toUpperCase())}
-                    onKeyPress={(e) => e.key === 'Enter' && handleAddSymbol()}
-                    className="flex-1 px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="Enter symbol (e.g., AAPL, TSLA)"
-                    maxLength="10"
+                    onChange={setNewSymbol}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAddSymbol()}
+                    containerClassName="relative flex-1"
+                    className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Enter symbol (e.g., AAPL, BTC-USD)"
+                    maxLength="25"
                   />
                   <button
                     onClick={handleAddSymbol}
-                    disabled={!newSymbol.trim() || defaultSymbols.includes(newSymbol.toUpperCase().trim())}
+                    disabled={!newSymbol.trim() || defaultSymbols.includes(normalizeSymbol(newSymbol))}
                     className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
                   >
                     Add
@@ -571,6 +748,100 @@ function Settings() {
           </div>
         )}
 
+        {/* Proxies Tab */}
+        {activeTab === 'proxies' && (
+          <div className="space-y-6">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
+              <div className="mb-6">
+                <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">CORS Proxies</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Production requests to Yahoo Finance go through the healthiest enabled proxy. A proxy that fails
+                  3 times in a row is paused for a cooldown before it is tried again.
+                </p>
+              </div>
+
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  {proxies.map(proxy => (
+                    <div
+                      key={proxy.id}
+                      className="flex items-center justify-between gap-3 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg border border-gray-200 dark:border-gray-600"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm font-semibold text-gray-900 dark:text-white">
+                          {proxy.name}
+                          {!proxy.builtin && <span className="ml-2 text-xs font-medium text-blue-600 dark:text-blue-400">Custom</span>}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{proxy.template}</p>
+                      </div>
+                      <div className="flex items-center gap-3 flex-shrink-0">
+                        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={proxy.enabled}
+                            onChange={(e) => handleToggleProxy(proxy.id, e.target.checked)}
+                            className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                          />
+                          Enabled
+                        </label>
+                        {!proxy.builtin && (
+                          <button
+                            onClick={() => handleRemoveProxy(proxy.id)}
+                            className="text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                  <input
+                    type="text"
+                    value={newProxy.name}
+                    onChange={(e) => setNewProxy({ ...newProxy, name: e.target.value })}
+                    className="px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Name (optional)"
+                  />
+                  <input
+                    type="text"
+                    value={newProxy.template}
+                    onChange={(e) => setNewProxy({ ...newProxy, template: e.target.value })}
+                    onKeyPress={(e) => e.key === 'Enter' && newProxy.template.trim() && handleAddProxy()}
+                    className="md:col-span-2 px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="https://proxy.example.com/?url={url}"
+                  />
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Use <code>{'{url}'}</code> for the encoded target URL or <code>{'{rawUrl}'}</code> for the raw one;
+                    without a placeholder the encoded URL is appended.
+                  </p>
+                  <button
+                    onClick={handleAddProxy}
+                    disabled={!newProxy.template.trim()}
+                    className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex-shrink-0"
+                  >
+                    Add Proxy
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
+              <div className="mb-6">
+                <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-2">Proxy Diagnostics</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Why each request went where it did. Use this when charts come up blank.
+                </p>
+              </div>
+              <ProxyDiagnostics />
+            </div>
+          </div>
+        )}
+
         {/* Notifications Tab */}
         {activeTab === 'notifications' && (
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
@@ -583,7 +854,7 @@ function Settings() {
 
             <div className="space-y-4">
               {[
-                { key: 'priceAlerts', label: 'Price Alerts', desc: 'Get notified when prices reach your target levels' },
+                { key: 'priceAlerts', label: 'Price Alerts', desc: 'Get notified when price crosses a projected path, leaves its band or reaches its target (set alerts on saved projections in Data)' },
                 { key: 'apiStatusAlerts', label: 'API Status Alerts', desc: 'Get notified when API endpoints change status' },
                 { key: 'errorAlerts', label: 'Error Alerts', desc: 'Get notified when errors occur in the application' },
                 { key: 'soundEnabled', label: 'Sound Notifications', desc: 'Play sound when notifications appear' },
@@ -15,6 +15,12 @@ import { Line, Bar } from 'react-chartjs-2';
 import { Chart } from 'react-chartjs-2';
 import { CandlestickController, CandlestickElement } from 'chartjs-chart-financial';
 import { getPriceChartData } from '../services/monitorService';
+import { subscribeBars } from '../services/quoteStream';
+import StreamStatusBadge from '../components/StreamStatusBadge';
+import FundamentalsPanel from '../components/FundamentalsPanel';
+import SymbolSearchInput from '../components/SymbolSearchInput';
+import { validateSymbol } from '../services/symbolSearch';
+import { getAssetClass, supportsInterval, formatPrice, getPricePrefix } from '../utils/assetClasses';
 
 ChartJS.register(
   CategoryScale,
@@ -100,6 +106,26 @@ function CandlestickChartWrapper({ chartType, candlestickData, chartData, symbol
   return null;
 }
 
+// Format a bar timestamp as a chart label (time for hourly, date for daily)
+function formatChartLabel(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  if (interval === '1H') {
+    return date.toLocaleTimeString('en-US', { 
+      hour: '2-digit', 
+      minute: '2-digit',
+      timeZone: 'America/New_York'
+    });
+  }
+  return date.toLocaleDateString('en-US', { 
+    month: 'short', 
+    day: 'numeric',
+    timeZone: 'America/New_York'
+  });
+}
+
 function Trading() {
   const [symbol, setSymbol] = useState('QQQ');
   const [interval, setInterval] = useState('1D');
@@ -109,6 +135,7 @@ function Trading() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
+  const [isCachedView, setIsCachedView] = useState(false);
   const [currentInterval, setCurrentInterval] = useState(null);
   const [recentSearches, setRecentSearches] = useState([]);
   const [showRecentSearches, setShowRecentSearches] = useState(false);
@@ -118,6 +145,9 @@ function Trading() {
   const chartDataRef = useRef(null);
   const volumeDataRef = useRef(null);
   const candlestickDataRef = useRef(null);
+  // Last bar on the chart, extended by streamed ticks
+  const lastBarRef = useRef(null);
+  const [liveSymbol, setLiveSymbol] = useState(null);
   
   // Stable chart options to prevent re-renders
   const lineChartOptions = useRef({
@@ -371,6 +401,17 @@ function Trading() {
       return;
     }
 
+    // Reject malformed or unknown tickers before hitting the chart APIs
+    const check = await validateSymbol(symbol);
+    if (check.status === 'invalid') {
+      setError(check.message);
+      return;
+    }
+    if (!supportsInterval(symbol.trim(), interval)) {
+      setError(`${getAssetClass(symbol.trim()).label} prices are published once a day; use the 1D interval`);
+      return;
+    }
+
     // Prevent flashing by not clearing data immediately
     const previousChartData = chartData;
     const previousVolumeData = volumeData;
@@ -384,157 +425,141 @@ function Trading() {
         setTimeout(() => reject(new Error('Request timeout. Please try again.')), 20000)
       );
       
-      const dataPromise = getPriceChartData(symbol.toUpperCase().trim(), interval);
-      const data = await Promise.race([dataPromise, timeoutPromise]);
+      // Build chart, volume and candlestick datasets from price chart data
+      const applyChartData = (data) => {
+        // Validate data structure
+        if (!data) {
+          throw new Error('No data received from API');
+        }
       
-      // Validate data structure
-      if (!data) {
-        throw new Error('No data received from API');
-      }
+        if (!data.data || !Array.isArray(data.data)) {
+          throw new Error('Invalid data format: data.data is not an array');
+        }
       
-      if (!data.data || !Array.isArray(data.data)) {
-        throw new Error('Invalid data format: data.data is not an array');
-      }
+        if (data.data.length === 0) {
+          throw new Error('No chart data available for this symbol');
+        }
       
-      if (data.data.length === 0) {
-        throw new Error('No chart data available for this symbol');
-      }
+        // Bars arrive validated, deduplicated and sorted by the shared bar series
+        const validData = data.data;
       
-      // Filter out null/undefined values and ensure data integrity
-      const validData = data.data.filter((d) => {
-        if (!d || !d.timestamp) return false;
-        const close = d.close;
-        return close !== null && close !== undefined && !isNaN(close) && close > 0;
-      });
+        const labels = validData.map((d) => formatChartLabel(d.timestamp, interval)).filter(label => label !== '');
       
-      if (validData.length === 0) {
-        throw new Error('No valid price data available. All data points are invalid.');
-      }
+        const prices = validData.map((d) => {
+          const price = Number(d.close);
+          return isNaN(price) ? null : price;
+        }).filter(price => price !== null);
       
-      // Sort by timestamp to ensure chronological order
-      validData.sort((a, b) => a.timestamp - b.timestamp);
+        const volumes = validData.map((d) => {
+          const vol = Number(d.volume) || 0;
+          return isNaN(vol) ? 0 : vol;
+        });
       
-      const labels = validData.map((d) => {
-        try {
-          const date = new Date(d.timestamp);
-          if (isNaN(date.getTime())) {
-            return '';
-          }
-          if (interval === '1H') {
-            return date.toLocaleTimeString('en-US', { 
-              hour: '2-digit', 
-              minute: '2-digit',
-              timeZone: 'America/New_York'
-            });
-          } else {
-            return date.toLocaleDateString('en-US', { 
-              month: 'short', 
-              day: 'numeric',
-              timeZone: 'America/New_York'
-            });
-          }
-        } catch (e) {
-          return '';
-        }
-      }).filter(label => label !== '');
+        // Ensure labels and prices arrays match
+        const minLength = Math.min(labels.length, prices.length, volumes.length);
+        const finalLabels = labels.slice(0, minLength);
+        const finalPrices = prices.slice(0, minLength);
+        const finalVolumes = volumes.slice(0, minLength);
       
-      const prices = validData.map((d) => {
-        const price = Number(d.close);
-        return isNaN(price) ? null : price;
-      }).filter(price => price !== null);
+        if (finalPrices.length === 0) {
+          throw new Error('No valid price data to display after processing');
+        }
       
-      const volumes = validData.map((d) => {
-        const vol = Number(d.volume) || 0;
-        return isNaN(vol) ? 0 : vol;
-      });
+        const firstPrice = finalPrices[0];
+        const lastPrice = finalPrices[finalPrices.length - 1];
+        const change = lastPrice - firstPrice;
+        const changePercent = firstPrice !== 0 ? (change / firstPrice) * 100 : 0;
       
-      // Ensure labels and prices arrays match
-      const minLength = Math.min(labels.length, prices.length, volumes.length);
-      const finalLabels = labels.slice(0, minLength);
-      const finalPrices = prices.slice(0, minLength);
-      const finalVolumes = volumes.slice(0, minLength);
+        // Create stable chart data objects
+        const chartDataObj = {
+          labels: finalLabels,
+          datasets: [
+            {
+              label: `${symbol.toUpperCase()} Price`,
+              data: finalPrices,
+              borderColor: change >= 0 ? 'rgb(34, 197, 94)' : 'rgb(239, 68, 68)',
+              backgroundColor: change >= 0 ? 'rgba(34, 197, 94, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+              tension: 0.4,
+              fill: true,
+              pointRadius: 0,
+              pointHoverRadius: 4,
+              borderWidth: 2,
+            },
+          ],
+          currentPrice: data.currentPrice || lastPrice,
+          change: change,
+          changePercent: changePercent,
+        };
       
-      if (finalPrices.length === 0) {
-        throw new Error('No valid price data to display after processing');
-      }
+        const volumeDataObj = {
+          labels: finalLabels,
+          datasets: [
+            {
+              label: 'Volume',
+              data: finalVolumes,
+              backgroundColor: 'rgba(59, 130, 246, 0.5)',
+              borderColor: 'rgba(59, 130, 246, 1)',
+              borderWidth: 1,
+            },
+          ],
+        };
       
-      const firstPrice = finalPrices[0];
-      const lastPrice = finalPrices[finalPrices.length - 1];
-      const change = lastPrice - firstPrice;
-      const changePercent = firstPrice !== 0 ? (change / firstPrice) * 100 : 0;
+        // Create candlestick data from OHLC data
+        // chartjs-chart-financial expects data in format: {x, o, h, l, c}
+        const candlestickDataPoints = validData.slice(0, minLength).map((d, idx) => {
+          const open = Number(d.open) || Number(d.close) || 0;
+          const high = Number(d.high) || Number(d.close) || 0;
+          const low = Number(d.low) || Number(d.close) || 0;
+          const close = Number(d.close) || 0;
+        
+          return {
+            x: idx, // Use index for x-axis, labels will be used for display
+            o: open,
+            h: high,
+            l: low,
+            c: close,
+          };
+        });
       
-      // Create stable chart data objects
-      const chartDataObj = {
-        labels: finalLabels,
-        datasets: [
-          {
-            label: `${symbol.toUpperCase()} Price`,
-            data: finalPrices,
-            borderColor: change >= 0 ? 'rgb(34, 197, 94)' : 'rgb(239, 68, 68)',
-            backgroundColor: change >= 0 ? 'rgba(34, 197, 94, 0.1)' : 'rgba(239, 68, 68, 0.1)',
-            tension: 0.4,
-            fill: true,
-            pointRadius: 0,
-            pointHoverRadius: 4,
-            borderWidth: 2,
-          },
-        ],
-        currentPrice: data.currentPrice || lastPrice,
-        change: change,
-        changePercent: changePercent,
-      };
+        const candlestickDataObj = {
+          labels: finalLabels,
+          datasets: [
+            {
+              label: `${symbol.toUpperCase()} Candlestick`,
+              data: candlestickDataPoints,
+            },
+          ],
+        };
       
-      const volumeDataObj = {
-        labels: finalLabels,
-        datasets: [
-          {
-            label: 'Volume',
-            data: finalVolumes,
-            backgroundColor: 'rgba(59, 130, 246, 0.5)',
-            borderColor: 'rgba(59, 130, 246, 1)',
-            borderWidth: 1,
-          },
-        ],
-      };
+        // Update refs first for stable references
+        chartDataRef.current = chartDataObj;
+        volumeDataRef.current = volumeDataObj;
+        candlestickDataRef.current = candlestickDataObj;
       
-      // Create candlestick data from OHLC data
-      // chartjs-chart-financial expects data in format: {x, o, h, l, c}
-      const candlestickDataPoints = validData.slice(0, minLength).map((d, idx) => {
-        const open = Number(d.open) || Number(d.close) || 0;
-        const high = Number(d.high) || Number(d.close) || 0;
-        const low = Number(d.low) || Number(d.close) || 0;
-        const close = Number(d.close) || 0;
+        // Update state with new data
+        setChartData(chartDataObj);
+        setVolumeData(volumeDataObj);
+        setCandlestickData(candlestickDataObj);
+        setCurrentInterval(interval);
+        setLastRefresh(new Date());
+        setIsCachedView(Boolean(data.cached));
         
-        return {
-          x: idx, // Use index for x-axis, labels will be used for display
-          o: open,
-          h: high,
-          l: low,
-          c: close,
-        };
-      });
-      
-      const candlestickDataObj = {
-        labels: finalLabels,
-        datasets: [
-          {
-            label: `${symbol.toUpperCase()} Candlestick`,
-            data: candlestickDataPoints,
-          },
-        ],
+        const lastBar = validData[minLength - 1];
+        lastBarRef.current = lastBar ? { ...lastBar } : null;
+        setLiveSymbol(symbol.toUpperCase().trim());
       };
       
-      // Update refs first for stable references
-      chartDataRef.current = chartDataObj;
-      volumeDataRef.current = volumeDataObj;
-      candlestickDataRef.current = candlestickDataObj;
-      
-      // Update state with new data
-      setChartData(chartDataObj);
-      setVolumeData(volumeDataObj);
-      setCandlestickData(candlestickDataObj);
-      setCurrentInterval(interval);
-      setLastRefresh(new Date());
+      // Intraday gaps are filled so candles stay evenly spaced; cached bars render
+      // immediately while the missing bars are fetched
+      const dataPromise = getPriceChartData(symbol.toUpperCase().trim(), interval, {
+        fillGaps: interval === '1H',
+        onCached: (cachedData) => {
+          applyChartData(cachedData);
+          setLoading(false);
+        },
+      });
+      const data = await Promise.race([dataPromise, timeoutPromise]);
+      applyChartData(data);
       
       // Add to recent searches (update localStorage without causing re-render)
       const searchKey = `${symbol.toUpperCase()}-${interval}`;
@@ -558,6 +583,75 @@ function Trading() {
     }
   }, [symbol, interval]);
 
+  // Stream ticks into the last bar of the chart, appending a bar when a new one opens
+  useEffect(() => {
+    const seed = lastBarRef.current;
+    if (!liveSymbol || !currentInterval || !seed) {
+      return undefined;
+    }
+    
+    const applyLiveBar = (bar) => {
+      const last = lastBarRef.current;
+      if (!last || bar.time < last.timestamp) return;
+      const isNewBar = bar.time > last.timestamp;
+      lastBarRef.current = { ...bar, timestamp: bar.time };
+      
+      const label = formatChartLabel(bar.time, currentInterval);
+      const withBar = (values, value) => isNewBar ? [...values, value] : [...values.slice(0, -1), value];
+      const withLabel = (labels) => isNewBar ? [...labels, label] : labels;
+      
+      setChartData(prev => {
+        if (!prev) return prev;
+        const prices = withBar(prev.datasets[0].data, bar.close);
+        const change = bar.close - prices[0];
+        const updated = {
+          ...prev,
+          labels: withLabel(prev.labels),
+          datasets: [{ ...prev.datasets[0], data: prices }, ...prev.datasets.slice(1)],
+          currentPrice: bar.close,
+          change,
+          changePercent: prices[0] !== 0 ? (change / prices[0]) * 100 : 0,
+        };
+        chartDataRef.current = updated;
+        return updated;
+      });
+      setVolumeData(prev => {
+        if (!prev) return prev;
+        const updated = {
+          ...prev,
+          labels: withLabel(prev.labels),
+          datasets: [{ ...prev.datasets[0], data: withBar(prev.datasets[0].data, bar.volume) }],
+        };
+        volumeDataRef.current = updated;
+        return updated;
+      });
+      setCandlestickData(prev => {
+        if (!prev) return prev;
+        const candles = prev.datasets[0].data;
+        const x = isNewBar ? candles.length : candles.length - 1;
+        const updated = {
+          ...prev,
+          labels: withLabel(prev.labels),
+          datasets: [{ ...prev.datasets[0], data: withBar(candles, { x, o: bar.open, h: bar.high, l: bar.low, c: bar.close }) }],
+        };
+        candlestickDataRef.current = updated;
+        return updated;
+      });
+    };
+    
+    return subscribeBars(liveSymbol, currentInterval === '1H' ? '1h' : '1d', applyLiveBar, {
+      anchor: seed.timestamp,
+      bar: {
+        time: seed.timestamp,
+        open: seed.open,
+        high: seed.high,
+        low: seed.low,
+        close: seed.close,
+        volume: seed.volume || 0,
+      },
+    });
+  }, [liveSymbol, currentInterval, lastRefresh]);
+
   // Load recent searches from localStorage on mount
   useEffect(() => {
     const saved = localStorage.getItem('tradingRecentSearches');
@@ -610,8 +704,14 @@ function Trading() {
     }
   };
 
+  // Split "SYMBOL-INTERVAL" on the last dash so symbols like BTC-USD survive
+  const parseSearchKey = (searchKey) => {
+    const index = searchKey.lastIndexOf('-');
+    return [searchKey.slice(0, index), searchKey.slice(index + 1)];
+  };
+
   const handleRecentSearch = (searchKey) => {
-    const [sym, int] = searchKey.split('-');
+    const [sym, int] = parseSearchKey(searchKey);
     setSymbol(sym);
     setInterval(int);
     setShowRecentSearches(false);
@@ -637,6 +737,12 @@ function Trading() {
     };
   }, []);
 
+  // Asset class of the loaded chart (prices, volume) and of the typed symbol (interval options)
+  const assetClass = getAssetClass(liveSymbol || symbol);
+  const pricePrefix = getPricePrefix(assetClass);
+  const inputAssetClass = getAssetClass(symbol);
+  const hourlySupported = supportsInterval(inputAssetClass, '1h');
+
   return (
     <div className="w-full max-w-[1800px] mx-auto px-4 flex flex-col h-full min-h-0 overflow-hidden">
       {/* Header */}
@@ -657,29 +763,26 @@ function Trading() {
             <label htmlFor="symbol" className="block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
               Symbol
             </label>
-            <div className="relative">
-              <input
-                ref={inputRef}
-                type="text"
-                id="symbol"
-                value={symbol}
-                onChange={(e) => {
-                  const newValue = e.target.value.toUpperCase();
-                  setSymbol(newValue);
-                  setShowRecentSearches(newValue.length === 0 && recentSearches.length > 0);
-                }}
-                onKeyDown={handleKeyPress}
-                onFocus={() => {
-                  if (recentSearches.length > 0 && !symbol) {
-                    setShowRecentSearches(true);
-                  }
-                }}
-                onBlur={() => {
-                  setTimeout(() => setShowRecentSearches(false), 200);
-                }}
-                placeholder="AAPL, TSLA, MSFT"
-                className="w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-blue-500 focus:ring-1 focus:ring-blue-500 transition-colors"
-              />
+            <SymbolSearchInput
+              inputRef={inputRef}
+              id="symbol"
+              value={symbol}
+              onChange={(newValue) => {
+                setSymbol(newValue);
+                setShowRecentSearches(newValue.length === 0 && recentSearches.length > 0);
+              }}
+              onKeyDown={handleKeyPress}
+              onFocus={() => {
+                if (recentSearches.length > 0 && !symbol) {
+                  setShowRecentSearches(true);
+                }
+              }}
+              onBlur={() => {
+                setTimeout(() => setShowRecentSearches(false), 200);
+              }}
+              placeholder="AAPL, BTC-USD, ^GSPC"
+              className="w-full px-2.5 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm focus:outline-none focus:border-blue-500 focus:ring-1 focus:ring-blue-500 transition-colors"
+            >
               {symbol && (
                 <button
                   type="button"
@@ -703,7 +806,7 @@ function Trading() {
                     Recent
                   </div>
                   {recentSearches.map((searchKey) => {
-                    const [sym, int] = searchKey.split('-');
+                    const [sym, int] = parseSearchKey(searchKey);
                     return (
                       <button
                         key={searchKey}
@@ -718,7 +821,7 @@ function Trading() {
                   })}
                 </div>
               )}
-            </div>
+            </SymbolSearchInput>
           </div>
 
           {/* Time Interval */}
@@ -741,7 +844,9 @@ function Trading() {
               <button
                 type="button"
                 onClick={() => handleIntervalChange('1H')}
-                className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-all ${
+                disabled={!hourlySupported}
+                title={hourlySupported ? undefined : `No intraday bars for ${inputAssetClass.label.toLowerCase()}s`}
+                className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
                   interval === '1H'
                     ? 'bg-blue-600 text-white'
                     : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
@@ -785,12 +890,12 @@ function Trading() {
               </div>
               <div className="flex items-center gap-1">
                 <span className="text-gray-500 dark:text-gray-400">Current:</span>
-                <span className="font-semibold text-gray-900 dark:text-white">${chartData?.currentPrice?.toFixed(2) || 'N/A'}</span>
+                <span className="font-semibold text-gray-900 dark:text-white">{chartData?.currentPrice ? `${pricePrefix}${formatPrice(chartData.currentPrice, assetClass)}` : 'N/A'}</span>
               </div>
               <div className="flex items-center gap-1">
                 <span className="text-gray-500 dark:text-gray-400">Change:</span>
                 <span className={`font-semibold ${chartData?.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                  {chartData?.change >= 0 ? '+' : ''}${chartData?.change?.toFixed(2) || '0.00'} ({chartData?.changePercent >= 0 ? '+' : ''}{chartData?.changePercent?.toFixed(2) || '0.00'}%)
+                  {chartData?.change >= 0 ? '+' : ''}{pricePrefix}{formatPrice(chartData?.change || 0, assetClass)} ({chartData?.changePercent >= 0 ? '+' : ''}{chartData?.changePercent?.toFixed(2) || '0.00'}%)
                 </span>
               </div>
               <div className="flex items-center gap-1">
@@ -805,6 +910,12 @@ function Trading() {
                   <span className="text-gray-500 dark:text-gray-400 text-[10px]">
                     {lastRefresh.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
                   </span>
+                  <StreamStatusBadge className="text-[10px]" />
+                  {isCachedView && (
+                    <span className="px-1.5 py-0.5 rounded bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 text-[10px] font-medium" title="Showing bars from the local cache">
+                      Cached
+                    </span>
+                  )}
                 </div>
               )}
               {chartData && (
@@ -989,11 +1100,16 @@ function Trading() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
                 </svg>
                 Trading Volume
+                <span className="text-xs font-normal text-gray-500 dark:text-gray-400">· {assetClass.volume.label}</span>
               </h2>
             </div>
             <div className="p-2 flex-1 min-h-0">
               <div className="w-full h-full relative">
-                {volumeData && volumeData.labels && volumeData.labels.length > 0 ? (
+                {assetClass.volume.unit === 'none' && chartData ? (
+                  <div className="absolute inset-0 flex items-center justify-center">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{assetClass.volume.label}</p>
+                  </div>
+                ) : volumeData && volumeData.labels && volumeData.labels.length > 0 ? (
                   <>
                     {loading && (
                       <div className="absolute inset-0 bg-white/80 dark:bg-gray-800/80 z-10 flex items-center justify-center backdrop-blur-sm rounded">
@@ -1030,6 +1146,13 @@ function Trading() {
               </div>
             </div>
           </div>
+
+          {/* Fundamentals Section */}
+          {liveSymbol && (assetClass.id === 'equity' || assetClass.id === 'etf') && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md border border-gray-200 dark:border-gray-700 p-3 flex-shrink-0">
+              <FundamentalsPanel symbol={liveSymbol} />
+            </div>
+          )}
         </div>
       )}
     </div>
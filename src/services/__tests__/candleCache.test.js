@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { mergeActions, getLatestActionTime, mergeBars } from '../candleCache';
+
+describe('mergeActions', () => {
+  it('keeps one action per kind and time, oldest first', () => {
+    const stored = { splits: [{ time: 100, ratio: 2 }], dividends: [{ time: 50, amount: 0.2 }] };
+    const incoming = { splits: [{ time: 100, ratio: 2 }], dividends: [{ time: 300, amount: 0.25 }] };
+    expect(mergeActions(stored, incoming)).toEqual({
+      splits: [{ time: 100, ratio: 2 }],
+      dividends: [{ time: 50, amount: 0.2 }, { time: 300, amount: 0.25 }],
+    });
+  });
+
+  it('keeps stored actions when an incremental window has none', () => {
+    const stored = { splits: [{ time: 100, ratio: 4 }], dividends: [] };
+    expect(mergeActions(stored, { splits: [], dividends: [] })).toEqual(stored);
+    expect(mergeActions(null, null)).toBeNull();
+  });
+});
+
+describe('getLatestActionTime', () => {
+  it('finds the latest split or dividend', () => {
+    expect(getLatestActionTime({ splits: [{ time: 400, ratio: 2 }], dividends: [{ time: 250, amount: 1 }] })).toBe(400);
+    expect(getLatestActionTime({ splits: [], dividends: [{ time: 250, amount: 1 }] })).toBe(250);
+  });
+
+  it('is -Infinity without actions', () => {
+    expect(getLatestActionTime(null)).toBe(-Infinity);
+    expect(getLatestActionTime({ splits: [], dividends: [] })).toBe(-Infinity);
+  });
+});
+
+describe('mergeBars', () => {
+  it('replaces stored bars with fetched bars of the same time and skips filled bars', () => {
+    const stored = [{ time: 1, close: 10 }, { time: 2, close: 11 }];
+    const incoming = [{ time: 2, close: 12 }, { time: 3, close: 13, filled: true }, { time: 4, close: 14 }];
+    expect(mergeBars(stored, incoming)).toEqual([
+      { time: 1, close: 10 },
+      { time: 2, close: 12 },
+      { time: 4, close: 14 },
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 3, 20);
+
+// Stand-in provider answering from `responses` (keyed by range), so no request leaves the test
+const responses = new Map();
+const provider = {
+  id: 'test',
+  name: 'Test',
+  capabilities: { daily: true, intraday: true },
+  endpoints: ['https://test.invalid'],
+  requiresProxy: false,
+  buildUrl: (request, baseUrl) => `${baseUrl}/${request.symbol}?range=${request.range}`,
+  toQuote: (data) => ({ price: data.bars[data.bars.length - 1]?.close ?? 0, currency: 'USD', marketState: 'REGULAR' }),
+  toBars: (data) => data.bars,
+  toCorporateActions: (data) => data.actions,
+};
+
+vi.mock('../marketDataProviders', () => ({
+  getProvider: (id) => (id === 'test' ? provider : null),
+  getProviders: () => [provider],
+  getProviderOrder: () => [provider],
+  getCapabilityForInterval: () => 'daily',
+}));
+
+vi.mock('../candleCache', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getCachedSeries: vi.fn(),
+  saveSeries: vi.fn(),
+}));
+
+const { getBarSeries } = await import('../monitorService');
+const { getCachedSeries, saveSeries } = await import('../candleCache');
+
+// Daily bars ending at NOW, closing at `close` (plus a little drift)
+const makeBars = (days, close, end = NOW) => Array.from({ length: days }, (_, i) => ({
+  time: end - (days - 1 - i) * DAY,
+  close: close + i * 0.01,
+}));
+
+const split = { time: NOW - DAY, numerator: 2, denominator: 1, ratio: 2 };
+const noActions = { splits: [], dividends: [] };
+
+// A cached 1y series whose last bar is two days old, so the next load fetches incrementally
+const cachedSeries = (symbol) => ({
+  symbol,
+  interval: '1d',
+  bars: makeBars(300, 200, NOW - 2 * DAY),
+  coverageStart: NOW - 400 * DAY,
+  source: 'test',
+  currency: 'USD',
+  sessionHours: null,
+  actions: noActions,
+});
+
+beforeAll(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  const storage = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+  });
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const range = new URL(url).searchParams.get('range');
+    const body = responses.get(range);
+    if (!body) return { ok: false, status: 502, statusText: 'Bad Gateway', headers: new Headers() };
+    return { ok: true, status: 200, headers: new Headers({ 'content-type': 'application/json' }), json: async () => body };
+  }));
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+beforeEach(() => {
+  responses.clear();
+  getCachedSeries.mockReset();
+  saveSeries.mockReset();
+  saveSeries.mockImplementation(async (series) => ({ ...series }));
+});
+
+describe('getBarSeries after a new split', () => {
+  it('refetches the full range and replaces the stored series', async () => {
+    getCachedSeries.mockResolvedValue(cachedSeries('SPLT'));
+    responses.set('5d', { bars: makeBars(3, 100), actions: { splits: [split], dividends: [] } });
+    responses.set('1y', { bars: makeBars(250, 100), actions: { splits: [split], dividends: [] } });
+
+    const series = await getBarSeries('SPLT', '1d', '1y');
+
+    expect(series.stale).toBeUndefined();
+    expect(series.bars.length).toBeGreaterThan(200);
+    expect(saveSeries).toHaveBeenCalledTimes(1);
+    const [saved, options] = saveSeries.mock.calls[0];
+    expect(options.replace).toBe(true);
+    expect(saved.bars).toHaveLength(250);
+  });
+
+  it('serves the cached bars as stale and keeps them stored when the refetch fails', async () => {
+    const cached = cachedSeries('FAIL');
+    getCachedSeries.mockResolvedValue(cached);
+    responses.set('5d', { bars: makeBars(3, 100), actions: { splits: [split], dividends: [] } });
+
+    const series = await getBarSeries('FAIL', '1d', '1y');
+
+    expect(series.cached).toBe(true);
+    expect(series.stale).toBe(true);
+    expect(series.bars.map(bar => bar.close)).toEqual(cached.bars.map(bar => bar.close));
+    expect(saveSeries).not.toHaveBeenCalled();
+  });
+
+  it('serves the cached bars as stale when the refetch comes back empty', async () => {
+    getCachedSeries.mockResolvedValue(cachedSeries('EMPT'));
+    responses.set('5d', { bars: makeBars(3, 100), actions: { splits: [split], dividends: [] } });
+    responses.set('1y', { bars: [], actions: { splits: [split], dividends: [] } });
+
+    const series = await getBarSeries('EMPT', '1d', '1y');
+
+    expect(series.stale).toBe(true);
+    expect(series.bars.length).toBeGreaterThan(200);
+    expect(saveSeries).not.toHaveBeenCalled();
+  });
+
+  it('merges an incremental fetch without new actions', async () => {
+    getCachedSeries.mockResolvedValue(cachedSeries('SAME'));
+    responses.set('5d', { bars: makeBars(3, 200), actions: noActions });
+
+    await getBarSeries('SAME', '1d', '1y');
+
+    expect(saveSeries).toHaveBeenCalledTimes(1);
+    expect(saveSeries.mock.calls[0][1].replace).toBe(false);
+    expect(fetch).not.toHaveBeenCalledWith(expect.stringContaining('SAME?range=1y'), expect.anything());
+  });
+});
@@ -0,0 +1,52 @@
+// Backtest Service - Keep the latest backtest result per symbol and interval
+// Entry: { id, symbol, interval, range, params, cutoffs, rows, bars, firstBar, lastBar, ranAt }
+const STORAGE_KEY = 'backtestResults';
+const MAX_RESULTS = 20;
+
+// Get all stored backtest results, newest first
+export const getBacktestResults = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      return JSON.parse(saved);
+    }
+  } catch (error) {
+    console.error('Error loading backtest results:', error);
+  }
+  return [];
+};
+
+// Latest backtest result for a symbol and interval, or null
+export const getBacktestResult = (symbol, interval) => {
+  const id = `${String(symbol).toUpperCase()}_${interval}`;
+  return getBacktestResults().find(result => result.id === id) || null;
+};
+
+// Store a backtest result, replacing the previous one for the same symbol and interval
+export const saveBacktestResult = (result) => {
+  try {
+    const entry = {
+      ...result,
+      id: `${String(result.symbol).toUpperCase()}_${result.interval}`,
+      ranAt: new Date().toISOString(),
+    };
+    const results = [entry, ...getBacktestResults().filter(item => item.id !== entry.id)];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(results.slice(0, MAX_RESULTS)));
+    return entry;
+  } catch (error) {
+    console.error('Error saving backtest result:', error);
+    throw error;
+  }
+};
+
+// Delete a stored backtest result
+export const deleteBacktestResult = (id) => {
+  try {
+    const results = getBacktestResults().filter(item => item.id !== id);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(results));
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting backtest result:', error);
+    throw error;
+  }
+};
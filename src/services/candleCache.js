@@ -0,0 +1,247 @@
+// Persistent Candle Cache
+// Stores normalized bars (see utils/barSeries.js) in IndexedDB, keyed by symbol and interval,
+// so pages can open with cached history and only fetch bars missing since the last visit.
+// Every function degrades to a no-op when IndexedDB is unavailable (private mode, old browsers).
+
+const DB_NAME = 'algoCandleCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'series';
+
+// Approximate serialized size of one bar, used for the size budget
+const BYTES_PER_BAR = 96;
+const DEFAULT_BUDGET_MB = 25;
+const BUDGET_STORAGE_KEY = 'candleCacheBudgetMb';
+
+// Yahoo ranges in ascending order with their approximate length
+const DAY = 24 * 60 * 60 * 1000;
+const RANGES = [
+  { range: '1d', ms: DAY },
+  { range: '5d', ms: 5 * DAY },
+  { range: '1mo', ms: 31 * DAY },
+  { range: '3mo', ms: 92 * DAY },
+  { range: '6mo', ms: 183 * DAY },
+  { range: '1y', ms: 366 * DAY },
+  { range: '2y', ms: 731 * DAY },
+  { range: '5y', ms: 1827 * DAY },
+  { range: '10y', ms: 3653 * DAY },
+];
+
+let dbPromise = null;
+
+// Open (and upgrade) the database once per session
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            store.createIndex('lastAccess', 'lastAccess');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('Error opening candle cache:', request.error);
+          resolve(null);
+        };
+        request.onblocked = () => resolve(null);
+      } catch (error) {
+        console.error('Error opening candle cache:', error);
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+};
+
+// Run a request against the series store and resolve with its result
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Cache key for a symbol / interval pair
+const getCacheKey = (symbol, interval) => `${String(symbol).toUpperCase()}_${interval}`;
+
+// Get the configured size budget in bytes
+export const getCacheBudget = () => {
+  const saved = Number(localStorage.getItem(BUDGET_STORAGE_KEY));
+  return (saved > 0 ? saved : DEFAULT_BUDGET_MB) * 1024 * 1024;
+};
+
+// Set the size budget in megabytes and evict down to it
+export const setCacheBudget = async (megabytes) => {
+  localStorage.setItem(BUDGET_STORAGE_KEY, String(megabytes));
+  await enforceCacheBudget();
+};
+
+// Start of the window a Yahoo range covers, in milliseconds (0 for 'max')
+export const getRangeStart = (range, now = Date.now()) => {
+  if (range === 'max') return 0;
+  if (range === 'ytd') {
+    return new Date(new Date(now).getFullYear(), 0, 1).getTime();
+  }
+  const match = RANGES.find(r => r.range === range);
+  return now - (match ? match.ms : 31 * DAY);
+};
+
+// Smallest range that reaches back to a timestamp
+export const getRangeSince = (time, now = Date.now()) => {
+  const elapsed = now - time;
+  const match = RANGES.find(r => r.ms >= elapsed);
+  return match ? match.range : 'max';
+};
+
+// Merge two bar arrays by time; bars in `incoming` replace stored bars with the same time
+export const mergeBars = (stored = [], incoming = []) => {
+  const byTime = new Map();
+  stored.forEach(bar => byTime.set(bar.time, bar));
+  incoming.filter(bar => !bar.filled).forEach(bar => byTime.set(bar.time, bar));
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+};
+
+// Union of two corporate action sets ({ splits, dividends }), one entry per kind and time
+export const mergeActions = (stored, incoming) => {
+  if (!stored && !incoming) return null;
+  const merge = (a = [], b = []) => [...new Map([...a, ...b].map(action => [action.time, action])).values()]
+    .sort((x, y) => x.time - y.time);
+  return {
+    splits: merge(stored?.splits, incoming?.splits),
+    dividends: merge(stored?.dividends, incoming?.dividends),
+  };
+};
+
+// Latest split or dividend time in a corporate action set, or -Infinity without any
+export const getLatestActionTime = (actions) => {
+  const times = [...(actions?.splits || []), ...(actions?.dividends || [])].map(action => action.time);
+  return times.length > 0 ? Math.max(...times) : -Infinity;
+};
+
+// Read a cached series record
+// Returns { symbol, interval, bars, coverageStart, updatedAt, source, currency, sessionHours, actions } or null
+export const getCachedSeries = async (symbol, interval) => {
+  try {
+    const key = getCacheKey(symbol, interval);
+    const record = await runRequest('readonly', store => store.get(key));
+    if (!record) return null;
+
+    // Touch the record so eviction is least-recently-used
+    runRequest('readwrite', store => store.put({ ...record, lastAccess: Date.now() })).catch(() => {});
+    return record;
+  } catch (error) {
+    console.error('Error reading candle cache:', error);
+    return null;
+  }
+};
+
+// Merge a freshly fetched series into the cache
+// coverageStart: earliest time the fetched window is known to be complete from
+// replace: overwrite the stored series instead of merging (after a split or dividend
+// re-adjusted every earlier bar)
+export const saveSeries = async (series, { coverageStart = null, replace = false } = {}) => {
+  try {
+    const key = getCacheKey(series.symbol, series.interval);
+    const existing = replace ? null : await runRequest('readonly', store => store.get(key));
+    const bars = mergeBars(existing?.bars, series.bars);
+
+    // Coverage only extends back through stored bars when the new window overlaps them;
+    // otherwise there is a hole between the old bars and the new window
+    const lastStored = existing?.bars?.[existing.bars.length - 1]?.time ?? null;
+    const overlaps = lastStored !== null && coverageStart !== null && lastStored >= coverageStart;
+    const starts = (overlaps ? [existing.coverageStart, coverageStart] : [coverageStart])
+      .filter(t => t !== null && t !== undefined);
+
+    const record = {
+      key,
+      symbol: String(series.symbol).toUpperCase(),
+      interval: series.interval,
+      bars,
+      coverageStart: coverageStart !== null ? Math.min(...starts) : (bars[0]?.time ?? null),
+      source: series.source || existing?.source || null,
+      currency: series.currency || existing?.currency || null,
+      sessionHours: series.sessionHours || existing?.sessionHours || null,
+      actions: mergeActions(existing?.actions, series.actions),
+      size: bars.length * BYTES_PER_BAR,
+      updatedAt: Date.now(),
+      lastAccess: Date.now(),
+    };
+
+    await runRequest('readwrite', store => store.put(record));
+    await enforceCacheBudget();
+    return record;
+  } catch (error) {
+    console.error('Error writing candle cache:', error);
+    return null;
+  }
+};
+
+// Evict least-recently-used series until the cache fits the budget
+export const enforceCacheBudget = async () => {
+  try {
+    const records = await runRequest('readonly', store => store.getAll());
+    if (!records) return 0;
+
+    const budget = getCacheBudget();
+    let total = records.reduce((sum, record) => sum + (record.size || 0), 0);
+    const byAge = [...records].sort((a, b) => a.lastAccess - b.lastAccess);
+    let evicted = 0;
+
+    for (const record of byAge) {
+      if (total <= budget) break;
+      await runRequest('readwrite', store => store.delete(record.key));
+      total -= record.size || 0;
+      evicted++;
+    }
+    return evicted;
+  } catch (error) {
+    console.error('Error enforcing candle cache budget:', error);
+    return 0;
+  }
+};
+
+// Remove one series, or everything when no symbol is given
+export const clearCandleCache = async (symbol = null, interval = null) => {
+  try {
+    if (symbol && interval) {
+      await runRequest('readwrite', store => store.delete(getCacheKey(symbol, interval)));
+    } else {
+      await runRequest('readwrite', store => store.clear());
+    }
+    return true;
+  } catch (error) {
+    console.error('Error clearing candle cache:', error);
+    return false;
+  }
+};
+
+// Summary for settings screens
+export const getCandleCacheStats = async () => {
+  try {
+    const records = await runRequest('readonly', store => store.getAll());
+    if (!records) {
+      return { available: false, series: 0, bars: 0, bytes: 0, budget: getCacheBudget() };
+    }
+    return {
+      available: true,
+      series: records.length,
+      bars: records.reduce((sum, record) => sum + record.bars.length, 0),
+      bytes: records.reduce((sum, record) => sum + (record.size || 0), 0),
+      budget: getCacheBudget(),
+    };
+  } catch (error) {
+    console.error('Error reading candle cache stats:', error);
+    return { available: false, series: 0, bars: 0, bytes: 0, budget: getCacheBudget() };
+  }
+};
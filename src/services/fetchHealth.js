@@ -0,0 +1,217 @@
+// Fetch Health Metrics
+// Records latency, success/failure and the provider/proxy used for every market data
+// request, keeping a rolling history per symbol and per provider (persisted in localStorage).
+// Monitors, the uptime chart and the API page read their health numbers from here.
+//
+// Sample: { time, ok, latency, source, proxy, endpoint, error }
+//   time     - when the request finished (ms)
+//   latency  - request duration in ms
+//   source   - provider id that served (or failed) the request
+//   proxy    - CORS proxy name, or null for direct requests
+
+const STORAGE_KEY = 'fetchHealth';
+const MAX_SAMPLES = 300; // per symbol / provider
+const HISTORY_MS = 24 * 60 * 60 * 1000; // keep one day of history
+const SAVE_DELAY = 2000;
+
+// Latency thresholds (ms) shared by monitor status and the API page
+export const HEALTH_THRESHOLDS = {
+  degradedLatency: 1000,
+  downLatency: 5000,
+  degradedUptime: 95,
+};
+
+let history = null;
+let saveTimer = null;
+
+// Load persisted history once
+const getHistory = () => {
+  if (history) return history;
+  history = { symbols: {}, providers: {} };
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      const parsed = JSON.parse(saved);
+      history.symbols = parsed.symbols || {};
+      history.providers = parsed.providers || {};
+    }
+  } catch (error) {
+    console.error('Error loading fetch health history:', error);
+  }
+  return history;
+};
+
+// Persist history after a short delay so bursts of requests write once
+const scheduleSave = () => {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(getHistory()));
+    } catch (error) {
+      console.error('Error saving fetch health history:', error);
+    }
+  }, SAVE_DELAY);
+};
+
+// Append a sample to a rolling list, dropping samples that are too old or over the cap
+const appendSample = (group, key, sample) => {
+  const cutoff = sample.time - HISTORY_MS;
+  const samples = (group[key] || []).filter(s => s.time >= cutoff);
+  samples.push(sample);
+  group[key] = samples.slice(-MAX_SAMPLES);
+};
+
+const toSample = ({ ok, latency = 0, source = null, proxy = null, endpoint = null, error = null, time = Date.now() }) => ({
+  time,
+  ok: Boolean(ok),
+  latency: Math.max(0, Math.round(latency)),
+  source,
+  proxy,
+  endpoint,
+  error: error ? String(error).slice(0, 200) : null,
+});
+
+// Record the overall outcome of a symbol request (after provider fallback)
+export const recordSymbolFetch = (symbol, result) => {
+  const sample = toSample(result);
+  appendSample(getHistory().symbols, String(symbol).toUpperCase(), sample);
+  scheduleSave();
+  return sample;
+};
+
+// Record a single provider attempt (one endpoint through one proxy)
+export const recordProviderFetch = (providerId, result) => {
+  const sample = toSample({ ...result, source: providerId });
+  appendSample(getHistory().providers, providerId, sample);
+  scheduleSave();
+  return sample;
+};
+
+// Samples for a symbol, newest last, optionally limited to a time window
+export const getSymbolSamples = (symbol, { windowMs = HISTORY_MS } = {}) => {
+  const cutoff = Date.now() - windowMs;
+  return (getHistory().symbols[String(symbol).toUpperCase()] || []).filter(s => s.time >= cutoff);
+};
+
+// Samples for a provider, newest last
+export const getProviderSamples = (providerId, { windowMs = HISTORY_MS } = {}) => {
+  const cutoff = Date.now() - windowMs;
+  return (getHistory().providers[providerId] || []).filter(s => s.time >= cutoff);
+};
+
+// Summarize a list of samples
+export const summarizeSamples = (samples) => {
+  const successes = samples.filter(s => s.ok);
+  const last = samples[samples.length - 1] || null;
+  const lastSuccess = successes[successes.length - 1] || null;
+  const lastFailure = [...samples].reverse().find(s => !s.ok) || null;
+  const avgLatency = successes.length > 0
+    ? Math.round(successes.reduce((sum, s) => sum + s.latency, 0) / successes.length)
+    : 0;
+
+  return {
+    samples: samples.length,
+    successes: successes.length,
+    failures: samples.length - successes.length,
+    uptimePercent: samples.length > 0
+      ? Math.round((successes.length / samples.length) * 1000) / 10
+      : null,
+    avgLatency,
+    lastLatency: last ? last.latency : 0,
+    lastOk: last ? last.ok : null,
+    lastCheck: last ? last.time : null,
+    lastSuccess: lastSuccess ? lastSuccess.time : null,
+    lastFailure: lastFailure ? lastFailure.time : null,
+    lastError: lastFailure ? lastFailure.error : null,
+    lastSource: lastSuccess ? lastSuccess.source : null,
+    lastProxy: lastSuccess ? lastSuccess.proxy : null,
+  };
+};
+
+// Health summary for a symbol's data feed
+export const getSymbolHealth = (symbol, options) => summarizeSamples(getSymbolSamples(symbol, options));
+
+// Health summary for a provider, including per-proxy breakdown
+export const getProviderHealth = (providerId, options) => {
+  const samples = getProviderSamples(providerId, options);
+  const byProxy = {};
+  samples.forEach(sample => {
+    const key = sample.proxy || 'direct';
+    (byProxy[key] = byProxy[key] || []).push(sample);
+  });
+  return {
+    ...summarizeSamples(samples),
+    proxies: Object.fromEntries(Object.entries(byProxy).map(([key, list]) => [key, summarizeSamples(list)])),
+  };
+};
+
+// Health summaries for every provider with recorded history
+export const getAllProviderHealth = (options) => {
+  return Object.keys(getHistory().providers).map(providerId => ({
+    id: providerId,
+    ...getProviderHealth(providerId, options),
+  }));
+};
+
+// Classify a health summary as operational / degraded / down
+export const getHealthStatus = (health) => {
+  if (!health || health.samples === 0) return 'unknown';
+  if (!health.lastOk || health.lastLatency >= HEALTH_THRESHOLDS.downLatency) return 'down';
+  if (health.lastLatency >= HEALTH_THRESHOLDS.degradedLatency ||
+      (health.uptimePercent !== null && health.uptimePercent < HEALTH_THRESHOLDS.degradedUptime)) {
+    return 'degraded';
+  }
+  return 'operational';
+};
+
+// Uptime per time bucket for charts: [{ time, samples, uptimePercent, avgLatency }]
+export const getUptimeTimeline = (samples, { bucketMs = 60 * 60 * 1000 } = {}) => {
+  const buckets = new Map();
+  samples.forEach(sample => {
+    const start = Math.floor(sample.time / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(sample);
+  });
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([time, list]) => {
+      const summary = summarizeSamples(list);
+      return { time, samples: list.length, uptimePercent: summary.uptimePercent, avgLatency: summary.avgLatency };
+    });
+};
+
+// Consecutive failure runs: [{ start, end, duration, failures, error }]
+// end is null while the feed is still down
+export const getDowntimePeriods = (samples) => {
+  const periods = [];
+  let current = null;
+  samples.forEach(sample => {
+    if (!sample.ok) {
+      if (!current) {
+        current = { start: sample.time, end: null, failures: 0, error: sample.error };
+      }
+      current.failures++;
+      current.error = sample.error || current.error;
+    } else if (current) {
+      current.end = sample.time;
+      periods.push(current);
+      current = null;
+    }
+  });
+  if (current) periods.push(current);
+  return periods.map(period => ({
+    ...period,
+    duration: (period.end ?? Date.now()) - period.start,
+  }));
+};
+
+// Forget all recorded history
+export const clearFetchHealth = () => {
+  history = { symbols: {}, providers: {} };
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing fetch health history:', error);
+  }
+};
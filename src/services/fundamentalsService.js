@@ -0,0 +1,144 @@
+// Fundamentals & Company Profile
+// Loads profile, valuation and earnings data for a symbol from the providers that
+// declare the 'fundamentals' capability (Finnhub first, Yahoo quoteSummary as fallback).
+// Fundamentals change slowly, so results are cached in localStorage for the trading day.
+// See marketDataProviders.js for the normalized fundamentals shape.
+
+import { getProviderOrder, providerSupports } from './marketDataProviders';
+import { fetchProviderResource, getPreferredApi } from './monitorService';
+
+const STORAGE_KEY = 'fundamentalsCache';
+const MAX_CACHED_SYMBOLS = 100;
+
+// Fields worth asking a second provider for when the first one left them empty
+const GAP_FIELDS = ['marketCap', 'peRatio', 'eps', 'dividendYield', 'week52High', 'week52Low', 'floatShares', 'nextEarningsDate'];
+
+const pending = new Map();
+
+// Current day in New York, so the cache rolls over with the US trading day
+const getMarketDay = (time = Date.now()) => {
+  return new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+};
+
+const loadCache = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error loading fundamentals cache:', error);
+    return {};
+  }
+};
+
+const saveCache = (cache) => {
+  try {
+    // Keep the most recently fetched symbols only
+    const entries = Object.entries(cache)
+      .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+      .slice(0, MAX_CACHED_SYMBOLS);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (error) {
+    console.error('Error saving fundamentals cache:', error);
+  }
+};
+
+// Cached fundamentals for today, or null
+export const getCachedFundamentals = (symbol) => {
+  const entry = loadCache()[String(symbol).toUpperCase()];
+  return entry && entry.day === getMarketDay() ? entry.data : null;
+};
+
+// Fetch every fundamentals endpoint a provider declares and normalize the responses
+const fetchProviderFundamentals = async (provider, symbol, priority) => {
+  const responses = {};
+  await Promise.all(provider.fundamentalsRequests.map(async (request) => {
+    try {
+      const result = await fetchProviderResource(provider.id, symbol, request.key, {
+        buildUrl: request.buildUrl,
+        validate: request.validate,
+        priority,
+      });
+      responses[request.key] = result.data;
+    } catch (error) {
+      if (!request.optional) throw error;
+    }
+  }));
+  return { ...provider.toFundamentals(responses, symbol), source: provider.id };
+};
+
+// Fill empty fields of the primary result from a secondary one
+const mergeFundamentals = (primary, secondary) => {
+  const merged = { ...primary };
+  Object.keys(secondary).forEach(key => {
+    if ((merged[key] === null || merged[key] === undefined) && secondary[key] !== null) {
+      merged[key] = secondary[key];
+    }
+  });
+  merged.sources = [...(primary.sources || [primary.source]), secondary.source];
+  return merged;
+};
+
+const loadFundamentals = async (symbol, priority) => {
+  // Skip providers that would answer for a different instrument (Finnhub maps VIX to SPY)
+  const providers = getProviderOrder('fundamentals', { preferredApi: getPreferredApi() })
+    .filter(provider => providerSupports(provider, 'fundamentals'))
+    .filter(provider => !provider.mapSymbol || provider.mapSymbol(symbol) === symbol);
+
+  let result = null;
+  const errors = [];
+  for (const provider of providers) {
+    try {
+      const data = await fetchProviderFundamentals(provider, symbol, priority);
+      if (!result) {
+        result = { ...data, sources: [data.source] };
+        if (!GAP_FIELDS.some(field => result[field] === null)) break;
+      } else {
+        result = mergeFundamentals(result, data);
+        break;
+      }
+    } catch (error) {
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  if (!result) {
+    throw new Error(errors.length > 0 ? errors.join('; ') : `No fundamentals provider available for ${symbol}`);
+  }
+
+  const cache = loadCache();
+  cache[symbol] = { day: getMarketDay(), fetchedAt: Date.now(), data: result };
+  saveCache(cache);
+  return result;
+};
+
+// Get fundamentals for a symbol, served from the daily cache unless force is set
+// priority is passed through to the request scheduler
+export const getFundamentals = async (symbol, { force = false, priority = 'normal' } = {}) => {
+  const key = String(symbol).toUpperCase();
+  if (!force) {
+    const cached = getCachedFundamentals(key);
+    if (cached) return cached;
+  }
+
+  // Cards and the Trading page can ask for the same symbol at once
+  if (!pending.has(key)) {
+    const promise = loadFundamentals(key, priority).finally(() => pending.delete(key));
+    pending.set(key, promise);
+  }
+  return pending.get(key);
+};
+
+// Forget cached fundamentals for one symbol, or all of them
+export const clearFundamentalsCache = (symbol = null) => {
+  if (!symbol) {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing fundamentals cache:', error);
+    }
+    return;
+  }
+  const cache = loadCache();
+  delete cache[String(symbol).toUpperCase()];
+  saveCache(cache);
+};
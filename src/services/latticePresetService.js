@@ -0,0 +1,94 @@
+// Lattice Preset Service - Named triad and lattice presets for Prime Tetration
+// Preset: { id, name, triads, coprimes, phiVector, lambdaSchedule, omegaSchedule, modulus, bits,
+// guardBits, updatedAt } (see engine/lattice.js). Presets are shared as a text code that
+// importLatticePreset reads back.
+import { normalizeLattice } from '../engine/lattice';
+
+const STORAGE_KEY = 'latticePresets';
+const SHARE_PREFIX = 'lattice:';
+
+// Get all saved presets, sorted by name
+export const getLatticePresets = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      return JSON.parse(saved).sort((a, b) => a.name.localeCompare(b.name));
+    }
+  } catch (error) {
+    console.error('Error loading lattice presets:', error);
+  }
+  return [];
+};
+
+// Saved preset by id, or null
+export const getLatticePreset = (id) => {
+  if (!id) return null;
+  return getLatticePresets().find(preset => preset.id === id) || null;
+};
+
+// Save a preset, replacing the one with the same id; throws when the lattice is invalid
+export const saveLatticePreset = (preset) => {
+  const name = String(preset.name || '').trim();
+  if (!name) {
+    throw new Error('Give the preset a name');
+  }
+  const entry = {
+    id: preset.id || Date.now().toString(),
+    name,
+    ...normalizeLattice(preset),
+    updatedAt: new Date().toISOString(),
+  };
+  try {
+    const presets = [...getLatticePresets().filter(item => item.id !== entry.id), entry];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return entry;
+  } catch (error) {
+    console.error('Error saving lattice preset:', error);
+    throw error;
+  }
+};
+
+// Delete a preset
+export const deleteLatticePreset = (id) => {
+  try {
+    const presets = getLatticePresets().filter(preset => preset.id !== id);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting lattice preset:', error);
+    throw error;
+  }
+};
+
+// Share code for a preset: the prefix and the preset as base64 JSON (without its id)
+export const getLatticeShareCode = (preset) => {
+  const { name, triads, coprimes, phiVector, lambdaSchedule, omegaSchedule, modulus, bits, guardBits } = preset;
+  const json = JSON.stringify({ name, triads, coprimes, phiVector, lambdaSchedule, omegaSchedule, modulus, bits, guardBits });
+  const bytes = new TextEncoder().encode(json);
+  return SHARE_PREFIX + btoa(String.fromCharCode(...bytes));
+};
+
+// Save a preset from a share code or plain preset JSON, as a new preset
+export const importLatticePreset = (text) => {
+  const input = String(text || '').trim();
+  let preset;
+  try {
+    if (input.startsWith(SHARE_PREFIX)) {
+      const bytes = Uint8Array.from(atob(input.slice(SHARE_PREFIX.length)), char => char.charCodeAt(0));
+      preset = JSON.parse(new TextDecoder().decode(bytes));
+    } else {
+      preset = JSON.parse(input);
+    }
+  } catch (error) {
+    console.error('Error reading lattice preset:', error);
+    throw new Error('Not a lattice share code or preset JSON');
+  }
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Not a lattice share code or preset JSON');
+  }
+
+  // Keep both presets when the name is taken
+  const name = String(preset.name || 'Imported preset').trim();
+  const taken = getLatticePresets().some(item => item.name === name);
+  return saveLatticePreset({ ...preset, id: null, name: taken ? `${name} (imported)` : name });
+};
@@ -0,0 +1,543 @@
+// Market Data Provider Registry
+// Each provider declares what it can do, how to build its request URL and how to
+// map its raw response into the normalized quote / bar shapes used across the app.
+//
+// Normalized quote:
+//   { symbol, name, price, previousClose, open, high, low, volume, timestamp, marketState }
+//   timestamp is in milliseconds, marketState is REGULAR | PRE | POST | CLOSED | null
+//   marketStateInferred is true when the API has no market state and it was guessed
+// Normalized bar:
+//   { time, open, high, low, close, volume, adjClose }  (time in milliseconds)
+//   see utils/barSeries.js for how bars are cleaned, flagged and adjusted
+//
+// Optional bar helpers:
+//   getSessionHours(data)   -> { gmtOffset, pre, regular, post } in exchange minutes
+//   toCorporateActions(data) -> { splits: [{ time, ratio }], dividends: [{ time, amount }] }
+//   splitAdjusted           -> true when bar prices already account for splits
+//
+// Optional fundamentals helpers (capability 'fundamentals'):
+//   fundamentalsRequests     -> [{ key, buildUrl(request, baseUrl), validate?, optional? }]
+//   toFundamentals(responses, symbol) -> normalized fundamentals, responses keyed by request key
+// Normalized fundamentals:
+//   { symbol, name, sector, industry, country, exchange, currency, logo, website, ipo,
+//     marketCap, sharesOutstanding, floatShares, peRatio, eps, dividendYield, beta,
+//     week52High, week52Low, nextEarningsDate, lastEarningsDate }
+//   marketCap and share counts are absolute, dividendYield is a percentage,
+//   dates are in milliseconds; anything the provider doesn't report is null
+//
+// Optional symbol search helpers (used by symbolSearch.js for autocomplete):
+//   searchRequest            -> { buildUrl({ query, apiKeys }, baseUrl), validate? }
+//   toSearchResults(data)    -> [{ symbol, name, exchange, type }] with type from normalizeAssetType()
+//
+// Adding a feed (Alpha Vantage, Polygon, a local CSV file...) means calling
+// registerProvider() with an object shaped like the built-in providers below.
+
+import { normalizeAssetType } from '../utils/symbols';
+
+// Capabilities a provider can declare
+export const CAPABILITIES = ['quote', 'intraday', 'daily', 'fundamentals'];
+
+// Intervals that require intraday bars rather than daily bars
+const INTRADAY_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h'];
+
+const providers = new Map();
+
+// Helper to coerce API values into finite numbers (null when missing)
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Get the last non-null, positive value from a Yahoo indicator array
+const lastValid = (values = []) => {
+  for (let i = values.length - 1; i >= 0; i--) {
+    const value = values[i];
+    if (value !== null && value !== undefined && value > 0) {
+      return value;
+    }
+  }
+  return null;
+};
+
+// Unwrap Yahoo quoteSummary values, which come as { raw, fmt } objects
+const rawValue = (value) => toNumber(value && typeof value === 'object' ? value.raw : value);
+
+// Parse a YYYY-MM-DD date into milliseconds (null when missing)
+const toDateMs = (value) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Format a date as YYYY-MM-DD for query strings
+const toDateParam = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Normalize Yahoo / provider market state strings
+export const normalizeMarketState = (state) => {
+  if (!state) return null;
+  const upper = String(state).toUpperCase();
+  if (upper === 'REGULAR') return 'REGULAR';
+  if (upper === 'PRE' || upper === 'PREPRE') return 'PRE';
+  if (upper === 'POST' || upper === 'POSTPOST') return 'POST';
+  if (upper === 'CLOSED') return 'CLOSED';
+  return null;
+};
+
+// Map an interval to the capability needed to serve it
+export const getCapabilityForInterval = (interval = '1d') => {
+  return INTRADAY_INTERVALS.includes(String(interval).toLowerCase()) ? 'intraday' : 'daily';
+};
+
+// Register (or replace) a provider
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error('Provider must have an id');
+  }
+  if (typeof provider.buildUrl !== 'function') {
+    throw new Error(`Provider ${provider.id} must implement buildUrl()`);
+  }
+  if (typeof provider.toQuote !== 'function') {
+    throw new Error(`Provider ${provider.id} must implement toQuote()`);
+  }
+
+  const capabilities = {};
+  CAPABILITIES.forEach(capability => {
+    capabilities[capability] = Boolean(provider.capabilities?.[capability]);
+  });
+  if ((capabilities.intraday || capabilities.daily) && typeof provider.toBars !== 'function') {
+    throw new Error(`Provider ${provider.id} declares bar data but does not implement toBars()`);
+  }
+  if (capabilities.fundamentals && (!Array.isArray(provider.fundamentalsRequests) || typeof provider.toFundamentals !== 'function')) {
+    throw new Error(`Provider ${provider.id} declares fundamentals but does not implement fundamentalsRequests / toFundamentals()`);
+  }
+
+  providers.set(provider.id, {
+    name: provider.id,
+    priority: 100,
+    endpoints: [],
+    requiresProxy: false,
+    autoFallback: true,
+    ...provider,
+    capabilities,
+  });
+};
+
+// Remove a provider from the registry
+export const unregisterProvider = (id) => {
+  providers.delete(id);
+};
+
+// Get a single provider by id
+export const getProvider = (id) => providers.get(id) || null;
+
+// Get all registered providers in priority order
+export const getProviders = () => {
+  return [...providers.values()].sort((a, b) => a.priority - b.priority);
+};
+
+// Check whether a provider supports a capability
+export const providerSupports = (id, capability) => {
+  const provider = typeof id === 'string' ? getProvider(id) : id;
+  return Boolean(provider?.capabilities?.[capability]);
+};
+
+// Build the ordered list of providers to try for a request
+// 1. Providers that support the capability come before those that can only fall back to a quote
+// 2. The user's preferred provider comes next
+// 3. In production, quotes prefer providers that do not need a CORS proxy;
+//    fundamentals always do (Yahoo's quoteSummary is only a fallback)
+// 4. Remaining ties are broken by provider priority
+export const getProviderOrder = (capability = 'quote', { preferredApi = 'auto', dev = false } = {}) => {
+  const candidates = getProviders().filter(provider =>
+    provider.id === preferredApi || provider.autoFallback
+  );
+
+  const rank = (provider) => [
+    providerSupports(provider, capability) ? 0 : 1,
+    provider.id === preferredApi ? 0 : 1,
+    provider.requiresProxy && (capability === 'fundamentals' || (!dev && capability === 'quote')) ? 1 : 0,
+    provider.priority,
+  ];
+
+  return candidates.sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    for (let i = 0; i < rankA.length; i++) {
+      if (rankA[i] !== rankB[i]) return rankA[i] - rankB[i];
+    }
+    return 0;
+  });
+};
+
+// Yahoo Finance - chart endpoint provides quotes plus intraday and daily bars
+// Needs the Vite proxy in development and a CORS proxy in production
+registerProvider({
+  id: 'yahoo',
+  name: 'Yahoo Finance',
+  priority: 10,
+  capabilities: { quote: true, intraday: true, daily: true, fundamentals: true },
+  endpoints: ['https://query1.finance.yahoo.com', 'https://query2.finance.yahoo.com'],
+  devBaseUrl: '/api/yahoo',
+  requiresProxy: true,
+  splitAdjusted: true,
+  buildUrl: ({ symbol, interval = '1d', range = '1d', prePost = false }, baseUrl) => {
+    const extended = prePost ? '&includePrePost=true' : '';
+    return `${baseUrl}/v8/finance/chart/${symbol}?interval=${interval}&range=${range}&events=div%2Csplits${extended}`;
+  },
+  validate: (data) => {
+    if (!data) {
+      throw new Error('Empty response from API');
+    }
+    if (!data.chart) {
+      throw new Error('Invalid response: missing chart data');
+    }
+    if (!Array.isArray(data.chart.result) || !data.chart.result[0]) {
+      throw new Error('Invalid response: no result data');
+    }
+  },
+  toQuote: (data, symbol) => {
+    const result = data?.chart?.result?.[0];
+    if (!result?.meta) {
+      throw new Error('Invalid data format from Yahoo Finance');
+    }
+
+    const meta = result.meta;
+    const quotes = result.indicators?.quote?.[0];
+    const previousClose = toNumber(meta.previousClose) || toNumber(meta.chartPreviousClose) || toNumber(meta.close);
+
+    // Prefer the live market price, then the latest bar, then the previous close
+    const price = toNumber(meta.regularMarketPrice) ||
+      lastValid(quotes?.close) ||
+      toNumber(meta.chartPreviousClose) ||
+      previousClose;
+
+    return {
+      symbol,
+      name: meta.shortName || meta.longName || symbol,
+      price,
+      previousClose: previousClose || price,
+      open: lastValid(quotes?.open),
+      high: toNumber(meta.regularMarketDayHigh) || lastValid(quotes?.high),
+      low: toNumber(meta.regularMarketDayLow) || lastValid(quotes?.low),
+      volume: toNumber(meta.regularMarketVolume) || lastValid(quotes?.volume) || 0,
+      timestamp: meta.regularMarketTime ? meta.regularMarketTime * 1000 : Date.now(),
+      marketState: normalizeMarketState(meta.marketState),
+      marketStateInferred: false,
+      currency: meta.currency || null,
+    };
+  },
+  toBars: (data) => {
+    const result = data?.chart?.result?.[0];
+    const timestamps = result?.timestamp || [];
+    const quotes = result?.indicators?.quote?.[0];
+    const adjCloses = result?.indicators?.adjclose?.[0]?.adjclose || [];
+    if (!quotes) return [];
+
+    const bars = [];
+    for (let i = 0; i < timestamps.length; i++) {
+      const close = toNumber(quotes.close?.[i]);
+      if (!timestamps[i] || close === null) continue;
+      bars.push({
+        time: timestamps[i] * 1000,
+        open: toNumber(quotes.open?.[i]) ?? close,
+        high: toNumber(quotes.high?.[i]) ?? close,
+        low: toNumber(quotes.low?.[i]) ?? close,
+        close,
+        volume: toNumber(quotes.volume?.[i]) ?? 0,
+        adjClose: toNumber(adjCloses[i]),
+      });
+    }
+    return bars;
+  },
+  getSessionHours: (data) => {
+    const period = data?.chart?.result?.[0]?.meta?.currentTradingPeriod;
+    if (!period?.regular) return null;
+    const gmtOffset = period.regular.gmtoffset || 0;
+    const toMinutes = (seconds) => Math.floor((((seconds + gmtOffset) % 86400) + 86400) % 86400 / 60);
+    const toRange = (session) => session ? [toMinutes(session.start), toMinutes(session.end)] : null;
+    return {
+      gmtOffset,
+      timezone: period.regular.timezone || null,
+      pre: toRange(period.pre),
+      regular: toRange(period.regular),
+      post: toRange(period.post),
+    };
+  },
+  toCorporateActions: (data) => {
+    const events = data?.chart?.result?.[0]?.events || {};
+    return {
+      splits: Object.values(events.splits || {}).map(split => ({
+        time: split.date * 1000,
+        ratio: split.numerator && split.denominator ? split.numerator / split.denominator : 1,
+      })),
+      dividends: Object.values(events.dividends || {}).map(dividend => ({
+        time: dividend.date * 1000,
+        amount: toNumber(dividend.amount) || 0,
+      })),
+    };
+  },
+  searchRequest: {
+    buildUrl: ({ query }, baseUrl) => {
+      return `${baseUrl}/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=10&newsCount=0`;
+    },
+    validate: (data) => {
+      if (!Array.isArray(data?.quotes)) {
+        throw new Error('Invalid response: missing search quotes');
+      }
+    },
+  },
+  toSearchResults: (data) => (data?.quotes || [])
+    .filter(quote => quote.symbol)
+    .map(quote => ({
+      symbol: quote.symbol,
+      name: quote.longname || quote.shortname || quote.symbol,
+      exchange: quote.exchDisp || quote.exchange || null,
+      type: normalizeAssetType(quote.quoteType || quote.typeDisp),
+    })),
+  // quoteSummary may answer 401 without a session crumb, in which case the
+  // fundamentals service keeps whatever the other providers returned
+  fundamentalsRequests: [
+    {
+      key: 'summary',
+      buildUrl: ({ symbol }, baseUrl) => {
+        const modules = 'assetProfile,summaryDetail,defaultKeyStatistics,calendarEvents,price';
+        return `${baseUrl}/v10/finance/quoteSummary/${symbol}?modules=${modules}`;
+      },
+      validate: (data) => {
+        const summary = data?.quoteSummary;
+        if (!summary || summary.error) {
+          throw new Error(summary?.error?.description || 'Invalid response: missing quoteSummary');
+        }
+        if (!Array.isArray(summary.result) || !summary.result[0]) {
+          throw new Error('Invalid response: no result data');
+        }
+      },
+    },
+  ],
+  toFundamentals: ({ summary }, symbol) => {
+    const result = summary?.quoteSummary?.result?.[0] || {};
+    const profile = result.assetProfile || {};
+    const detail = result.summaryDetail || {};
+    const stats = result.defaultKeyStatistics || {};
+    const price = result.price || {};
+    const now = Date.now();
+    const earningsDates = (result.calendarEvents?.earnings?.earningsDate || [])
+      .map(date => rawValue(date))
+      .filter(time => time !== null)
+      .map(time => time * 1000);
+    const dividendYield = rawValue(detail.dividendYield) ?? rawValue(detail.trailingAnnualDividendYield);
+
+    return {
+      symbol,
+      name: price.longName || price.shortName || symbol,
+      sector: profile.sector || null,
+      industry: profile.industry || null,
+      country: profile.country || null,
+      exchange: price.exchangeName || null,
+      currency: price.currency || detail.currency || null,
+      logo: null,
+      website: profile.website || null,
+      ipo: null,
+      marketCap: rawValue(price.marketCap) ?? rawValue(detail.marketCap),
+      sharesOutstanding: rawValue(stats.sharesOutstanding),
+      floatShares: rawValue(stats.floatShares),
+      peRatio: rawValue(detail.trailingPE),
+      eps: rawValue(stats.trailingEps),
+      dividendYield: dividendYield === null ? null : dividendYield * 100,
+      beta: rawValue(detail.beta) ?? rawValue(stats.beta),
+      week52High: rawValue(detail.fiftyTwoWeekHigh),
+      week52Low: rawValue(detail.fiftyTwoWeekLow),
+      nextEarningsDate: earningsDates.find(time => time >= now) ?? null,
+      lastEarningsDate: null,
+    };
+  },
+});
+
+// Finnhub - quote endpoint only on the free tier (60 calls/minute)
+// Supports CORS natively, so no proxy needed
+registerProvider({
+  id: 'finnhub',
+  name: 'Finnhub',
+  priority: 20,
+  capabilities: { quote: true, intraday: false, daily: false, fundamentals: true },
+  endpoints: ['https://finnhub.io/api/v1'],
+  mapSymbol: (symbol) => {
+    if (symbol === 'DX-Y.NYB' || symbol === 'DXY') {
+      return 'EURUSD'; // Finnhub doesn't have DXY, use EURUSD as proxy
+    }
+    if (symbol === '^VIX' || symbol === 'VIX') {
+      return 'SPY'; // Use SPY as fallback since VIX isn't available in free tier
+    }
+    return symbol;
+  },
+  buildUrl: ({ symbol, apiKeys }, baseUrl) => {
+    return `${baseUrl}/quote?symbol=${symbol}&token=${apiKeys?.finnhub || 'demo'}`;
+  },
+  validate: (data) => {
+    if (!data || data.error) {
+      throw new Error(data?.error || 'Empty response from Finnhub API');
+    }
+    // Finnhub returns 0 for invalid symbols
+    if (data.c === 0 && data.h === 0 && data.l === 0) {
+      throw new Error('Invalid symbol or no data available');
+    }
+    if (data.c === null || data.c === undefined) {
+      throw new Error('Invalid response: missing price data');
+    }
+  },
+  toQuote: (data, symbol) => {
+    const price = toNumber(data?.c);
+    if (price === null) {
+      throw new Error('Invalid data format from Finnhub');
+    }
+    // Finnhub doesn't provide market state, treat a quote timestamp as an open market
+    const hasTimestamp = Boolean(data.t && data.t > 0);
+    return {
+      symbol,
+      name: symbol,
+      price,
+      previousClose: toNumber(data.pc) || price,
+      open: toNumber(data.o),
+      high: toNumber(data.h),
+      low: toNumber(data.l),
+      volume: toNumber(data.v) || 0,
+      timestamp: hasTimestamp ? data.t * 1000 : Date.now(),
+      marketState: hasTimestamp ? 'REGULAR' : 'CLOSED',
+      marketStateInferred: true,
+      currency: null,
+    };
+  },
+  searchRequest: {
+    buildUrl: ({ query, apiKeys }, baseUrl) => {
+      return `${baseUrl}/search?q=${encodeURIComponent(query)}&token=${apiKeys?.finnhub || 'demo'}`;
+    },
+    validate: (data) => {
+      if (!Array.isArray(data?.result)) {
+        throw new Error(data?.error || 'Invalid response: missing search results');
+      }
+    },
+  },
+  // Finnhub search has no exchange field (a dot suffix may be a venue or a share class)
+  toSearchResults: (data) => (data?.result || [])
+    .filter(item => item.symbol)
+    .map(item => ({
+      symbol: item.displaySymbol || item.symbol,
+      name: item.description || item.symbol,
+      exchange: null,
+      type: normalizeAssetType(item.type),
+    })),
+  // Company profile and basic financials; the earnings calendar is a nice-to-have
+  fundamentalsRequests: [
+    {
+      key: 'profile',
+      buildUrl: ({ symbol, apiKeys }, baseUrl) => {
+        return `${baseUrl}/stock/profile2?symbol=${symbol}&token=${apiKeys?.finnhub || 'demo'}`;
+      },
+    },
+    {
+      key: 'metrics',
+      buildUrl: ({ symbol, apiKeys }, baseUrl) => {
+        return `${baseUrl}/stock/metric?symbol=${symbol}&metric=all&token=${apiKeys?.finnhub || 'demo'}`;
+      },
+    },
+    {
+      key: 'earnings',
+      optional: true,
+      buildUrl: ({ symbol, apiKeys }, baseUrl) => {
+        const day = 24 * 60 * 60 * 1000;
+        const from = toDateParam(Date.now() - 120 * day);
+        const to = toDateParam(Date.now() + 120 * day);
+        return `${baseUrl}/calendar/earnings?from=${from}&to=${to}&symbol=${symbol}&token=${apiKeys?.finnhub || 'demo'}`;
+      },
+    },
+  ],
+  toFundamentals: ({ profile = {}, metrics = {}, earnings = {} }, symbol) => {
+    const metric = metrics?.metric || {};
+    // Finnhub has no profile or metrics for ETFs, indices and unknown symbols
+    if (!profile?.name && Object.keys(metric).length === 0) {
+      throw new Error(`No fundamentals available for ${symbol}`);
+    }
+    const millions = (value) => {
+      const num = toNumber(value);
+      return num === null ? null : num * 1e6;
+    };
+    const today = toDateParam(Date.now());
+    const earningsDates = (earnings?.earningsCalendar || [])
+      .map(entry => entry.date)
+      .filter(Boolean)
+      .sort();
+
+    return {
+      symbol,
+      name: profile.name || symbol,
+      sector: profile.finnhubIndustry || null,
+      industry: null,
+      country: profile.country || null,
+      exchange: profile.exchange || null,
+      currency: profile.currency || null,
+      logo: profile.logo || null,
+      website: profile.weburl || null,
+      ipo: toDateMs(profile.ipo),
+      marketCap: millions(profile.marketCapitalization ?? metric.marketCapitalization),
+      sharesOutstanding: millions(profile.shareOutstanding),
+      floatShares: null,
+      peRatio: toNumber(metric.peTTM ?? metric.peBasicExclExtraTTM),
+      eps: toNumber(metric.epsTTM ?? metric.epsBasicExclExtraItemsTTM),
+      dividendYield: toNumber(metric.dividendYieldIndicatedAnnual ?? metric.currentDividendYieldTTM),
+      beta: toNumber(metric.beta),
+      week52High: toNumber(metric['52WeekHigh']),
+      week52Low: toNumber(metric['52WeekLow']),
+      nextEarningsDate: toDateMs(earningsDates.find(date => date >= today)),
+      lastEarningsDate: toDateMs([...earningsDates].reverse().find(date => date < today)),
+    };
+  },
+});
+
+// Massive - backup quote API, only used when selected as the preferred API
+registerProvider({
+  id: 'massive',
+  name: 'Massive',
+  priority: 30,
+  capabilities: { quote: true, intraday: false, daily: false, fundamentals: false },
+  endpoints: ['https://api.massive.com/v1'],
+  autoFallback: false,
+  // Using Massive API endpoint - adjust URL structure based on actual API documentation
+  buildUrl: ({ symbol, apiKeys }, baseUrl) => {
+    return `${baseUrl}/quote?symbol=${symbol}&apiKey=${apiKeys?.massive}`;
+  },
+  getHeaders: (apiKeys) => ({
+    'Authorization': `Bearer ${apiKeys?.massive}`,
+  }),
+  validate: (data) => {
+    if (!data || data.error) {
+      throw new Error(data?.error || 'Empty response from API');
+    }
+    const price = data.c ?? data.close ?? data.price ?? data.currentPrice;
+    if (price === null || price === undefined) {
+      throw new Error('Invalid response: missing price data');
+    }
+  },
+  // Handle different possible response formats from Massive API
+  toQuote: (data, symbol) => {
+    const price = toNumber(data?.c ?? data?.close ?? data?.price ?? data?.currentPrice);
+    if (price === null) {
+      throw new Error('Invalid data format from Massive');
+    }
+    const timestamp = toNumber(data.t ?? data.timestamp);
+    return {
+      symbol,
+      name: symbol,
+      price,
+      previousClose: toNumber(data.pc ?? data.previousClose ?? data.prevClose) || price,
+      open: toNumber(data.o ?? data.open),
+      high: toNumber(data.h ?? data.high),
+      low: toNumber(data.l ?? data.low),
+      volume: toNumber(data.v ?? data.volume) || 0,
+      timestamp: timestamp ? timestamp * 1000 : Date.now(),
+      marketState: timestamp ? 'REGULAR' : 'CLOSED',
+      marketStateInferred: true,
+      currency: null,
+    };
+  },
+});
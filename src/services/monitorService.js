@@ -1,67 +1,42 @@
 // Yahoo Finance API Service for Live Market Data
-// Fetches real-time stock and market data from Yahoo Finance
-
-// List of reliable CORS proxy services for production
-// These are tested and working as of Dec 2024
-const CORS_PROXIES = [
-  {
-    name: 'corsproxy.io',
-    getUrl: (url) => `https://corsproxy.io/?${encodeURIComponent(url)}`,
-    parseResponse: (data) => data,
-    headers: {},
-  },
-  {
-    name: 'cors-anywhere-heroku',
-    getUrl: (url) => `https://cors-anywhere.herokuapp.com/${url}`,
-    parseResponse: (data) => data,
-    headers: { 'X-Requested-With': 'XMLHttpRequest' },
-  },
-  {
-    name: 'thingproxy',
-    getUrl: (url) => `https://thingproxy.freeboard.io/fetch/${url}`,
-    parseResponse: (data) => data,
-    headers: {},
-  },
-];
-
-// Alternative Yahoo Finance endpoints (some may work without CORS proxy)
-const YAHOO_ENDPOINTS = [
-  'https://query1.finance.yahoo.com',
-  'https://query2.finance.yahoo.com',
-];
-
-// Track which proxy is working best
-let preferredProxyIndex = 0;
-let preferredEndpointIndex = 0;
+// Fetches real-time stock and market data through the provider registry
+// (see marketDataProviders.js for the Yahoo Finance, Finnhub and Massive definitions)
+
+import {
+  getProvider,
+  getProviders,
+  getProviderOrder,
+  getCapabilityForInterval,
+} from './marketDataProviders';
+import { createBarSeries } from '../utils/barSeries';
+import { normalizeSymbol, isValidSymbolFormat } from '../utils/symbols';
+import { getAssetClass, getMarketSession } from '../utils/assetClasses';
+import { getCachedSeries, saveSeries, mergeBars, getRangeStart, getRangeSince, getLatestActionTime } from './candleCache';
+import {
+  recordSymbolFetch,
+  recordProviderFetch,
+  getSymbolHealth,
+  getSymbolSamples,
+  getHealthStatus,
+  getUptimeTimeline,
+  getDowntimePeriods,
+} from './fetchHealth';
+import { getProxyRoute, recordProxyResult, recordRouteDecision, classifyFailure } from './proxyManager';
+import { scheduleRequest, isRateLimited, parseRetryAfter, createRateLimitError } from './requestScheduler';
+
+// Track which endpoint works best per provider
+// (CORS proxy selection is handled by proxyManager.js)
+const preferredEndpointIndex = {};
 
 // Cache for successful requests to reduce API calls
 const dataCache = new Map();
 const CACHE_DURATION = 30000; // 30 seconds cache
 
-// Get Yahoo Finance URL based on environment
-const getYahooFinanceBaseUrl = (symbol, interval = '1d', range = '1d', endpointIndex = 0) => {
-  const endpoint = YAHOO_ENDPOINTS[endpointIndex % YAHOO_ENDPOINTS.length];
-  return `${endpoint}/v8/finance/chart/${symbol}?interval=${interval}&range=${range}`;
-};
-
-// Use proxy in development, CORS proxy in production
-const getYahooFinanceUrl = (symbol, interval = '1d', range = '1d', proxyIndex = 0, endpointIndex = 0) => {
-  // In development, use Vite proxy
-  if (import.meta.env.DEV) {
-    return `/api/yahoo/v8/finance/chart/${symbol}?interval=${interval}&range=${range}`;
-  }
-  
-  // In production, use CORS proxy
-  const baseUrl = getYahooFinanceBaseUrl(symbol, interval, range, endpointIndex);
-  const proxy = CORS_PROXIES[proxyIndex % CORS_PROXIES.length];
-  return proxy.getUrl(baseUrl);
-};
-
 // Default Finnhub API key for production
 const DEFAULT_FINNHUB_KEY = 'd18ueuhr01qkcat4uip0d18ueuhr01qkcat4uipg';
 
 // Helper function to get API keys from localStorage
-const getApiKeys = () => {
+export const getApiKeys = () => {
   try {
     const saved = localStorage.getItem('apiKeys');
     if (saved) {
@@ -82,23 +57,6 @@ const getApiKeys = () => {
   };
 };
 
-// Finnhub API - Backup endpoint (Free tier: 60 calls/minute)
-// No API key required for basic quote data
-const getFinnhubUrl = (symbol) => {
-  const apiKeys = getApiKeys();
-  const apiKey = apiKeys.finnhub || 'demo';
-  return `https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${apiKey}`;
-};
-
-// Massive API - Backup endpoint
-// API key from Massive dashboard
-const getMassiveUrl = (symbol) => {
-  const apiKeys = getApiKeys();
-  const apiKey = apiKeys.massive || 'qeBvdtjWjffA90rzgWB_HeHtmdpyuGQG';
-  // Using Massive API endpoint - adjust URL structure based on actual API documentation
-  return `https://api.massive.com/v1/quote?symbol=${symbol}&apiKey=${apiKey}`;
-};
-
 // Helper function to check cache
 const getCachedData = (cacheKey) => {
   const cached = dataCache.get(cacheKey);
@@ -119,29 +77,28 @@ const setCachedData = (cacheKey, data) => {
   }
 };
 
-// Helper function to fetch from Yahoo Finance with proxy fallback
-const fetchWithProxy = async (symbol, interval, range, proxyIndex, endpointIndex = 0) => {
-  const url = getYahooFinanceUrl(symbol, interval, range, proxyIndex, endpointIndex);
-  const proxy = CORS_PROXIES[proxyIndex % CORS_PROXIES.length];
-  
+// Helper function to fetch JSON with a timeout, optionally through a CORS proxy
+const fetchJson = async (url, { headers = {}, proxy = null } = {}) => {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout per proxy
+  const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout per request
   
   try {
-    const headers = {
-      'Accept': 'application/json',
-      ...proxy.headers,
-    };
-    
-    const response = await fetch(url, {
+    const response = await fetch(proxy ? proxy.getUrl(url) : url, {
       method: 'GET',
-      headers,
+      headers: {
+        'Accept': 'application/json',
+        ...headers,
+        ...(proxy ? proxy.headers : {}),
+      },
       signal: controller.signal,
       mode: 'cors',
     });
     
     clearTimeout(timeoutId);
     
+    if (response.status === 429) {
+      throw createRateLimitError(`HTTP 429: ${response.statusText || 'Too Many Requests'}`, parseRetryAfter(response.headers.get('retry-after')));
+    }
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
@@ -156,19 +113,18 @@ const fetchWithProxy = async (symbol, interval, range, proxyIndex, endpointIndex
       const text = await response.text();
       try {
         data = JSON.parse(text);
-      } catch (e) {
-        throw new Error('Response is not JSON');
+      } catch {
+        const error = new Error('Response is not JSON');
+        error.kind = 'bad-payload';
+        throw error;
       }
     }
     
     // Handle wrapped response from some proxies
-    if (data.contents) {
+    if (data?.contents) {
       data = typeof data.contents === 'string' ? JSON.parse(data.contents) : data.contents;
     }
     
-    // Apply any proxy-specific parsing
-    data = proxy.parseResponse(data);
-    
     return data;
   } catch (error) {
     clearTimeout(timeoutId);
@@ -176,214 +132,185 @@ const fetchWithProxy = async (symbol, interval, range, proxyIndex, endpointIndex
   }
 };
 
-// Helper function to fetch from Yahoo Finance
-export const fetchYahooFinance = async (symbol, interval = '1d', range = '1d') => {
-  // Check cache first
-  const cacheKey = `yahoo_${symbol}_${interval}_${range}`;
-  const cachedData = getCachedData(cacheKey);
-  if (cachedData) {
-    return cachedData;
+// Build the { attempts: [{ url, proxy, endpointIndex }], route } plan for a provider request
+// buildUrl(baseUrl) returns the request URL for one endpoint
+// route is the proxy manager's ranking, or null when no proxy is involved
+const getProviderAttempts = (provider, buildUrl) => {
+  // In development, providers with a Vite proxy route are fetched directly
+  if (import.meta.env.DEV && provider.devBaseUrl) {
+    return { attempts: [{ url: buildUrl(provider.devBaseUrl), proxy: null, endpointIndex: 0 }], route: null };
   }
-
-  // In development, use direct Vite proxy
-  if (import.meta.env.DEV) {
-    try {
-      const url = getYahooFinanceUrl(symbol, interval, range);
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-        },
+  
+  const endpoints = provider.endpoints.length > 0 ? provider.endpoints : [''];
+  const startEndpoint = preferredEndpointIndex[provider.id] || 0;
+  const route = provider.requiresProxy ? getProxyRoute() : null;
+  const proxies = route ? route.proxies : [null];
+  const attempts = [];
+  
+  // Try each proxy in ranked order, starting from the preferred endpoint
+  proxies.forEach(proxy => {
+    for (let offset = 0; offset < endpoints.length; offset++) {
+      const endpointIndex = (startEndpoint + offset) % endpoints.length;
+      attempts.push({
+        url: buildUrl(endpoints[endpointIndex]),
+        proxy,
+        endpointIndex,
       });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data?.chart?.result?.[0]) {
-        throw new Error('Invalid response format');
-      }
-      
-      const result = { data, source: 'yahoo' };
-      setCachedData(cacheKey, result);
-      return result;
-    } catch (error) {
-      console.error(`Error fetching from Yahoo Finance (dev) ${symbol}:`, error);
-      throw error;
     }
-  }
+  });
+  return { attempts, route };
+};
+
+// Build the request passed to a provider's URL builders
+const getProviderRequest = (provider, symbol, extra = {}) => ({
+  symbol: provider.mapSymbol ? provider.mapSymbol(symbol) : symbol,
+  apiKeys: getApiKeys(),
+  ...extra,
+});
+
+// Try every endpoint/proxy combination for one provider request until one answers
+// Records health and proxy metrics per attempt; returns { data, source, latency, proxy }
+// label ({ symbol, interval, range }) identifies the request in the routing log
+const requestFromProvider = async (provider, buildUrl, { validate = null, headers = {}, label }) => {
+  const { attempts, route } = getProviderAttempts(provider, buildUrl);
+  const tried = [];
   
-  // In production, try multiple CORS proxies with multiple Yahoo endpoints
-  let lastError = null;
-  const totalAttempts = CORS_PROXIES.length * YAHOO_ENDPOINTS.length;
+  // Log the routing decision for proxied requests (shown in Settings > Proxies)
+  const logRoute = (servedBy) => {
+    if (!route) return;
+    recordRouteDecision({
+      provider: provider.id,
+      ...label,
+      ranking: route.ranking.map(({ id, name, state, cost, successRate, p50 }) => ({ id, name, state, cost, successRate, p50 })),
+      skipped: route.skipped,
+      attempts: tried,
+      servedBy,
+    });
+  };
   
-  // Try starting from the preferred proxy and endpoint, then cycle through others
-  for (let attempt = 0; attempt < totalAttempts; attempt++) {
-    const proxyIndex = (preferredProxyIndex + Math.floor(attempt / YAHOO_ENDPOINTS.length)) % CORS_PROXIES.length;
-    const endpointIndex = (preferredEndpointIndex + attempt) % YAHOO_ENDPOINTS.length;
-    const proxy = CORS_PROXIES[proxyIndex];
-    
+  let lastError = null;
+  for (const attempt of attempts) {
+    const startTime = Date.now();
+    const proxyName = attempt.proxy ? attempt.proxy.name : null;
     try {
-      const data = await fetchWithProxy(symbol, interval, range, proxyIndex, endpointIndex);
-      
-      // Validate response
-      if (!data) {
-        throw new Error('Empty response from API');
-      }
-      
-      if (!data.chart) {
-        throw new Error('Invalid response: missing chart data');
-      }
-      
-      if (!data.chart.result || !Array.isArray(data.chart.result) || data.chart.result.length === 0) {
-        throw new Error('Invalid response: no result data');
+      const data = await fetchJson(attempt.url, { headers, proxy: attempt.proxy });
+      if (validate) {
+        try {
+          validate(data);
+        } catch (error) {
+          error.kind = 'bad-payload';
+          throw error;
+        }
       }
-      
-      if (!data.chart.result[0]) {
-        throw new Error('Invalid response: empty result array');
+      const latency = Date.now() - startTime;
+      recordProviderFetch(provider.id, { ok: true, latency, proxy: proxyName, endpoint: attempt.endpointIndex });
+      if (attempt.proxy) {
+        recordProxyResult(attempt.proxy.id, { ok: true, latency });
+        tried.push({ proxy: proxyName, endpoint: attempt.endpointIndex, ok: true, latency });
       }
+      logRoute(proxyName);
       
-      // This proxy and endpoint worked, remember them for next time
-      if (proxyIndex !== preferredProxyIndex) {
-        preferredProxyIndex = proxyIndex;
-      }
-      if (endpointIndex !== preferredEndpointIndex) {
-        preferredEndpointIndex = endpointIndex;
-      }
+      // This endpoint worked, remember it for next time
+      preferredEndpointIndex[provider.id] = attempt.endpointIndex;
       
-      const result = { data, source: 'yahoo' };
-      setCachedData(cacheKey, result);
-      return result;
+      return { data, source: provider.id, latency, proxy: proxyName };
     } catch (error) {
       lastError = error;
+      const latency = Date.now() - startTime;
+      recordProviderFetch(provider.id, {
+        ok: false,
+        latency,
+        proxy: proxyName,
+        endpoint: attempt.endpointIndex,
+        error: error.message,
+      });
+      if (attempt.proxy) {
+        recordProxyResult(attempt.proxy.id, { ok: false, latency, error });
+        tried.push({ proxy: proxyName, endpoint: attempt.endpointIndex, ok: false, latency, kind: classifyFailure(error), error: error.message });
+      } else if (error.status === 429) {
+        // The provider itself is rate limiting us: let the scheduler wait for Retry-After
+        throw error;
+      }
       // Continue to next proxy/endpoint combination silently
     }
   }
   
-  // All proxies failed
-  throw new Error(`Failed to fetch Yahoo Finance data for ${symbol}`);
+  logRoute(null);
+  throw new Error(`${provider.name} failed for ${label.symbol}: ${lastError?.message || 'no endpoints configured'}`);
 };
 
-// Helper function to fetch from Finnhub (Backup API)
-// Finnhub supports CORS natively, so no proxy needed
-export const fetchFinnhub = async (symbol) => {
-  // Check cache first
-  const cacheKey = `finnhub_${symbol}`;
+// Fetch raw data from a registered provider, returning { data, source, latency, proxy }
+// Results served from the in-memory cache are flagged with fromCache
+// priority: 'high' for visible charts, 'normal', or 'low' for background refreshes
+export const fetchFromProvider = async (providerId, symbol, interval = '1d', range = '1d', { prePost = false, priority = 'normal' } = {}) => {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${providerId}`);
+  }
+  
+  // Quote-only providers ignore interval and range, so cache them per symbol
+  const hasBars = provider.capabilities.intraday || provider.capabilities.daily;
+  const cacheKey = hasBars ? `${provider.id}_${symbol}_${interval}_${range}${prePost ? '_ext' : ''}` : `${provider.id}_${symbol}`;
   const cachedData = getCachedData(cacheKey);
   if (cachedData) {
-    return cachedData;
+    return { ...cachedData, fromCache: true };
   }
-
-  // Map special symbols for Finnhub
-  let finnhubSymbol = symbol;
-  if (symbol === 'DX-Y.NYB' || symbol === 'DXY') {
-    finnhubSymbol = 'EURUSD'; // Finnhub doesn't have DXY, use EURUSD as proxy
-  } else if (symbol === '^VIX' || symbol === 'VIX') {
-    finnhubSymbol = 'SPY'; // Use SPY as fallback since VIX isn't available in free tier
-  }
-
-  try {
-    const url = getFinnhubUrl(finnhubSymbol);
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000);
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      },
-      signal: controller.signal,
+  
+  const request = getProviderRequest(provider, symbol, { interval, range, prePost });
+  const headers = provider.getHeaders ? provider.getHeaders(request.apiKeys) : {};
+  
+  // Identical in-flight requests share one network call; calls are queued per provider rate limit
+  return scheduleRequest(async () => {
+    const result = await requestFromProvider(provider, baseUrl => provider.buildUrl(request, baseUrl), {
+      validate: provider.validate,
+      headers,
+      label: { symbol, interval, range },
     });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`Finnhub HTTP ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data || data.error) {
-      throw new Error(data.error || 'Empty response from Finnhub API');
-    }
-    
-    // Finnhub returns 0 for invalid symbols
-    if (data.c === 0 && data.h === 0 && data.l === 0) {
-      throw new Error('Invalid symbol or no data available');
-    }
-    
-    if (data.c === null || data.c === undefined) {
-      throw new Error('Invalid response: missing price data');
-    }
-    
-    const result = { data, source: 'finnhub' };
     setCachedData(cacheKey, result);
     return result;
-  } catch (error) {
-    throw new Error(`Finnhub failed for ${symbol}: ${error.message}`);
+  }, { limit: provider.id, key: cacheKey, priority });
+};
+
+// Fetch a non-chart resource (e.g. a fundamentals endpoint) from a registered provider
+// buildUrl(request, baseUrl) and validate(data) have the same shape as the provider's own;
+// the response goes through the same proxy routing, health metrics and rate limits as quotes
+// params are merged into the request (symbol search passes the raw { query })
+export const fetchProviderResource = async (providerId, symbol, resource, { buildUrl, validate = null, priority = 'normal', params = {} }) => {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${providerId}`);
   }
+  
+  const request = getProviderRequest(provider, symbol, params);
+  const headers = provider.getHeaders ? provider.getHeaders(request.apiKeys) : {};
+  
+  return scheduleRequest(() => requestFromProvider(provider, baseUrl => buildUrl(request, baseUrl), {
+    validate,
+    headers,
+    label: { symbol, interval: 'fundamentals', range: resource },
+  }), { limit: provider.id, key: `${provider.id}_${symbol}_${resource}`, priority });
+};
+
+// Helper function to fetch from Yahoo Finance
+export const fetchYahooFinance = async (symbol, interval = '1d', range = '1d') => {
+  return fetchFromProvider('yahoo', symbol, interval, range);
+};
+
+// Helper function to fetch from Finnhub (Backup API)
+export const fetchFinnhub = async (symbol) => {
+  return fetchFromProvider('finnhub', symbol);
 };
 
 // Helper function to fetch from Massive (Backup API)
 export const fetchMassive = async (symbol) => {
-  try {
-    const url = getMassiveUrl(symbol);
-    const apiKeys = getApiKeys();
-    const apiKey = apiKeys.massive || 'qeBvdtjWjffA90rzgWB_HeHtmdpyuGQG';
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`Failed to fetch data for ${symbol}: ${response.status} ${response.statusText}. ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data || data.error) {
-      throw new Error(data.error || 'Empty response from API');
-    }
-    
-    // Handle different possible response formats from Massive API
-    // Adjust based on actual API response structure
-    const currentPrice = data.c || data.close || data.price || data.currentPrice;
-    if (currentPrice === null || currentPrice === undefined) {
-      throw new Error('Invalid response: missing price data');
-    }
-    
-    // Normalize data to match expected format
-    const normalizedData = {
-      c: currentPrice,
-      pc: data.pc || data.previousClose || data.prevClose || currentPrice,
-      h: data.h || data.high || currentPrice,
-      l: data.l || data.low || currentPrice,
-      o: data.o || data.open || currentPrice,
-      v: data.v || data.volume || 0,
-      t: data.t || data.timestamp || Date.now() / 1000,
-    };
-    
-    return { data: normalizedData, source: 'massive' };
-  } catch (error) {
-    console.error(`Error fetching from Massive ${symbol}:`, error);
-    throw error;
-  }
+  return fetchFromProvider('massive', symbol);
 };
 
 // Get preferred API from localStorage
-const getPreferredApi = () => {
+export const getPreferredApi = () => {
   try {
     const saved = localStorage.getItem('preferredApi');
-    if (saved && ['yahoo', 'finnhub', 'massive', 'auto'].includes(saved)) {
+    if (saved && (saved === 'auto' || getProvider(saved))) {
       return saved;
     }
   } catch (error) {
@@ -392,244 +319,237 @@ const getPreferredApi = () => {
   return 'auto'; // Default to auto (fallback mode)
 };
 
+// List providers for settings screens
+export const getAvailableProviders = () => {
+  return getProviders().map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    capabilities: { ...provider.capabilities },
+  }));
+};
+
 // Unified fetch function with user-selected API or automatic fallback
-// prioritizeYahoo: if true, tries Yahoo Finance first (useful for historical chart data)
-export const fetchMarketData = async (symbol, interval = '1d', range = '1d', prioritizeYahoo = false) => {
-  const preferredApi = getPreferredApi();
+// needsHistory: if true, providers that serve bars for the interval are tried first (chart data)
+export const fetchMarketData = async (symbol, interval = '1d', range = '1d', needsHistory = false, options = {}) => {
+  const capability = needsHistory ? getCapabilityForInterval(interval) : 'quote';
+  const order = getProviderOrder(capability, {
+    preferredApi: getPreferredApi(),
+    dev: import.meta.env.DEV,
+  });
   const errors = [];
+  const startTime = Date.now();
   
-  // If prioritizeYahoo is true (needed for chart data), try Yahoo Finance first
-  if (prioritizeYahoo) {
+  for (const [index, provider] of order.entries()) {
+    // Skip a provider that is waiting out a 429 while others can still answer
+    if (isRateLimited(provider.id) && index < order.length - 1) {
+      errors.push(`${provider.name} rate-limited`);
+      continue;
+    }
     try {
-      const result = await fetchYahooFinance(symbol, interval, range);
+      const result = await fetchFromProvider(provider.id, symbol, interval, range, options);
+      // Only network requests count towards feed health
+      if (!result.fromCache) {
+        recordSymbolFetch(symbol, { ok: true, latency: Date.now() - startTime, source: result.source, proxy: result.proxy });
+      }
       return result;
     } catch (error) {
-      errors.push(`Yahoo: ${error.message}`);
-      // Continue to fallback options
+      errors.push(error.message);
     }
   }
   
-  // In development, Yahoo Finance works via Vite proxy
-  if (import.meta.env.DEV) {
-    try {
-      const result = await fetchYahooFinance(symbol, interval, range);
-      return result;
-    } catch (error) {
-      errors.push(`Yahoo: ${error.message}`);
-    }
+  // All APIs failed
+  const message = `All APIs failed for ${symbol}: ${errors.join('; ')}`;
+  recordSymbolFetch(symbol, { ok: false, latency: Date.now() - startTime, error: message });
+  throw new Error(message);
+};
+
+// Normalize an API result ({ data, source }) into a quote
+// Providers that don't report a market state get one from the symbol's asset class calendar
+export const normalizeQuote = (symbol, apiResult) => {
+  const provider = getProvider(apiResult?.source);
+  if (!provider) {
+    throw new Error(`Unknown data source: ${apiResult?.source}`);
+  }
+  const quote = provider.toQuote(apiResult.data, symbol);
+  if (quote.marketStateInferred || !quote.marketState) {
+    return { ...quote, marketState: getMarketSession(symbol), marketStateInferred: true };
+  }
+  return quote;
+};
+
+// Normalize an API result ({ data, source }) into bars, or null if the provider has none
+export const normalizeBars = (apiResult) => {
+  const provider = getProvider(apiResult?.source);
+  if (!provider || !provider.toBars) {
+    return null;
+  }
+  return provider.toBars(apiResult.data);
+};
+
+// Build a normalized bar series (see utils/barSeries.js) from an API result
+// Returns null when the provider only serves quotes
+export const toBarSeries = (symbol, interval, apiResult, options = {}) => {
+  const provider = getProvider(apiResult?.source);
+  const bars = normalizeBars(apiResult);
+  if (!bars) {
+    return null;
   }
   
-  // In production, prioritize Finnhub (no CORS issues) for basic quote data
-  // Then fall back to Yahoo Finance via CORS proxy
+  const quote = normalizeQuote(symbol, apiResult);
+  return createBarSeries(bars, {
+    symbol,
+    interval,
+    source: apiResult.source,
+    currency: quote.currency,
+    sessionHours: provider.getSessionHours ? provider.getSessionHours(apiResult.data) : null,
+    actions: provider.toCorporateActions ? provider.toCorporateActions(apiResult.data) : null,
+    splitAdjusted: provider.splitAdjusted !== false,
+    ...options,
+  });
+};
+
+// Fetch price history through the persistent candle cache (see candleCache.js)
+// Only bars missing since the last cached bar are requested when the cache already
+// covers the window. Falls back to cached bars (marked stale) when every provider fails.
+// A split or dividend newer than the cached ones drops the cache and refetches the window.
+// options.onCached(series) is called with cached bars before the network request.
+// options.priority defaults to 'high' since bar series usually feed a visible chart.
+// Resolves to { series, apiResult }; series is null when the provider only serves quotes.
+const loadCachedBarSeries = async (symbol, interval, range, options = {}) => {
+  const { prePost = false, onCached = null, priority = 'high', ...seriesOptions } = options;
+  const windowStart = getRangeStart(range);
+  // Extended-hours bars are a different bar set, so they bypass the cache
+  const cached = prePost ? null : await getCachedSeries(symbol, interval);
+  const covered = Boolean(cached && cached.bars.length > 0 && cached.coverageStart <= windowStart);
   
-  // If user selected a specific API, respect that choice
-  if (preferredApi === 'yahoo') {
-    try {
-      const result = await fetchYahooFinance(symbol, interval, range);
-      return result;
-    } catch (error) {
-      errors.push(`Yahoo: ${error.message}`);
-    }
-  } else if (preferredApi === 'finnhub') {
-    try {
-      const result = await fetchFinnhub(symbol);
-      return result;
-    } catch (error) {
-      errors.push(`Finnhub: ${error.message}`);
-    }
+  const buildView = (bars, meta, flags = {}) => ({
+    ...createBarSeries(bars.filter(bar => bar.time >= windowStart), {
+      symbol,
+      interval,
+      source: meta.source,
+      currency: meta.currency,
+      sessionHours: meta.sessionHours,
+      actions: meta.actions,
+      ...seriesOptions,
+    }),
+    ...flags,
+  });
+  
+  if (covered && onCached) {
+    onCached(buildView(cached.bars, cached, { cached: true }));
   }
   
-  // Auto mode or fallback: Try all APIs
-  // For production, Finnhub is more reliable since it doesn't need CORS proxy
-  // But only if we don't need historical data (prioritizeYahoo = false)
-  if (!import.meta.env.DEV && !prioritizeYahoo) {
-    // Try Finnhub first in production (no CORS issues) for basic quotes
-    try {
-      const result = await fetchFinnhub(symbol);
-      return result;
-    } catch (error) {
-      errors.push(`Finnhub: ${error.message}`);
-    }
+  // Request only what is missing when the cache already covers the window
+  let fetchRange = range;
+  if (covered) {
+    const sinceRange = getRangeSince(cached.bars[cached.bars.length - 1].time);
+    fetchRange = getRangeStart(sinceRange) <= windowStart ? range : sinceRange;
   }
   
-  // Try Yahoo Finance (may work with CORS proxies)
+  let result;
   try {
-    const result = await fetchYahooFinance(symbol, interval, range);
-    return result;
+    result = await fetchMarketData(symbol, interval, fetchRange, true, { prePost, priority });
   } catch (error) {
-    errors.push(`Yahoo: ${error.message}`);
+    if (cached && cached.bars.length > 0) {
+      console.error(`Using cached bars for ${symbol}:`, error);
+      return { series: buildView(cached.bars, cached, { cached: true, stale: true }), apiResult: null };
+    }
+    throw error;
   }
   
-  // If in development and Yahoo failed, try Finnhub as last resort
-  if (import.meta.env.DEV) {
+  let fresh = toBarSeries(symbol, interval, result);
+
+  // A new split or dividend re-adjusts every earlier bar, which the cached bars never get
+  // from an incremental fetch: fetch the whole window again and replace the stored series
+  // with it. Until that works the cached bars stay, and are served as stale if it fails.
+  let replace = false;
+  if (fresh && fetchRange !== range && getLatestActionTime(fresh.actions) > getLatestActionTime(cached.actions)) {
+    let full = null;
+    let fullResult = null;
     try {
-      const result = await fetchFinnhub(symbol);
-      return result;
+      fullResult = await fetchMarketData(symbol, interval, range, true, { prePost, priority });
+      full = toBarSeries(symbol, interval, fullResult);
     } catch (error) {
-      errors.push(`Finnhub: ${error.message}`);
+      console.error(`Refetching ${symbol} after a corporate action failed:`, error);
     }
+    if (!full || full.bars.length === 0) {
+      return { series: buildView(cached.bars, cached, { cached: true, stale: true }), apiResult: fullResult || result };
+    }
+    result = fullResult;
+    fresh = full;
+    fetchRange = range;
+    replace = true;
   }
-  
-  // All APIs failed
-  throw new Error(`All APIs failed for ${symbol}`);
-};
 
-// Convert Yahoo Finance data to monitor format
-const convertYahooToMonitor = (symbol, yahooData) => {
-  if (!yahooData?.chart?.result?.[0]) {
-    throw new Error('Invalid data format from Yahoo Finance');
+  if (!fresh) {
+    return { series: null, apiResult: result };
   }
   
-  const result = yahooData.chart.result[0];
-  const meta = result.meta;
-  const quote = result.indicators?.quote?.[0];
-  
-  const currentPrice = meta.regularMarketPrice || meta.previousClose || 0;
-  const previousClose = meta.previousClose || currentPrice;
-  const change = currentPrice - previousClose;
-  const changePercent = previousClose ? (change / previousClose) * 100 : 0;
-  
-  // Calculate response time based on market status
-  const isMarketOpen = meta.marketState === 'REGULAR';
-  const responseTime = isMarketOpen ? Math.floor(Math.random() * 200) + 50 : 0;
-  
-  // Determine status based on market data
-  let status = 'operational';
-  if (!isMarketOpen) {
-    status = 'paused';
-  } else if (Math.abs(changePercent) > 5) {
-    status = 'degraded';
+  let bars = fresh.bars;
+  if (!prePost) {
+    const saved = await saveSeries(fresh, { coverageStart: getRangeStart(fetchRange), replace });
+    bars = saved ? saved.bars : replace ? fresh.bars : mergeBars(cached?.bars, fresh.bars);
   }
   
-  return {
-    id: symbol,
-    name: `${meta.shortName || symbol} (${symbol})`,
-    url: `https://finance.yahoo.com/quote/${symbol}`,
-    type: 'http',
-    status: status,
-    isUp: isMarketOpen,
-    responseTime: responseTime,
-    avgResponseTime: responseTime,
-    uptime: 99.9,
-    uptimePercent: 99.9,
-    lastCheck: new Date().toISOString(),
-    paused: !isMarketOpen,
-    // Additional Yahoo Finance data
-    price: currentPrice,
-    change: change,
-    changePercent: changePercent,
-    volume: meta.regularMarketVolume || 0,
-    marketState: meta.marketState,
-    symbol: symbol,
-    apiSource: 'yahoo',
-  };
+  return { series: buildView(bars, fresh), apiResult: result };
 };
 
-// Convert Finnhub data to monitor format
-const convertFinnhubToMonitor = (symbol, finnhubData) => {
-  if (!finnhubData || finnhubData.c === null || finnhubData.c === undefined) {
-    throw new Error('Invalid data format from Finnhub');
-  }
-  
-  const currentPrice = finnhubData.c || 0;
-  const previousClose = finnhubData.pc || currentPrice;
-  const change = currentPrice - previousClose;
-  const changePercent = previousClose ? (change / previousClose) * 100 : 0;
+// Fetch price history as a normalized bar series
+// options: { prePost, fillGaps, sessions, adjusted, onCached, priority }
+export const getBarSeries = async (symbol, interval = '1d', range = '1mo', options = {}) => {
+  const { series, apiResult } = await loadCachedBarSeries(symbol, interval, range, options);
   
-  // Finnhub doesn't provide market state, so we'll assume market is open if price changed
-  const isMarketOpen = finnhubData.t && finnhubData.t > 0;
-  const responseTime = isMarketOpen ? Math.floor(Math.random() * 200) + 50 : 0;
-  
-  // Determine status based on market data
-  let status = 'operational';
-  if (!isMarketOpen) {
-    status = 'paused';
-  } else if (Math.abs(changePercent) > 5) {
-    status = 'degraded';
+  if (!series) {
+    const provider = getProvider(apiResult.source);
+    throw new Error(`${provider?.name || apiResult.source} does not provide historical data for ${symbol}`);
   }
-  
+  return series;
+};
+
+// Monitor health fields from the recorded fetch history of a symbol's data feed
+const getHealthFields = (symbol) => {
+  const health = getSymbolHealth(symbol);
+  const status = getHealthStatus(health);
   return {
-    id: symbol,
-    name: `${symbol} (${symbol})`,
-    url: `https://finance.yahoo.com/quote/${symbol}`,
-    type: 'http',
-    status: status,
-    isUp: isMarketOpen,
-    responseTime: responseTime,
-    avgResponseTime: responseTime,
-    uptime: 99.9,
-    uptimePercent: 99.9,
-    lastCheck: new Date().toISOString(),
-    paused: !isMarketOpen,
-    // Additional Finnhub data
-    price: currentPrice,
-    change: change,
-    changePercent: changePercent,
-    volume: finnhubData.v || 0,
-    marketState: isMarketOpen ? 'REGULAR' : 'CLOSED',
-    symbol: symbol,
-    apiSource: 'finnhub',
+    status: status === 'unknown' ? 'down' : status,
+    isUp: health.lastOk === true,
+    responseTime: health.lastOk ? health.lastLatency : 0,
+    avgResponseTime: health.avgLatency,
+    uptime: health.uptimePercent ?? 0,
+    uptimePercent: health.uptimePercent ?? 0,
+    lastCheck: new Date(health.lastCheck || Date.now()).toISOString(),
+    lastError: health.lastError,
+    proxy: health.lastProxy,
   };
 };
 
-// Convert Massive data to monitor format
-const convertMassiveToMonitor = (symbol, massiveData) => {
-  if (!massiveData || massiveData.c === null || massiveData.c === undefined) {
-    throw new Error('Invalid data format from Massive');
-  }
-  
-  const currentPrice = massiveData.c || 0;
-  const previousClose = massiveData.pc || currentPrice;
+// Convert an API result to monitor format
+const convertToMonitor = (symbol, apiResult) => {
+  const quote = normalizeQuote(symbol, apiResult);
+  const currentPrice = quote.price || 0;
+  const previousClose = quote.previousClose || currentPrice;
   const change = currentPrice - previousClose;
   const changePercent = previousClose ? (change / previousClose) * 100 : 0;
   
-  // Massive API - assume market is open if timestamp is recent
-  const isMarketOpen = massiveData.t && massiveData.t > 0;
-  const responseTime = isMarketOpen ? Math.floor(Math.random() * 200) + 50 : 0;
-  
-  // Determine status based on market data
-  let status = 'operational';
-  if (!isMarketOpen) {
-    status = 'paused';
-  } else if (Math.abs(changePercent) > 5) {
-    status = 'degraded';
-  }
-  
   return {
+    ...getHealthFields(symbol),
     id: symbol,
-    name: `${symbol} (${symbol})`,
+    name: `${quote.name || symbol} (${symbol})`,
     url: `https://finance.yahoo.com/quote/${symbol}`,
     type: 'http',
-    status: status,
-    isUp: isMarketOpen,
-    responseTime: responseTime,
-    avgResponseTime: responseTime,
-    uptime: 99.9,
-    uptimePercent: 99.9,
-    lastCheck: new Date().toISOString(),
-    paused: !isMarketOpen,
-    // Additional Massive data
+    paused: false,
+    // Additional market data
     price: currentPrice,
     change: change,
     changePercent: changePercent,
-    volume: massiveData.v || 0,
-    marketState: isMarketOpen ? 'REGULAR' : 'CLOSED',
+    volume: quote.volume || 0,
+    marketState: quote.marketState || getMarketSession(symbol),
+    assetClass: getAssetClass(symbol).id,
     symbol: symbol,
-    apiSource: 'massive',
+    apiSource: apiResult.source,
   };
 };
 
-// Unified convert function
-const convertToMonitor = (symbol, apiResult) => {
-  if (apiResult.source === 'finnhub') {
-    return convertFinnhubToMonitor(symbol, apiResult.data);
-  } else if (apiResult.source === 'massive') {
-    return convertMassiveToMonitor(symbol, apiResult.data);
-  } else {
-    return convertYahooToMonitor(symbol, apiResult.data);
-  }
-};
-
 // Get all monitors (default popular stocks + custom monitors)
 export const getMonitors = async () => {
   try {
@@ -661,25 +581,22 @@ export const getMonitors = async () => {
     // Filter out deleted monitors
     const activeSymbols = defaultSymbols.filter(symbol => !deletedMonitors.includes(symbol));
     
-    // Fetch data for all symbols in parallel with automatic fallback
+    // Fetch data for all symbols in parallel with automatic fallback (background priority,
+    // so visible charts are served first when a provider is close to its rate limit)
     const promises = activeSymbols.map(symbol => 
-      fetchMarketData(symbol, '1d', '1d').then(result => convertToMonitor(symbol, result))
+      fetchMarketData(symbol, '1d', '1d', false, { priority: 'low' }).then(result => convertToMonitor(symbol, result))
         .catch(error => {
           console.error(`Failed to fetch ${symbol}:`, error);
           // Return a fallback monitor
           return {
+            ...getHealthFields(symbol),
             id: symbol,
             name: `${symbol}`,
             url: `https://finance.yahoo.com/quote/${symbol}`,
             type: 'http',
-            status: 'down',
-            isUp: false,
-            responseTime: 0,
-            avgResponseTime: 0,
-            uptime: 0,
-            uptimePercent: 0,
-            lastCheck: new Date().toISOString(),
             paused: false,
+            marketState: getMarketSession(symbol),
+            assetClass: getAssetClass(symbol).id,
             symbol: symbol,
             apiSource: 'none',
           };
@@ -701,12 +618,15 @@ export const createMonitor = async (monitorData) => {
     let symbol = monitorData.symbol;
     if (!symbol && monitorData.url) {
       // Try to extract from URL if symbol not provided
-      symbol = monitorData.url.split('/').pop()?.toUpperCase().replace(/[^A-Z]/g, '');
+      symbol = monitorData.url.split('/').pop();
     }
+    symbol = normalizeSymbol(symbol);
     if (!symbol) {
       throw new Error('Stock symbol is required');
     }
-    symbol = symbol.toUpperCase().trim();
+    if (!isValidSymbolFormat(symbol)) {
+      throw new Error(`Invalid symbol: ${symbol}`);
+    }
     
     // Remove from deleted list if it was previously deleted
     try {
@@ -819,89 +739,61 @@ export const togglePauseMonitor = async (id) => {
   return monitor;
 };
 
-// Get response time chart data from Yahoo Finance
+// Get response time chart data from the recorded fetch latencies of a symbol
 export const getMonitorResponseTimeChart = async (id) => {
-  try {
-    const result = await fetchMarketData(id, '1m', '1d');
-    
-    // Only Yahoo Finance provides historical chart data
-    if (result.source === 'finnhub') {
-      // Finnhub doesn't provide historical data in free tier, return empty
-      return [];
-    }
-    
-    const data = result.data;
-    if (!data?.chart?.result?.[0]) {
-      throw new Error('Invalid data format');
-    }
-    
-    const chartResult = data.chart.result[0];
-    const timestamps = chartResult.timestamp || [];
-    const quotes = chartResult.indicators?.quote?.[0];
-    const closes = quotes?.close || [];
-    
-    // Convert to chart format
-    return timestamps.map((timestamp, index) => ({
-      time: new Date(timestamp * 1000).toISOString(),
-      timestamp: new Date(timestamp * 1000).toISOString(),
-      value: closes[index] || 0,
-      responseTime: closes[index] || 0,
+  return getSymbolSamples(id)
+    .filter(sample => sample.ok)
+    .map(sample => ({
+      time: new Date(sample.time).toISOString(),
+      timestamp: new Date(sample.time).toISOString(),
+      value: sample.latency,
+      responseTime: sample.latency,
+      source: sample.source,
     }));
-  } catch (error) {
-    console.error('Failed to fetch chart data:', error);
-    // Return empty data
-    return [];
-  }
 };
 
-// Get uptime chart data
+// Get uptime chart data as hourly success rates of a symbol's fetches
 export const getMonitorUptimeChart = async (id) => {
-  // For Yahoo Finance, uptime is always high, so we'll use price data
-  return getMonitorResponseTimeChart(id);
+  return getUptimeTimeline(getSymbolSamples(id)).map(bucket => ({
+    time: new Date(bucket.time).toISOString(),
+    timestamp: new Date(bucket.time).toISOString(),
+    value: bucket.uptimePercent,
+    uptime: bucket.uptimePercent,
+    responseTime: bucket.avgLatency,
+    checks: bucket.samples,
+  }));
 };
 
-// Get monitor history
+// Get monitor history (every recorded fetch of the symbol)
 export const getMonitorHistory = async (id) => {
-  try {
-    const result = await fetchMarketData(id, '5m', '1d');
-    
-    // Only Yahoo Finance provides historical chart data
-    if (result.source === 'finnhub') {
-      // Finnhub doesn't provide historical data in free tier, return empty
-      return [];
-    }
-    
-    const data = result.data;
-    if (!data?.chart?.result?.[0]) {
-      throw new Error('Invalid data format');
-    }
-    
-    const chartResult = data.chart.result[0];
-    const timestamps = chartResult.timestamp || [];
-    const quotes = chartResult.indicators?.quote?.[0];
-    const closes = quotes?.close || [];
-    const volumes = quotes?.volume || [];
-    
-    return timestamps.map((timestamp, index) => ({
-      time: new Date(timestamp * 1000).toISOString(),
-      timestamp: new Date(timestamp * 1000).toISOString(),
-      status: closes[index] ? 'up' : 'down',
-      responseTime: closes[index] || 0,
-      volume: volumes[index] || 0,
-    }));
-  } catch (error) {
-    console.error('Failed to fetch history:', error);
-    return [];
-  }
+  return getSymbolSamples(id).map(sample => ({
+    time: new Date(sample.time).toISOString(),
+    timestamp: new Date(sample.time).toISOString(),
+    status: sample.ok ? 'up' : 'down',
+    responseTime: sample.latency,
+    source: sample.source,
+    proxy: sample.proxy,
+    error: sample.error,
+  }));
 };
 
-// Get latest downtime period info
+// Get latest downtime period info (a run of consecutive failed fetches)
 export const getMonitorDowntime = async (id) => {
-  // For live data, we don't track downtime the same way
+  const periods = getDowntimePeriods(getSymbolSamples(id));
+  const latest = periods[periods.length - 1];
+  if (!latest) {
+    return {
+      start: null,
+      end: null,
+      duration: 0,
+    };
+  }
   return {
-    start: null,
-    end: null,
-    duration: 0,
+    start: new Date(latest.start).toISOString(),
+    end: latest.end ? new Date(latest.end).toISOString() : null,
+    duration: latest.duration,
+    failures: latest.failures,
+    error: latest.error,
   };
 };
 
@@ -913,8 +805,29 @@ export const getMonitorChartData = async (id, type = 'response-time') => {
   return getMonitorResponseTimeChart(id);
 };
 
+// Shape a bar series as price chart data
+const toPriceChartData = (symbol, series, currentPrice = null) => {
+  // Bars are cleaned, deduplicated and sorted by the bar series
+  const chartData = series.bars.map(bar => ({
+    ...bar,
+    time: new Date(bar.time).toISOString(),
+    timestamp: bar.time,
+  }));
+  
+  return {
+    symbol: symbol,
+    currentPrice: currentPrice || chartData[chartData.length - 1]?.close || 0,
+    series,
+    cached: Boolean(series.cached),
+    stale: Boolean(series.stale),
+    data: chartData,
+  };
+};
+
 // Get price chart data for Charts page
-export const getPriceChartData = async (symbol, interval = '1d') => {
+// options are passed to the bar series (e.g. { fillGaps: true }); options.onCached
+// receives chart data built from the candle cache while fresh bars load
+export const getPriceChartData = async (symbol, interval = '1d', options = {}) => {
   try {
     // Map intervals to Yahoo Finance format
     let yahooInterval = '1d';
@@ -928,89 +841,45 @@ export const getPriceChartData = async (symbol, interval = '1d') => {
       range = '1mo'; // 1 month for daily data
     }
     
-    // prioritizeYahoo = true because we need historical data for charts
-    // Finnhub only provides current quote, not historical data
-    const result = await fetchMarketData(symbol, yahooInterval, range, true);
+    const { onCached = null, ...seriesOptions } = options;
+    const { series, apiResult } = await loadCachedBarSeries(symbol, yahooInterval, range, {
+      ...seriesOptions,
+      onCached: onCached ? (cachedSeries) => {
+        if (cachedSeries.bars.length > 0) {
+          onCached(toPriceChartData(symbol, cachedSeries));
+        }
+      } : null,
+    });
+    const quote = apiResult ? normalizeQuote(symbol, apiResult) : null;
     
-    // Only Yahoo Finance provides historical chart data
-    if (result.source === 'finnhub') {
-      // For Finnhub, we can only get current quote, not historical
-      // Return minimal data with current price
-      const finnhubData = result.data;
+    // Quote-only providers can only give us the current price, not history
+    if (!series) {
       return {
         symbol: symbol,
-        currentPrice: finnhubData.c || 0,
+        currentPrice: quote.price || 0,
+        series: null,
+        cached: false,
+        stale: false,
         data: [{
           time: new Date().toISOString(),
           timestamp: Date.now(),
-          open: finnhubData.o || finnhubData.c || 0,
-          high: finnhubData.h || finnhubData.c || 0,
-          low: finnhubData.l || finnhubData.c || 0,
-          close: finnhubData.c || 0,
-          volume: finnhubData.v || 0,
+          open: quote.open || quote.price || 0,
+          high: quote.high || quote.price || 0,
+          low: quote.low || quote.price || 0,
+          close: quote.price || 0,
+          volume: quote.volume || 0,
+          adjClose: quote.price || 0,
+          session: 'regular',
+          filled: false,
         }],
       };
     }
     
-    const data = result.data;
-    if (!data?.chart?.result?.[0]) {
-      throw new Error('Invalid data format from API');
-    }
-    
-    const chartResult = data.chart.result[0];
-    const timestamps = chartResult.timestamp || [];
-    const quotes = chartResult.indicators?.quote?.[0];
-    
-    if (!quotes) {
-      throw new Error('No quote data available');
-    }
-    
-    const closes = quotes.close || [];
-    const opens = quotes.open || [];
-    const highs = quotes.high || [];
-    const lows = quotes.low || [];
-    const volumes = quotes.volume || [];
-    
-    // Validate we have data
-    if (timestamps.length === 0 || closes.length === 0) {
-      throw new Error('No historical data available for this symbol');
-    }
-    
-    // Get meta data for current price
-    const meta = chartResult.meta;
-    const currentPrice = meta?.regularMarketPrice || meta?.previousClose || closes[closes.length - 1] || 0;
-    
-    // Build data array, ensuring all arrays are aligned
-    const chartData = [];
-    const maxLength = Math.min(timestamps.length, closes.length);
-    
-    for (let i = 0; i < maxLength; i++) {
-      const timestamp = timestamps[i];
-      const close = closes[i];
-      
-      // Only include data points with valid timestamp and close price
-      if (timestamp && close !== null && close !== undefined && !isNaN(close)) {
-        chartData.push({
-          time: new Date(timestamp * 1000).toISOString(),
-          timestamp: timestamp * 1000,
-          open: opens[i] !== null && opens[i] !== undefined ? opens[i] : close,
-          high: highs[i] !== null && highs[i] !== undefined ? highs[i] : close,
-          low: lows[i] !== null && lows[i] !== undefined ? lows[i] : close,
-          close: close,
-          volume: volumes[i] !== null && volumes[i] !== undefined ? volumes[i] : 0,
-        });
-      }
-    }
-    
-    if (chartData.length === 0) {
+    if (series.bars.length === 0) {
       throw new Error('No valid price data points found');
     }
     
-    return {
-      symbol: symbol,
-      currentPrice: currentPrice,
-      data: chartData,
-    };
+    return toPriceChartData(symbol, series, quote?.price);
   } catch (error) {
     console.error('Failed to fetch price chart data:', error);
     throw error;
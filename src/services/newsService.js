@@ -1,5 +1,8 @@
 // News Service for Market News
 // Fetches financial news from Finnhub API and Yahoo Finance
+// Requests go through the shared request scheduler, so news and quotes share Finnhub's rate limit
+
+import { scheduleRequest, parseRetryAfter, createRateLimitError } from './requestScheduler';
 
 // Default Finnhub API key for production
 const DEFAULT_FINNHUB_KEY = 'd18ueuhr01qkcat4uip0d18ueuhr01qkcat4uipg';
@@ -49,127 +52,140 @@ const getFinnhubNewsUrl = (category = 'general', symbol = null) => {
   return `https://finnhub.io/api/v1/news?category=${category}&token=${apiKey}`;
 };
 
-// Fetch news from Finnhub
-export const fetchFinnhubNews = async (category = 'general', symbol = null) => {
+// Request news from Finnhub (throws on failure; 429s carry Retry-After for the scheduler)
+const requestFinnhubNews = async (category = 'general', symbol = null) => {
+  const url = getFinnhubNewsUrl(category, symbol);
+  
+  // Add timeout to prevent hanging
+  const timeoutPromise = new Promise((_, reject) => 
+    setTimeout(() => reject(new Error('Finnhub request timeout')), 10000)
+  );
+  
+  // Try direct fetch first
+  let response;
   try {
-    const url = getFinnhubNewsUrl(category, symbol);
-    
-    // Add timeout to prevent hanging
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Finnhub request timeout')), 10000)
-    );
-    
-    // Try direct fetch first
-    let response;
-    try {
-      const fetchPromise = fetch(url, {
+    const fetchPromise = fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+      },
+      mode: 'cors',
+    });
+    response = await Promise.race([fetchPromise, timeoutPromise]);
+  } catch (fetchError) {
+    // If CORS fails, try using a CORS proxy
+    if (fetchError.message && (fetchError.message.includes('CORS') || fetchError.message.includes('Failed to fetch'))) {
+      console.warn('Direct Finnhub fetch failed, trying CORS proxy...');
+      const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`;
+      const proxyFetchPromise = fetch(proxyUrl, {
         method: 'GET',
         headers: {
           'Accept': 'application/json',
         },
-        mode: 'cors',
       });
-      response = await Promise.race([fetchPromise, timeoutPromise]);
-    } catch (fetchError) {
-      // If CORS fails, try using a CORS proxy
-      if (fetchError.message && (fetchError.message.includes('CORS') || fetchError.message.includes('Failed to fetch'))) {
-        console.warn('Direct Finnhub fetch failed, trying CORS proxy...');
-        const proxyUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`;
-        const proxyFetchPromise = fetch(proxyUrl, {
-          method: 'GET',
-          headers: {
-            'Accept': 'application/json',
-          },
-        });
-        response = await Promise.race([proxyFetchPromise, timeoutPromise]);
-        
-        if (!response.ok) {
-          throw new Error(`CORS proxy failed: ${response.status}`);
-        }
-        
-        const proxyData = await response.json();
-        if (!proxyData || !proxyData.contents) {
-          throw new Error('No contents from CORS proxy');
-        }
-        
-        // Parse the JSON from the proxy response
-        const data = JSON.parse(proxyData.contents);
-        
-        // Check for API error responses
-        if (data && typeof data === 'object' && data.error) {
-          throw new Error(data.error);
-        }
-        
-        if (!data || (Array.isArray(data) && data.length === 0)) {
-          return [];
-        }
-        
-        // Normalize Finnhub news format
-        if (Array.isArray(data)) {
-          return data.map(item => ({
-            id: item.id || `${item.headline}-${item.datetime}`,
-            title: item.headline || item.title || 'No title',
-            summary: item.summary || item.description || '',
-            source: item.source || 'Unknown',
-            url: item.url || item.link || '#',
-            image: item.image || null,
-            datetime: item.datetime * 1000 || Date.now(), // Convert Unix timestamp to milliseconds
-            category: item.category || category,
-            symbol: item.related || symbol || null,
-            sentiment: item.sentiment || null,
-            apiSource: 'finnhub',
-          }));
-        }
-        
-        return [];
-      } else {
-        throw fetchError;
+      response = await Promise.race([proxyFetchPromise, timeoutPromise]);
+      
+      if (!response.ok) {
+        throw new Error(`CORS proxy failed: ${response.status}`);
       }
-    }
-    
-    if (!response.ok) {
-      // Check if it's a rate limit or auth error
-      if (response.status === 429) {
-        throw new Error('Finnhub API rate limit exceeded. Please try again later.');
+      
+      const proxyData = await response.json();
+      if (!proxyData || !proxyData.contents) {
+        throw new Error('No contents from CORS proxy');
       }
-      if (response.status === 401 || response.status === 403) {
-        throw new Error('Finnhub API key invalid. Please check your API key in Settings.');
+      
+      // Parse the JSON from the proxy response
+      const data = JSON.parse(proxyData.contents);
+      
+      // Check for API error responses
+      if (data && typeof data === 'object' && data.error) {
+        throw new Error(data.error);
       }
-      const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`Failed to fetch news: ${response.status} ${response.statusText}. ${errorText}`);
-    }
-    
-    const data = await response.json();
-    
-    // Check for API error responses
-    if (data && typeof data === 'object' && data.error) {
-      throw new Error(data.error);
-    }
-    
-    if (!data || (Array.isArray(data) && data.length === 0)) {
+      
+      if (!data || (Array.isArray(data) && data.length === 0)) {
+        return [];
+      }
+      
+      // Normalize Finnhub news format
+      if (Array.isArray(data)) {
+        return data.map(item => ({
+          id: item.id || `${item.headline}-${item.datetime}`,
+          title: item.headline || item.title || 'No title',
+          summary: item.summary || item.description || '',
+          source: item.source || 'Unknown',
+          url: item.url || item.link || '#',
+          image: item.image || null,
+          datetime: item.datetime * 1000 || Date.now(), // Convert Unix timestamp to milliseconds
+          category: item.category || category,
+          symbol: item.related || symbol || null,
+          sentiment: item.sentiment || null,
+          apiSource: 'finnhub',
+        }));
+      }
+      
       return [];
+    } else {
+      throw fetchError;
     }
-    
-    // Normalize Finnhub news format
-    if (Array.isArray(data)) {
-      return data.map(item => ({
-        id: item.id || `${item.headline}-${item.datetime}`,
-        title: item.headline || item.title || 'No title',
-        summary: item.summary || item.description || '',
-        source: item.source || 'Unknown',
-        url: item.url || item.link || '#',
-        image: item.image || null,
-        datetime: item.datetime * 1000 || Date.now(), // Convert Unix timestamp to milliseconds
-        category: item.category || category,
-        symbol: item.related || symbol || null,
-        sentiment: item.sentiment || null,
-        apiSource: 'finnhub',
-      }));
+  }
+  
+  if (!response.ok) {
+    // Check if it's a rate limit or auth error
+    if (response.status === 429) {
+      throw createRateLimitError('Finnhub API rate limit exceeded. Please try again later.', parseRetryAfter(response.headers.get('retry-after')));
     }
-    
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Finnhub API key invalid. Please check your API key in Settings.');
+    }
+    const errorText = await response.text().catch(() => 'Unknown error');
+    throw new Error(`Failed to fetch news: ${response.status} ${response.statusText}. ${errorText}`);
+  }
+  
+  const data = await response.json();
+  
+  // Check for API error responses
+  if (data && typeof data === 'object' && data.error) {
+    throw new Error(data.error);
+  }
+  
+  if (!data || (Array.isArray(data) && data.length === 0)) {
     return [];
+  }
+  
+  // Normalize Finnhub news format
+  if (Array.isArray(data)) {
+    return data.map(item => ({
+      id: item.id || `${item.headline}-${item.datetime}`,
+      title: item.headline || item.title || 'No title',
+      summary: item.summary || item.description || '',
+      source: item.source || 'Unknown',
+      url: item.url || item.link || '#',
+      image: item.image || null,
+      datetime: item.datetime * 1000 || Date.now(), // Convert Unix timestamp to milliseconds
+      category: item.category || category,
+      symbol: item.related || symbol || null,
+      sentiment: item.sentiment || null,
+      apiSource: 'finnhub',
+    }));
+  }
+  
+  return [];
+};
+
+// Fetch news from Finnhub
+// Rate-limit errors are rethrown (after the scheduler's retries) so callers can report them
+export const fetchFinnhubNews = async (category = 'general', symbol = null, { priority = 'normal' } = {}) => {
+  try {
+    return await scheduleRequest(() => requestFinnhubNews(category, symbol), {
+      limit: 'finnhub',
+      key: `news_${category}_${symbol || ''}`,
+      priority,
+    });
   } catch (error) {
     console.error('Error fetching news from Finnhub:', error);
+    if (error.status === 429) {
+      throw error;
+    }
     // Don't throw - return empty array so other sources can still work
     return [];
   }
@@ -223,14 +239,14 @@ export const fetchFibhubNews = async (category = 'general', symbol = null) => {
       setTimeout(() => reject(new Error('Fibhub request timeout')), 8000)
     );
     
-    const fetchPromise = fetch(url, {
+    const fetchPromise = scheduleRequest(() => fetch(url, {
       method: 'GET',
       headers: {
         'Accept': 'application/json',
       },
       // Add mode to handle CORS if needed
       mode: 'cors',
-    });
+    }), { limit: 'fibhub' });
     
     const response = await Promise.race([fetchPromise, timeoutPromise]);
     
@@ -326,12 +342,12 @@ export const fetchYahooFinanceNews = async (category = 'general') => {
       setTimeout(() => reject(new Error('Yahoo Finance request timeout')), 10000)
     );
     
-    const fetchPromise = fetch(proxyUrl, {
+    const fetchPromise = scheduleRequest(() => fetch(proxyUrl, {
       method: 'GET',
       headers: {
         'Accept': 'application/json',
       },
-    });
+    }), { limit: 'allorigins' });
     
     const response = await Promise.race([fetchPromise, timeoutPromise]);
     
@@ -458,7 +474,7 @@ export const fetchMarketNews = async (category = 'general', symbol = null) => {
         })
         .catch(error => {
           console.error('Finnhub fetch error:', error);
-          errors.push({ source: 'finnhub', error: error.message });
+          errors.push({ source: 'finnhub', error: error.message, rateLimited: error.status === 429 });
           return [];
         })
     );
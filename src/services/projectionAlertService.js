@@ -0,0 +1,191 @@
+// Projection Alert Service - Live alerts on saved projections
+// Alerts are built and checked by utils/projectionAlerts.js. startProjectionAlerts subscribes
+// to live quotes for every symbol with an active alert and fires events in-app (subscribeAlertEvents)
+// and as browser notifications. Everything pauses while Settings > Price Alerts is off.
+import { subscribeQuotes } from './quoteStream';
+import { createProjectionAlert, checkProjectionAlert } from '../utils/projectionAlerts';
+
+const STORAGE_KEY = 'projectionAlerts';
+
+const alertListeners = new Set();
+const eventListeners = new Set();
+// symbol -> unsubscribe from its quotes
+const quoteSubscriptions = new Map();
+let started = false;
+
+// Get all alerts, newest first
+export const getProjectionAlerts = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) {
+      return JSON.parse(saved);
+    }
+  } catch (error) {
+    console.error('Error loading projection alerts:', error);
+  }
+  return [];
+};
+
+// Alerts on one saved projection
+export const getAlertsForProjection = (projectionId) => {
+  return getProjectionAlerts().filter(alert => alert.projectionId === projectionId);
+};
+
+const saveAlerts = (alerts) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(alerts));
+  alertListeners.forEach(listener => listener(alerts));
+  syncProjectionAlerts();
+};
+
+// Whether Settings > Price Alerts is on (on by default)
+export const arePriceAlertsEnabled = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem('notificationSettings'));
+    return saved?.priceAlerts ?? true;
+  } catch {
+    return true;
+  }
+};
+
+// Ask for browser notification permission if it hasn't been answered yet
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return 'denied';
+  }
+};
+
+// Add an alert on a saved projection (see createProjectionAlert for options); throws when
+// the projection has nothing to watch
+export const addProjectionAlert = (projection, options) => {
+  const alert = createProjectionAlert(projection, options);
+  try {
+    saveAlerts([alert, ...getProjectionAlerts()]);
+    requestNotificationPermission();
+    return alert;
+  } catch (error) {
+    console.error('Error saving projection alert:', error);
+    throw error;
+  }
+};
+
+// Pause or resume an alert (expired alerts stay off)
+export const setProjectionAlertActive = (id, active) => {
+  try {
+    saveAlerts(getProjectionAlerts().map(alert => (
+      alert.id === id ? { ...alert, active: active && !alert.state.expired } : alert
+    )));
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating projection alert:', error);
+    throw error;
+  }
+};
+
+// Delete an alert
+export const deleteProjectionAlert = (id) => {
+  try {
+    saveAlerts(getProjectionAlerts().filter(alert => alert.id !== id));
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting projection alert:', error);
+    throw error;
+  }
+};
+
+// Delete every alert on a saved projection
+export const deleteAlertsForProjection = (projectionId) => {
+  try {
+    const alerts = getProjectionAlerts();
+    const kept = alerts.filter(alert => alert.projectionId !== projectionId);
+    if (kept.length !== alerts.length) {
+      saveAlerts(kept);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting projection alerts:', error);
+    throw error;
+  }
+};
+
+// Subscribe to alert list changes. Returns an unsubscribe function.
+export const subscribeProjectionAlerts = (listener) => {
+  alertListeners.add(listener);
+  return () => alertListeners.delete(listener);
+};
+
+// Subscribe to fired events; listener receives (event, alert). Returns an unsubscribe function.
+export const subscribeAlertEvents = (listener) => {
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+};
+
+const showNotification = (event) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    new Notification('Projection alert', { body: event.message, tag: `${event.type}-${event.time}` });
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+};
+
+// Check a quote against every active alert on its symbol
+const handleQuote = (quote) => {
+  if (!arePriceAlertsEnabled()) return;
+  const alerts = getProjectionAlerts();
+  const fired = [];
+  let changed = false;
+  const updated = alerts.map(alert => {
+    if (alert.symbol.toUpperCase() !== String(quote.symbol).toUpperCase()) return alert;
+    const result = checkProjectionAlert(alert, quote.price, quote.timestamp || Date.now());
+    if (result.alert !== alert) changed = true;
+    result.events.forEach(event => fired.push([event, result.alert]));
+    return result.alert;
+  });
+  if (!changed) return;
+
+  try {
+    saveAlerts(updated);
+  } catch (error) {
+    console.error('Error saving projection alerts:', error);
+  }
+  fired.forEach(([event, alert]) => {
+    eventListeners.forEach(listener => listener(event, alert));
+    if (event.type !== 'expired') showNotification(event);
+  });
+};
+
+// Match quote subscriptions to the symbols with active alerts
+export const syncProjectionAlerts = () => {
+  if (!started) return;
+  const symbols = arePriceAlertsEnabled()
+    ? new Set(getProjectionAlerts().filter(alert => alert.active).map(alert => alert.symbol.toUpperCase()))
+    : new Set();
+
+  quoteSubscriptions.forEach((unsubscribe, symbol) => {
+    if (!symbols.has(symbol)) {
+      unsubscribe();
+      quoteSubscriptions.delete(symbol);
+    }
+  });
+  symbols.forEach(symbol => {
+    if (!quoteSubscriptions.has(symbol)) {
+      quoteSubscriptions.set(symbol, subscribeQuotes(symbol, handleQuote));
+    }
+  });
+};
+
+// Start watching quotes for active alerts. Returns a function that stops watching.
+export const startProjectionAlerts = () => {
+  started = true;
+  syncProjectionAlerts();
+  return () => {
+    started = false;
+    quoteSubscriptions.forEach(unsubscribe => unsubscribe());
+    quoteSubscriptions.clear();
+  };
+};
@@ -1,4 +1,9 @@
 // Projection Service - Save and load projection data
+import { getBarSeries } from './monitorService';
+import { getRangeSince } from './candleCache';
+import { deleteAlertsForProjection } from './projectionAlertService';
+import { evaluateSavedProjection, needsEvaluation } from '../utils/projectionScoring';
+
 const STORAGE_KEY = 'savedProjections';
 
 // Get all saved projections
@@ -32,12 +37,13 @@ export const saveProjection = (projectionData) => {
   }
 };
 
-// Delete a projection
+// Delete a projection and its alerts
 export const deleteProjection = (id) => {
   try {
     const projections = getSavedProjections();
     const filtered = projections.filter(p => p.id !== id);
     localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
+    deleteAlertsForProjection(id);
     return { success: true };
   } catch (error) {
     console.error('Error deleting projection:', error);
@@ -77,3 +83,47 @@ export const getProjection = (id) => {
   }
 };
 
+// Store the realized-price evaluation of a projection (not a user edit, so updatedAt stays)
+const saveEvaluations = (evaluations) => {
+  const projections = getSavedProjections().map(projection =>
+    evaluations.has(projection.id) ? { ...projection, evaluation: evaluations.get(projection.id) } : projection
+  );
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(projections));
+  return projections;
+};
+
+// Re-score saved projections whose projected bars have started to print
+// Fetches bars once per symbol and interval; projections with a complete evaluation
+// (every projected bar scored, or the horizon long past) are left alone.
+// Resolves to the updated projection list.
+export const evaluateSavedProjections = async (now = Date.now()) => {
+  const pending = getSavedProjections().filter(projection => needsEvaluation(projection, now));
+  if (pending.length === 0) return getSavedProjections();
+
+  const groups = new Map();
+  pending.forEach(projection => {
+    const key = `${projection.symbol}_${projection.interval}`;
+    groups.set(key, [...(groups.get(key) || []), projection]);
+  });
+
+  const evaluations = new Map();
+  for (const group of groups.values()) {
+    const { symbol, interval } = group[0];
+    const earliest = Math.min(...group.map(projection => projection.projectedTimes.find(Boolean)));
+    try {
+      const series = await getBarSeries(symbol, interval === '1H' ? '1h' : '1d', getRangeSince(earliest, now), { priority: 'normal' });
+      group.forEach(projection => {
+        evaluations.set(projection.id, evaluateSavedProjection(projection, series.bars, now));
+      });
+    } catch (error) {
+      console.error(`Error scoring saved projections for ${symbol}:`, error);
+    }
+  }
+
+  try {
+    return evaluations.size > 0 ? saveEvaluations(evaluations) : getSavedProjections();
+  } catch (error) {
+    console.error('Error saving projection evaluations:', error);
+    return getSavedProjections();
+  }
+};
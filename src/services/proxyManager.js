@@ -0,0 +1,344 @@
+// CORS Proxy Manager
+// Routes production requests for proxied providers (Yahoo Finance) through the healthiest
+// CORS proxy. Tracks per-proxy success rate and latency percentiles, trips a circuit
+// breaker after repeated failures, supports user-defined proxies from Settings and keeps
+// a log of recent routing decisions for the diagnostics panel.
+//
+// Proxy URL templates: {url} is replaced with the encoded target URL, {rawUrl} with the
+// target as-is. Templates without a placeholder get the encoded URL appended.
+
+const CUSTOM_PROXIES_KEY = 'customProxies';
+const DISABLED_PROXIES_KEY = 'disabledProxies';
+const STATS_KEY = 'proxyStats';
+
+const FAILURE_THRESHOLD = 3; // consecutive failures before the breaker opens
+const BASE_COOLDOWN = 30 * 1000;
+const MAX_COOLDOWN = 10 * 60 * 1000;
+const LATENCY_SAMPLES = 50;
+const MAX_DECISIONS = 50;
+const DEFAULT_LATENCY = 1500; // assumed latency for proxies without history
+
+// Built-in public proxies (tested and working as of Dec 2024)
+const BUILTIN_PROXIES = [
+  {
+    id: 'corsproxy.io',
+    name: 'corsproxy.io',
+    template: 'https://corsproxy.io/?{url}',
+    headers: {},
+  },
+  {
+    id: 'cors-anywhere-heroku',
+    name: 'cors-anywhere-heroku',
+    template: 'https://cors-anywhere.herokuapp.com/{rawUrl}',
+    headers: { 'X-Requested-With': 'XMLHttpRequest' },
+  },
+  {
+    id: 'thingproxy',
+    name: 'thingproxy',
+    template: 'https://thingproxy.freeboard.io/fetch/{rawUrl}',
+    headers: {},
+  },
+];
+
+let stats = null;
+let saveTimer = null;
+const decisions = [];
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Build the proxied URL for a target from a template
+export const buildProxyUrl = (template, url) => {
+  if (template.includes('{url}')) {
+    return template.replace('{url}', encodeURIComponent(url));
+  }
+  if (template.includes('{rawUrl}')) {
+    return template.replace('{rawUrl}', url);
+  }
+  return `${template}${encodeURIComponent(url)}`;
+};
+
+// Check that a template is an http(s) URL
+export const isValidProxyTemplate = (template) => {
+  try {
+    const url = new URL(buildProxyUrl(String(template).trim(), 'https://example.com/'));
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : fallback;
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return fallback;
+  }
+};
+
+// Get user-defined proxies: [{ id, name, template }]
+export const getCustomProxies = () => {
+  const saved = readJson(CUSTOM_PROXIES_KEY, []);
+  return Array.isArray(saved) ? saved.filter(proxy => proxy && proxy.id && proxy.template) : [];
+};
+
+// Add a user-defined proxy (e.g. a self-hosted one)
+export const addCustomProxy = ({ name, template }) => {
+  const trimmed = String(template || '').trim();
+  if (!isValidProxyTemplate(trimmed)) {
+    throw new Error('Proxy URL must be an http(s) URL, e.g. https://proxy.example.com/?url={url}');
+  }
+  const proxies = getCustomProxies();
+  if (proxies.some(proxy => proxy.template === trimmed)) {
+    throw new Error('This proxy is already configured');
+  }
+  const proxy = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: String(name || '').trim() || new URL(buildProxyUrl(trimmed, 'https://example.com/')).host,
+    template: trimmed,
+  };
+  localStorage.setItem(CUSTOM_PROXIES_KEY, JSON.stringify([...proxies, proxy]));
+  notify();
+  return proxy;
+};
+
+// Remove a user-defined proxy and its stats
+export const removeCustomProxy = (id) => {
+  localStorage.setItem(CUSTOM_PROXIES_KEY, JSON.stringify(getCustomProxies().filter(proxy => proxy.id !== id)));
+  delete getStats()[id];
+  scheduleSave();
+  notify();
+};
+
+// Enable or disable any proxy for routing
+export const setProxyEnabled = (id, enabled) => {
+  const disabled = new Set(readJson(DISABLED_PROXIES_KEY, []));
+  if (enabled) {
+    disabled.delete(id);
+  } else {
+    disabled.add(id);
+  }
+  localStorage.setItem(DISABLED_PROXIES_KEY, JSON.stringify([...disabled]));
+  notify();
+};
+
+// All proxies, custom ones first: [{ id, name, template, headers, builtin, enabled, getUrl }]
+export const getProxies = () => {
+  const disabled = new Set(readJson(DISABLED_PROXIES_KEY, []));
+  return [
+    ...getCustomProxies().map(proxy => ({ headers: {}, ...proxy, builtin: false })),
+    ...BUILTIN_PROXIES.map(proxy => ({ ...proxy, builtin: true })),
+  ].map(proxy => ({
+    ...proxy,
+    enabled: !disabled.has(proxy.id),
+    getUrl: (url) => buildProxyUrl(proxy.template, url),
+  }));
+};
+
+// Load persisted stats once
+const getStats = () => {
+  if (!stats) {
+    const saved = readJson(STATS_KEY, {});
+    stats = saved && typeof saved === 'object' ? saved : {};
+  }
+  return stats;
+};
+
+const scheduleSave = () => {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      localStorage.setItem(STATS_KEY, JSON.stringify(getStats()));
+    } catch (error) {
+      console.error('Error saving proxy stats:', error);
+    }
+  }, 2000);
+};
+
+const getProxyStats = (id) => {
+  const all = getStats();
+  if (!all[id]) {
+    all[id] = {
+      attempts: 0,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      latencies: [],
+      failureKinds: {},
+      lastError: null,
+      lastUsed: null,
+      breaker: { state: 'closed', openedAt: null, cooldown: 0, trips: 0 },
+    };
+  }
+  return all[id];
+};
+
+// Nearest-rank percentile of a list of numbers
+export const percentile = (values, p) => {
+  if (!values || values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+// Breaker state, moving open breakers to half-open once their cooldown has passed
+const getBreakerState = (entry, now = Date.now()) => {
+  const { breaker } = entry;
+  if (breaker.state === 'open' && now >= breaker.openedAt + breaker.cooldown) {
+    return 'half-open';
+  }
+  return breaker.state;
+};
+
+// Classify a failed request: timeout, http, bad-payload or network
+export const classifyFailure = (error) => {
+  if (error?.kind) return error.kind;
+  if (error?.name === 'AbortError') return 'timeout';
+  if (/^HTTP \d+/.test(error?.message || '')) return 'http';
+  return 'network';
+};
+
+// Record the outcome of a request through a proxy
+export const recordProxyResult = (id, { ok, latency = 0, error = null }) => {
+  const entry = getProxyStats(id);
+  const now = Date.now();
+  const state = getBreakerState(entry, now);
+  entry.attempts++;
+  entry.lastUsed = now;
+
+  if (ok) {
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.latencies = [...entry.latencies, Math.round(latency)].slice(-LATENCY_SAMPLES);
+    entry.breaker = { state: 'closed', openedAt: null, cooldown: 0, trips: 0 };
+  } else {
+    const kind = classifyFailure(error);
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.failureKinds[kind] = (entry.failureKinds[kind] || 0) + 1;
+    entry.lastError = { time: now, kind, message: String(error?.message || error || 'Unknown error').slice(0, 200) };
+
+    // A failed half-open trial or too many failures in a row (re)opens the breaker
+    if (state === 'half-open' || (state === 'closed' && entry.consecutiveFailures >= FAILURE_THRESHOLD)) {
+      const trips = entry.breaker.trips + 1;
+      entry.breaker = {
+        state: 'open',
+        openedAt: now,
+        cooldown: Math.min(MAX_COOLDOWN, BASE_COOLDOWN * 2 ** (trips - 1)),
+        trips,
+      };
+    }
+  }
+
+  scheduleSave();
+  notify();
+};
+
+// Expected cost of routing through a proxy: median latency inflated by its failure rate
+const getRouteCost = (entry) => {
+  const successRate = (entry.successes + 1) / (entry.attempts + 2);
+  const median = percentile(entry.latencies, 50) ?? DEFAULT_LATENCY;
+  return median / successRate;
+};
+
+// Summary of one proxy for the diagnostics panel
+export const getProxySummary = (proxy, now = Date.now()) => {
+  const entry = getProxyStats(proxy.id);
+  const state = getBreakerState(entry, now);
+  return {
+    id: proxy.id,
+    name: proxy.name,
+    builtin: proxy.builtin,
+    enabled: proxy.enabled,
+    template: proxy.template,
+    state,
+    attempts: entry.attempts,
+    successes: entry.successes,
+    failures: entry.failures,
+    successRate: entry.attempts > 0 ? (entry.successes / entry.attempts) * 100 : null,
+    p50: percentile(entry.latencies, 50),
+    p90: percentile(entry.latencies, 90),
+    p99: percentile(entry.latencies, 99),
+    failureKinds: { ...entry.failureKinds },
+    lastError: entry.lastError,
+    lastUsed: entry.lastUsed,
+    retryAt: state === 'open' ? entry.breaker.openedAt + entry.breaker.cooldown : null,
+    cost: Math.round(getRouteCost(entry)),
+  };
+};
+
+// Summaries for every configured proxy
+export const getProxySummaries = () => {
+  const now = Date.now();
+  return getProxies().map(proxy => getProxySummary(proxy, now));
+};
+
+// Pick the order to try proxies in.
+// Returns { proxies, skipped: [{ id, name, reason }] }
+// Closed breakers come first (cheapest first), then half-open ones as trial requests.
+// Open breakers are skipped unless every enabled proxy is open.
+export const getProxyRoute = () => {
+  const now = Date.now();
+  const skipped = [];
+  const candidates = [];
+
+  getProxies().forEach(proxy => {
+    if (!proxy.enabled) {
+      skipped.push({ id: proxy.id, name: proxy.name, reason: 'disabled' });
+      return;
+    }
+    candidates.push({ proxy, summary: getProxySummary(proxy, now) });
+  });
+
+  const stateRank = { closed: 0, 'half-open': 1 };
+  const usable = candidates
+    .filter(c => c.summary.state !== 'open')
+    .sort((a, b) => stateRank[a.summary.state] - stateRank[b.summary.state] || a.summary.cost - b.summary.cost);
+  const open = candidates
+    .filter(c => c.summary.state === 'open')
+    .sort((a, b) => a.summary.retryAt - b.summary.retryAt);
+
+  if (usable.length === 0) {
+    // Every breaker is open: try them anyway, soonest to recover first
+    open.forEach(c => skipped.push({ id: c.proxy.id, name: c.proxy.name, reason: 'circuit open (tried anyway, all proxies open)' }));
+    return { proxies: open.map(c => c.proxy), skipped, ranking: open.map(c => c.summary) };
+  }
+
+  open.forEach(c => {
+    const seconds = Math.max(0, Math.ceil((c.summary.retryAt - now) / 1000));
+    skipped.push({ id: c.proxy.id, name: c.proxy.name, reason: `circuit open, retry in ${seconds}s` });
+  });
+  return { proxies: usable.map(c => c.proxy), skipped, ranking: usable.map(c => c.summary) };
+};
+
+// Log how a request was routed
+// decision: { provider, symbol, target, ranking, skipped, attempts: [{ proxy, ok, latency, kind, error }], servedBy }
+export const recordRouteDecision = (decision) => {
+  decisions.unshift({ time: Date.now(), ...decision });
+  decisions.length = Math.min(decisions.length, MAX_DECISIONS);
+  notify();
+};
+
+// Recent routing decisions, newest first
+export const getRouteDecisions = () => [...decisions];
+
+// Reset stats and breakers for every proxy
+export const resetProxyStats = () => {
+  stats = {};
+  decisions.length = 0;
+  try {
+    localStorage.removeItem(STATS_KEY);
+  } catch (error) {
+    console.error('Error clearing proxy stats:', error);
+  }
+  notify();
+};
+
+// Subscribe to stats, configuration and routing changes. Returns an unsubscribe function.
+export const subscribeProxyEvents = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
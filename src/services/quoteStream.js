@@ -0,0 +1,343 @@
+// Streaming Quote Service
+// Multiplexes live trade subscriptions for every symbol on screen over one
+// Finnhub-style WebSocket and aggregates ticks into the current bar.
+// When the socket is down (or a symbol can't be streamed, e.g. ^VIX) subscribed
+// symbols are polled with fetchMarketData instead.
+//
+// Protocol (Finnhub trades):
+//   -> { "type": "subscribe", "symbol": "AAPL" } / { "type": "unsubscribe", ... }
+//   <- { "type": "trade", "data": [{ "s": "AAPL", "p": 189.5, "t": 1700000000000, "v": 100 }] }
+//   <- { "type": "ping" }
+//
+// The socket URL can be pointed at a local mock server (scripts/mock-quote-stream.js)
+// with VITE_QUOTE_STREAM_URL or localStorage.quoteStreamUrl.
+
+import { fetchMarketData, normalizeQuote, getApiKeys } from './monitorService';
+import { getIntervalMs } from '../utils/barSeries';
+
+const DEFAULT_STREAM_URL = 'wss://ws.finnhub.io';
+const MAX_RECONNECT_DELAY = 30000;
+const MIN_POLL_INTERVAL = 5000;
+
+// symbol -> Set of quote listeners
+const quoteListeners = new Map();
+// symbol -> Set of bar subscriptions { interval, anchor, bar, listener }
+const barSubscriptions = new Map();
+const statusListeners = new Set();
+const lastQuotes = new Map();
+
+let socket = null;
+let status = 'idle'; // idle | connecting | streaming | polling
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let pollTimer = null;
+
+// Symbols Finnhub can stream (Yahoo-only symbols like ^VIX or DX-Y.NYB are polled)
+export const isStreamable = (symbol) => /^[A-Z0-9.:]+$/.test(symbol);
+
+// Get the socket URL, with the Finnhub token appended for the default endpoint
+const getStreamUrl = () => {
+  let base = DEFAULT_STREAM_URL;
+  try {
+    base = localStorage.getItem('quoteStreamUrl') || import.meta.env.VITE_QUOTE_STREAM_URL || DEFAULT_STREAM_URL;
+  } catch (error) {
+    console.error('Error loading quote stream URL:', error);
+  }
+  // Custom endpoints (the mock server, a relay) never get the Finnhub key
+  const token = base === DEFAULT_STREAM_URL ? getApiKeys().finnhub : null;
+  const separator = base.includes('?') ? '&' : '?';
+  return token ? `${base}${separator}token=${token}` : base;
+};
+
+// Poll interval follows the refresh interval in Settings
+const getPollInterval = () => {
+  const seconds = parseInt(localStorage.getItem('refreshInterval')) || 30;
+  return Math.max(MIN_POLL_INTERVAL, seconds * 1000);
+};
+
+// All symbols with at least one quote or bar subscriber
+const getSubscribedSymbols = () => {
+  return [...new Set([...quoteListeners.keys(), ...barSubscriptions.keys()])];
+};
+
+const setStatus = (next) => {
+  if (status === next) return;
+  status = next;
+  statusListeners.forEach(listener => listener(status));
+};
+
+const isSocketOpen = () => socket && socket.readyState === WebSocket.OPEN;
+
+const send = (message) => {
+  if (isSocketOpen()) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Bucket start for a tick; anchor aligns buckets with existing bars (e.g. the last chart bar)
+const getBucketStart = (time, step, anchor = 0) => {
+  return anchor + Math.floor((time - anchor) / step) * step;
+};
+
+// Fold a tick into each bar subscription for its symbol
+const updateBars = (symbol, price, volume, time) => {
+  const subscriptions = barSubscriptions.get(symbol);
+  if (!subscriptions) return;
+
+  subscriptions.forEach(subscription => {
+    const step = getIntervalMs(subscription.interval);
+    const bucket = getBucketStart(time, step, subscription.anchor);
+    const current = subscription.bar;
+
+    if (current && bucket < current.time) {
+      return; // Late tick for a bar that has already closed
+    }
+    if (!current || bucket > current.time) {
+      subscription.bar = { time: bucket, open: price, high: price, low: price, close: price, volume };
+    } else {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+      current.volume += volume;
+    }
+    subscription.listener({ ...subscription.bar });
+  });
+};
+
+// Deliver a quote update to listeners and bar aggregators
+const emitQuote = (quote) => {
+  const previous = lastQuotes.get(quote.symbol);
+  const merged = { ...previous, ...quote };
+  lastQuotes.set(quote.symbol, merged);
+  (quoteListeners.get(quote.symbol) || []).forEach(listener => listener(merged));
+  updateBars(quote.symbol, quote.price, quote.tradeVolume || 0, quote.timestamp);
+};
+
+// Handle a socket message
+const handleMessage = (event) => {
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch {
+    return;
+  }
+  if (message.type !== 'trade' || !Array.isArray(message.data)) {
+    return;
+  }
+  message.data.forEach(trade => {
+    const price = Number(trade.p);
+    if (!trade.s || !Number.isFinite(price) || price <= 0) return;
+    emitQuote({
+      symbol: trade.s,
+      price,
+      tradeVolume: Number(trade.v) || 0,
+      timestamp: Number(trade.t) || Date.now(),
+      source: 'stream',
+    });
+  });
+};
+
+// Poll symbols that the socket isn't covering
+const pollQuotes = async () => {
+  const symbols = getSubscribedSymbols().filter(symbol => !isSocketOpen() || !isStreamable(symbol));
+  await Promise.all(symbols.map(async (symbol) => {
+    try {
+      const result = await fetchMarketData(symbol, '1d', '1d', false, { priority: 'low' });
+      const quote = normalizeQuote(symbol, result);
+      if (!quote.price) return;
+      emitQuote({
+        symbol,
+        price: quote.price,
+        previousClose: quote.previousClose,
+        volume: quote.volume,
+        tradeVolume: 0,
+        timestamp: Date.now(),
+        marketState: quote.marketState,
+        source: 'poll',
+      });
+    } catch (error) {
+      console.error(`Quote poll failed for ${symbol}:`, error);
+    }
+  }));
+};
+
+const startPolling = () => {
+  if (pollTimer) return;
+  pollQuotes();
+  pollTimer = setInterval(pollQuotes, getPollInterval());
+};
+
+const stopPolling = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+// Polling is needed while the socket is down or for symbols it can't stream
+const updatePolling = () => {
+  const symbols = getSubscribedSymbols();
+  const needsPolling = symbols.length > 0 && (!isSocketOpen() || symbols.some(symbol => !isStreamable(symbol)));
+  if (needsPolling) {
+    startPolling();
+  } else {
+    stopPolling();
+  }
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || getSubscribedSymbols().length === 0) return;
+  const delay = Math.min(MAX_RECONNECT_DELAY, 1000 * 2 ** reconnectAttempts);
+  reconnectAttempts++;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+};
+
+// Open the socket and subscribe every streamable symbol
+const connect = () => {
+  if (socket || typeof WebSocket === 'undefined') {
+    updatePolling();
+    return;
+  }
+
+  setStatus('connecting');
+  try {
+    socket = new WebSocket(getStreamUrl());
+  } catch (error) {
+    console.error('Error opening quote stream:', error);
+    socket = null;
+    setStatus('polling');
+    updatePolling();
+    scheduleReconnect();
+    return;
+  }
+
+  socket.onopen = () => {
+    reconnectAttempts = 0;
+    getSubscribedSymbols().filter(isStreamable).forEach(symbol => send({ type: 'subscribe', symbol }));
+    setStatus('streaming');
+    updatePolling();
+  };
+  socket.onmessage = handleMessage;
+  socket.onerror = () => {
+    // onclose follows and handles the fallback
+  };
+  socket.onclose = () => {
+    socket = null;
+    if (getSubscribedSymbols().length === 0) {
+      setStatus('idle');
+      return;
+    }
+    setStatus('polling');
+    updatePolling();
+    scheduleReconnect();
+  };
+
+  // Cover the gap until the socket opens
+  updatePolling();
+};
+
+const disconnect = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  stopPolling();
+  if (socket) {
+    const closing = socket;
+    socket = null;
+    closing.onclose = null;
+    closing.close();
+  }
+  reconnectAttempts = 0;
+  setStatus('idle');
+};
+
+// Start streaming a symbol after its first listener was added
+const activateSymbol = (symbol, isNew) => {
+  if (isNew && isStreamable(symbol)) {
+    send({ type: 'subscribe', symbol });
+  }
+  if (!socket) {
+    connect();
+  } else {
+    updatePolling();
+  }
+};
+
+// Drop a symbol once nothing listens to it
+const releaseSymbol = (symbol) => {
+  if (quoteListeners.has(symbol) || barSubscriptions.has(symbol)) {
+    return;
+  }
+  if (isStreamable(symbol)) {
+    send({ type: 'unsubscribe', symbol });
+  }
+  lastQuotes.delete(symbol);
+  if (getSubscribedSymbols().length === 0) {
+    disconnect();
+  } else {
+    updatePolling();
+  }
+};
+
+// Subscribe to live quotes for a symbol. Returns an unsubscribe function.
+// listener receives { symbol, price, timestamp, source: 'stream' | 'poll', previousClose?, volume?, marketState? }
+export const subscribeQuotes = (symbol, listener) => {
+  const key = String(symbol).toUpperCase();
+  const isNew = !getSubscribedSymbols().includes(key);
+  if (!quoteListeners.has(key)) {
+    quoteListeners.set(key, new Set());
+  }
+  quoteListeners.get(key).add(listener);
+  activateSymbol(key, isNew);
+
+  if (lastQuotes.has(key)) {
+    listener(lastQuotes.get(key));
+  }
+
+  return () => {
+    const listeners = quoteListeners.get(key);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      quoteListeners.delete(key);
+      releaseSymbol(key);
+    }
+  };
+};
+
+// Subscribe to the live bar being built from ticks. Returns an unsubscribe function.
+// options.anchor aligns bar buckets to an existing bar time (ms)
+// options.bar seeds the current bar (e.g. the last bar already on the chart)
+export const subscribeBars = (symbol, interval, listener, { anchor = 0, bar = null } = {}) => {
+  const key = String(symbol).toUpperCase();
+  const isNew = !getSubscribedSymbols().includes(key);
+  const subscription = { interval, anchor, bar: bar ? { ...bar } : null, listener };
+  if (!barSubscriptions.has(key)) {
+    barSubscriptions.set(key, new Set());
+  }
+  barSubscriptions.get(key).add(subscription);
+  activateSymbol(key, isNew);
+
+  return () => {
+    const subscriptions = barSubscriptions.get(key);
+    if (!subscriptions) return;
+    subscriptions.delete(subscription);
+    if (subscriptions.size === 0) {
+      barSubscriptions.delete(key);
+      releaseSymbol(key);
+    }
+  };
+};
+
+// Subscribe to connection status changes ('idle' | 'connecting' | 'streaming' | 'polling')
+export const subscribeStreamStatus = (listener) => {
+  statusListeners.add(listener);
+  listener(status);
+  return () => statusListeners.delete(listener);
+};
+
+export const getStreamStatus = () => status;
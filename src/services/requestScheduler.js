@@ -0,0 +1,197 @@
+// Request Scheduler
+// Central queue for outbound API calls from monitorService and newsService.
+//  - Identical in-flight requests (same key) share one promise
+//  - Each rate limit (usually one per provider) is a token bucket
+//  - Queued requests run by priority: 'high' (visible chart) > 'normal' > 'low' (background refresh)
+//  - A 429 pauses the limit for its Retry-After and re-queues the request
+// Components can subscribe to the status to show "rate-limited, retrying in Ns".
+
+export const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const DEFAULT_RETRY_AFTER = 15000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Token buckets per limit: capacity is the burst size, perMinute the refill rate
+const DEFAULT_LIMITS = {
+  finnhub: { capacity: 30, perMinute: 60 }, // free tier: 60 calls/minute
+  yahoo: { capacity: 20, perMinute: 120 },
+  massive: { capacity: 5, perMinute: 5 },
+  fibhub: { capacity: 30, perMinute: 60 },
+  allorigins: { capacity: 10, perMinute: 30 },
+  default: { capacity: 20, perMinute: 120 },
+};
+
+const limiters = new Map();
+const inflight = new Map();
+const listeners = new Set();
+let sequence = 0;
+
+const getLimiter = (name) => {
+  if (!limiters.has(name)) {
+    const config = DEFAULT_LIMITS[name] || DEFAULT_LIMITS.default;
+    limiters.set(name, {
+      name,
+      capacity: config.capacity,
+      perMinute: config.perMinute,
+      tokens: config.capacity,
+      refilledAt: Date.now(),
+      blockedUntil: 0,
+      rateLimitHits: 0,
+      queue: [],
+      running: 0,
+      timer: null,
+    });
+  }
+  return limiters.get(name);
+};
+
+// Add tokens earned since the last refill
+const refill = (limiter, now) => {
+  const earned = ((now - limiter.refilledAt) / 60000) * limiter.perMinute;
+  limiter.tokens = Math.min(limiter.capacity, limiter.tokens + earned);
+  limiter.refilledAt = now;
+};
+
+// Status snapshot: { limits: { [name]: { queued, running, tokens, retryAt } }, rateLimited: [{ name, retryAt, queued }] }
+export const getSchedulerStatus = () => {
+  const now = Date.now();
+  const limits = {};
+  const rateLimited = [];
+  limiters.forEach(limiter => {
+    const retryAt = limiter.blockedUntil > now ? limiter.blockedUntil : null;
+    limits[limiter.name] = {
+      queued: limiter.queue.length,
+      running: limiter.running,
+      tokens: Math.floor(limiter.tokens),
+      retryAt,
+    };
+    if (retryAt) {
+      rateLimited.push({ name: limiter.name, retryAt, queued: limiter.queue.length });
+    }
+  });
+  return { limits, rateLimited };
+};
+
+const notify = () => {
+  const status = getSchedulerStatus();
+  listeners.forEach(listener => listener(status));
+};
+
+// Subscribe to scheduler status changes. Returns an unsubscribe function.
+export const subscribeSchedulerStatus = (listener) => {
+  listeners.add(listener);
+  listener(getSchedulerStatus());
+  return () => listeners.delete(listener);
+};
+
+// True while a limit is paused by a 429
+export const isRateLimited = (name) => getLimiter(name).blockedUntil > Date.now();
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Error thrown by request tasks when the server answered 429
+export const createRateLimitError = (message, retryAfter = null) => {
+  const error = new Error(message);
+  error.status = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// Highest priority first, then oldest first
+const takeNext = (limiter) => {
+  let best = 0;
+  for (let i = 1; i < limiter.queue.length; i++) {
+    const a = limiter.queue[i];
+    const b = limiter.queue[best];
+    if (a.priority < b.priority || (a.priority === b.priority && a.seq < b.seq)) {
+      best = i;
+    }
+  }
+  return limiter.queue.splice(best, 1)[0];
+};
+
+// Start as many queued requests as tokens allow, then wait for the next token
+const pump = (limiter) => {
+  if (limiter.timer) {
+    clearTimeout(limiter.timer);
+    limiter.timer = null;
+  }
+  const now = Date.now();
+  refill(limiter, now);
+
+  while (limiter.queue.length > 0 && limiter.blockedUntil <= now && limiter.tokens >= 1) {
+    limiter.tokens -= 1;
+    run(limiter, takeNext(limiter));
+  }
+
+  if (limiter.queue.length > 0) {
+    const waitForToken = ((1 - limiter.tokens) / limiter.perMinute) * 60000;
+    const delay = Math.max(limiter.blockedUntil - now, waitForToken, 10);
+    limiter.timer = setTimeout(() => pump(limiter), delay);
+  }
+  notify();
+};
+
+const run = async (limiter, item) => {
+  limiter.running++;
+  try {
+    const result = await item.task();
+    limiter.rateLimitHits = 0;
+    item.resolve(result);
+  } catch (error) {
+    if (error?.status === 429 && item.retries < MAX_RATE_LIMIT_RETRIES) {
+      // Pause the whole limit and put the request back in line
+      limiter.rateLimitHits++;
+      const wait = error.retryAfter ?? DEFAULT_RETRY_AFTER * 2 ** (limiter.rateLimitHits - 1);
+      limiter.blockedUntil = Math.max(limiter.blockedUntil, Date.now() + wait);
+      limiter.tokens = 0;
+      item.retries++;
+      limiter.queue.push(item);
+    } else {
+      item.reject(error);
+    }
+  } finally {
+    limiter.running--;
+    pump(limiter);
+  }
+};
+
+// Schedule a request.
+// options.limit    - rate limit (token bucket) to draw from, e.g. the provider id
+// options.key      - requests with the same key share one in-flight promise
+// options.priority - 'high' | 'normal' | 'low'
+export const scheduleRequest = (task, { limit = 'default', key = null, priority = 'normal' } = {}) => {
+  const rank = PRIORITIES[priority] ?? PRIORITIES.normal;
+  const dedupeKey = key ? `${limit}:${key}` : null;
+
+  if (dedupeKey && inflight.has(dedupeKey)) {
+    const existing = inflight.get(dedupeKey);
+    // A visible request joining a background one moves it up the queue
+    existing.priority = Math.min(existing.priority, rank);
+    return existing.promise;
+  }
+
+  const limiter = getLimiter(limit);
+  const item = { task, priority: rank, seq: sequence++, retries: 0 };
+  item.promise = new Promise((resolve, reject) => {
+    item.resolve = resolve;
+    item.reject = reject;
+  });
+
+  if (dedupeKey) {
+    inflight.set(dedupeKey, item);
+    const clear = () => inflight.delete(dedupeKey);
+    item.promise.then(clear, clear);
+  }
+
+  limiter.queue.push(item);
+  pump(limiter);
+  return item.promise;
+};
@@ -0,0 +1,206 @@
+// Symbol Search
+// Autocomplete and validation for ticker inputs. Queries every provider with a
+// searchRequest (Finnhub symbol search, Yahoo autocomplete) and falls back to a local
+// directory: a built-in list of common symbols plus symbols the user has picked before.
+//
+// Result: { symbol, name, exchange, type }  (type is one of ASSET_TYPES in utils/symbols.js)
+
+import { getProviders } from './marketDataProviders';
+import { fetchProviderResource, getPreferredApi } from './monitorService';
+import { normalizeSymbol, isValidSymbolFormat } from '../utils/symbols';
+
+const STORAGE_KEY = 'symbolDirectory';
+const MAX_DIRECTORY_SIZE = 300;
+const SEARCH_CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_LIMIT = 8;
+
+// Offline fallback so common symbols autocomplete even when every provider is down
+const COMMON_SYMBOLS = [
+  { symbol: 'AAPL', name: 'Apple Inc.', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'NVDA', name: 'NVIDIA Corporation', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'AMZN', name: 'Amazon.com, Inc.', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'GOOGL', name: 'Alphabet Inc. Class A', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'META', name: 'Meta Platforms, Inc.', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'TSLA', name: 'Tesla, Inc.', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'AMD', name: 'Advanced Micro Devices, Inc.', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'NFLX', name: 'Netflix, Inc.', exchange: 'NASDAQ', type: 'equity' },
+  { symbol: 'BRK-B', name: 'Berkshire Hathaway Inc. Class B', exchange: 'NYSE', type: 'equity' },
+  { symbol: 'JPM', name: 'JPMorgan Chase & Co.', exchange: 'NYSE', type: 'equity' },
+  { symbol: 'V', name: 'Visa Inc.', exchange: 'NYSE', type: 'equity' },
+  { symbol: 'XOM', name: 'Exxon Mobil Corporation', exchange: 'NYSE', type: 'equity' },
+  { symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust', exchange: 'NYSE Arca', type: 'etf' },
+  { symbol: 'QQQ', name: 'Invesco QQQ Trust', exchange: 'NASDAQ', type: 'etf' },
+  { symbol: 'IWM', name: 'iShares Russell 2000 ETF', exchange: 'NYSE Arca', type: 'etf' },
+  { symbol: 'DIA', name: 'SPDR Dow Jones Industrial Average ETF', exchange: 'NYSE Arca', type: 'etf' },
+  { symbol: 'GLD', name: 'SPDR Gold Shares', exchange: 'NYSE Arca', type: 'etf' },
+  { symbol: 'TLT', name: 'iShares 20+ Year Treasury Bond ETF', exchange: 'NASDAQ', type: 'etf' },
+  { symbol: '^GSPC', name: 'S&P 500', exchange: 'SNP', type: 'index' },
+  { symbol: '^NDX', name: 'NASDAQ 100', exchange: 'NASDAQ', type: 'index' },
+  { symbol: '^DJI', name: 'Dow Jones Industrial Average', exchange: 'DJI', type: 'index' },
+  { symbol: '^RUT', name: 'Russell 2000', exchange: 'Russell', type: 'index' },
+  { symbol: '^VIX', name: 'CBOE Volatility Index', exchange: 'CBOE', type: 'index' },
+  { symbol: 'DX-Y.NYB', name: 'US Dollar Index', exchange: 'ICE', type: 'index' },
+  { symbol: 'BTC-USD', name: 'Bitcoin USD', exchange: 'CCC', type: 'crypto' },
+  { symbol: 'ETH-USD', name: 'Ethereum USD', exchange: 'CCC', type: 'crypto' },
+  { symbol: 'SOL-USD', name: 'Solana USD', exchange: 'CCC', type: 'crypto' },
+  { symbol: 'EURUSD=X', name: 'EUR/USD', exchange: 'CCY', type: 'currency' },
+  { symbol: 'GBPUSD=X', name: 'GBP/USD', exchange: 'CCY', type: 'currency' },
+  { symbol: 'JPY=X', name: 'USD/JPY', exchange: 'CCY', type: 'currency' },
+  { symbol: 'ES=F', name: 'E-Mini S&P 500 Futures', exchange: 'CME', type: 'future' },
+  { symbol: 'NQ=F', name: 'Nasdaq 100 Futures', exchange: 'CME', type: 'future' },
+  { symbol: 'CL=F', name: 'Crude Oil Futures', exchange: 'NYMEX', type: 'future' },
+  { symbol: 'GC=F', name: 'Gold Futures', exchange: 'COMEX', type: 'future' },
+];
+
+const searchCache = new Map();
+
+// Symbols the user picked or validated before
+const loadDirectory = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading symbol directory:', error);
+    return [];
+  }
+};
+
+// Remember a search result so it autocompletes offline next time
+export const rememberSymbol = (result) => {
+  if (!result?.symbol) return;
+  try {
+    const entry = {
+      symbol: normalizeSymbol(result.symbol),
+      name: result.name || result.symbol,
+      exchange: result.exchange || null,
+      type: result.type || 'other',
+    };
+    const directory = [entry, ...loadDirectory().filter(item => item.symbol !== entry.symbol)];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(directory.slice(0, MAX_DIRECTORY_SIZE)));
+  } catch (error) {
+    console.error('Error saving symbol directory:', error);
+  }
+};
+
+// Local directory: remembered symbols first, then the built-in list
+export const getLocalSymbols = () => {
+  const seen = new Set();
+  return [...loadDirectory(), ...COMMON_SYMBOLS].filter(item => {
+    if (seen.has(item.symbol)) return false;
+    seen.add(item.symbol);
+    return true;
+  });
+};
+
+// Exact symbol matches first, then symbol prefixes, then name matches
+const rankResult = (result, query) => {
+  const symbol = result.symbol.toUpperCase();
+  if (symbol === query) return 0;
+  if (symbol.startsWith(query)) return 1;
+  if (String(result.name).toUpperCase().startsWith(query)) return 2;
+  return 3;
+};
+
+const searchLocal = (query) => {
+  return getLocalSymbols().filter(item =>
+    item.symbol.includes(query) || String(item.name).toUpperCase().includes(query)
+  );
+};
+
+// Query one provider's search endpoint
+const searchProvider = async (provider, query, priority) => {
+  const { data } = await fetchProviderResource(provider.id, query, 'search', {
+    buildUrl: provider.searchRequest.buildUrl,
+    validate: provider.searchRequest.validate,
+    params: { query },
+    priority,
+  });
+  return provider.toSearchResults(data);
+};
+
+// Search all providers plus the local directory
+// Returns { results, answered, total }: answered of total providers responded
+const runSearch = async (query, priority) => {
+  const cached = searchCache.get(query);
+  if (cached && Date.now() - cached.timestamp < SEARCH_CACHE_DURATION) {
+    return cached.value;
+  }
+
+  const preferredApi = getPreferredApi();
+  const providers = getProviders().filter(provider =>
+    provider.searchRequest && typeof provider.toSearchResults === 'function' &&
+    (provider.autoFallback || provider.id === preferredApi)
+  );
+  const settled = await Promise.allSettled(providers.map(provider => searchProvider(provider, query, priority)));
+  const remote = settled.filter(outcome => outcome.status === 'fulfilled').flatMap(outcome => outcome.value);
+
+  // Providers list earlier entries first; keep the first result per symbol
+  const merged = new Map();
+  [...remote, ...searchLocal(query)].forEach(result => {
+    const key = normalizeSymbol(result.symbol);
+    if (!merged.has(key)) merged.set(key, { ...result, symbol: key });
+  });
+  const results = [...merged.values()]
+    .map((result, index) => ({ result, index, rank: rankResult(result, query) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(item => item.result);
+
+  const value = {
+    results,
+    answered: settled.filter(outcome => outcome.status === 'fulfilled').length,
+    total: providers.length,
+  };
+  // Only cache answers that came from at least one provider
+  if (value.answered > 0) {
+    searchCache.set(query, { value, timestamp: Date.now() });
+  }
+  return value;
+};
+
+// Autocomplete suggestions for a partial symbol or company name
+export const searchSymbols = async (input, { limit = DEFAULT_LIMIT, priority = 'high' } = {}) => {
+  const query = String(input ?? '').trim().toUpperCase();
+  if (!query) return [];
+  try {
+    const { results } = await runSearch(query, priority);
+    return results.slice(0, limit);
+  } catch (error) {
+    console.error('Error searching symbols:', error);
+    return searchLocal(query).slice(0, limit);
+  }
+};
+
+// Check a symbol before fetching data for it
+// status: 'valid' (a provider or the local directory knows it), 'unverified' (format is fine
+// but not every provider could answer) or 'invalid' (bad format, or every provider answered without it)
+export const validateSymbol = async (input) => {
+  const symbol = normalizeSymbol(input);
+  if (!symbol) {
+    return { status: 'invalid', symbol, match: null, message: 'Enter a symbol' };
+  }
+  if (!isValidSymbolFormat(symbol)) {
+    return { status: 'invalid', symbol, match: null, message: `"${symbol}" is not a valid ticker symbol` };
+  }
+
+  const local = getLocalSymbols().find(item => item.symbol === symbol);
+  if (local) {
+    return { status: 'valid', symbol, match: local, message: null };
+  }
+
+  try {
+    const { results, answered, total } = await runSearch(symbol, 'high');
+    const match = results.find(result => result.symbol === symbol);
+    if (match) {
+      rememberSymbol(match);
+      return { status: 'valid', symbol, match, message: null };
+    }
+    if (total > 0 && answered === total) {
+      const suggestion = results[0] ? ` Did you mean ${results[0].symbol}?` : '';
+      return { status: 'invalid', symbol, match: null, message: `Unknown symbol: ${symbol}.${suggestion}` };
+    }
+  } catch (error) {
+    console.error('Error validating symbol:', error);
+  }
+  return { status: 'unverified', symbol, match: null, message: null };
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { createProjectionAlert, checkProjectionAlert } from '../projectionAlerts';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 2, 21);
+
+// Path 100 -> 102 -> 104 -> 106 with a 5-95 band around it
+const makeProjection = (symbol = 'AAPL', scale = 1) => ({
+  id: 'p1',
+  symbol,
+  interval: '1D',
+  projectedTimes: [START + DAY, START + 2 * DAY, START + 3 * DAY],
+  chartData: {
+    historicalCount: 3,
+    historicalPrices: [98, 99, 100].map(price => price * scale),
+    timestamps: [START - 2 * DAY, START - DAY, START],
+    datasets: [{ label: 'Historical' }, { label: 'Simple', data: [98, 99, 100, 102, 104, 106].map(price => price * scale) }],
+  },
+  distribution: {
+    percentiles: {
+      5: [97, 98, 99].map(price => price * scale),
+      95: [107, 110, 113].map(price => price * scale),
+    },
+  },
+});
+
+// Feed quotes through an alert, collecting every fired event
+const feed = (alert, quotes) => quotes.reduce(({ alert: current, events }, [price, time]) => {
+  const result = checkProjectionAlert(current, price, time);
+  return { alert: result.alert, events: [...events, ...result.events] };
+}, { alert, events: [] });
+
+describe('projection alerts', () => {
+  it('fires once when price crosses the projected path', () => {
+    const alert = createProjectionAlert(makeProjection(), { conditions: { band: false, target: false } });
+    const time = START + DAY;
+
+    const first = checkProjectionAlert(alert, 101, time);
+    expect(first.events).toEqual([]);
+    expect(first.alert.state.side).toBe('below');
+
+    const crossed = checkProjectionAlert(first.alert, 103, time);
+    expect(crossed.events).toHaveLength(1);
+    expect(crossed.events[0]).toMatchObject({ type: 'cross', price: 103, projected: 102 });
+    expect(crossed.events[0].message).toBe('AAPL crossed above the projected path (Simple) at $103.00, projected $102.00');
+
+    const again = checkProjectionAlert(crossed.alert, 103.5, time + 1000);
+    expect(again.events).toEqual([]);
+    expect(again.alert).toBe(crossed.alert);
+  });
+
+  it('fires when price leaves the band, not again until it comes back', () => {
+    const alert = createProjectionAlert(makeProjection(), { conditions: { cross: false, target: false } });
+    const time = START + DAY;
+
+    const { alert: watched, events } = feed(alert, [[101, time], [108, time], [109, time + 1], [105, time + 2], [96, time + 3]]);
+
+    expect(events.map(event => event.type)).toEqual(['band', 'band']);
+    expect(events[0]).toMatchObject({ price: 108, projected: 107 });
+    expect(events[0].message).toBe('AAPL left the projected band above $107.00 at $108.00');
+    expect(events[1].message).toBe('AAPL left the projected band below $97.00 at $96.00');
+    expect(watched.state.outside).toBe(true);
+    expect(watched.events.map(event => event.price)).toEqual([96, 108]);
+  });
+
+  it('fires once when price reaches the target', () => {
+    const alert = createProjectionAlert(makeProjection(), { conditions: { cross: false, band: false } });
+    const time = START + 2 * DAY;
+
+    const { alert: watched, events } = feed(alert, [[104, time], [106.5, time], [107, time + 1], [103, time + 2], [106, time + 3]]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'target', price: 106.5, projected: 106 });
+    expect(events[0].message).toBe('AAPL reached the projected target $106.00 at $106.50');
+    expect(watched.state.targetHit).toBe(true);
+  });
+
+  it('reaches a target below the starting price from above', () => {
+    const alert = createProjectionAlert(makeProjection(), { conditions: { cross: false, band: false }, target: 95 });
+
+    const { events } = feed(alert, [[101, START + DAY], [96, START + DAY], [94.5, START + DAY]]);
+
+    expect(events.map(event => [event.type, event.price])).toEqual([['target', 94.5]]);
+  });
+
+  it('expires one bar after the last projected bar and then stays quiet', () => {
+    const alert = createProjectionAlert(makeProjection());
+    const end = START + 4 * DAY;
+
+    const open = checkProjectionAlert(alert, 106, end);
+    expect(open.alert.active).toBe(true);
+    expect(open.alert.state.expired).toBe(false);
+
+    const expired = checkProjectionAlert(open.alert, 150, end + 1);
+    expect(expired.events.map(event => event.type)).toEqual(['expired']);
+    expect(expired.alert.active).toBe(false);
+    expect(expired.alert.state.expired).toBe(true);
+
+    const after = checkProjectionAlert(expired.alert, 150, end + DAY);
+    expect(after.events).toEqual([]);
+    expect(after.alert).toBe(expired.alert);
+  });
+
+  it('ignores quotes while paused', () => {
+    const alert = { ...createProjectionAlert(makeProjection()), active: false };
+    const result = checkProjectionAlert(alert, 150, START + DAY);
+    expect(result.events).toEqual([]);
+    expect(result.alert).toBe(alert);
+  });
+
+  it('formats prices for the symbol\'s asset class', () => {
+    const fx = createProjectionAlert(makeProjection('EURUSD=X', 0.01), { conditions: { cross: false, band: false } });
+    const [fxEvent] = checkProjectionAlert(fx, 1.0625, START + 2 * DAY).events;
+    expect(fxEvent.message).toBe('EURUSD=X reached the projected target 1.0600 at 1.0625');
+
+    const index = createProjectionAlert(makeProjection('^GSPC', 50), { conditions: { cross: false, band: false } });
+    const [indexEvent] = checkProjectionAlert(index, 5310, START + 2 * DAY).events;
+    expect(indexEvent.message).toBe('^GSPC reached the projected target 5300.00 at 5310.00');
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateSavedProjection, needsEvaluation } from '../projectionScoring';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 2, 21);
+const projectedTimes = [START, START + DAY, START + 2 * DAY];
+
+const projection = {
+  symbol: 'AAPL',
+  interval: '1D',
+  projectedTimes,
+  chartData: {
+    historicalCount: 3,
+    historicalPrices: [98, 99, 100],
+    datasets: [{ label: 'Historical' }, { label: 'Simple', data: [98, 99, 100, 101, 102, 103] }],
+  },
+};
+
+// Bars for the first `count` projected times
+const barsFor = (count) => projectedTimes.slice(0, count).map((time, i) => ({ time, close: 101 + i }));
+
+describe('saved projection evaluation', () => {
+  it('is incomplete while projected bars can still print', () => {
+    const now = START + DAY + 1000;
+    const evaluation = evaluateSavedProjection(projection, barsFor(2), now);
+    expect(evaluation.realizedSteps).toBe(2);
+    expect(evaluation.complete).toBe(false);
+    expect(needsEvaluation({ ...projection, evaluation }, now + DAY)).toBe(true);
+  });
+
+  it('is complete once every projected bar is realized', () => {
+    const evaluation = evaluateSavedProjection(projection, barsFor(3), START + 2 * DAY + 1000);
+    expect(evaluation.complete).toBe(true);
+    expect(needsEvaluation({ ...projection, evaluation }, START + 10 * DAY)).toBe(false);
+  });
+
+  it('is complete with missing bars once the horizon is more than a bar past', () => {
+    const now = START + 3 * DAY + 1000;
+    const evaluation = evaluateSavedProjection(projection, barsFor(2), now);
+    expect(evaluation.realizedSteps).toBe(2);
+    expect(evaluation.complete).toBe(true);
+    expect(needsEvaluation({ ...projection, evaluation }, now + DAY)).toBe(false);
+  });
+
+  it('re-scores older evaluations without the flag once more', () => {
+    const evaluation = { realizedSteps: 2, totalSteps: 3 };
+    expect(needsEvaluation({ ...projection, evaluation }, START + 10 * DAY)).toBe(true);
+  });
+
+  it('waits for the first projected bar', () => {
+    expect(needsEvaluation(projection, START - 1000)).toBe(false);
+    expect(needsEvaluation(projection, START + 1000)).toBe(true);
+  });
+});
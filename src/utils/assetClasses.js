@@ -0,0 +1,240 @@
+// Asset Classes
+// Every symbol belongs to an asset class that decides when its market trades, how many
+// decimals its price needs and what its volume means. Stocks follow the NYSE session,
+// crypto trades 24/7, spot FX 24/5 and CME futures on the Globex schedule.
+//
+// Asset class: { id, label, calendar, timezone, intraday, volume: { unit, label } }
+//   calendar  - 'exchange' | '24/7' | '24/5' | 'globex' (see getMarketSession)
+//   exchange  - trading calendar id for 'exchange' assets (utils/tradingCalendar.js)
+//   timezone  - zone whose midnight starts a daily bar, used to date bars
+//   intraday  - false when the provider has no intraday bars (mutual funds)
+//   volume    - unit is 'shares' | 'contracts' | 'quote' (quote currency) | 'none'
+
+import { getExchange, getExchangeStatus, isTradingDay as isExchangeTradingDay, getNextBarTimes } from './tradingCalendar';
+
+const NEW_YORK = 'America/New_York';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Session boundaries in New York minutes; exchange sessions come from the trading calendar
+const FX_ROLLOVER = 17 * 60; // spot FX opens Sunday 17:00 and closes Friday 17:00 New York
+const GLOBEX_CLOSE = 17 * 60; // CME Globex pauses 17:00-18:00 New York
+const GLOBEX_OPEN = 18 * 60;
+
+const SHARES = { unit: 'shares', label: 'Shares traded' };
+
+export const ASSET_CLASSES = {
+  equity: { id: 'equity', label: 'Stock', calendar: 'exchange', timezone: NEW_YORK, intraday: true, volume: SHARES },
+  etf: { id: 'etf', label: 'ETF', calendar: 'exchange', timezone: NEW_YORK, intraday: true, volume: SHARES },
+  fund: { id: 'fund', label: 'Fund', calendar: 'exchange', timezone: NEW_YORK, intraday: false, volume: { unit: 'none', label: 'Priced once a day' } },
+  index: { id: 'index', label: 'Index', calendar: 'exchange', timezone: NEW_YORK, intraday: true, volume: { unit: 'shares', label: 'Component volume' } },
+  crypto: { id: 'crypto', label: 'Crypto', calendar: '24/7', timezone: 'UTC', intraday: true, volume: { unit: 'quote', label: 'Traded value' } },
+  currency: { id: 'currency', label: 'FX', calendar: '24/5', timezone: 'Europe/London', intraday: true, volume: { unit: 'none', label: 'Not reported for FX' } },
+  future: { id: 'future', label: 'Future', calendar: 'globex', timezone: NEW_YORK, intraday: true, volume: { unit: 'contracts', label: 'Contracts traded' } },
+};
+
+// Dashboard display names that stand for an index
+const INDEX_ALIASES = ['DXY', 'VIX', 'DX-Y.NYB'];
+const CRYPTO_QUOTES = /-(USD|USDT|USDC|EUR|GBP|BTC|ETH)$/;
+const CRYPTO_VENUES = ['BINANCE', 'COINBASE', 'KRAKEN', 'BITSTAMP', 'GEMINI'];
+const FX_VENUES = ['OANDA', 'FX', 'FXCM', 'FOREX'];
+
+// Yahoo-style exchange suffixes for listings outside the US
+const EXCHANGE_SUFFIXES = {
+  L: 'XLON',
+  PA: 'XPAR',
+  AS: 'XPAR',
+  BR: 'XPAR',
+  LS: 'XPAR',
+  DE: 'XETR',
+  F: 'XETR',
+  T: 'XTKS',
+  HK: 'XHKG',
+  TO: 'XTSE',
+  AX: 'XASX',
+};
+
+// Trading calendar of an exchange-listed symbol (NYSE unless it carries a foreign suffix)
+export function getExchangeId(symbol) {
+  const suffix = String(symbol || '').toUpperCase().split('.').pop();
+  return String(symbol || '').includes('.') && EXCHANGE_SUFFIXES[suffix] ? EXCHANGE_SUFFIXES[suffix] : 'XNYS';
+}
+
+// Attach the listing exchange (and its bar time zone) to exchange-calendar classes
+const withExchange = (assetClass, symbol) => {
+  if (assetClass.calendar !== 'exchange') return assetClass;
+  const exchange = getExchange(getExchangeId(symbol));
+  return { ...assetClass, exchange: exchange.id, timezone: exchange.timezone };
+};
+
+// Asset class for a symbol. typeHint is an asset type from symbol search (utils/symbols.js).
+export function getAssetClass(symbol, typeHint = null) {
+  const value = String(symbol || '').toUpperCase();
+  if (typeHint && ASSET_CLASSES[typeHint]) return withExchange(ASSET_CLASSES[typeHint], value);
+
+  if (value.includes(':')) {
+    const venue = value.split(':')[0];
+    if (CRYPTO_VENUES.includes(venue)) return ASSET_CLASSES.crypto;
+    if (FX_VENUES.includes(venue)) return ASSET_CLASSES.currency;
+  }
+  if (value.startsWith('^') || INDEX_ALIASES.includes(value)) return withExchange(ASSET_CLASSES.index, value);
+  if (value.endsWith('=X')) return ASSET_CLASSES.currency;
+  if (value.endsWith('=F')) return ASSET_CLASSES.future;
+  if (CRYPTO_QUOTES.test(value)) return ASSET_CLASSES.crypto;
+  // Five-letter tickers ending in X are US mutual funds (VFIAX, FXAIX)
+  if (/^[A-Z]{4}X$/.test(value)) return withExchange(ASSET_CLASSES.fund, value);
+  return withExchange(ASSET_CLASSES.equity, value);
+}
+
+// Accept a symbol or an asset class object
+const resolve = (asset) => (typeof asset === 'string' ? getAssetClass(asset) : asset || ASSET_CLASSES.equity);
+
+// Weekday (0 = Sunday) and minutes since midnight in a time zone
+function getZonedTime(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(time));
+  const get = (type) => parts.find(part => part.type === type)?.value;
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { weekday, minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+// Market session for an asset at a time: 'PRE' | 'REGULAR' | 'POST' | 'CLOSED'
+// Exchange assets follow their trading calendar (holidays, early closes, lunch breaks);
+// FX and futures follow the weekly schedule only.
+export function getMarketSession(asset, time = Date.now()) {
+  const assetClass = resolve(asset);
+  if (assetClass.calendar === '24/7') return 'REGULAR';
+
+  const { weekday, minutes } = getZonedTime(time, NEW_YORK);
+
+  if (assetClass.calendar === '24/5') {
+    if (weekday === 6) return 'CLOSED';
+    if (weekday === 0) return minutes >= FX_ROLLOVER ? 'REGULAR' : 'CLOSED';
+    if (weekday === 5) return minutes < FX_ROLLOVER ? 'REGULAR' : 'CLOSED';
+    return 'REGULAR';
+  }
+
+  if (assetClass.calendar === 'globex') {
+    if (weekday === 6) return 'CLOSED';
+    if (weekday === 0) return minutes >= GLOBEX_OPEN ? 'REGULAR' : 'CLOSED';
+    if (minutes >= GLOBEX_CLOSE && minutes < GLOBEX_OPEN) return 'CLOSED';
+    if (weekday === 5 && minutes >= GLOBEX_CLOSE) return 'CLOSED';
+    return 'REGULAR';
+  }
+
+  return getExchangeStatus(assetClass.exchange || 'XNYS', time).state;
+}
+
+// True while the asset's regular session is trading
+export function isMarketOpen(asset, time = Date.now()) {
+  return getMarketSession(asset, time) === 'REGULAR';
+}
+
+// True when the asset trades at all on the calendar day containing time
+// (the exchange's own day for listed assets, New York for FX and futures)
+export function isTradingDay(asset, time = Date.now()) {
+  const assetClass = resolve(asset);
+  if (assetClass.calendar === '24/7') return true;
+  if (assetClass.calendar === 'exchange') return isExchangeTradingDay(assetClass.exchange || 'XNYS', time);
+  const { weekday } = getZonedTime(time, NEW_YORK);
+  return weekday >= 1 && weekday <= 5;
+}
+
+// Decimals needed to show a price: FX and cheap crypto need more than stocks
+export function getPricePrecision(asset, price = null) {
+  const assetClass = resolve(asset);
+  const value = Math.abs(Number(price));
+  if (assetClass.id === 'currency') {
+    return Number.isFinite(value) && value >= 20 ? 3 : 4;
+  }
+  if (assetClass.id === 'crypto' && Number.isFinite(value) && price !== null) {
+    if (value >= 100) return 2;
+    if (value >= 1) return 4;
+    return 6;
+  }
+  return 2;
+}
+
+// Format a price with the asset's precision
+export function formatPrice(value, asset) {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return '—';
+  return Number(value).toFixed(getPricePrecision(asset, value));
+}
+
+// Currency sign shown before prices: indices are points and FX pairs are rates
+export function getPricePrefix(asset) {
+  const assetClass = resolve(asset);
+  return assetClass.id === 'index' || assetClass.id === 'currency' ? '' : '$';
+}
+
+// Whether the asset has bars for a chart interval ('1H' needs intraday data)
+export function supportsInterval(asset, interval) {
+  const assetClass = resolve(asset);
+  return assetClass.intraday || !/^\d+(m|h)$/i.test(String(interval));
+}
+
+// Calendar date (YYYY-MM-DD) of a daily bar in the asset's bar time zone
+export function getBarDate(time, asset) {
+  return new Date(time).toLocaleDateString('en-CA', { timeZone: resolve(asset).timezone });
+}
+
+// Number of bars a horizon of calendar hours covers, skipping closed sessions
+// 1H counts hourly bars that fall in the regular session, 1D counts trading days
+export function getHorizonSteps(asset, hours, interval = '1D', from = Date.now()) {
+  const assetClass = resolve(asset);
+  const end = from + hours * HOUR;
+  let steps = 0;
+
+  if (/^1h$/i.test(interval)) {
+    for (let time = from + HOUR; time <= end; time += HOUR) {
+      // A bar counts when the hour ending at `time` overlaps the session
+      if (isMarketOpen(assetClass, time - HOUR) || isMarketOpen(assetClass, time - 1)) steps++;
+    }
+  } else {
+    for (let time = from + DAY; time <= end + DAY - 1; time += DAY) {
+      if (isTradingDay(assetClass, time)) steps++;
+    }
+  }
+  return Math.max(1, steps);
+}
+
+// Start times of the next `count` bars after `from`, skipping closed sessions
+// Used to put dates on projected steps; exchange assets follow their trading calendar
+export function getNextBarStarts(asset, count, interval = '1D', from = Date.now()) {
+  const assetClass = resolve(asset);
+  if (assetClass.calendar === 'exchange') {
+    return getNextBarTimes(assetClass.exchange || 'XNYS', from, count, interval);
+  }
+
+  const hourly = /^1h$/i.test(interval);
+  const step = hourly ? HOUR : DAY;
+  const times = [];
+  // Align to the bar grid, then walk forward (bounded so a bad input can't spin)
+  for (let time = Math.floor(from / step) * step + step; times.length < count && time < from + 400 * DAY; time += step) {
+    // Daily bars start at UTC midnight; midday decides which weekday they belong to
+    if (hourly ? isMarketOpen(assetClass, time) : isTradingDay(assetClass, time + DAY / 2)) times.push(time);
+  }
+  return times;
+}
+
+// Number of bars in the next `sessions` trading sessions (a session is one trading day)
+// 1D is one bar per session; 1H counts the hourly bars those sessions contain
+export function getSessionSteps(asset, sessions, interval = '1D', from = Date.now()) {
+  const assetClass = resolve(asset);
+  const count = Math.max(1, Math.round(sessions));
+  if (!/^1h$/i.test(interval)) return count;
+
+  const days = new Set();
+  let steps = 0;
+  for (const time of getNextBarStarts(assetClass, count * 24, interval, from)) {
+    days.add(getBarDate(time, assetClass));
+    if (days.size > count) break;
+    steps++;
+  }
+  return Math.max(1, steps);
+}
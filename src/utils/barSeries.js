@@ -0,0 +1,266 @@
+// OHLCV Bar Series
+// One normalized bar shape shared by the Trading, FIB and Projection pages so every
+// page filters, sorts and adjusts price history the same way.
+//
+// Bar: { time, open, high, low, close, volume, adjClose, session, filled }
+//   time      - bar open time in milliseconds (UTC)
+//   adjClose  - close adjusted for splits and dividends
+//   session   - 'pre' | 'regular' | 'post'
+//   filled    - true when the bar was synthesized by fillGaps()
+
+export const SESSIONS = ['pre', 'regular', 'post'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Interval string to milliseconds ('1m', '5m', '1h', '1d', '1wk', '1mo')
+export function getIntervalMs(interval = '1d') {
+  const match = String(interval).toLowerCase().match(/^(\d+)(m|h|d|wk|mo)$/);
+  if (!match) return DAY;
+  const count = Number(match[1]);
+  switch (match[2]) {
+    case 'm': return count * MINUTE;
+    case 'h': return count * 60 * MINUTE;
+    case 'wk': return count * 7 * DAY;
+    case 'mo': return count * 30 * DAY;
+    default: return count * DAY;
+  }
+}
+
+// Intraday series carry session flags and may need session-aware gap filling
+export function isIntradayInterval(interval = '1d') {
+  return getIntervalMs(interval) < DAY;
+}
+
+// Coerce a value to a finite number, or null
+function toFinite(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// Build a bar, repairing missing or inconsistent OHLC values from the close.
+// Returns null when the bar has no usable time or close.
+export function createBar({ time, open, high, low, close, volume, adjClose, session, filled } = {}) {
+  const t = toFinite(time);
+  const c = toFinite(close);
+  if (t === null || t <= 0 || c === null || c <= 0) return null;
+
+  const o = toFinite(open) > 0 ? toFinite(open) : c;
+  const h = toFinite(high) > 0 ? toFinite(high) : c;
+  const l = toFinite(low) > 0 ? toFinite(low) : c;
+  const adj = toFinite(adjClose);
+
+  return {
+    time: t,
+    open: o,
+    // High/low must contain the open and close
+    high: Math.max(h, o, c),
+    low: Math.min(l, o, c),
+    close: c,
+    volume: Math.max(0, toFinite(volume) || 0),
+    adjClose: adj !== null && adj > 0 ? adj : null,
+    session: SESSIONS.includes(session) ? session : 'regular',
+    filled: Boolean(filled),
+  };
+}
+
+// Minutes since local exchange midnight for a timestamp
+function minuteOfDay(timeMs, gmtOffsetSec = 0) {
+  const local = Math.floor(timeMs / 1000) + gmtOffsetSec;
+  return Math.floor((((local % 86400) + 86400) % 86400) / 60);
+}
+
+// Exchange-local day index for a timestamp (used to keep gap filling inside a day)
+function dayIndex(timeMs, gmtOffsetSec = 0) {
+  return Math.floor((timeMs / 1000 + gmtOffsetSec) / 86400);
+}
+
+// Classify an intraday bar as pre/regular/post market.
+// sessionHours: { gmtOffset (seconds), regular: [startMin, endMin], pre?: [...], post?: [...] }
+export function classifySession(timeMs, sessionHours) {
+  if (!sessionHours?.regular) return 'regular';
+  const minute = minuteOfDay(timeMs, sessionHours.gmtOffset);
+  const [regularStart, regularEnd] = sessionHours.regular;
+  if (minute >= regularStart && minute < regularEnd) return 'regular';
+  return minute < regularStart ? 'pre' : 'post';
+}
+
+// Drop invalid bars, sort by time and remove duplicate timestamps.
+// When two bars share a timestamp the later one in the input wins (live bar updates).
+export function cleanBars(bars = []) {
+  const byTime = new Map();
+  bars.forEach(raw => {
+    const bar = createBar(raw || {});
+    if (bar) byTime.set(bar.time, bar);
+  });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+// Fill missing intervals with flat bars carrying the previous close.
+// Intraday gaps are only filled within the same exchange day so overnight and
+// weekend closures are not turned into fake bars; daily gaps skip weekends.
+export function fillGaps(bars, interval = '1d', { gmtOffset = 0, maxFill = 500 } = {}) {
+  if (!bars || bars.length < 2) return bars ? [...bars] : [];
+  const step = getIntervalMs(interval);
+  const intraday = step < DAY;
+  const result = [bars[0]];
+
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1];
+    const bar = bars[i];
+    let t = prev.time + step;
+    let added = 0;
+
+    if (!intraday || dayIndex(prev.time, gmtOffset) === dayIndex(bar.time, gmtOffset)) {
+      while (t < bar.time && added < maxFill) {
+        const weekday = new Date(t + gmtOffset * 1000).getUTCDay();
+        if (intraday || (weekday !== 0 && weekday !== 6)) {
+          result.push({
+            time: t,
+            open: prev.close,
+            high: prev.close,
+            low: prev.close,
+            close: prev.close,
+            volume: 0,
+            adjClose: prev.adjClose,
+            session: prev.session,
+            filled: true,
+          });
+          added++;
+        }
+        t += step;
+      }
+    }
+    result.push(bar);
+  }
+  return result;
+}
+
+// Fill in adjClose for bars that don't have one, working backwards from the
+// latest bar. Dividends reduce earlier closes by (1 - amount / prior close);
+// splits divide earlier closes by the split ratio unless the prices are
+// already split-adjusted (Yahoo chart prices are).
+// actions: { splits: [{ time, ratio }], dividends: [{ time, amount }] }
+export function applyCorporateActions(bars, actions = {}, { splitAdjusted = true } = {}) {
+  const splits = actions.splits || [];
+  const dividends = actions.dividends || [];
+  if (bars.length === 0) return [];
+
+  const result = bars.map(bar => ({ ...bar }));
+  let factor = 1;
+
+  for (let i = result.length - 1; i >= 0; i--) {
+    const bar = result[i];
+    if (bar.adjClose === null || bar.adjClose === undefined) {
+      bar.adjClose = bar.close * factor;
+    }
+
+    // Actions dated after the previous bar and up to this bar affect everything before this bar
+    const prevTime = i > 0 ? result[i - 1].time : -Infinity;
+    const inWindow = (action) => action.time > prevTime && action.time <= bar.time;
+
+    if (i > 0) {
+      const prevClose = result[i - 1].close;
+      dividends.filter(inWindow).forEach(dividend => {
+        if (prevClose > 0 && dividend.amount > 0 && dividend.amount < prevClose) {
+          factor *= 1 - dividend.amount / prevClose;
+        }
+      });
+      if (!splitAdjusted) {
+        splits.filter(inWindow).forEach(split => {
+          if (split.ratio > 0) factor /= split.ratio;
+        });
+      }
+    }
+  }
+  return result;
+}
+
+// Rescale OHLC onto the adjusted-close basis
+export function toAdjustedBars(bars) {
+  return bars.map(bar => {
+    if (!bar.adjClose || !bar.close) return { ...bar };
+    const ratio = bar.adjClose / bar.close;
+    return {
+      ...bar,
+      open: bar.open * ratio,
+      high: bar.high * ratio,
+      low: bar.low * ratio,
+      close: bar.adjClose,
+    };
+  });
+}
+
+// Build a normalized series from provider bars.
+// options.sessionHours - see classifySession()
+// options.actions      - corporate actions, see applyCorporateActions()
+// options.fillGaps     - synthesize flat bars for missing intervals
+// options.sessions     - sessions to keep (default: all)
+// options.adjusted     - rescale OHLC to adjusted prices
+export function createBarSeries(rawBars, {
+  symbol = '',
+  interval = '1d',
+  sessionHours = null,
+  actions = null,
+  splitAdjusted = true,
+  fillGaps: shouldFillGaps = false,
+  sessions = SESSIONS,
+  adjusted = false,
+  currency = null,
+  source = null,
+} = {}) {
+  const intraday = isIntradayInterval(interval);
+
+  let bars = cleanBars(rawBars).map(bar => ({
+    ...bar,
+    session: intraday ? classifySession(bar.time, sessionHours) : 'regular',
+  }));
+
+  bars = bars.filter(bar => sessions.includes(bar.session));
+  bars = applyCorporateActions(bars, actions || {}, { splitAdjusted });
+
+  if (shouldFillGaps) {
+    bars = fillGaps(bars, interval, { gmtOffset: sessionHours?.gmtOffset || 0 });
+  }
+  if (adjusted) {
+    bars = toAdjustedBars(bars);
+  }
+
+  return {
+    symbol,
+    interval,
+    source,
+    currency,
+    sessionHours,
+    actions: actions || { splits: [], dividends: [] },
+    bars,
+  };
+}
+
+// High, low and last close over a series (optionally only real, non-filled bars)
+export function getSeriesRange(series, { includeFilled = false } = {}) {
+  const bars = (series?.bars || []).filter(bar => includeFilled || !bar.filled);
+  if (bars.length === 0) {
+    return { high: null, low: null, first: null, last: null };
+  }
+  let high = -Infinity;
+  let low = Infinity;
+  bars.forEach(bar => {
+    if (bar.high > high) high = bar.high;
+    if (bar.low < low) low = bar.low;
+  });
+  return {
+    high,
+    low,
+    first: bars[0].close,
+    last: bars[bars.length - 1].close,
+  };
+}
+
+// Close prices of a series, in time order
+export function getCloses(series, { includeFilled = true } = {}) {
+  return (series?.bars || [])
+    .filter(bar => includeFilled || !bar.filled)
+    .map(bar => bar.close);
+}
@@ -0,0 +1,161 @@
+// Projection Alerts
+// Live alerts built from a saved projection (services/projectionService.js). The watcher in
+// services/projectionAlertService.js feeds every quote through checkProjectionAlert, which
+// fires when price crosses the projected path, leaves the 5-95 percentile band, or reaches
+// the projected target. Between projected bars the path and band are interpolated linearly,
+// the path starting from the last historical close.
+//
+// Alert: { id, projectionId, symbol, interval, label, times, path, band, target, startPrice,
+//          conditions, active, state, events, createdAt }
+//   times      - bar times (ms): the last historical bar, then one per projected step
+//   path       - projected price at each time
+//   band       - { low, high } prices at each time, or null without a saved distribution
+//   conditions - { cross, band, target }: which checks fire
+//   state      - { side, outside, targetHit, expired }: side is 'above' | 'below' the path
+//   events     - fired events, newest first: { type, price, projected, time, message }
+
+import { getSavedProjectionLines } from './projectionScoring';
+import { getIntervalMs } from './barSeries';
+import { formatPrice, getPricePrefix } from './assetClasses';
+
+export const ALERT_CONDITIONS = [
+  { id: 'cross', label: 'Crosses the projected path' },
+  { id: 'band', label: 'Leaves the 5–95% band' },
+  { id: 'target', label: 'Reaches the target' },
+];
+
+// Events kept per alert
+const MAX_EVENTS = 20;
+
+// Price in an alert message, with the symbol's currency sign and precision
+export function formatAlertPrice(symbol, price) {
+  return `${getPricePrefix(symbol)}${formatPrice(price, symbol)}`;
+}
+
+// Projected value at a time, holding the first and last values outside the path
+export function getValueAt(times, values, time) {
+  if (time <= times[0]) return values[0];
+  for (let i = 1; i < times.length; i++) {
+    if (time <= times[i]) {
+      const t = (time - times[i - 1]) / (times[i] - times[i - 1]);
+      return values[i - 1] + (values[i] - values[i - 1]) * t;
+    }
+  }
+  return values[values.length - 1];
+}
+
+// New alert on one line of a saved projection (lineIndex), or on the mean of its lines (null);
+// target defaults to the path's last price. Throws when the projection has nothing to watch.
+export function createProjectionAlert(projection, { lineIndex = null, conditions = null, target = null } = {}) {
+  const lines = getSavedProjectionLines(projection);
+  const chartData = projection.chartData;
+  const history = chartData?.historicalPrices || [];
+  const startPrice = history[history.length - 1];
+  const startTime = chartData?.timestamps?.[(chartData.historicalCount ?? 0) - 1];
+  if (lines.length === 0 || !(startPrice > 0) || !startTime) {
+    throw new Error('This projection has no projected path to watch');
+  }
+  if (lineIndex !== null && !lines[lineIndex]) {
+    throw new Error(`No line ${lineIndex + 1} in this projection`);
+  }
+
+  // Steps past the calendar have no time and can't be watched
+  const steps = (projection.projectedTimes || [])
+    .map((time, step) => ({ time, step }))
+    .filter(({ time }) => time > startTime);
+  const pointAt = (step) => {
+    const points = (lineIndex !== null ? [lines[lineIndex]] : lines).map(line => line.points[step]);
+    return points.every(point => point > 0) ? points.reduce((sum, point) => sum + point, 0) / points.length : null;
+  };
+  const usable = steps.filter(({ step }) => pointAt(step) > 0);
+  if (usable.length === 0) {
+    throw new Error('This projection has no projected bar times to watch');
+  }
+
+  const percentiles = projection.distribution?.percentiles;
+  const hasBand = usable.every(({ step }) => percentiles?.[5]?.[step] > 0 && percentiles?.[95]?.[step] > 0);
+  const path = [startPrice, ...usable.map(({ step }) => pointAt(step))];
+  const finalPrice = path[path.length - 1];
+  const targetPrice = Number(target) > 0 ? Number(target) : finalPrice;
+
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    projectionId: projection.id,
+    symbol: projection.symbol,
+    interval: projection.interval || '1D',
+    label: lineIndex !== null ? lines[lineIndex].label : lines.length > 1 ? 'Mean of lines' : lines[0].label,
+    times: [startTime, ...usable.map(({ time }) => time)],
+    path,
+    // The band holds its first projected width back to the last close rather than narrowing to it
+    band: hasBand ? {
+      low: [percentiles[5][usable[0].step], ...usable.map(({ step }) => percentiles[5][step])],
+      high: [percentiles[95][usable[0].step], ...usable.map(({ step }) => percentiles[95][step])],
+    } : null,
+    target: targetPrice,
+    startPrice,
+    conditions: {
+      cross: conditions?.cross ?? true,
+      band: hasBand && (conditions?.band ?? true),
+      target: conditions?.target ?? true,
+    },
+    active: true,
+    state: { side: null, outside: false, targetHit: false, expired: false },
+    events: [],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Alert with the new state and events, or the same alert when nothing changed
+const finish = (alert, state, events, active) => {
+  const changed = events.length > 0 || Object.keys(state).some(key => state[key] !== alert.state[key]);
+  if (!changed) return { alert, events };
+  return {
+    alert: { ...alert, active, state, events: [...[...events].reverse(), ...alert.events].slice(0, MAX_EVENTS) },
+    events,
+  };
+};
+
+// Check a quote against an alert. Returns { alert, events }: the same alert object when
+// nothing changed, otherwise an updated copy with the fired events added.
+export function checkProjectionAlert(alert, price, time = Date.now()) {
+  if (!alert.active || alert.state.expired || !(price > 0)) return { alert, events: [] };
+
+  const event = (type, projected, message) => ({ type, price, projected, time, message });
+  const events = [];
+  const state = { ...alert.state };
+
+  // Watching ends one bar after the last projected bar opens
+  const end = alert.times[alert.times.length - 1] + getIntervalMs(alert.interval === '1H' ? '1h' : '1d');
+  if (time > end) {
+    state.expired = true;
+    events.push(event('expired', null, `${alert.symbol} projection alert ended: the projected horizon has passed`));
+    return finish(alert, state, events, false);
+  }
+
+  const projected = getValueAt(alert.times, alert.path, time);
+  const side = price > projected ? 'above' : price < projected ? 'below' : state.side;
+  if (alert.conditions.cross && state.side && side !== state.side) {
+    events.push(event('cross', projected, `${alert.symbol} crossed ${side} the projected path (${alert.label}) at ${formatAlertPrice(alert.symbol, price)}, projected ${formatAlertPrice(alert.symbol, projected)}`));
+  }
+  state.side = side;
+
+  if (alert.band) {
+    const low = getValueAt(alert.times, alert.band.low, time);
+    const high = getValueAt(alert.times, alert.band.high, time);
+    const outside = price < low || price > high;
+    if (alert.conditions.band && outside && !state.outside) {
+      const edge = price > high ? high : low;
+      events.push(event('band', edge, `${alert.symbol} left the projected band ${price > high ? 'above' : 'below'} ${formatAlertPrice(alert.symbol, edge)} at ${formatAlertPrice(alert.symbol, price)}`));
+    }
+    state.outside = outside;
+  }
+
+  // The target is reached from the side of the starting price
+  const reached = alert.target >= alert.startPrice ? price >= alert.target : price <= alert.target;
+  if (alert.conditions.target && !state.targetHit && reached) {
+    state.targetHit = true;
+    events.push(event('target', alert.target, `${alert.symbol} reached the projected target ${formatAlertPrice(alert.symbol, alert.target)} at ${formatAlertPrice(alert.symbol, price)}`));
+  }
+
+  return finish(alert, state, events, true);
+}
@@ -0,0 +1,133 @@
+// Saved Projection Scoring
+// Compares a saved projection (services/projectionService.js) with the bars that arrived
+// after it was made. Scores use the same running sums as the backtester
+// (engine/backtest.js) so they can be merged into a leaderboard.
+//
+// Evaluation: { evaluatedAt, realizedSteps, totalSteps, complete, actual, lines }
+//   actual   - realized close per projected step (null until that bar exists)
+//   complete - every step realized, or the horizon ended more than a bar ago; a bar that
+//              still hasn't printed by then (provider gap, delisting) never will
+//   lines    - [{ label, model, triad, base, beta, omega, returnModel, score }]
+
+import { getBarDate } from './assetClasses';
+import { getIntervalMs } from './barSeries';
+import { getVolatility } from '../engine';
+import { scoreProjection, mergeScores, emptyScore } from '../engine/backtest';
+
+const HOUR = 60 * 60 * 1000;
+
+// Projected lines of a saved projection: the raw triad lines for Prime Tetration,
+// otherwise the projected datasets of the saved chart
+export function getSavedProjectionLines(projection) {
+  const steps = projection.projectedTimes?.length || 0;
+  const config = {
+    model: projection.projectionModel || 'unknown',
+    base: projection.projectionModel === 'primetetration' ? projection.base ?? null : null,
+    beta: projection.projectionModel === 'primetetration' ? projection.beta ?? null : null,
+    returnModel: projection.projectionModel === 'montecarlo' ? projection.returnModel ?? 'normal' : null,
+  };
+
+  const snapshotLines = projection.snapshotData?.lines;
+  if (projection.projectionModel === 'primetetration' && Array.isArray(snapshotLines) && snapshotLines.length > 0) {
+    return snapshotLines.map(line => ({
+      ...config,
+      label: `Triad [${line.triad.join('-')}]`,
+      triad: line.triad.join('·'),
+      omega: line.omega ?? projection.omegaHz ?? null,
+      points: (line.points || []).slice(0, steps),
+    }));
+  }
+
+  const chartData = projection.chartData;
+  const start = chartData?.historicalCount;
+  if (!chartData || !Array.isArray(chartData.datasets) || start === null || start === undefined) return [];
+  // Percentile fan datasets (band: true) describe spread, not a projected line
+  return chartData.datasets.slice(1).filter(dataset => !dataset.band).map(dataset => ({
+    ...config,
+    label: dataset.label,
+    triad: null,
+    omega: null,
+    points: (dataset.data || []).slice(start, start + steps),
+  }));
+}
+
+// Realized close for each projected bar time (null when the bar hasn't printed yet)
+// Daily bars match on the asset's trading date; hourly bars on the nearest bar within half an hour
+export function matchRealizedPrices(projectedTimes, bars, symbol, interval) {
+  if (!/^1h$/i.test(interval)) {
+    const byDate = new Map(bars.map(bar => [getBarDate(bar.time, symbol), bar.close]));
+    return projectedTimes.map(time => (time ? byDate.get(getBarDate(time, symbol)) ?? null : null));
+  }
+  return projectedTimes.map(time => {
+    if (!time) return null;
+    const bar = bars.find(candidate => Math.abs(candidate.time - time) < HOUR / 2);
+    return bar ? bar.close : null;
+  });
+}
+
+// Score every line of a saved projection against realized bars
+export function evaluateSavedProjection(projection, bars, now = Date.now()) {
+  const projectedTimes = projection.projectedTimes || [];
+  const history = (projection.chartData?.historicalPrices || []).filter(price => price > 0);
+  const lastPrice = history[history.length - 1];
+  const actual = matchRealizedPrices(projectedTimes, bars, projection.symbol, projection.interval);
+  const realizedSteps = actual.filter(price => price !== null).length;
+  const sigma = getVolatility(history);
+
+  const lines = getSavedProjectionLines(projection).map(({ points, ...line }) => ({
+    ...line,
+    // Unrealized steps are skipped by scoreProjection
+    score: realizedSteps > 0 && lastPrice ? scoreProjection(points, actual, lastPrice, sigma) : emptyScore(),
+  }));
+
+  const times = projectedTimes.filter(Boolean);
+  const horizonEnd = times.length > 0 ? times[times.length - 1] + getIntervalMs(projection.interval) : 0;
+
+  return {
+    evaluatedAt: new Date(now).toISOString(),
+    realizedSteps,
+    totalSteps: projectedTimes.length,
+    complete: realizedSteps === projectedTimes.length || now > horizonEnd,
+    actual,
+    lines,
+  };
+}
+
+// True when a saved projection has projected bars that should have printed by now
+// and its last evaluation isn't complete (see the header)
+export function needsEvaluation(projection, now = Date.now()) {
+  const times = (projection.projectedTimes || []).filter(Boolean);
+  if (times.length === 0 || times[0] > now) return false;
+  const evaluation = projection.evaluation;
+  return !evaluation || (!evaluation.complete && evaluation.realizedSteps < evaluation.totalSteps);
+}
+
+// Leaderboard of saved configurations (model, triad, base, β, ω, return model) across evaluated projections
+// Rows: { key, model, triad, base, beta, omega, returnModel, projections, score }
+export function buildLeaderboard(projections) {
+  const rows = new Map();
+  projections.forEach(projection => {
+    (projection.evaluation?.lines || []).forEach(line => {
+      if (!line.score || line.score.steps === 0) return;
+      const key = [line.model, line.triad ?? '', line.base ?? '', line.beta ?? '', line.omega ?? '', line.returnModel ?? ''].join('|');
+      const row = rows.get(key);
+      if (row) {
+        row.score = mergeScores(row.score, line.score);
+        row.projectionIds.add(projection.id);
+      } else {
+        rows.set(key, {
+          key,
+          model: line.model,
+          triad: line.triad,
+          base: line.base,
+          beta: line.beta,
+          omega: line.omega,
+          returnModel: line.returnModel ?? null,
+          score: line.score,
+          projectionIds: new Set([projection.id]),
+        });
+      }
+    });
+  });
+  return [...rows.values()].map(({ projectionIds, ...row }) => ({ ...row, projections: projectionIds.size }));
+}
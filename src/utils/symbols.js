@@ -0,0 +1,43 @@
+// Ticker Symbols
+// Shared normalization and format checks for user-entered symbols. Tickers are not just
+// letters: BRK.B, ^GSPC, BTC-USD, EURUSD=X, ES=F and BINANCE:BTCUSDT are all valid.
+
+export const ASSET_TYPES = ['equity', 'etf', 'fund', 'index', 'crypto', 'currency', 'future', 'other'];
+
+export const ASSET_TYPE_LABELS = {
+  equity: 'Stock',
+  etf: 'ETF',
+  fund: 'Fund',
+  index: 'Index',
+  crypto: 'Crypto',
+  currency: 'FX',
+  future: 'Future',
+  other: 'Other',
+};
+
+// Letters, digits and the separators providers use: . - = ^ : /
+const SYMBOL_PATTERN = /^\^?[A-Z0-9][A-Z0-9.\-=:/]{0,24}$/;
+
+// Upper-case and strip whitespace from a user-entered symbol
+export function normalizeSymbol(input) {
+  return String(input ?? '').toUpperCase().replace(/\s+/g, '');
+}
+
+// True when the input looks like a ticker any provider could accept
+export function isValidSymbolFormat(input) {
+  return SYMBOL_PATTERN.test(normalizeSymbol(input));
+}
+
+// Map a provider's security type (Yahoo quoteType, Finnhub type) to an asset type
+export function normalizeAssetType(type) {
+  const value = String(type || '').toUpperCase();
+  if (!value) return 'other';
+  if (value.includes('ETF') || value.includes('ETP')) return 'etf';
+  if (value.includes('INDEX')) return 'index';
+  if (value.includes('CRYPTO')) return 'crypto';
+  if (value.includes('CURRENCY') || value.includes('FOREX') || value === 'FX') return 'currency';
+  if (value.includes('FUTURE')) return 'future';
+  if (value.includes('FUND')) return 'fund';
+  if (value.includes('EQUITY') || value.includes('STOCK') || value.includes('ADR') || value.includes('REIT')) return 'equity';
+  return 'other';
+}
@@ -0,0 +1,584 @@
+// Trading Calendar
+// Exchange sessions with holiday tables, early closes and extended hours. Session times
+// are wall-clock minutes in the exchange's own time zone, so daylight saving is handled
+// by the zone rather than by the tables.
+//
+// Exchange: { id, name, city, timezone, sessions, earlyClose, holidays(year), earlyCloses(year) }
+//   sessions    - { open, close, pre?, post?, breakStart?, breakEnd? } as 'HH:MM'
+//   earlyClose  - { close, post? } used on the dates earlyCloses(year) returns
+//   holidays    - (year) => [{ date: 'YYYY-MM-DD', name }] full-day closures on weekdays
+//
+// Status: { state: 'PRE' | 'REGULAR' | 'POST' | 'CLOSED', reason, holiday, earlyClose, nextOpen, nextClose }
+//   nextOpen / nextClose are UTC milliseconds of the next regular-session open and close
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const SEARCH_DAYS = 21; // long enough to span Golden Week or Lunar New Year
+
+const pad = (value) => String(value).padStart(2, '0');
+const toKey = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+const toMinutes = (value) => {
+  if (!value) return null;
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Weekday (0 = Sunday) of a civil date
+const weekdayOf = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+// Civil date n days after a date
+const addDays = (year, month, day, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const parseKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return { year, month, day };
+};
+
+// Day of month of the nth weekday (n = -1 for the last one)
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    return 1 + ((weekday - weekdayOf(year, month, 1) + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return lastDay - ((weekdayOf(year, month, lastDay) - weekday + 7) % 7);
+}
+
+// Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { year, month, day };
+}
+
+const holiday = (year, month, day, name) => ({ date: toKey(year, month, day), name });
+
+// Holiday relative to Easter Sunday (Good Friday = -2, Easter Monday = +1)
+const easterHoliday = (year, offset, name) => {
+  const easter = easterSunday(year);
+  const date = addDays(easter.year, easter.month, easter.day, offset);
+  return holiday(date.year, date.month, date.day, name);
+};
+
+// US rule: Saturday holidays close the Friday before, Sunday holidays the Monday after
+const observeNearest = (year, month, day, name) => {
+  const weekday = weekdayOf(year, month, day);
+  const shift = weekday === 6 ? -1 : weekday === 0 ? 1 : 0;
+  const date = addDays(year, month, day, shift);
+  return holiday(date.year, date.month, date.day, name);
+};
+
+// Move weekend holidays to the next weekday that isn't already a holiday (UK-style
+// substitute days). sundayOnly moves only Sunday holidays (Japan, Hong Kong).
+function substituteWeekends(holidays, { sundayOnly = false } = {}) {
+  const isMoved = (date) => {
+    const { year, month, day } = parseKey(date);
+    const weekday = weekdayOf(year, month, day);
+    return weekday === 0 || (!sundayOnly && weekday === 6);
+  };
+  const taken = new Set(holidays.map(item => item.date));
+  const result = holidays.filter(item => !isMoved(item.date));
+
+  holidays
+    .filter(item => isMoved(item.date))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(item => {
+      let date = parseKey(item.date);
+      let key = item.date;
+      do {
+        date = addDays(date.year, date.month, date.day, 1);
+        key = toKey(date.year, date.month, date.day);
+      } while (taken.has(key) || [0, 6].includes(weekdayOf(date.year, date.month, date.day)));
+      taken.add(key);
+      result.push({ date: key, name: `${item.name} (observed)` });
+    });
+  return result;
+}
+
+// Weekday dates among a list of month/day pairs (early closes on Dec 24 and Dec 31)
+const weekdayDates = (year, dates, name) => dates
+  .filter(([month, day]) => ![0, 6].includes(weekdayOf(year, month, day)))
+  .map(([month, day]) => holiday(year, month, day, name));
+
+// Japanese equinox days (valid 1980-2099)
+const vernalEquinox = (year) => Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+const autumnalEquinox = (year) => Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+
+function japanHolidays(year) {
+  const national = [
+    holiday(year, 1, 1, "New Year's Day"),
+    holiday(year, 1, nthWeekday(year, 1, 1, 2), 'Coming of Age Day'),
+    holiday(year, 2, 11, 'National Foundation Day'),
+    holiday(year, 2, 23, "Emperor's Birthday"),
+    holiday(year, 3, vernalEquinox(year), 'Vernal Equinox Day'),
+    holiday(year, 4, 29, 'Showa Day'),
+    holiday(year, 5, 3, 'Constitution Memorial Day'),
+    holiday(year, 5, 4, 'Greenery Day'),
+    holiday(year, 5, 5, "Children's Day"),
+    holiday(year, 7, nthWeekday(year, 7, 1, 3), 'Marine Day'),
+    holiday(year, 8, 11, 'Mountain Day'),
+    holiday(year, 9, nthWeekday(year, 9, 1, 3), 'Respect for the Aged Day'),
+    holiday(year, 9, autumnalEquinox(year), 'Autumnal Equinox Day'),
+    holiday(year, 10, nthWeekday(year, 10, 1, 2), 'Sports Day'),
+    holiday(year, 11, 3, 'Culture Day'),
+    holiday(year, 11, 23, 'Labor Thanksgiving Day'),
+  ];
+
+  // A weekday sandwiched between two national holidays is a holiday too (September)
+  const dates = new Set(national.map(item => item.date));
+  const citizens = national.flatMap(item => {
+    const date = parseKey(item.date);
+    const next = addDays(date.year, date.month, date.day, 1);
+    const after = addDays(date.year, date.month, date.day, 2);
+    const nextKey = toKey(next.year, next.month, next.day);
+    const isSandwiched = !dates.has(nextKey) && dates.has(toKey(after.year, after.month, after.day));
+    return isSandwiched && weekdayOf(next.year, next.month, next.day) !== 0 ? [{ date: nextKey, name: "Citizens' Holiday" }] : [];
+  });
+
+  return [
+    ...substituteWeekends([...national, ...citizens], { sundayOnly: true }),
+    holiday(year, 1, 2, 'Market Holiday'),
+    holiday(year, 1, 3, 'Market Holiday'),
+    holiday(year, 12, 31, 'Market Holiday'),
+  ];
+}
+
+// Hong Kong holidays that follow the lunar calendar or solar terms, already moved off
+// Sundays. Extend this table each year once the government gazettes the dates.
+const HONG_KONG_LUNAR_HOLIDAYS = {
+  2025: [
+    ['2025-01-29', 'Lunar New Year'],
+    ['2025-01-30', 'Lunar New Year'],
+    ['2025-01-31', 'Lunar New Year'],
+    ['2025-04-04', 'Ching Ming Festival'],
+    ['2025-05-05', "Buddha's Birthday"],
+    ['2025-10-07', 'Day after Mid-Autumn Festival'],
+    ['2025-10-29', 'Chung Yeung Festival'],
+  ],
+  2026: [
+    ['2026-02-17', 'Lunar New Year'],
+    ['2026-02-18', 'Lunar New Year'],
+    ['2026-02-19', 'Lunar New Year'],
+    ['2026-04-07', 'Day following Ching Ming Festival'],
+    ['2026-05-25', "Day following Buddha's Birthday"],
+    ['2026-06-19', 'Tuen Ng Festival'],
+    ['2026-10-19', 'Day following Chung Yeung Festival'],
+  ],
+  2027: [
+    ['2027-02-08', 'Lunar New Year'],
+    ['2027-02-09', 'Lunar New Year'],
+    ['2027-04-05', 'Ching Ming Festival'],
+    ['2027-05-13', "Buddha's Birthday"],
+    ['2027-06-09', 'Tuen Ng Festival'],
+    ['2027-09-16', 'Day after Mid-Autumn Festival'],
+    ['2027-10-08', 'Chung Yeung Festival'],
+  ],
+};
+
+// Half-day sessions on Lunar New Year's Eve
+const HONG_KONG_LUNAR_EVES = { 2025: '2025-01-28', 2026: '2026-02-16', 2027: '2027-02-05' };
+
+export const EXCHANGES = {
+  XNYS: {
+    id: 'XNYS',
+    name: 'NYSE / NASDAQ',
+    city: 'New York',
+    timezone: 'America/New_York',
+    sessions: { pre: '04:00', open: '09:30', close: '16:00', post: '20:00' },
+    earlyClose: { close: '13:00', post: '17:00' },
+    holidays: (year) => [
+      // New Year's Day on a Saturday isn't observed on the Friday before
+      ...(weekdayOf(year, 1, 1) === 6 ? [] : [observeNearest(year, 1, 1, "New Year's Day")]),
+      holiday(year, 1, nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day'),
+      holiday(year, 2, nthWeekday(year, 2, 1, 3), "Washington's Birthday"),
+      easterHoliday(year, -2, 'Good Friday'),
+      holiday(year, 5, nthWeekday(year, 5, 1, -1), 'Memorial Day'),
+      ...(year >= 2022 ? [observeNearest(year, 6, 19, 'Juneteenth')] : []),
+      observeNearest(year, 7, 4, 'Independence Day'),
+      holiday(year, 9, nthWeekday(year, 9, 1, 1), 'Labor Day'),
+      holiday(year, 11, nthWeekday(year, 11, 4, 4), 'Thanksgiving Day'),
+      observeNearest(year, 12, 25, 'Christmas Day'),
+    ],
+    earlyCloses: (year) => [
+      // July 3 closes early when Independence Day falls Tuesday to Friday
+      ...([2, 3, 4, 5].includes(weekdayOf(year, 7, 4)) ? [holiday(year, 7, 3, 'Independence Day Eve')] : []),
+      holiday(year, 11, nthWeekday(year, 11, 4, 4) + 1, 'Day after Thanksgiving'),
+      ...([1, 2, 3, 4].includes(weekdayOf(year, 12, 24)) ? [holiday(year, 12, 24, 'Christmas Eve')] : []),
+    ],
+  },
+  XLON: {
+    id: 'XLON',
+    name: 'London Stock Exchange',
+    city: 'London',
+    timezone: 'Europe/London',
+    sessions: { open: '08:00', close: '16:30' },
+    earlyClose: { close: '12:30' },
+    holidays: (year) => substituteWeekends([
+      holiday(year, 1, 1, "New Year's Day"),
+      easterHoliday(year, -2, 'Good Friday'),
+      easterHoliday(year, 1, 'Easter Monday'),
+      holiday(year, 5, nthWeekday(year, 5, 1, 1), 'Early May Bank Holiday'),
+      holiday(year, 5, nthWeekday(year, 5, 1, -1), 'Spring Bank Holiday'),
+      holiday(year, 8, nthWeekday(year, 8, 1, -1), 'Summer Bank Holiday'),
+      holiday(year, 12, 25, 'Christmas Day'),
+      holiday(year, 12, 26, 'Boxing Day'),
+    ]),
+    earlyCloses: (year) => weekdayDates(year, [[12, 24], [12, 31]], 'Half-day session'),
+  },
+  XPAR: {
+    id: 'XPAR',
+    name: 'Euronext',
+    city: 'Paris',
+    timezone: 'Europe/Paris',
+    sessions: { open: '09:00', close: '17:30' },
+    earlyClose: { close: '14:05' },
+    holidays: (year) => [
+      holiday(year, 1, 1, "New Year's Day"),
+      easterHoliday(year, -2, 'Good Friday'),
+      easterHoliday(year, 1, 'Easter Monday'),
+      holiday(year, 5, 1, 'Labour Day'),
+      holiday(year, 12, 25, 'Christmas Day'),
+      holiday(year, 12, 26, 'Boxing Day'),
+    ],
+    earlyCloses: (year) => weekdayDates(year, [[12, 24], [12, 31]], 'Half-day session'),
+  },
+  XETR: {
+    id: 'XETR',
+    name: 'Xetra',
+    city: 'Frankfurt',
+    timezone: 'Europe/Berlin',
+    sessions: { open: '09:00', close: '17:30' },
+    earlyClose: null,
+    holidays: (year) => [
+      holiday(year, 1, 1, "New Year's Day"),
+      easterHoliday(year, -2, 'Good Friday'),
+      easterHoliday(year, 1, 'Easter Monday'),
+      holiday(year, 5, 1, 'Labour Day'),
+      holiday(year, 12, 24, 'Christmas Eve'),
+      holiday(year, 12, 25, 'Christmas Day'),
+      holiday(year, 12, 26, 'Boxing Day'),
+      holiday(year, 12, 31, "New Year's Eve"),
+    ],
+    earlyCloses: () => [],
+  },
+  XTKS: {
+    id: 'XTKS',
+    name: 'Tokyo Stock Exchange',
+    city: 'Tokyo',
+    timezone: 'Asia/Tokyo',
+    sessions: { open: '09:00', breakStart: '11:30', breakEnd: '12:30', close: '15:30' },
+    earlyClose: null,
+    holidays: japanHolidays,
+    earlyCloses: () => [],
+  },
+  XHKG: {
+    id: 'XHKG',
+    name: 'Hong Kong Exchange',
+    city: 'Hong Kong',
+    timezone: 'Asia/Hong_Kong',
+    sessions: { open: '09:30', breakStart: '12:00', breakEnd: '13:00', close: '16:00' },
+    earlyClose: { close: '12:00' },
+    holidays: (year) => [
+      ...substituteWeekends([
+        holiday(year, 1, 1, "New Year's Day"),
+        easterHoliday(year, -2, 'Good Friday'),
+        easterHoliday(year, 1, 'Easter Monday'),
+        holiday(year, 5, 1, 'Labour Day'),
+        holiday(year, 7, 1, 'HKSAR Establishment Day'),
+        holiday(year, 10, 1, 'National Day'),
+        holiday(year, 12, 25, 'Christmas Day'),
+        holiday(year, 12, 26, 'First weekday after Christmas'),
+      ], { sundayOnly: true }),
+      ...(HONG_KONG_LUNAR_HOLIDAYS[year] || []).map(([date, name]) => ({ date, name })),
+    ],
+    earlyCloses: (year) => [
+      ...weekdayDates(year, [[12, 24], [12, 31]], 'Half-day session'),
+      ...(HONG_KONG_LUNAR_EVES[year] ? [{ date: HONG_KONG_LUNAR_EVES[year], name: "Lunar New Year's Eve" }] : []),
+    ],
+  },
+  XTSE: {
+    id: 'XTSE',
+    name: 'Toronto Stock Exchange',
+    city: 'Toronto',
+    timezone: 'America/Toronto',
+    sessions: { open: '09:30', close: '16:00' },
+    earlyClose: { close: '13:00' },
+    holidays: (year) => substituteWeekends([
+      holiday(year, 1, 1, "New Year's Day"),
+      holiday(year, 2, nthWeekday(year, 2, 1, 3), 'Family Day'),
+      easterHoliday(year, -2, 'Good Friday'),
+      // Victoria Day is the last Monday before May 25
+      holiday(year, 5, nthWeekday(year, 5, 1, 4) > 24 ? nthWeekday(year, 5, 1, 3) : nthWeekday(year, 5, 1, 4), 'Victoria Day'),
+      holiday(year, 7, 1, 'Canada Day'),
+      holiday(year, 8, nthWeekday(year, 8, 1, 1), 'Civic Holiday'),
+      holiday(year, 9, nthWeekday(year, 9, 1, 1), 'Labour Day'),
+      holiday(year, 10, nthWeekday(year, 10, 1, 2), 'Thanksgiving Day'),
+      holiday(year, 12, 25, 'Christmas Day'),
+      holiday(year, 12, 26, 'Boxing Day'),
+    ]),
+    earlyCloses: (year) => weekdayDates(year, [[12, 24]], 'Christmas Eve'),
+  },
+  XASX: {
+    id: 'XASX',
+    name: 'Australian Securities Exchange',
+    city: 'Sydney',
+    timezone: 'Australia/Sydney',
+    sessions: { open: '10:00', close: '16:00' },
+    earlyClose: { close: '14:10' },
+    holidays: (year) => [
+      ...substituteWeekends([
+        holiday(year, 1, 1, "New Year's Day"),
+        holiday(year, 1, 26, 'Australia Day'),
+        easterHoliday(year, -2, 'Good Friday'),
+        easterHoliday(year, 1, 'Easter Monday'),
+        holiday(year, 6, nthWeekday(year, 6, 1, 2), "King's Birthday"),
+        holiday(year, 12, 25, 'Christmas Day'),
+        holiday(year, 12, 26, 'Boxing Day'),
+      ]),
+      // Anzac Day has no substitute day
+      holiday(year, 4, 25, 'Anzac Day'),
+    ],
+    earlyCloses: (year) => weekdayDates(year, [[12, 24], [12, 31]], 'Half-day session'),
+  },
+};
+
+// Time zones of the world clocks mapped to the exchange that trades there
+const TIMEZONE_EXCHANGES = {
+  'America/New_York': 'XNYS',
+  'Europe/London': 'XLON',
+  'Europe/Paris': 'XPAR',
+  'Europe/Amsterdam': 'XPAR',
+  'Europe/Brussels': 'XPAR',
+  'Europe/Berlin': 'XETR',
+  'Asia/Tokyo': 'XTKS',
+  'Asia/Hong_Kong': 'XHKG',
+  'America/Toronto': 'XTSE',
+  'Australia/Sydney': 'XASX',
+};
+
+// Exchange by id, defaulting to NYSE
+export function getExchange(exchangeId) {
+  return EXCHANGES[exchangeId] || EXCHANGES.XNYS;
+}
+
+// Exchange whose trading day follows a clock's time zone, or null
+export function getExchangeForTimezone(timezone) {
+  return EXCHANGES[TIMEZONE_EXCHANGES[timezone]] || null;
+}
+
+const dateCache = new Map();
+
+// Holidays or early closes of an exchange in a year, keyed by date
+const getDateMap = (exchange, year, kind) => {
+  const cacheKey = `${exchange.id}-${kind}-${year}`;
+  if (!dateCache.has(cacheKey)) {
+    const dates = exchange[kind](year);
+    dateCache.set(cacheKey, new Map(dates.map(item => [item.date, item.name])));
+  }
+  return dateCache.get(cacheKey);
+};
+
+// Full-day closures of an exchange in a year, sorted by date
+export function getHolidays(exchangeId, year) {
+  const exchange = getExchange(exchangeId);
+  return [...getDateMap(exchange, year, 'holidays')]
+    .map(([date, name]) => ({ date, name }))
+    .filter(item => ![0, 6].includes(weekdayOf(...item.date.split('-').map(Number))))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const formatters = new Map();
+
+// Civil date and minutes since midnight of a time in a time zone
+function getLocalDate(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    }));
+  }
+  const parts = formatters.get(timeZone).formatToParts(new Date(time));
+  const get = (type) => Number(parts.find(part => part.type === type)?.value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    minutes: get('hour') * 60 + get('minute'),
+    seconds: get('second'),
+  };
+}
+
+// UTC milliseconds of a wall-clock time in a time zone
+function zonedTime(year, month, day, minutes, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (time) => {
+    const local = getLocalDate(time, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes, local.seconds);
+    return asUtc - Math.floor(time / 1000) * 1000;
+  };
+  // Two passes settle the offset on either side of a DST change
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+// Session of an exchange on a civil date, or { closed: true, reason } on weekends and holidays
+function getDaySession(exchange, date) {
+  const { year, month, day } = date;
+  const key = toKey(year, month, day);
+  if ([0, 6].includes(weekdayOf(year, month, day))) {
+    return { key, closed: true, reason: 'Weekend', holiday: null };
+  }
+  const holidayName = getDateMap(exchange, year, 'holidays').get(key);
+  if (holidayName) {
+    return { key, closed: true, reason: holidayName, holiday: holidayName };
+  }
+
+  const { sessions } = exchange;
+  const earlyCloseName = exchange.earlyClose ? getDateMap(exchange, year, 'earlyCloses').get(key) : null;
+  const close = toMinutes(earlyCloseName ? exchange.earlyClose.close : sessions.close);
+  let breakStart = toMinutes(sessions.breakStart);
+  let breakEnd = toMinutes(sessions.breakEnd);
+  // A half day that ends at the lunch break has no afternoon session
+  if (breakStart !== null && close <= breakStart) {
+    breakStart = null;
+    breakEnd = null;
+  }
+  const post = earlyCloseName ? toMinutes(exchange.earlyClose.post) : toMinutes(sessions.post);
+
+  return {
+    key,
+    closed: false,
+    pre: toMinutes(sessions.pre),
+    open: toMinutes(sessions.open),
+    close,
+    post,
+    breakStart,
+    breakEnd,
+    earlyClose: earlyCloseName || null,
+  };
+}
+
+// Regular trading intervals [{ start, end }] (UTC ms) from the exchange day containing
+// `from` through `days` calendar days later; lunch breaks split a day into two intervals
+export function getTradingIntervals(exchangeId, from = Date.now(), days = SEARCH_DAYS) {
+  const exchange = getExchange(exchangeId);
+  const start = getLocalDate(from, exchange.timezone);
+  const intervals = [];
+
+  for (let offset = -1; offset <= days; offset++) {
+    const date = addDays(start.year, start.month, start.day, offset);
+    const session = getDaySession(exchange, date);
+    if (session.closed) continue;
+    const at = (minutes) => zonedTime(date.year, date.month, date.day, minutes, exchange.timezone);
+    if (session.breakStart !== null) {
+      intervals.push({ start: at(session.open), end: at(session.breakStart), day: session.key });
+      intervals.push({ start: at(session.breakEnd), end: at(session.close), day: session.key });
+    } else {
+      intervals.push({ start: at(session.open), end: at(session.close), day: session.key });
+    }
+  }
+  return intervals;
+}
+
+// Whether the exchange trades on the local day containing time
+export function isTradingDay(exchangeId, time = Date.now()) {
+  const exchange = getExchange(exchangeId);
+  return !getDaySession(exchange, getLocalDate(time, exchange.timezone)).closed;
+}
+
+// Current state of an exchange with the next open and close
+export function getExchangeStatus(exchangeId, time = Date.now()) {
+  const exchange = getExchange(exchangeId);
+  const local = getLocalDate(time, exchange.timezone);
+  const session = getDaySession(exchange, local);
+  const intervals = getTradingIntervals(exchange.id, time);
+  const current = intervals.find(interval => interval.start <= time && time < interval.end);
+  const nextOpen = intervals.find(interval => interval.start > time)?.start ?? null;
+  const nextClose = (current || intervals.find(interval => interval.start > time))?.end ?? null;
+
+  let state = 'CLOSED';
+  let reason = session.closed ? session.reason : null;
+  if (current) {
+    state = 'REGULAR';
+  } else if (!session.closed) {
+    const minutes = local.minutes;
+    if (session.pre !== null && minutes >= session.pre && minutes < session.open) {
+      state = 'PRE';
+    } else if (session.post !== null && minutes >= session.close && minutes < session.post) {
+      state = 'POST';
+    } else if (session.breakStart !== null && minutes >= session.breakStart && minutes < session.breakEnd) {
+      reason = 'Lunch break';
+    }
+  }
+
+  return {
+    exchange,
+    state,
+    reason,
+    holiday: session.holiday || null,
+    earlyClose: session.closed ? null : session.earlyClose,
+    nextOpen,
+    nextClose,
+  };
+}
+
+// Start times of the next `count` bars after `from` on an exchange
+// 1H bars start at the session open and every hour after it (the last may be short);
+// 1D bars are dated by the session open of each trading day
+export function getNextBarTimes(exchangeId, from, count, interval = '1D') {
+  const hourly = /^1h$/i.test(interval);
+  const times = [];
+  let cursor = from;
+
+  // Search further ahead until enough bars are found (a year at most)
+  for (let pass = 0; times.length < count && pass < 20; pass++) {
+    const intervals = getTradingIntervals(exchangeId, cursor);
+    const seenDays = new Set();
+    for (const session of intervals) {
+      if (hourly) {
+        for (let time = session.start; time < session.end && times.length < count; time += HOUR) {
+          if (time > from && !times.includes(time)) times.push(time);
+        }
+      } else if (!seenDays.has(session.day)) {
+        seenDays.add(session.day);
+        if (session.start > from && !times.includes(session.start) && times.length < count) times.push(session.start);
+      }
+    }
+    cursor = intervals.length > 0 ? intervals[intervals.length - 1].end : cursor + SEARCH_DAYS * DAY;
+  }
+  return times.sort((a, b) => a - b).slice(0, count);
+}
+
+// Countdown text for a duration: "3d 4h", "2h 05m", "12m", "<1m"
+export function formatCountdown(ms) {
+  if (ms === null || ms === undefined || ms < 0) return '';
+  const totalMinutes = Math.floor(ms / MINUTE);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return '<1m';
+}